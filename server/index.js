@@ -6,6 +6,9 @@
 //   POST /api/quest-node
 //   POST /api/level-recipe
 //   POST /api/name-roast  ✅ (mounted from routes/nameRoast.js)
+//   POST /api/voice-line  (mounted from routes/voiceLine.js, no LLM)
+//   POST /api/daily/submit, GET /api/daily/leaderboard  (mounted from routes/daily.js)
+//   POST /api/telemetry, GET /api/telemetry, GET /api/telemetry/export  (mounted from routes/telemetry.js)
 
 import express from "express";
 import cors from "cors";
@@ -14,6 +17,11 @@ import fs from "fs";
 import path from "path";
 
 import nameRoastRoute from "./routes/nameRoast.js"; // ✅
+import voiceLineRoute, { questGroundingLines, questFallbackLines } from "./routes/voiceLine.js";
+import dailyRoute from "./routes/daily.js";
+import telemetryRoute from "./routes/telemetry.js";
+import { createVoiceRouter } from "./voice/voice_router.js";
+import { validateVoiceBank, validateLLMVoicePayload } from "./voice/voice_validate.js";
 
 const app = express();
 app.use(express.json({ limit: "1mb" }));
@@ -26,6 +34,9 @@ const MODEL_RECIPE = process.env.MODEL_RECIPE || "gpt-4o-mini";
 
 const DM_SIGNATURE = "[SIG:MA_V1]";
 
+// Regeneration passes after the first quest-node draft fails voice validation.
+const QUEST_REPAIR_PASSES = 2;
+
 /* ---------- Load voice canon ---------- */
 const VOICE_DIR = path.join(process.cwd(), "voice");
 const VOICE_LOCK_PATH = path.join(VOICE_DIR, "ma_voice_lock.v1.txt");
@@ -41,6 +52,20 @@ function readJsonIfExists(p) {
 const MA_VOICE_LOCK = readTextIfExists(VOICE_LOCK_PATH);
 const MA_FEWSHOTS = readJsonIfExists(FEWSHOTS_PATH);
 
+/* ---------- Voice bank + router (deterministic lines) ---------- */
+const VOICE_BANK_PATH = path.join(VOICE_DIR, "voice_bank.v1.json");
+const LEXICONS_PATH = path.join(VOICE_DIR, "lexicons.v1.json");
+
+const MA_VOICE_BANK = readJsonIfExists(VOICE_BANK_PATH);
+const MA_LEXICONS = readJsonIfExists(LEXICONS_PATH);
+const VOICE_ROUTER = createVoiceRouter(MA_VOICE_BANK, MA_LEXICONS);
+
+{
+  // Canon lint only: a flagged line is still served, we just want to hear about it.
+  const v = validateVoiceBank(MA_VOICE_BANK, MA_LEXICONS);
+  if (!v.ok) console.warn(`⚠️ voice bank lint (${v.errors.length}):\n  ${v.errors.join("\n  ")}`);
+}
+
 /* ---------- CORS ---------- */
 app.use(cors({
   origin: [
@@ -57,6 +82,13 @@ app.use(cors({
 /* ✅ Mount name-roast route */
 app.use("/api", nameRoastRoute);
 
+/* Voice lines are bank lookups (no LLM), so they sit outside the rate limit too */
+app.use("/api", voiceLineRoute({ voiceRouter: VOICE_ROUTER, voiceBank: MA_VOICE_BANK }));
+
+/* Telemetry uploads are frequent and cheap: capped per batch and per player, not rate limited */
+const TELEMETRY_DIR = process.env.TELEMETRY_DIR || path.join(process.cwd(), "data", "telemetry");
+app.use("/api", telemetryRoute({ dataDir: TELEMETRY_DIR, exportToken: process.env.TELEMETRY_EXPORT_TOKEN || "" }));
+
 /* ---------- Basic rate limit ---------- */
 const RL = new Map();
 app.use((req, res, next) => {
@@ -77,6 +109,10 @@ app.use((req, res, next) => {
   next();
 });
 
+/* Daily Experiment leaderboard (replays every submission; after the rate limit) */
+const DAILY_DIR = process.env.DAILY_DIR || path.join(process.cwd(), "data");
+app.use("/api", dailyRoute({ dataDir: DAILY_DIR }));
+
 /* ---------- Single-flight ---------- */
 const INFLIGHT = new Map();
 async function singleFlight(key, fn) {
@@ -138,6 +174,88 @@ function violatesVoice(text) {
   return forbidden.some(w => t.includes(w));
 }
 
+// Approved bank lines for this player/moment: the model matches their tone and may reuse one.
+function groundingBlock(lines) {
+  if (!lines.length) return "";
+  const out = ["VOICE GROUNDING (approved MA lines; match tone + length, reuse at most one):"];
+  for (const l of lines) out.push(`- [${l.id}] (${l.moment}) ${JSON.stringify(l.text)}`);
+  out.push("If you reuse or paraphrase a line, put its id in used_voice_ids.");
+  return out.join("\n");
+}
+
+// Full voice check for a quest node: voice_validate.js rules + our signature + jargon ban.
+// Server-owned catchphrase tags ("catch:*") are not bank ids, so they are set aside first.
+function checkQuestVoice(payload) {
+  if (!payload || typeof payload !== "object") return { ok: false, errors: ["payload must be an object"], payload: null };
+
+  const ids = Array.isArray(payload.used_voice_ids) ? payload.used_voice_ids : [];
+  const v = validateLLMVoicePayload(
+    { ...payload, used_voice_ids: ids.filter(id => !String(id).startsWith("catch:")) },
+    MA_VOICE_BANK,
+    MA_LEXICONS
+  );
+  const errors = v.errors.slice();
+
+  if (typeof payload.dm_verdict !== "string" || !payload.dm_verdict.includes(DM_SIGNATURE)) {
+    errors.push(`dm_verdict: missing signature token ${DM_SIGNATURE}`);
+  }
+  const fullText = [payload.quest_title, payload.dm_intro, payload.dm_midpoint, payload.dm_verdict].join(" ");
+  if (violatesVoice(fullText)) errors.push("contains finance/corporate jargon");
+
+  if (errors.length) return { ok: false, errors, payload: null };
+  return {
+    ok: true,
+    errors,
+    payload: {
+      ...payload,
+      quest_title: v.sanitized.quest_title,
+      dm_intro: v.sanitized.dm_intro,
+      dm_midpoint: v.sanitized.dm_midpoint,
+      dm_verdict: v.sanitized.dm_verdict,
+      used_voice_ids: v.sanitized.used_voice_ids,
+    },
+  };
+}
+
+// Fed back to the model on a repair pass: what it said, and exactly what failed.
+function repairBlock(raw, errors) {
+  const out = ["YOUR PREVIOUS OUTPUT FAILED VOICE VALIDATION:"];
+  for (const e of errors) out.push(`- ${e}`);
+  if (raw) out.push("", "Previous output:", String(raw).slice(0, 1200));
+  out.push("", "Return corrected JSON. Fix every listed problem; keep what already passed.");
+  return out.join("\n");
+}
+
+// Last resort when the bank has nothing for a quest moment at all.
+const QUEST_FALLBACK_TEXT = {
+  title: "Controlled Reaction",
+  quest_open: "The reaction is waiting. Precision, not panic.",
+  quest_mid: "Structure first. Pressure later.",
+  quest_end: "Evidence recorded.",
+};
+
+/**
+ * Quest node built from router-picked bank lines (no LLM text), for when every
+ * repair pass failed. Same shape as a model payload; the modifier is zeroed
+ * because nothing vetted it.
+ */
+function bankQuestPayload(context, errors) {
+  const lines = questFallbackLines(VOICE_ROUTER, MA_VOICE_BANK, context);
+  const text = (m) => lines[m]?.text || QUEST_FALLBACK_TEXT[m];
+  return {
+    quest_title: QUEST_FALLBACK_TEXT.title,
+    dm_intro: text("quest_open"),
+    dm_midpoint: text("quest_mid"),
+    dm_verdict: `${text("quest_end")} ${DM_SIGNATURE}`,
+    dm_mood: "disappointed",
+    dm_frame: 0,
+    used_voice_ids: Object.values(lines).filter(Boolean).map(l => l.id),
+    modifier: normalizeModifier(ZERO_MOD),
+    voice_fallback: true,
+    voice_errors: errors.slice(0, 12),
+  };
+}
+
 function fewshotsBlock() {
   if (!Array.isArray(MA_FEWSHOTS) || !MA_FEWSHOTS.length) return "";
   const lines = [];
@@ -264,7 +382,11 @@ function normalizeModifier(mod) {
 
 /* ---------- Routes ---------- */
 app.get("/health", (_req, res) =>
-  ok(res, { voiceLockLoaded: Boolean(MA_VOICE_LOCK), models:{ MODEL_QUEST, MODEL_RECIPE } })
+  ok(res, {
+    voiceLockLoaded: Boolean(MA_VOICE_LOCK),
+    voiceBankLines: (MA_VOICE_BANK?.lines || []).length,
+    models:{ MODEL_QUEST, MODEL_RECIPE },
+  })
 );
 
 app.post("/api/quest-node", async (req, res) => {
@@ -279,6 +401,7 @@ app.post("/api/quest-node", async (req, res) => {
     if (missing.length) return fail(res, 400, "Missing required fields", missing);
 
     const wantModifier = context.wantModifier !== false;
+    const grounding = questGroundingLines(VOICE_ROUTER, MA_VOICE_BANK, context);
 
     const instructions = `
 ${voiceLock}
@@ -304,6 +427,8 @@ MODIFIER RULE:
 
 FORESHADOW MODE:
 - If foreshadowOnly=true: do not introduce new mechanics; warn metaphorically only.
+
+${groundingBlock(grounding)}
 `.trim();
 
     const input = `
@@ -316,56 +441,75 @@ wantModifier = ${wantModifier}
 `.trim();
 
     const key = `quest:${context.seed}:${context.questId}:${context.level}:${context.bankPrimary}:${wantModifier}`;
-    const resp = await singleFlight(key, () =>
+    const generate = (repair) =>
       openai.responses.create({
         model: MODEL_QUEST,
         instructions,
-        input,
+        input: repair ? `${input}\n\n${repair}` : input,
         text: { format: { type:"json_schema", name:"quest_node", strict:true, schema: QUEST_SCHEMA } },
         max_output_tokens: 240,
-      })
-    );
-
-    const raw = getOutputText(resp);
-    if (!raw) return fail(res, 502, "LLM returned empty output", {});
-
-    const parsed = safeJsonParse(raw, "quest-node");
-    if (!parsed.ok) return fail(res, 502, parsed.error, parsed.details);
-
-    const payload = parsed.value;
-
-    // --- Anti-repeat guard: normalize used_voice_ids and reduce catchphrase spam ---
-if (!Array.isArray(payload.used_voice_ids)) payload.used_voice_ids = [];
+      });
+
+    // Draft, then up to QUEST_REPAIR_PASSES regenerations with the validator's errors fed back.
+    let payload = null;
+    let raw = "";
+    let errors = [];
+    let repairs = 0;
+    for (let pass = 0; pass <= QUEST_REPAIR_PASSES; pass++) {
+      const resp = pass === 0
+        ? await singleFlight(key, () => generate(""))
+        : await generate(repairBlock(raw, errors));
+      repairs = pass;
+
+      raw = getOutputText(resp);
+      if (!raw) {
+        errors = ["LLM returned empty output"];
+        continue;
+      }
+      const parsed = safeJsonParse(raw, "quest-node");
+      if (!parsed.ok) {
+        errors = [parsed.error];
+        continue;
+      }
 
-const lower = (s) => String(s || "").toLowerCase();
-const recent = new Set(payload.used_voice_ids.map(lower));
+      const draft = parsed.value;
 
-// If model used "listen, genius" too often, force it out by rewriting this node once.
-const tooCommon = lower([payload.dm_intro, payload.dm_midpoint, payload.dm_verdict].join(" ")).includes("listen, genius");
-if (tooCommon && recent.has("catch:listen_genius")) {
-  // Remove the phrase without breaking the rest of the line.
-  payload.dm_intro = String(payload.dm_intro || "").replace(/listen,\s*genius…?/ig, "").trim();
-  payload.dm_midpoint = String(payload.dm_midpoint || "").replace(/listen,\s*genius…?/ig, "").trim();
-  payload.dm_verdict = String(payload.dm_verdict || "").replace(/listen,\s*genius…?/ig, "").trim();
-}
-
-// Tag usage so the client can remember it
-const full = lower([payload.dm_intro, payload.dm_midpoint, payload.dm_verdict].join(" "));
-if (full.includes("listen, genius")) payload.used_voice_ids.push("catch:listen_genius");
+      // --- Anti-repeat guard: reduce catchphrase spam before judging the voice ---
+      const lower = (s) => String(s || "").toLowerCase();
+      const recent = new Set((Array.isArray(draft.used_voice_ids) ? draft.used_voice_ids : []).map(lower));
 
+      // If model used "listen, genius" too often, force it out by rewriting this node once.
+      const tooCommon = lower([draft.dm_intro, draft.dm_midpoint, draft.dm_verdict].join(" ")).includes("listen, genius");
+      if (tooCommon && recent.has("catch:listen_genius")) {
+        // Remove the phrase without breaking the rest of the line.
+        draft.dm_intro = String(draft.dm_intro || "").replace(/listen,\s*genius…?/ig, "").trim();
+        draft.dm_midpoint = String(draft.dm_midpoint || "").replace(/listen,\s*genius…?/ig, "").trim();
+        draft.dm_verdict = String(draft.dm_verdict || "").replace(/listen,\s*genius…?/ig, "").trim();
+      }
 
-    if (typeof payload.dm_verdict !== "string" || !payload.dm_verdict.includes(DM_SIGNATURE)) {
-      return fail(res, 400, "LLM voice payload failed validation", ["dm_verdict: missing signature token (risk of tone drift)"]);
+      const checked = checkQuestVoice(draft);
+      if (checked.ok) {
+        payload = checked.payload;
+        break;
+      }
+      errors = checked.errors;
     }
 
-if (!wantModifier) payload.modifier = normalizeModifier(ZERO_MOD);
-else payload.modifier = normalizeModifier(payload.modifier);
+    if (!payload) {
+      console.warn(`⚠️ /api/quest-node voice fallback after ${repairs} repair(s):`, errors);
+      payload = bankQuestPayload(context, errors);
+    } else {
+      // Tag usage so the client can remember it
+      const full = [payload.dm_intro, payload.dm_midpoint, payload.dm_verdict].join(" ").toLowerCase();
+      if (full.includes("listen, genius")) payload.used_voice_ids.push("catch:listen_genius");
 
-    const fullText = [payload.quest_title, payload.dm_intro, payload.dm_midpoint, payload.dm_verdict].join(" ");
-    if (violatesVoice(fullText)) {
-      return fail(res, 400, "LLM voice drift: forbidden-topic detected", ["Detected finance/corporate language. Voice lock violation."]);
+      if (!wantModifier) payload.modifier = normalizeModifier(ZERO_MOD);
+      else payload.modifier = normalizeModifier(payload.modifier);
     }
 
+    payload.voice_repairs = repairs;
+    payload.voice_candidates = grounding.map(l => l.id);
+
     return ok(res, { payload });
   } catch (err) {
     console.error("❌ /api/quest-node error:", err);
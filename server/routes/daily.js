@@ -0,0 +1,188 @@
+// server/routes/daily.js
+// POST /api/daily/submit, GET /api/daily/leaderboard — Daily Experiment leaderboard.
+// The board comes from the game's own daily.js, copied into server/shared at deploy time
+// (npm run sync:server; same date -> same board),
+// and a submission only counts if its pour list replays to a solved board there.
+// Ranking uses the replayed pour count, never the client's claim. One best result
+// per player id per day, kept in a JSON file per day under dataDir.
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+
+import {
+  DAILY_LIMITS,
+  dailyKey,
+  isDailyKey,
+  previousDailyKey,
+  buildDailyLevel,
+  replayDailyMoves,
+  compareDailyResults,
+} from "../shared/src/game/daily.js";
+
+const NAME_MAX = 14;
+const BOARD_SIZE = 10;
+const INVALID_MAX = 10000;
+const UNDO_MAX = 10000;
+// Faster than ~4 pours a second is not a person.
+const MIN_MS_PER_POUR = 250;
+
+/* ---------- Input ---------- */
+function cleanName(raw) {
+  const s = String(raw || "")
+    .replace(/[\u0000-\u001f<>]/g, "")
+    .trim()
+    .slice(0, NAME_MAX);
+  return s || "Acolyte";
+}
+
+function cleanCount(v, max) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? Math.min(max, n) : null;
+}
+
+/** Today or yesterday (UTC): a player mid-puzzle at midnight still gets to submit. */
+export function acceptedDailyKey(key, now = new Date()) {
+  if (!isDailyKey(key)) return false;
+  const today = dailyKey(now);
+  return key === today || key === previousDailyKey(today);
+}
+
+/**
+ * Validate a submission against the day's board.
+ * Returns { ok: true, entry } or { ok: false, error, details }.
+ */
+export function checkDailySubmission(body, level) {
+  const b = body || {};
+  const playerId = String(b.playerId || "");
+  if (!/^[a-z0-9-]{8,64}$/i.test(playerId)) return { ok: false, error: "Bad playerId" };
+
+  const replay = replayDailyMoves(level, b.moves);
+  if (!replay.ok) return { ok: false, error: "Moves do not replay", details: { reason: replay.error, at: replay.at } };
+  if (!replay.solved) return { ok: false, error: "Moves do not solve the board" };
+
+  const invalid = cleanCount(b.invalid, INVALID_MAX);
+  const undos = cleanCount(b.undos, UNDO_MAX);
+  const timeMs = cleanCount(b.timeMs, DAILY_LIMITS.timeMs);
+  if (invalid === null || undos === null || timeMs === null) return { ok: false, error: "Bad stats" };
+  if (timeMs < replay.pours * MIN_MS_PER_POUR) return { ok: false, error: "Implausible time" };
+
+  return {
+    ok: true,
+    entry: { playerId, name: cleanName(b.name), pours: replay.pours, invalid, undos, timeMs, at: Date.now() },
+  };
+}
+
+/* ---------- Store ---------- */
+function createDailyStore(dataDir) {
+  const days = new Map(); // key -> { players: { [playerId]: entry } }
+
+  function fileFor(key) {
+    return path.join(dataDir, `daily_${key}.json`);
+  }
+
+  function load(key) {
+    if (days.has(key)) return days.get(key);
+    let day = { players: {} };
+    try {
+      const raw = JSON.parse(fs.readFileSync(fileFor(key), "utf-8"));
+      if (raw && typeof raw.players === "object") day = { players: raw.players };
+    } catch {}
+    // older days are read-only: don't keep every date anyone asks about in memory
+    if (acceptedDailyKey(key)) {
+      for (const k of days.keys()) if (!acceptedDailyKey(k)) days.delete(k);
+      days.set(key, day);
+    }
+    return day;
+  }
+
+  function save(key) {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      fs.writeFileSync(fileFor(key), JSON.stringify({ key, players: load(key).players }));
+    } catch (err) {
+      console.warn(`⚠️ daily store write failed (${key}):`, err?.message || err);
+    }
+  }
+
+  return {
+    /** Keep the player's best; returns true when `entry` replaced it. */
+    submit(key, entry) {
+      const day = load(key);
+      const prev = day.players[entry.playerId];
+      if (prev && compareDailyResults(prev, entry) <= 0) return false;
+      day.players[entry.playerId] = entry;
+      save(key);
+      return true;
+    },
+    ranked(key) {
+      return Object.values(load(key).players).sort(compareDailyResults);
+    },
+  };
+}
+
+function publicEntry(e, i) {
+  return { rank: i + 1, name: e.name, pours: e.pours, timeMs: e.timeMs, invalid: e.invalid, undos: e.undos };
+}
+
+function leaderboard(store, key, par, playerId) {
+  const all = store.ranked(key);
+  const mine = playerId ? all.findIndex((e) => e.playerId === playerId) : -1;
+  return {
+    key,
+    par,
+    total: all.length,
+    entries: all.slice(0, BOARD_SIZE).map(publicEntry),
+    you: mine >= 0 ? publicEntry(all[mine], mine) : null,
+  };
+}
+
+/* ---------- Router ---------- */
+export default function dailyRoute({ dataDir }) {
+  const router = express.Router();
+  const store = createDailyStore(dataDir);
+  const levels = new Map(); // key -> buildDailyLevel(key); boards never change for a key
+
+  // only today's and yesterday's boards are ever built (see acceptedDailyKey)
+  function dayFor(key) {
+    if (!levels.has(key)) {
+      for (const k of levels.keys()) if (!acceptedDailyKey(k)) levels.delete(k);
+      levels.set(key, buildDailyLevel(key));
+    }
+    return levels.get(key);
+  }
+
+  router.post("/daily/submit", (req, res) => {
+    try {
+      const key = String(req.body?.key || "");
+      if (!acceptedDailyKey(key)) {
+        return res.status(400).json({ ok: false, error: "Daily closed or unknown", details: { key, today: dailyKey() } });
+      }
+      const day = dayFor(key);
+      if (!day.ok) return res.status(503).json({ ok: false, error: "Daily board unavailable", details: { key, reason: day.error } });
+      const v = checkDailySubmission(req.body, day.level);
+      if (!v.ok) return res.status(400).json({ ok: false, error: v.error, details: v.details || null });
+
+      const improved = store.submit(key, v.entry);
+      return res.json({ ok: true, improved, ...leaderboard(store, key, day.par, v.entry.playerId) });
+    } catch (err) {
+      console.error("❌ /api/daily/submit error:", err);
+      return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+    }
+  });
+
+  router.get("/daily/leaderboard", (req, res) => {
+    try {
+      const key = String(req.query?.key || dailyKey());
+      if (!isDailyKey(key)) return res.status(400).json({ ok: false, error: "Bad key", details: { key } });
+      const playerId = String(req.query?.playerId || "");
+      const par = acceptedDailyKey(key) ? dayFor(key).par ?? null : null;
+      return res.json({ ok: true, ...leaderboard(store, key, par, playerId) });
+    } catch (err) {
+      console.error("❌ /api/daily/leaderboard error:", err);
+      return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+    }
+  });
+
+  return router;
+}
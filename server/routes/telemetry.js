@@ -0,0 +1,187 @@
+// server/routes/telemetry.js
+// POST /api/telemetry, GET /api/telemetry, GET /api/telemetry/export — playtest telemetry.
+// Clients upload batches of stored events (src/game/telemetryUpload.js). Each event
+// is checked against the game's own schemas (telemetryEvents.js, copied into
+// server/shared by npm run sync:server) and appended to one NDJSON file per anonymous player id under
+// dataDir. Events are keyed by sessionId + the client's store id, so a retried
+// batch is skipped, not stored twice.
+
+import express from "express";
+import fs from "fs";
+import path from "path";
+
+import { validateEvent } from "../shared/src/game/telemetryEvents.js";
+
+export const TELEMETRY_BATCH_MAX = 500;
+// per player; a full file takes no more events (413)
+const PLAYER_BYTES_MAX = 20 * 1024 * 1024;
+// players whose seen-event keys stay in memory
+const SEEN_CACHE_MAX = 200;
+const ERRORS_SHOWN = 10;
+
+const PLAYER_ID_RE = /^[a-z0-9-]{8,64}$/i;
+
+/* ---------- Input ---------- */
+function eventKey(e) {
+  return `${e.sessionId || "legacy"}:${e.id}`;
+}
+
+/**
+ * Validate an upload. Returns { ok: true, playerId, events, rejected, errors }
+ * (events: the valid ones) or { ok: false, status, error, details }.
+ */
+export function checkTelemetryBatch(body) {
+  const b = body || {};
+  const playerId = String(b.playerId || "");
+  if (!PLAYER_ID_RE.test(playerId)) return { ok: false, status: 400, error: "Bad playerId" };
+  if (!Array.isArray(b.events) || !b.events.length) return { ok: false, status: 400, error: "No events" };
+  if (b.events.length > TELEMETRY_BATCH_MAX) {
+    return { ok: false, status: 413, error: "Batch too large", details: { max: TELEMETRY_BATCH_MAX } };
+  }
+
+  const events = [];
+  const errors = [];
+  b.events.forEach((e, i) => {
+    const v = validateEvent(e);
+    const errs = !v.ok ? v.errors : Number.isInteger(e.id) ? [] : ["BAD_ID"];
+    if (errs.length) errors.push(`${i}:${errs.join(",")}`);
+    else events.push(e);
+  });
+  return { ok: true, playerId, events, rejected: errors.length, errors: errors.slice(0, ERRORS_SHOWN) };
+}
+
+/* ---------- Store ---------- */
+function createTelemetryStore(dataDir) {
+  const seen = new Map(); // playerId -> Set(eventKey)
+
+  function fileFor(playerId) {
+    return path.join(dataDir, `${playerId}.ndjson`);
+  }
+
+  function read(playerId) {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(fileFor(playerId), "utf-8");
+    } catch {}
+    const out = [];
+    for (const line of raw.split("\n")) {
+      if (!line) continue;
+      try {
+        out.push(JSON.parse(line));
+      } catch {
+        // a torn last line from a crash mid-append
+      }
+    }
+    return out;
+  }
+
+  function seenFor(playerId) {
+    if (!seen.has(playerId)) {
+      if (seen.size >= SEEN_CACHE_MAX) seen.delete(seen.keys().next().value);
+      seen.set(playerId, new Set(read(playerId).map(eventKey)));
+    }
+    return seen.get(playerId);
+  }
+
+  function size(playerId) {
+    try {
+      return fs.statSync(fileFor(playerId)).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  return {
+    /** Append the events not stored yet. Returns { accepted, duplicates } or null when the player's file is full. */
+    append(playerId, events) {
+      if (size(playerId) >= PLAYER_BYTES_MAX) return null;
+      const keys = seenFor(playerId);
+      const receivedAt = Date.now();
+      const fresh = [];
+      for (const e of events) {
+        const k = eventKey(e);
+        if (keys.has(k)) continue;
+        keys.add(k);
+        fresh.push(JSON.stringify({ ...e, playerId, receivedAt }));
+      }
+      if (fresh.length) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.appendFileSync(fileFor(playerId), fresh.join("\n") + "\n");
+      }
+      return { accepted: fresh.length, duplicates: events.length - fresh.length };
+    },
+    read,
+    players() {
+      try {
+        return fs
+          .readdirSync(dataDir)
+          .filter((f) => f.endsWith(".ndjson"))
+          .map((f) => f.slice(0, -".ndjson".length));
+      } catch {
+        return [];
+      }
+    },
+    fileFor,
+  };
+}
+
+/* ---------- Router ---------- */
+/**
+ * exportToken: required (as "Authorization: Bearer <token>") for the all-players
+ * export; without one the export is off.
+ */
+export default function telemetryRoute({ dataDir, exportToken = "" }) {
+  const router = express.Router();
+  const store = createTelemetryStore(dataDir);
+
+  router.post("/telemetry", (req, res) => {
+    try {
+      const v = checkTelemetryBatch(req.body);
+      if (!v.ok) return res.status(v.status).json({ ok: false, error: v.error, details: v.details || null });
+
+      const r = v.events.length ? store.append(v.playerId, v.events) : { accepted: 0, duplicates: 0 };
+      if (!r) return res.status(413).json({ ok: false, error: "Player store full", details: null });
+      return res.json({ ok: true, ...r, rejected: v.rejected, errors: v.errors });
+    } catch (err) {
+      console.error("❌ /api/telemetry error:", err);
+      return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+    }
+  });
+
+  // one player's events (the anonymous id is the only key)
+  router.get("/telemetry", (req, res) => {
+    try {
+      const playerId = String(req.query?.playerId || "");
+      if (!PLAYER_ID_RE.test(playerId)) return res.status(400).json({ ok: false, error: "Bad playerId", details: null });
+      const events = store.read(playerId);
+      return res.json({ ok: true, playerId, total: events.length, events });
+    } catch (err) {
+      console.error("❌ /api/telemetry GET error:", err);
+      return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+    }
+  });
+
+  // every player, as NDJSON (one event per line)
+  router.get("/telemetry/export", (req, res) => {
+    const auth = String(req.headers.authorization || "");
+    if (!exportToken || auth !== `Bearer ${exportToken}`) {
+      return res.status(403).json({ ok: false, error: "Export disabled or bad token", details: null });
+    }
+    try {
+      res.type("application/x-ndjson");
+      res.set("Content-Disposition", `attachment; filename="ma_telemetry_export_${Date.now()}.ndjson"`);
+      for (const p of store.players()) {
+        try {
+          res.write(fs.readFileSync(store.fileFor(p), "utf-8"));
+        } catch {}
+      }
+      return res.end();
+    } catch (err) {
+      console.error("❌ /api/telemetry/export error:", err);
+      if (!res.headersSent) return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+      return res.end();
+    }
+  });
+
+  return router;
+}
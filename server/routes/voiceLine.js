@@ -0,0 +1,136 @@
+// server/routes/voiceLine.js
+// POST /api/voice-line — deterministic, voice-locked DM lines from voice_bank.v1.json.
+// No LLM call: lines are picked by voice_router.js (moment → act → thesis → BANK → intensity),
+// with the client's used_voice_ids as anti-repeat history.
+
+import express from "express";
+
+const ACTS = ["ACT_I", "ACT_II", "ACT_III", "ACT_IV"];
+const BANKS = ["B", "A", "N", "K"];
+const INTENSITIES = ["soft", "standard", "hard"];
+const MAX_LINES = 6;
+const HISTORY_MAX = 48;
+
+/** Client acts are 1-based numbers; the bank speaks ACT_I..ACT_IV. */
+export function actTag(act) {
+  if (typeof act === "string" && ACTS.includes(act)) return act;
+  const n = Number(act);
+  if (!Number.isFinite(n) || n < 1) return "ANY";
+  return ACTS[Math.min(ACTS.length, Math.floor(n)) - 1];
+}
+
+/**
+ * Router context from a request body (accepts the quest-node field names too).
+ * Unknown thesis / BANK / intensity values degrade to ANY / standard instead of failing.
+ */
+export function voiceContextFrom(body, voiceBank, moment = body?.moment) {
+  const b = body || {};
+  const theses = voiceBank?.theses || [];
+  const thesis = b.thesis ?? b.thesisKey;
+  const bank = String(b.bank ?? b.bankPrimary ?? b.bank_primary ?? "").toUpperCase();
+  const history = b.used_voice_ids ?? b.usedVoiceIds ?? [];
+  const tags = b.desiredTags ?? b.sinTags ?? b.sin_tags ?? [];
+
+  return {
+    moment,
+    act: actTag(b.act),
+    thesis: theses.includes(thesis) ? thesis : "ANY",
+    bank: BANKS.includes(bank) ? bank : "ANY",
+    intensity: INTENSITIES.includes(b.intensity) ? b.intensity : "standard",
+    historyIds: Array.isArray(history) ? history.filter((x) => typeof x === "string").slice(-HISTORY_MAX) : [],
+    desiredTags: Array.isArray(tags) ? tags.filter((x) => typeof x === "string") : [],
+  };
+}
+
+function seedFor(body, ctx) {
+  return `${body?.seed ?? "seed"}:${body?.level ?? 0}:${ctx.moment}:${ctx.historyIds.length}`;
+}
+
+function publicLine(line) {
+  return { id: line.id, text: line.text, moment: line.moment, tags: line.tags || [] };
+}
+
+/**
+ * Pick up to `count` unused lines; if history has exhausted the pool, allow one
+ * repeat (best-scored) rather than going silent.
+ */
+export function pickVoiceLines(voiceRouter, ctx, seedStr, count = 1) {
+  const picked = voiceRouter.pickMany(ctx, seedStr, count);
+  if (picked.length) return { lines: picked, repeated: false };
+  const again = voiceRouter.pickLine(ctx, seedStr);
+  return { lines: again ? [again] : [], repeated: !!again };
+}
+
+/** Approved lines to ground an LLM quest node (quest_open / quest_mid / quest_end). */
+export function questGroundingLines(voiceRouter, voiceBank, body, perMoment = 2) {
+  const out = [];
+  for (const moment of ["quest_open", "quest_mid", "quest_end"]) {
+    const ctx = voiceContextFrom(body, voiceBank, moment);
+    out.push(...voiceRouter.pickMany(ctx, seedFor(body, ctx), perMoment));
+  }
+  return out.map(publicLine);
+}
+
+// The bank is thin on quest moments; borrow from the nearest moment before going silent.
+const QUEST_FALLBACK_MOMENTS = {
+  quest_open: ["quest_open", "experiment_intro"],
+  quest_mid: ["quest_mid", "experiment_intro", "quest_open"],
+  quest_end: ["quest_end", "experiment_win"],
+};
+
+/**
+ * One bank line per quest moment, for a quest node the LLM could not voice.
+ * Lines already used in this node count as history so the node avoids saying one twice.
+ * Returns { quest_open, quest_mid, quest_end } (public lines or null).
+ */
+export function questFallbackLines(voiceRouter, voiceBank, body) {
+  const out = {};
+  const usedHere = [];
+  for (const [moment, chain] of Object.entries(QUEST_FALLBACK_MOMENTS)) {
+    out[moment] = null;
+    for (const m of chain) {
+      const ctx = voiceContextFrom(body, voiceBank, m);
+      ctx.historyIds = [...ctx.historyIds, ...usedHere];
+      const { lines } = pickVoiceLines(voiceRouter, ctx, seedFor(body, ctx), 1);
+      if (!lines[0] || usedHere.includes(lines[0].id)) continue;
+      out[moment] = publicLine(lines[0]);
+      usedHere.push(lines[0].id);
+      break;
+    }
+  }
+  return out;
+}
+
+export default function voiceLineRoute({ voiceRouter, voiceBank }) {
+  const router = express.Router();
+  const moments = new Set(voiceBank?.moments || []);
+
+  router.post("/voice-line", (req, res) => {
+    try {
+      const moment = String(req.body?.moment || "").trim();
+      if (!moments.has(moment)) {
+        return res.status(400).json({ ok: false, error: "Unknown moment", details: { moment, moments: [...moments] } });
+      }
+
+      const ctx = voiceContextFrom(req.body, voiceBank, moment);
+      const count = Math.max(1, Math.min(MAX_LINES, Number(req.body?.count) || 1));
+      const { lines, repeated } = pickVoiceLines(voiceRouter, ctx, seedFor(req.body, ctx), count);
+
+      return res.json({
+        ok: true,
+        payload: {
+          line: lines[0] ? publicLine(lines[0]) : null,
+          lines: lines.map(publicLine),
+          used_voice_ids: lines.map((l) => l.id),
+          repeated,
+          context: { act: ctx.act, thesis: ctx.thesis, bank: ctx.bank, intensity: ctx.intensity },
+        },
+      });
+    } catch (err) {
+      console.error("❌ /api/voice-line error:", err);
+      return res.status(500).json({ ok: false, error: err?.message || String(err), details: null });
+    }
+  });
+
+  return router;
+}
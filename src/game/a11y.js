@@ -0,0 +1,107 @@
+// src/game/a11y.js
+// Screen-reader text and keyboard navigation for the bottle grid (DOM-free).
+//
+// The liquid is drawn on canvases, so each bottle button carries a label built
+// here from the same state the renderer reads: contents by element name (top
+// first, because the top is what pours), cork, Sealed Unknown clouding, the
+// keystone collector and the instability stage. app.js owns the DOM side
+// (aria-label, roving focus, the live region).
+
+import { WILDCARD, effectiveColors, effectiveTop, isUniform } from "./wildcard.js";
+
+/* ---------------- Wording ---------------- */
+// instabilityStage 1..3 (stage 4 collapses the level, so it is never on screen)
+export const INSTABILITY_TEXT = ["", "shaking", "unstable", "about to collapse"];
+
+export const BLOCKED_TEXT = {
+  same: "that is the same bottle",
+  cork: "a corked bottle can't pour or be poured into",
+  empty: "the first bottle is empty",
+  capacity: "the second bottle is full",
+  rule: "the tops don't match",
+};
+
+/**
+ * Runs from the top: [{ name, count }], clouded segments folded into one "hidden" run.
+ * `visible` is how many segments the player can see from the top.
+ */
+export function contentRuns(segments, visible, nameOf) {
+  const eff = effectiveColors(segments);
+  const runs = [];
+  const hidden = Math.max(0, segments.length - visible);
+  for (let s = segments.length - 1; s >= hidden; s--) {
+    const name = segments[s] === WILDCARD ? `wildcard${eff[s] !== WILDCARD ? ` (${nameOf(eff[s])})` : ""}` : nameOf(segments[s]);
+    const last = runs[runs.length - 1];
+    if (last && last.name === name) last.count++;
+    else runs.push({ name, count: 1 });
+  }
+  if (hidden) runs.push({ name: "hidden", count: hidden });
+  return runs;
+}
+
+/**
+ * nameOf(idx) names a palette index (WILDCARD included).
+ * b: { index, total, segments, capacity, vessel, visible, nameOf, corked, sealed,
+ *      collector, stage }
+ * Selection is not in the label: the button's aria-pressed carries it.
+ * -> "Bottle 3 of 7, flask, 4 of 5. From the top: 2 Hydrogen, 2 hidden. Sealed."
+ */
+export function describeBottle(b) {
+  const parts = [`Bottle ${b.index + 1} of ${b.total}`];
+  if (b.vessel) parts.push(b.vessel);
+  const n = b.segments.length;
+  let text = parts.join(", ");
+
+  if (!n) text += `, empty, holds ${b.capacity}.`;
+  else if (n === b.capacity && b.visible >= n && isUniform(b.segments)) {
+    text += `, solved: ${n} ${b.nameOf(effectiveTop(b.segments))}.`;
+  } else {
+    const runs = contentRuns(b.segments, b.visible, b.nameOf).map((r) => `${r.count} ${r.name}`);
+    text += `, ${n} of ${b.capacity}. From the top: ${runs.join(", ")}.`;
+  }
+
+  const flags = [];
+  if (b.corked) flags.push("Corked");
+  if (b.sealed) flags.push("Sealed Unknown");
+  if (b.collector) flags.push("Keystone collector");
+  if (b.stage > 0) flags.push(INSTABILITY_TEXT[Math.min(b.stage, INSTABILITY_TEXT.length - 1)]);
+  if (flags.length) text += ` ${flags.map((f) => f[0].toUpperCase() + f.slice(1)).join(". ")}.`;
+  return text;
+}
+
+/** "Poured 2 Hydrogen from bottle 1 into bottle 4. Bottle 4 solved." */
+export function describePour({ from, to, amount, name, solved }) {
+  let text = `Poured ${amount} ${name} from bottle ${from + 1} into bottle ${to + 1}.`;
+  if (solved) text += ` Bottle ${to + 1} solved.`;
+  return text;
+}
+
+export function describeBlocked(from, to, blockedBy) {
+  return `Can't pour bottle ${from + 1} into bottle ${to + 1}: ${BLOCKED_TEXT[blockedBy] || "not allowed"}.`;
+}
+
+/* ---------------- Keyboard ---------------- */
+/**
+ * Next focus index for a key on a grid of `count` bottles, `cols` per row.
+ * Returns null for keys that don't move focus.
+ */
+export function gridMove(i, key, count, cols) {
+  if (count <= 0) return null;
+  const c = Math.max(1, cols | 0);
+  switch (key) {
+    case "ArrowLeft":
+      return Math.max(0, i - 1);
+    case "ArrowRight":
+      return Math.min(count - 1, i + 1);
+    case "ArrowUp":
+      return i - c >= 0 ? i - c : i;
+    case "ArrowDown":
+      return i + c < count ? i + c : i;
+    case "Home":
+      return 0;
+    case "End":
+      return count - 1;
+    default:
+      return null;
+  }
+}
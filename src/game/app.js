@@ -1,68 +1,102 @@
-import "./bankInference.js";
 
 // src/game/app.js
 import { ELEMENTS, THESES } from "../../element_schema.js";
 import { getJSON, setJSON, setNum } from "../utils/storage.js";
 import { makeRng, hashSeed, randInt } from "../utils/rng.js";
 import { singleFlight } from "../utils/singleFlight.js";
-import { postJSON } from "../utils/http.js";
+import { postJSON, getJSONFrom } from "../utils/http.js";
 import { makeToaster, qs } from "../utils/ui.js";
+import { solveBoard, scrambleSolvedBoard } from "./solver.js";
+import {
+  WILDCARD,
+  effectiveColors,
+  effectiveTop,
+  effectiveTopRun,
+  isUniform,
+  seedWildcards,
+} from "./wildcard.js";
+import { loadRunSave, writeRunSave, clearRunSave } from "./runSave.js";
+import { evaluatePour } from "./reactions.js";
+import { sanitizeServerRecipe } from "./recipeValidate.js";
+import { generateLocalQuestNode } from "./questNodeLocal.js";
+import { computeBankProfile } from "./bankInference.js";
+import { suggestHint, visibleCounts } from "./hints.js";
+import { createMoveJournal, diffSnapshots, applyDiff, applyTransfer } from "./moveJournal.js";
+import { REPLAY_EVENT_MAX, buildReplay, parseReplay, replayFilename, boardKey } from "./replay.js";
+import {
+  EDITOR_LIMITS,
+  levelFileFrom,
+  parseLevelFile,
+  checkLevel,
+  editorRecipe,
+  levelShapes,
+  levelCapacities,
+} from "./levelFile.js";
+import { DAILY_LIMITS, dailyKey, buildDailyLevel, compareDailyResults } from "./daily.js";
+import { levelPar, starRating, starText, bestKey, recordBest } from "./scoring.js";
+import { describeBottle, describePour, describeBlocked, gridMove } from "./a11y.js";
+import { VESSELS, DEFAULT_VESSEL, VESSEL_SHAPES, capacityAt, shapeAt, pickVesselShapes, capacitiesFor } from "./vessels.js";
+import { slotColor, slotPattern, inkFor } from "./colorVision.js";
+import { PREF_SCHEMA, ANIM_SPEEDS, coercePref, loadPrefs, savePrefs, clearPrefs } from "./prefs.js";
+import { canPourInfo, canPour, isSolved, hasAnyPlayableMove, isBottleSolvedOrEmpty, createRulesEngine, NO_SELECTION, tapAction } from "./rules.js";
+import { createTelemetryStore } from "./telemetry.js";
+import { createTelemetryUploader } from "./telemetryUpload.js";
 
 /* ---------------- Constants ---------------- */
 const FORESHADOW_START_LEVEL = 10;
 const STABILIZER_UNLOCK_LEVEL = 15;
+const KEYSTONE_START_LEVEL = 18; // first level a corked board may carry a keystone
+const VESSEL_START_LEVEL = 12; // first level that may mix vessel shapes (vessels.js)
 /* ========================= Telemetry (local, dev-first) =========================
-   Stored in localStorage as a ring buffer. Export via maExportTelemetry().
+   Buffered in memory, written to IndexedDB in batches and checked against the
+   per-eventType schemas (telemetry.js, telemetryEvents.js). With an API base set,
+   stored events are uploaded to /api/telemetry (telemetryUpload.js), offline-safe.
+   Export via maExportTelemetry().
    NOTE: BANK inference expects eventType + moveIndex + legal where applicable.
 ================================================================================== */
-const TELEMETRY_KEY = "ma_telemetry_v1";
-const TELEMETRY_MAX = 1000;
+const APP_VERSION = "1.0.0"; // tags every telemetry event; bump with releases
+const telemetry = createTelemetryStore({
+  appVersion: APP_VERSION,
+  onReject: (e, errors) => console.warn("Telemetry event dropped:", errors),
+});
 
 function telemetryIsOff() {
-  return localStorage.getItem("maTelemetryOff") === "1";
-}
-
-function getTelemetry() {
-  try {
-    const raw = localStorage.getItem(TELEMETRY_KEY);
-    const arr = raw ? JSON.parse(raw) : [];
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
-  }
+  return prefs.telemetryOff;
 }
 
 function pushTelemetry(evt) {
-  if (telemetryIsOff()) return;
-  const now = Date.now();
-  const e = {
-    // keep both for backward/forward compatibility
-    t: now,
-    ts: now,
-    eventType: evt.eventType,
-    ...evt,
-  };
-  const arr = getTelemetry();
-  arr.push(e);
-  if (arr.length > TELEMETRY_MAX) arr.splice(0, arr.length - TELEMETRY_MAX);
-  try {
-    localStorage.setItem(TELEMETRY_KEY, JSON.stringify(arr));
-  } catch {
-    // ignore quota errors
-  }
+  if (telemetryIsOff() || sandbox) return;
+  telemetry.record(evt);
 }
 
-window.maExportTelemetry = function maExportTelemetry() {
-  const arr = getTelemetry();
-  const blob = new Blob([JSON.stringify(arr, null, 2)], { type: "application/json" });
+// the opt-out stops uploads too, including events stored before it was set
+const telemetryUploader = createTelemetryUploader({
+  store: telemetry,
+  apiBase: () => apiBaseEl?.value || "",
+  playerId: () => getPlayerId(),
+  isOff: telemetryIsOff,
+  onDrop: (count, why) => console.warn(`Telemetry upload dropped ${count} events:`, why),
+});
+
+// DEV ONLY: console calibration, e.g. computeBankProfile(maTelemetry())
+window.computeBankProfile = computeBankProfile;
+window.maTelemetry = () => telemetry.all();
+window.maTelemetryDropped = () => telemetryUploader.dropped();
+
+function downloadJSON(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = `ma_telemetry_${new Date().toISOString().replace(/[:.]/g, "-")}.json`;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
   a.remove();
   setTimeout(() => URL.revokeObjectURL(url), 2500);
+}
+
+window.maExportTelemetry = function maExportTelemetry() {
+  downloadJSON(telemetry.all(), `ma_telemetry_${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
 };
 
 function bottleTypeForTelemetry(i) {
@@ -71,21 +105,10 @@ function bottleTypeForTelemetry(i) {
   if (state.sealedUnknown?.[i]) return "sealedUnknown";
   if (!b.length) return "empty";
   // solved bottle (full single color)
-  if (b.length === state.capacity && b.every((x) => x === b[0])) return "solved";
+  if (b.length === capOf(i) && isUniform(b)) return "solved";
   return "open";
 }
 
-function canPourInfo(from, to) {
-  if (from === to) return { legal: false, blockedBy: "same" };
-  if (state.locked[from] || state.locked[to]) return { legal: false, blockedBy: "cork" };
-  const a = state.bottles[from], b = state.bottles[to];
-  if (!a.length) return { legal: false, blockedBy: "empty" };
-  if (b.length >= state.capacity) return { legal: false, blockedBy: "capacity" };
-  const color = topColor(a), target = topColor(b);
-  const ok = (target === null || target === color);
-  return { legal: ok, blockedBy: ok ? null : "rule" };
-}
-
 
 const DEFAULT_PROD = "https://ma-bottle-fill-api.onrender.com";
 const DEFAULT_LOCAL = "http://localhost:8787";
@@ -94,33 +117,32 @@ const isLocal =
 
 const INVALID_POUR_PUNISH_THRESHOLD = 3;
 
-// Soft-deadlock detection ("no progressive moves")
-// We treat back-and-forth cycling with no meaningful progress as a fail-state.
-// This avoids "infinite legal pours" that can never lead to completion.
-const SOFT_DEADLOCK_WINDOW = 18;          // recent valid pours to consider
-const SOFT_DEADLOCK_REPEAT_MIN = 3;       // same exact state seen this many times inside the window
-const SOFT_DEADLOCK_STALL_MOVES = 14;     // consecutive valid pours with no progress = fail
-
 const SIN_QUEUE_KEY = "ma_sinQueue";
 
 const PLAYER_NAME_KEY = "ma_playerName";
 const PLAYER_NAME_MAX = 14;
 const DEFAULT_PLAYER_NAME = "Acolyte";
 
-const SPEECH_THEME_KEY = "ma_speechTheme";
-const API_BASE_KEY = "ma_apiBase";
 
 const RUN_SEED_KEY = "ma_runSeed";
 const DM_COUNT_KEY = "ma_dmAppearCount";
 const NEXT_DM_KEY = "ma_nextDMAtLevel";
 
 const INTRO_SEEN_KEY = "ma_introSeen";
+const KEYSTONE_BRIEFED_KEY = "ma_keystoneBriefed";
 const NAME_PROMPTED_KEY = "ma_namePrompted";
 
+/* ---------------- Preferences (prefs.js) ---------------- */
+let prefs = loadPrefs();
+
 /* ---------------- Anim constants ---------------- */
+// Timing at "normal" speed; applyMotionPrefs() scales it by the animation speed
+// preference and drops it to zero under reduced motion.
 const MOVE_ANIM_MS = 600;
 const TILT_MAX_DEG = 28; // visual tilt for gravity surface
 const INPUT_LOCK_PADDING_MS = 0;
+let moveAnimMs = MOVE_ANIM_MS;
+let tiltMaxDeg = TILT_MAX_DEG;
 
 /* ---------------- Instability system ---------------- */
 /**
@@ -133,25 +155,7 @@ const INPUT_LOCK_PADDING_MS = 0;
 const INSTABILITY_ENABLE_LEVEL = 8; // warnings begin (training mode)
 const INSTABILITY_COLLAPSE_LEVEL = 14; // collapse can fail the level
 
-const INSTABILITY_STAGE_MAX = 3;
-const INSTABILITY_COLLAPSE_STAGE = 4;
-
-// stage thresholds: stage1 at X, stage2 at X+3, stage3 at X+5, collapse at X+7
-const STAGE_OFFSETS = [0, 0, 3, 5, 7];
-
-// mostly-solved mercy default (thesis may enable it)
-const MOSTLY_SOLVED_ENABLED_DEFAULT = false;
-
-// per-level tracking
-let levelMoveIndex = 0;
-let lastTouchedMove = [];
-let untouchedMoves = [];
-let instabilityStage = [];
-let warnedStage2 = [];
-let warnedStage3 = [];
-let instabilityEnabledThisLevel = false;
-let collapseEnabledThisLevel = false;
-let mostlySolvedEnabledThisLevel = MOSTLY_SOLVED_ENABLED_DEFAULT;
+// Stages, thresholds and the per-level tracking live in the rules engine (rules.js).
 
 // deterministic-ish random salt (no LLM)
 let instabilityLineSalt = 0;
@@ -236,8 +240,11 @@ const modState = {
     EQUILIBRIUM_VESSEL: MODIFIERS.EQUILIBRIUM_VESSEL.perLevelUses,
   },
   targeting: null, // "DECOHERENCE_KEY" when armed
+  used: 0, // player uses this level (scoring; reaction drains don't count)
 };
 
+// What Temporal Retraction forgives besides the pour itself, taken before each pour
+// and tagged with the journal index it will get. The board comes back from the journal.
 let undoStack = [];
 const MAX_UNDO = 3;
 
@@ -246,45 +253,161 @@ function deepCloneBottles(bottles) {
 }
 
 function pushUndoSnapshot() {
+  const pour = journal.cursor;
+  // snapshots of pours in a discarded redo tail would match the wrong pour
+  undoStack = undoStack.filter((s) => s.pour < pour);
   undoStack.push({
-    bottles: deepCloneBottles(state.bottles),
-    locked: state.locked.slice(),
-    hiddenSegs: state.hiddenSegs.slice(),
-    sealedUnknown: state.sealedUnknown.slice(),
-    revealDepthPct: state.revealDepthPct.slice(),
-    selected: state.selected,
+    pour,
     levelInvalid,
     punishedThisLevel,
-    sigMoves: sig.moves,
     sigInvalid: sig.invalid,
   });
   if (undoStack.length > MAX_UNDO) undoStack.shift();
 }
 
 function restoreUndoSnapshot() {
-  const snap = undoStack.pop();
-  if (!snap) return false;
+  const e = journal.retract();
+  if (!e) return false;
+  const at = journal.cursor;
+  const snap = undoStack.find((s) => s.pour === at);
+  undoStack = undoStack.filter((s) => s.pour < at);
+
+  applyTransfer(state.bottles, e.from, e.to, e.amount, -1);
+  applyJournalDiff(e.diff, -1);
+  state.selected = NO_SELECTION;
+
+  // older pours than the last MAX_UNDO keep the invalid count they have now
+  if (snap) {
+    levelInvalid = snap.levelInvalid;
+    punishedThisLevel = snap.punishedThisLevel;
+    sig.invalid = snap.sigInvalid;
+  }
+  renderThesisBar(currentThesisKey);
 
-  state.bottles = deepCloneBottles(snap.bottles);
-  state.locked = snap.locked.slice();
-  state.hiddenSegs = snap.hiddenSegs.slice();
-  state.sealedUnknown = (snap.sealedUnknown || []).slice();
-  state.revealDepthPct = (snap.revealDepthPct || []).slice();
-  state.selected = snap.selected;
+  syncInfoPanel();
+  render();
+  redrawAllBottles();
+
+  rules.resetDeadlock();
+  persistRun();
+  return true;
+}
+
+/* ---------------- Move journal (unlimited undo/redo) ---------------- */
+// The player's free, unlimited history and the replay record. Temporal Retraction
+// (the limited in-fiction rewind) also rewinds through it, from the journal cursor,
+// so it works however many journal undos came first.
+let journal = createMoveJournal();
+// Generator inputs + start board of the level on screen (the replay header).
+let levelMeta = null;
+// Boards that are not the run's: "replay" (playback), "editor" (authoring),
+// "test" (playing an editor board). No telemetry, no saves; the run resumes on exit.
+let sandbox = null;
+
+// Everything a pour can change besides the bottles themselves.
+function journalSnapshot() {
+  return {
+    locked: state.locked.slice(),
+    hiddenSegs: state.hiddenSegs.slice(),
+    sealedUnknown: state.sealedUnknown.slice(),
+    revealDepthPct: state.revealDepthPct.slice(),
+    lastTouchedMove: rules.lastTouchedMove.slice(),
+    untouchedMoves: rules.untouchedMoves.slice(),
+    instabilityStage: rules.instabilityStage.slice(),
+    warnedStage2: rules.warnedStage2.slice(),
+    warnedStage3: rules.warnedStage3.slice(),
+    levelMoveIndex: rules.moveIndex,
+    sigMoves: sig.moves,
+    keystoneUnlocked: !!state.keystone?.unlocked,
+    stabilizerUnlocked: !!state.stabilizer?.unlocked,
+    lastKeystoneProgress,
+  };
+}
+
+function applyJournalDiff(diff, dir) {
+  const view = {
+    locked: state.locked,
+    hiddenSegs: state.hiddenSegs,
+    sealedUnknown: state.sealedUnknown,
+    revealDepthPct: state.revealDepthPct,
+    lastTouchedMove: rules.lastTouchedMove,
+    untouchedMoves: rules.untouchedMoves,
+    instabilityStage: rules.instabilityStage,
+    warnedStage2: rules.warnedStage2,
+    warnedStage3: rules.warnedStage3,
+    levelMoveIndex: rules.moveIndex,
+    sigMoves: sig.moves,
+    keystoneUnlocked: !!state.keystone?.unlocked,
+    stabilizerUnlocked: !!state.stabilizer?.unlocked,
+    lastKeystoneProgress,
+  };
+  applyDiff(view, diff, dir);
+  rules.moveIndex = view.levelMoveIndex;
+  sig.moves = view.sigMoves;
+  lastKeystoneProgress = view.lastKeystoneProgress;
+  if (state.keystone) state.keystone.unlocked = !!view.keystoneUnlocked;
+  if (state.stabilizer) state.stabilizer.unlocked = !!view.stabilizerUnlocked;
+}
 
-  levelInvalid = snap.levelInvalid;
-  punishedThisLevel = snap.punishedThisLevel;
+function recordJournalPour(from, to, amount, before) {
+  journal.recordPour({ from, to, amount, moveIndex: before.levelMoveIndex, at: Date.now(), diff: diffSnapshots(before, journalSnapshot()) });
+}
 
-  sig.moves = snap.sigMoves;
-  sig.invalid = snap.sigInvalid;
-  sig.undos = snap.sigUndos ?? sig.undos;
+function recordJournalModifier(id, target = null) {
+  journal.recordModifier(id, rules.moveIndex, target);
+}
 
+function afterJournalStep() {
+  state.selected = -1;
+  clearHint();
+  lastPourMove = null;
+  renderThesisBar(currentThesisKey);
   syncInfoPanel();
   render();
   redrawAllBottles();
+  rules.resetDeadlock();
+  persistRun();
+}
+
+function renderJournalBtns() {
+  if (undoBtn) undoBtn.disabled = !!levelResult || !journal.canUndo();
+  if (redoBtn) redoBtn.disabled = !!levelResult || !journal.canRedo();
+}
+
+function journalBlocked() {
+  return introIsActive() || deadlockActive || inputLocked || modOverlayOpen || recipePending || !!levelResult || sandbox === "replay" || sandbox === "editor";
+}
+
+function journalUndo() {
+  if (journalBlocked()) return false;
+  const e = journal.undo();
+  if (!e) {
+    showToast("Nothing to undo.");
+    return false;
+  }
+  applyTransfer(state.bottles, e.from, e.to, e.amount, -1);
+  applyJournalDiff(e.diff, -1);
+  sig.undos++;
+  levelUndos++;
+  pushTelemetry({ eventType: "move_undo", level: level, moveIndex: rules.moveIndex, from: e.from, to: e.to, amount: e.amount });
+  afterJournalStep();
+  return true;
+}
 
-  resetSoftDeadlock();
-  recordSoftDeadlockStep();
+function journalRedo() {
+  if (journalBlocked()) return false;
+  if (!journal.canRedo()) {
+    showToast("Nothing to redo.");
+    return false;
+  }
+  const e = journal.redo();
+  applyTransfer(state.bottles, e.from, e.to, e.amount, 1);
+  applyJournalDiff(e.diff, 1);
+  pushTelemetry({ eventType: "move_redo", level: level, moveIndex: e.moveIndex, from: e.from, to: e.to, amount: e.amount });
+  afterJournalStep();
+  if (sandbox === "test") afterTestPour();
+  else if (sandbox === "daily") afterDailyPour();
+  else if (isSolved(state)) finishLevelWin();
   return true;
 }
 
@@ -296,7 +419,7 @@ function saveSinQueue(q) {
   setJSON(SIN_QUEUE_KEY, q.slice(0, 12));
 }
 function pushSinTag(tag) {
-  if (!tag) return;
+  if (!tag || sandbox) return;
   const q = loadSinQueue();
   q.push(String(tag));
   saveSinQueue(q);
@@ -336,12 +459,17 @@ const genReportEl = qs("genReport");
 const infoLevel = qs("infoLevel");
 const infoMoves = qs("infoMoves");
 const infoInvalid = qs("infoInvalid");
+const infoPar = qs("infoPar");
 const infoThesis = qs("infoThesis");
 const infoPlayer = qs("infoPlayer");
 
 const thesisLabel = qs("thesisLabel");
 const thesisSub = qs("thesisSub");
+const thesisRecipe = qs("thesisRecipe");
 const glossaryBtn = qs("glossaryBtn");
+const hintBtn = qs("hintBtn");
+const undoBtn = qs("undoBtn");
+const redoBtn = qs("redoBtn");
 
 const glossary = qs("glossary");
 const glossaryList = qs("glossaryList");
@@ -373,6 +501,10 @@ const modOverlayClose = qs("modOverlayClose");
 
 const retryLevelBtn = qs("retryLevelBtn");
 const factoryResetBtn = qs("factoryResetBtn");
+const exportReplayBtn = qs("exportReplayBtn");
+const editorBtn = qs("editorBtn");
+const dailyBtn = qs("dailyBtn");
+const playReplayBtn = qs("playReplayBtn");
 
 /* ---------------- SFX ---------------- */
 const SFX = {
@@ -380,16 +512,18 @@ const SFX = {
   bottlePour: new Audio("assets/sfx/bottle_pour.wav"),
   invalidClink: new Audio("assets/sfx/invalid_clink.wav"),
   bankChange: new Audio("assets/sfx/bank_change.wav"),
+  hintAppear1: new Audio("assets/sfx/Hint%20Appear%2001.wav"),
+  hintAppear2: new Audio("assets/sfx/Hint%20Appear%2002.wav"),
+  hintAppear3: new Audio("assets/sfx/Hint%20Appear%2003.wav"),
 };
 
 // prevent overlap stacking
 Object.values(SFX).forEach((a) => {
   a.preload = "auto";
-  a.volume = 0.8;
 });
 
 function playSFX(a) {
-  if (!a) return;
+  if (!a || prefs.sfxMuted || !prefs.sfxVolume) return;
   try {
     a.currentTime = 0;
     a.play();
@@ -397,25 +531,79 @@ function playSFX(a) {
 }
 
 /* ---------------- Speech theme ---------------- */
-function getSpeechTheme() {
-  const v = (localStorage.getItem(SPEECH_THEME_KEY) || "").toLowerCase();
-  return v === "light" || v === "dark" ? v : "dark";
+function applySpeechTheme() {
+  speech.dataset.theme = prefs.speechTheme;
+}
+
+/* ---------------- Preferences ---------------- */
+// Settings controls carry data-pref="<key>" and are bound from PREF_SCHEMA; every
+// change is saved and applied at once.
+const reducedMotionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)") || null;
+
+function apiBaseDefault() {
+  return isLocal ? DEFAULT_LOCAL : DEFAULT_PROD;
 }
-function setSpeechTheme(theme) {
-  const t = String(theme || "").toLowerCase() === "light" ? "light" : "dark";
-  speech.dataset.theme = t;
-  localStorage.setItem(SPEECH_THEME_KEY, t);
+
+function applySfxPrefs() {
+  const vol = prefs.sfxMuted ? 0 : prefs.sfxVolume / 100;
+  Object.values(SFX).forEach((a) => {
+    a.volume = vol;
+  });
 }
-function toggleSpeechTheme() {
-  setSpeechTheme(getSpeechTheme() === "dark" ? "light" : "dark");
+
+function applyMotionPrefs() {
+  const reduced = prefs.reducedMotion === "on" || (prefs.reducedMotion === "system" && !!reducedMotionQuery?.matches);
+  document.documentElement.classList.toggle("reduceMotion", reduced);
+  moveAnimMs = reduced ? 0 : Math.round(MOVE_ANIM_MS * (ANIM_SPEEDS[prefs.animSpeed] || 1));
+  tiltMaxDeg = reduced ? 0 : TILT_MAX_DEG;
 }
 
-/* ---------------- API base ---------------- */
-apiBaseEl.value =
-  localStorage.getItem(API_BASE_KEY) || (isLocal ? DEFAULT_LOCAL : DEFAULT_PROD);
-apiBaseEl.addEventListener("change", () => {
-  localStorage.setItem(API_BASE_KEY, (apiBaseEl.value || "").trim());
-});
+// `changed` limits the work to one preference (all of them when omitted).
+function applyPrefs(changed) {
+  const is = (...keys) => !changed || keys.includes(changed);
+  if (is("sfxVolume", "sfxMuted")) applySfxPrefs();
+  if (is("animSpeed", "reducedMotion")) applyMotionPrefs();
+  if (is("speechTheme")) applySpeechTheme();
+  if (is("colorVision")) {
+    applyElementPalette({ elements: currentElements, colors: currentElements.length });
+    renderEditorPanel();
+  }
+  if (is("colorVision", "segmentSymbols")) redrawAllBottles();
+}
+
+function setPref(key, value) {
+  prefs = { ...prefs, [key]: coercePref(key, value) };
+  savePrefs(prefs);
+  applyPrefs(key);
+}
+
+function prefControls() {
+  return [...(settings?.querySelectorAll("[data-pref]") || [])].filter((el) => PREF_SCHEMA[el.dataset.pref]);
+}
+
+function syncPrefControls() {
+  for (const el of prefControls()) {
+    const key = el.dataset.pref;
+    if (PREF_SCHEMA[key].type === "boolean") el.checked = prefs[key];
+    else el.value = key === "apiBase" ? prefs.apiBase || apiBaseDefault() : String(prefs[key]);
+  }
+}
+
+function bindPrefControls() {
+  for (const el of prefControls()) {
+    const key = el.dataset.pref;
+    const spec = PREF_SCHEMA[key];
+    if (spec.type === "enum" && el.tagName === "SELECT") {
+      for (const [value, label] of Object.entries(spec.options)) el.add(new Option(label, value));
+    }
+    const read = () => (spec.type === "boolean" ? el.checked : el.value);
+    el.addEventListener(el.type === "range" ? "input" : "change", () => setPref(key, read()));
+  }
+  syncPrefControls();
+}
+
+bindPrefControls();
+reducedMotionQuery?.addEventListener?.("change", () => applyPrefs("reducedMotion"));
 
 /* ---------------- Run state ---------------- */
 const DM_GAP_MIN = 3;
@@ -522,7 +710,9 @@ const sig = { moves: 0, invalid: 0, undos: 0, resets: 0, moveTimes: [], lastMove
 const avg = (arr) =>
   arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
 
-function inferBANK() {
+// Session heuristic over `sig`: only used while the telemetry engine has no evidence
+// yet (first pours of a run, or telemetry switched off).
+function inferBANKFromSession() {
   const pace = avg(sig.moveTimes.slice(-12));
   const invalidRate = sig.moves ? sig.invalid / sig.moves : 0;
   const resetRate = sig.resets ? sig.resets / Math.max(1, level) : 0;
@@ -561,6 +751,24 @@ function inferBANK() {
   return { bankPrimary, bankConfidence: Number(conf.toFixed(2)) };
 }
 
+const BANK_LETTER = { Blueprint: "B", Action: "A", Nurturing: "N", Knowledge: "K" };
+let bankCache = { rev: -1, profile: null };
+
+/** computeBankProfile() over the stored telemetry, recomputed only when it changed. */
+function bankProfile() {
+  if (bankCache.rev !== telemetry.rev || !bankCache.profile) {
+    bankCache = { rev: telemetry.rev, profile: computeBankProfile(telemetry.all()) };
+  }
+  return bankCache.profile;
+}
+
+function inferBANK() {
+  const p = bankProfile();
+  if (!p.evidence.length) return inferBANKFromSession();
+  const [type] = Object.entries(p.probabilities).sort((a, b) => b[1] - a[1])[0];
+  return { bankPrimary: BANK_LETTER[type], bankConfidence: Number(p.confidence.toFixed(2)) };
+}
+
 function inferSinTags() {
   const tags = [];
   const carry = consumeSinTag();
@@ -590,6 +798,61 @@ function setBankRail(bankPrimary) {
     `.bankLetters span[data-bank="${bankPrimary}"]`
   );
   if (on) on.classList.add("on");
+
+  if (bankRail.classList.contains("expanded")) renderBankEvidence();
+}
+
+const BANK_FEATURE_LABELS = {
+  KS1_UNLOCK_METHOD: "Cork release",
+  KS2_KEY_EARLY: "Decoherence Key, early",
+  KS2_KEY_LATE: "Decoherence Key, held back",
+  U1_REVEAL_EARLY: "Unknowns revealed early",
+  U1_REVEAL_LATE: "Unknowns revealed late",
+  U2_AVOID_UNKNOWN: "Sealed Unknowns avoided",
+  U3_STAGE_WITH_UNKNOWN: "Staged with Unknowns",
+  I1_DT_LE2: "Instability answered fast",
+  I1_DT_3_5: "Instability answered",
+  I1_DT_GT5: "Instability left waiting",
+  I1_COLLAPSE: "Let a vial collapse",
+  I2_STABILIZE_BEFORE_KEYSTONE: "Stabilized before keystone",
+  I2_KEYSTONE_WHILE_UNSTABLE: "Keystone while unstable",
+  B1_ILLEGAL_LT5PCT: "Clean pours",
+  B1_ILLEGAL_GT20PCT: "Many invalid pours",
+  B2_UNDO_REFINEMENT: "Undo refinement",
+  H1_HINT_EARLY: "Hint before trying",
+  H1_HINT_LATE: "Hint after an attempt",
+};
+
+// Expanded rail: per-type probability + the top evidence behind it.
+function renderBankEvidence() {
+  const p = bankProfile();
+  const fromEngine = p.evidence.length > 0;
+
+  for (const [type, letter] of Object.entries(BANK_LETTER)) {
+    const pct = bankExpanded.querySelector(`.bankRow[data-bank="${letter}"] .bankPct`);
+    if (pct) pct.textContent = fromEngine ? `${Math.round(p.probabilities[type] * 100)}%` : "";
+  }
+
+  const box = qs("bankEvidence");
+  if (!box) return;
+  box.replaceChildren();
+
+  const head = document.createElement("div");
+  head.className = "bankEvidenceHead";
+  head.textContent = fromEngine
+    ? `Evidence · confidence ${Math.round(p.confidence * 100)}%`
+    : "Evidence · not enough yet (session read)";
+  box.appendChild(head);
+
+  for (const ev of p.evidence) {
+    // the type this feature pushed hardest
+    const [type, d] = Object.entries(ev.delta).sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))[0];
+    const row = document.createElement("div");
+    row.className = "bankEvidenceRow";
+    row.textContent = `${d >= 0 ? "+" : "−"}${BANK_LETTER[type]} ${BANK_FEATURE_LABELS[ev.featureId] || ev.featureId}`;
+    if (ev.note) row.title = ev.note;
+    box.appendChild(row);
+  }
 }
 
 /* ---------------- Thesis + palette ---------------- */
@@ -638,16 +901,22 @@ function chooseElementsForThesis(thesisKey, colorsWanted, rng) {
   return chosen.slice(0, colorsWanted);
 }
 
+// currentPalette is what gets drawn: the element colours, or the colour vision
+// mode's remap by palette slot (colorVision.js).
 function applyElementPalette(recipe) {
   const elems = (recipe.elements || []).slice(0, recipe.colors);
   currentElements = elems;
-  currentPalette = elems.map((sym) => ELEMENTS[sym]?.color || "#ffffff");
+  currentPalette = elems.map((sym, c) => slotColor(prefs.colorVision, c, ELEMENTS[sym]?.color || "#ffffff"));
 }
 
 /* ---------------- State ---------------- */
 const state = {
   bottles: [],
+  // base (vial) capacity; mixed-vessel levels override it per bottle (see capOf)
   capacity: 4,
+  // vessel shape + capacity per bottle (vessels.js); all vials on uniform levels
+  shapes: [],
+  capacities: [],
   selected: -1,
   locked: [],
   hiddenSegs: [],
@@ -658,164 +927,43 @@ const state = {
   stabilizer: null,
   // Rule #2: Keystone gate (solve a specified element bottle to uncork all corked bottles)
   keystone: null,
+  // Solver result for the generated board (see solver.js); null if unproven
+  solution: null,
+  genReport: null,
+  // Recipe provenance (local / server) + server lore, bonuses, constraints
+  recipeInfo: null,
+  // Wildcard segments placed by the generator this level
+  wildcardCount: 0,
 };
 
-const topColor = (b) => (b.length ? b[b.length - 1] : null);
-function topRunCount(b) {
-  if (!b.length) return 0;
-  const c = topColor(b);
-  let n = 0;
-  for (let i = b.length - 1; i >= 0; i--) {
-    if (b[i] === c) n++;
-    else break;
-  }
-  return n;
-}
-
-function isSolved() {
-  return state.bottles.every((b) => {
-    if (b.length === 0) return true;
-    if (b.length !== state.capacity) return false;
-    return b.every((x) => x === b[0]);
-  });
-}
-
-function canPour(from, to) {
-  if (from === to) return false;
-  if (state.locked[from] || state.locked[to]) return false;
-  const a = state.bottles[from],
-    b = state.bottles[to];
-  if (!a.length) return false;
-  if (b.length >= state.capacity) return false;
-  const color = topColor(a),
-    target = topColor(b);
-  return target === null || target === color;
-}
-
-function hasAnyPlayableMove() {
-  for (let from = 0; from < state.bottles.length; from++) {
-    if (state.locked[from]) continue;
-    if (!state.bottles[from]?.length) continue;
-    for (let to = 0; to < state.bottles.length; to++) {
-      if (from === to) continue;
-      if (canPour(from, to)) return true;
-    }
-  }
-  return false;
-}
-
-
-
-/* ---------------- Soft-deadlock detection (progressless loops) ---------------- */
-let softDeadlockStates = [];
-let softDeadlockProgress = [];
-
-function resetSoftDeadlock() {
-  softDeadlockStates = [];
-  softDeadlockProgress = [];
-}
-
-function stateHashForDeadlock() {
-  // Hash bottles + corks + key gates. Deterministic string; fast enough for our window sizes.
-  const bottlesSig = state.bottles
-    .map((b) => (b && b.length ? b.join(',') : ''))
-    .join('|');
-  const lockedSig = (state.locked || []).map((x) => (x ? '1' : '0')).join('');
-  const suSig = (state.sealedUnknown || []).map((x) => (x ? '1' : '0')).join('');
-  const rdSig = (state.revealDepthPct || []).map((v) => {
-    const n = Number.isFinite(v) ? v : 1;
-    return String(Math.round(Math.max(0, Math.min(1, n)) * 100));
-  }).join(',');
-  const ks = state.keystone;
-  const ksSig = ks ? `${ks.idx ?? 'n'}:${ks.bottleIndex ?? 'n'}:${ks.unlocked ? 1 : 0}` : 'none';
-  const st = state.stabilizer;
-  const stSig = st ? `${st.idx ?? 'n'}:${st.unlocked ? 1 : 0}` : 'none';
-  return `${bottlesSig}#L${lockedSig}#SU${suSig}#RD${rdSig}#K${ksSig}#S${stSig}`;
-}
-
-function progressSignature() {
-  // A tiny summary that should move when the player makes real progress.
-  // If this signature doesn't change for long enough AND we see repeated states, we declare deadlock.
-  const cap = state.capacity || 0;
-  let solved = 0;
-  let empty = 0;
-  for (let i = 0; i < state.bottles.length; i++) {
-    const b = state.bottles[i] || [];
-    if (!b.length) {
-      empty++;
-      continue;
-    }
-    if (b.length === cap && b.every((x) => x === b[0])) solved++;
-  }
-  const corked = (state.locked || []).filter(Boolean).length;
-  const ksUnlocked = state.keystone?.unlocked ? 1 : 0;
-  return `${solved}/${state.bottles.length}|E${empty}|C${corked}|K${ksUnlocked}`;
-}
-
-function recordSoftDeadlockStep() {
-  const h = stateHashForDeadlock();
-  const p = progressSignature();
-
-  softDeadlockStates.push(h);
-  softDeadlockProgress.push(p);
+// Pour rules, gates, instability and the deadlock window (rules.js). The engine
+// changes the board; onRulesEvent() does the telling.
+const rules = createRulesEngine(state);
+rules.subscribe(onRulesEvent);
 
-  if (softDeadlockStates.length > SOFT_DEADLOCK_WINDOW) softDeadlockStates.shift();
-  if (softDeadlockProgress.length > SOFT_DEADLOCK_WINDOW) softDeadlockProgress.shift();
+// Wildcards (see wildcard.js) resolve to their neighbours' colour, so every
+// colour comparison below goes through the effective-colour helpers.
+const topColor = (b) => effectiveTop(b);
+function topRunCount(b) {
+  return effectiveTopRun(b);
 }
 
-function isSoftDeadlocked() {
-  // Not enough history to be confident.
-  if (softDeadlockStates.length < Math.min(8, SOFT_DEADLOCK_WINDOW)) return false;
-
-  // If we are already solved or have no moves, let the standard logic handle it.
-  try {
-    if (isSolved()) return false;
-    if (!hasAnyPlayableMove()) return false;
-  } catch {}
-
-  const windowStates = softDeadlockStates.slice(-SOFT_DEADLOCK_WINDOW);
-  const windowProgress = softDeadlockProgress.slice(-SOFT_DEADLOCK_WINDOW);
-
-  // (A) Exact state repetition: same state appears multiple times in the recent window.
-  const freq = new Map();
-  for (const s of windowStates) freq.set(s, (freq.get(s) || 0) + 1);
-  const maxRepeat = Math.max(...freq.values());
-
-  // (B) Stalled progress: progress signature unchanged for too many valid pours.
-  const lastP = windowProgress[windowProgress.length - 1];
-  let stall = 0;
-  for (let i = windowProgress.length - 1; i >= 0; i--) {
-    if (windowProgress[i] === lastP) stall++;
-    else break;
-  }
-
-  return maxRepeat >= SOFT_DEADLOCK_REPEAT_MIN && stall >= SOFT_DEADLOCK_STALL_MOVES;
+// Capacity of bottle i: every "how much fits / is it full" check goes through here.
+function capOf(i) {
+  return capacityAt(state, i);
 }
 
-/* ---------------- Instability helpers ---------------- */
-function countDistinctColors(b) {
-  return new Set(b).size;
-}
-function isBottleSolvedOrEmpty(i) {
-  const b = state.bottles[i] || [];
-  if (!b.length) return true;
-  if (b.length !== state.capacity) return false;
-  return b.every((x) => x === b[0]);
-}
-function isBottleFullAndMixed(i) {
-  if (state.locked[i]) return false; // immune
-  const b = state.bottles[i] || [];
-  if (b.length !== state.capacity) return false;
-  return countDistinctColors(b) >= 2;
-}
-function isBottleMostlySolved(i) {
-  const b = state.bottles[i] || [];
-  if (b.length !== state.capacity) return false;
-  const counts = new Map();
-  for (const c of b) counts.set(c, (counts.get(c) || 0) + 1);
-  let max = 0;
-  for (const v of counts.values()) max = Math.max(max, v);
-  return max >= state.capacity - 1;
+// Equilibrium Vessel: the lab's spare is always a plain, empty vial.
+// Shape/capacity are set by index: a Retraction can drop the bottle but not them.
+function pushEmptyBottle() {
+  const i = state.bottles.length;
+  state.bottles.push([]);
+  state.locked.push(false);
+  state.hiddenSegs.push(false);
+  state.sealedUnknown.push(false);
+  state.revealDepthPct.push(1);
+  state.shapes[i] = DEFAULT_VESSEL;
+  state.capacities[i] = state.capacity;
 }
 
 let pendingModifier = null;
@@ -888,6 +1036,20 @@ base.lockedBottles = base.corkedBottles;
       if (rng.f() < 0.15) base.sealedUnknownBottles = 2;
     }
   }
+  // Keystone ramp (Rule #2): only corked levels can carry a keystone.
+  // Rolled last so the cork/unknown draws above stay identical per seed.
+  base.keystone = false;
+  if ((base.corkedBottles ?? 0) > 0 && levelArg >= KEYSTONE_START_LEVEL) {
+    const chance = levelArg < 28 ? 0.5 : levelArg < 45 ? 0.7 : 0.85;
+    base.keystone = rng.f() < chance;
+  }
+  // Mixed vessels: corks, keystone and stabilizer assume uniform vials, so only
+  // cork-free boards get them. Rolled after the keystone for the same reason.
+  base.mixedVessels = 0;
+  if ((base.corkedBottles ?? 0) <= 0 && levelArg >= VESSEL_START_LEVEL) {
+    const chance = levelArg < 20 ? 0.3 : levelArg < 35 ? 0.45 : 0.6;
+    if (rng.f() < chance) base.mixedVessels = levelArg < 20 ? 2 : levelArg < 35 ? 3 : 4;
+  }
   if (!base.bottleCount) base.bottleCount = base.colors + base.emptyBottles;
   return base;
 }
@@ -912,36 +1074,17 @@ function thesisAdjust() {
   return { threshold, allowMercy };
 }
 
-function computeStageForUntouched(movesUntouched, threshold) {
-  if (movesUntouched < threshold + STAGE_OFFSETS[1]) return 0;
-  if (movesUntouched < threshold + STAGE_OFFSETS[2]) return 1;
-  if (movesUntouched < threshold + STAGE_OFFSETS[3]) return 2;
-  if (movesUntouched < threshold + STAGE_OFFSETS[4]) return 3;
-  return 4;
-}
-
 function initInstabilityForLevel() {
-  levelMoveIndex = 0;
   instabilityLineSalt = 0;
-
-  const n = state.bottles.length;
-  lastTouchedMove = new Array(n).fill(0);
-  untouchedMoves = new Array(n).fill(0);
-  instabilityStage = new Array(n).fill(0);
-  warnedStage2 = new Array(n).fill(false);
-  warnedStage3 = new Array(n).fill(false);
-
-  instabilityEnabledThisLevel = level >= INSTABILITY_ENABLE_LEVEL;
-  collapseEnabledThisLevel = level >= INSTABILITY_COLLAPSE_LEVEL;
-
   const adj = thesisAdjust();
-  mostlySolvedEnabledThisLevel = adj.allowMercy;
-}
-
-function markTouched(i) {
-  if (i < 0) return;
-  lastTouchedMove[i] = levelMoveIndex;
-  untouchedMoves[i] = 0;
+  rules.startLevel({
+    instability: level >= INSTABILITY_ENABLE_LEVEL,
+    collapse: level >= INSTABILITY_COLLAPSE_LEVEL,
+    // mostly-solved mercy: the thesis may grant it, or the player's preference
+    mercy: adj.allowMercy || prefs.mostlySolvedMercy,
+    threshold: adj.threshold,
+    stabilizerUnlockIdx: currentElements.indexOf("UR"),
+  });
 }
 
 function pickLine(arr) {
@@ -1013,7 +1156,7 @@ function showMAWarning(stage) {
   try {
     dmToken++;
     showDMOverlay();
-    setSpeechTheme("dark");
+    applySpeechTheme();
     setDMAvatar({
       mood: stage === 2 ? "annoyed" : "furious",
       seedKey: 8800 + stage,
@@ -1236,7 +1379,7 @@ function hideDMOverlay() {
   document.body.classList.remove("dmOpen");
 
   try {
-    grid?.focus?.();
+    focusBottle(gridFocus);
   } catch {}
 }
 
@@ -1285,7 +1428,7 @@ function introIsActive() {
 function getFailModSuggestion() {
   if (
     (modState?.usesLeft?.TEMPORAL_RETRACTION ?? 0) > 0 &&
-    (undoStack?.length ?? 0) > 0
+    journal.canRetract()
   ) {
     return MODIFIERS.TEMPORAL_RETRACTION;
   }
@@ -1323,15 +1466,10 @@ function useFailMod(mod) {
   if (mod.id === "EQUILIBRIUM_VESSEL") {
     if (!spendUse("EQUILIBRIUM_VESSEL")) return false;
 
-    state.bottles.push([]);
-    state.locked.push(false);
+    pushEmptyBottle();
 
-    resetSoftDeadlock();
-
-    resetSoftDeadlock();
-    state.hiddenSegs.push(false);
-    state.sealedUnknown.push(false);
-    state.revealDepthPct.push(1);
+    rules.resetDeadlock();
+    recordJournalModifier("EQUILIBRIUM_VESSEL");
 
     const to = state.bottles.length - 1;
     let best = null;
@@ -1340,11 +1478,11 @@ function useFailMod(mod) {
       if (from === to) continue;
 
   // telemetry: pour attempt
-  const _pourInfo = canPourInfo(from, to);
+  const _pourInfo = canPourInfo(state, from, to);
   pushTelemetry({
     eventType: "pour_attempt",
     level: level,
-    moveIndex: levelMoveIndex,
+    moveIndex: rules.moveIndex,
     from,
     to,
     legal: _pourInfo.legal,
@@ -1354,7 +1492,7 @@ function useFailMod(mod) {
     lockedFrom: !!state.locked?.[from],
     lockedTo: !!state.locked?.[to],
   });
-      if (!canPour(from, to)) continue;
+      if (!canPour(state, from, to)) continue;
 
       const run = topRunCount(state.bottles[from]);
       if (!best || run > best.run) best = { from, to, run };
@@ -1393,7 +1531,7 @@ function showInstabilityFailDM() {
   setBankRail(bankPrimary);
 
   showDMOverlay();
-  setSpeechTheme("dark");
+  applySpeechTheme();
   setDMAvatar({ mood: "furious", seedKey: 9901 });
 
   const suggested = getFailModSuggestion();
@@ -1443,58 +1581,92 @@ And this timeâtouch the problem before it becomes the problem.`,
   requestAnimationFrame(() => shrinkTextToFitBubble());
 }
 
-function tickInstabilityAfterValidMove() {
-  if (!instabilityEnabledThisLevel) return;
-
-  const { threshold } = thesisAdjust();
-  let collapseNow = false;
-
-  for (let i = 0; i < state.bottles.length; i++) {
-    if (state.locked[i]) {
-      instabilityStage[i] = 0;
-      untouchedMoves[i] = 0;
-      continue;
-    }
-    if (isBottleSolvedOrEmpty(i)) {
-      instabilityStage[i] = 0;
-      untouchedMoves[i] = 0;
-      continue;
-    }
-    if (mostlySolvedEnabledThisLevel && isBottleMostlySolved(i)) {
-      instabilityStage[i] = 0;
-      untouchedMoves[i] = 0;
-      continue;
-    }
-    if (!isBottleFullAndMixed(i)) {
-      instabilityStage[i] = 0;
-      untouchedMoves[i] = 0;
-      continue;
-    }
-
-    const untouched = levelMoveIndex - (lastTouchedMove[i] || 0);
-    untouchedMoves[i] = untouched;
-
-    const stage = computeStageForUntouched(untouched, threshold);
-    const prev = instabilityStage[i] || 0;
-    instabilityStage[i] = stage;
-
-    if (stage >= 2 && prev < 2 && !warnedStage2[i]) {
-      warnedStage2[i] = true;
-      showMAWarning(2);
-    }
-    if (stage >= 3 && prev < 3 && !warnedStage3[i]) {
-      warnedStage3[i] = true;
-      showMAWarning(3);
-    }
-    if (stage >= INSTABILITY_COLLAPSE_STAGE && collapseEnabledThisLevel) {
-      collapseNow = true;
-    }
+/* ---------------- Rules events (rules.js) ---------------- */
+function onRulesEvent(e) {
+  const base = { eventType: e.type, level: level, moveIndex: e.moveIndex };
+  switch (e.type) {
+    case "pour_execute":
+      // emitted before the segments move, so the bottle types are the pre-pour ones
+      pushTelemetry({
+        ...base,
+        from: e.from,
+        to: e.to,
+        movedCount: e.movedCount,
+        wildcardMoved: e.wildcardMoved,
+        fromType: bottleTypeForTelemetry(e.from),
+        toType: bottleTypeForTelemetry(e.to),
+        lockedFrom: !!state.locked?.[e.from],
+        lockedTo: !!state.locked?.[e.to],
+      });
+      return;
+    case "wildcard_resolve":
+      pushTelemetry({
+        ...base,
+        bottleIndex: e.bottleIndex,
+        count: e.count,
+        resolvedTo: e.resolvedTo !== WILDCARD ? currentElements[e.resolvedTo] ?? null : null,
+      });
+      return;
+    case "unknown_reveal":
+      pushTelemetry({ ...base, bottleIndex: e.bottleIndex, revealDepthPct: e.revealDepthPct, revealedCount: e.revealedCount });
+      return;
+    // telemetry: a vial entered the warning band (BANK: response time starts here)
+    case "instability_warning":
+      pushTelemetry({ ...base, bottleIndex: e.bottleIndex, stage: e.stage });
+      return;
+    case "instability_alarm":
+      showMAWarning(e.stage);
+      return;
+    // telemetry: a warned vial the player stabilized (touched, solved, or emptied)
+    case "instability_reset":
+      pushTelemetry({ ...base, bottleIndex: e.bottleIndex, prevStage: e.prevStage });
+      return;
+    case "instability_collapse":
+      pushTelemetry({ ...base, bottleIndices: e.bottleIndices });
+      return;
+    case "stabilizer_unlock":
+      playSFX(SFX.bottleOpened);
+      showToast("Clarity unlocked. Now stop panicking.");
+      render();
+      redrawAllBottles();
+      return;
+    case "keystone_solved":
+      pushTelemetry({
+        ...base,
+        bottleIndex: e.bottleIndex,
+        elementSym: state.keystone?.sym ?? null,
+        instabilityActive: e.instabilityActive,
+      });
+      renderThesisBar(currentThesisKey);
+      return;
+    case "cork_unlock":
+      pushTelemetry({ ...base, method: e.method, corkedCount: e.corkedCount, keystoneElementSym: state.keystone?.sym ?? null });
+      playSFX(SFX.bottleOpened);
+      if (e.method === "keystone") showToast("Keystone solved. Corks released.");
+      else if (e.method === "deco_key") showToast("Decoherence applied. Corks released.");
+      else showToast("Corks released.");
+      render();
+      redrawAllBottles();
+      persistRun();
+      return;
   }
+}
 
+// A neglected vial failed (rules.settle() reported a collapse).
+function handleCollapse() {
+  pushTelemetry({
+    eventType: "level_end",
+    level: level,
+    moveIndex: rules.moveIndex,
+    result: "collapse",
+    moves: sig.moves,
+    invalid: sig.invalid,
+    undos: sig.undos,
+  });
   render();
   redrawAllBottles();
-
-  if (collapseNow) showInstabilityFailDM();
+  if (sandbox) showToast("COLLAPSE: a neglected vial failed here.");
+  else showInstabilityFailDM();
 }
 
 /* ---------------- UI ---------------- */
@@ -1508,6 +1680,14 @@ function renderGenReport() {
   }
 
   const lines = [];
+  const ri = state.recipeInfo;
+  if (ri) {
+    lines.push(
+      ri.source === "server"
+        ? `recipe: server${ri.notes.length ? ` (${ri.notes.join(", ")})` : ""}`
+        : `recipe: local${ri.fallback ? ` (fallback: ${ri.fallback})` : ""}`
+    );
+  }
   lines.push(`attempts: ${r.attempts_used}/${r.max_attempts}`);
   if (r.keystone_active) {
     lines.push(`keystone: ${r.keystone_element || "â"} @ bottle ${r.keystone_bottle_index ?? "â"}`);
@@ -1518,6 +1698,17 @@ function renderGenReport() {
     lines.push("keystone: (inactive)");
   }
   lines.push(`corked: ${r.corked_count ?? 0}`);
+  if (r.wildcards) lines.push(`wildcards: ${r.wildcards}`);
+  if (r.mixed_vessels) lines.push(`vessels: ${r.mixed_vessels} mixed · capacities ${state.capacities.join("/")}`);
+  if (r.solvable === true) {
+    lines.push(
+      r.optimal_moves !== null
+        ? `solver: solvable · optimal ${r.optimal_moves} moves`
+        : `solver: solvable · ${r.solution_moves} moves (not proven optimal)`
+    );
+  } else {
+    lines.push("solver: unproven");
+  }
   if (r.last_errors && r.last_errors.length) {
     lines.push(`last_errors: ${r.last_errors.join(", ")}`);
   } else {
@@ -1530,6 +1721,7 @@ function syncInfoPanel() {
   infoLevel.textContent = String(level);
   infoMoves.textContent = String(sig.moves);
   infoInvalid.textContent = String(sig.invalid);
+  infoPar.textContent = parInfoText();
   infoPlayer.textContent = getPlayerName() || "â";
   infoThesis.textContent = thesisLabel.textContent.replace("Thesis: ", "") || "â";  renderGenReport();
 }
@@ -1546,10 +1738,19 @@ function renderThesisBar(thesisKey) {
   thesisLabel.textContent = `Thesis: ${thesis.name}`;
   thesisSub.textContent = `Must include: ${
     (thesis.must_include || []).join(", ") || "â"
-  } Â· Must exclude: ${(thesis.must_exclude || []).join(", ") || "â"}`;
+  } Â· Must exclude: ${(thesis.must_exclude || []).join(", ") || "â"}${keystoneBarText()}`;
   infoThesis.textContent = thesis.name;
 }
 
+// Rule #2: keystone callout appended to the thesis sub-line (empty when the level has none).
+function keystoneBarText() {
+  const ks = state.keystone;
+  if (!ks?.sym || !Number.isInteger(ks.bottleIndex)) return "";
+  if (ks.unlocked) return ` · Keystone ${ks.sym}: released`;
+  const name = ELEMENTS[ks.sym]?.name || ks.sym;
+  return ` · Keystone: ${ks.sym} (${name}) → fill the marked vial`;
+}
+
 function renderGlossary() {
   glossaryList.innerHTML = "";
   const syms = Object.keys(ELEMENTS).sort();
@@ -1557,10 +1758,14 @@ function renderGlossary() {
     const el = ELEMENTS[sym];
     if (!el) continue;
 
+    // elements in the current level show the colour they are drawn in
+    const c = currentElements.indexOf(sym);
+    const swatch = c >= 0 ? currentPalette[c] : el.color || "#fff";
+
     const item = document.createElement("div");
     item.className = "gItem";
     item.innerHTML = `
-      <div class="gSwatch" style="background:${el.color || "#fff"}"></div>
+      <div class="gSwatch" style="background:${swatch}"></div>
       <div>
         <div class="gTitle">${el.symbol} â ${el.name}</div>
         <div class="gSub">
@@ -1640,14 +1845,23 @@ function resetModifiersForLevel() {
   modState.usesLeft.EQUILIBRIUM_VESSEL =
     MODIFIERS.EQUILIBRIUM_VESSEL.perLevelUses;
   modState.targeting = null;
+  modState.used = 0;
   undoStack = [];
   renderModifiers();
 }
 
-function spendUse(modId) {
+function spendUse(modId, { drained = false } = {}) {
   const left = modState.usesLeft[modId] ?? 0;
   if (left <= 0) return false;
   modState.usesLeft[modId] = left - 1;
+  if (!drained) modState.used++;
+  pushTelemetry({
+    eventType: "modifier_use",
+    level: level,
+    moveIndex: rules.moveIndex,
+    modifierId: modId,
+    drained,
+  });
   renderModifiers();
   return true;
 }
@@ -1705,7 +1919,7 @@ function openModOverlay(mod, useLabel, onUse) {
 
 /* ---------------- Modifier input (UPDATED: uses overlay) ---------------- */
 modSlot1?.addEventListener("click", () => {
-  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen) return;
+  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen || recipePending || sandbox) return;
 
   const left = modState.usesLeft.DECOHERENCE_KEY;
   if (left <= 0) {
@@ -1721,7 +1935,7 @@ modSlot1?.addEventListener("click", () => {
 });
 
 modSlot2?.addEventListener("click", () => {
-  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen) return;
+  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen || recipePending || sandbox) return;
 
   const left = modState.usesLeft.TEMPORAL_RETRACTION;
   if (left <= 0) {
@@ -1742,7 +1956,7 @@ modSlot2?.addEventListener("click", () => {
 });
 
 modSlot3?.addEventListener("click", () => {
-  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen) return;
+  if (introIsActive() || deadlockActive || inputLocked || modOverlayOpen || recipePending || sandbox) return;
 
   const left = modState.usesLeft.EQUILIBRIUM_VESSEL;
   if (left <= 0) {
@@ -1751,18 +1965,15 @@ modSlot3?.addEventListener("click", () => {
   }
 
   openModOverlay(MODIFIERS.EQUILIBRIUM_VESSEL, "Deploy", () => {
-    state.bottles.push([]);
-    state.locked.push(false);
-    state.hiddenSegs.push(false);
-    state.sealedUnknown.push(false);
-    state.revealDepthPct.push(1);
+    pushEmptyBottle();
+    recordJournalModifier("EQUILIBRIUM_VESSEL");
 
     const to = state.bottles.length - 1;
     let best = null;
 
     for (let from = 0; from < state.bottles.length; from++) {
       if (from === to) continue;
-      if (!canPour(from, to)) continue;
+      if (!canPour(state, from, to)) continue;
 
       const run = topRunCount(state.bottles[from]);
       if (!best || run > best.run) best = { from, to, run };
@@ -1779,6 +1990,7 @@ modSlot3?.addEventListener("click", () => {
 
     spendUse("EQUILIBRIUM_VESSEL");
     maOneLiner(MODIFIERS.EQUILIBRIUM_VESSEL.maLine);
+    persistRun();
   });
 });
 
@@ -1835,7 +2047,7 @@ function runFirstLoadIntro() {
   dmToken++;
 
   showDMOverlay();
-  setSpeechTheme("dark");
+  applySpeechTheme();
   setDMAvatar({ mood: "impressed", seedKey: 9001 });
 
   setDMSpeech({
@@ -1999,7 +2211,7 @@ function showOutOfMovesDM() {
   const react = dmReactionForBANK(bankPrimary);
 
   showDMOverlay();
-  setSpeechTheme("dark");
+  applySpeechTheme();
   setDMAvatar({ mood: react.mood, seedKey: 5050 });
 
   const suggested = getFailModSuggestion();
@@ -2045,7 +2257,47 @@ function showOutOfMovesDM() {
   requestAnimationFrame(() => shrinkTextToFitBubble());
 }
 
-/* ---------------- Quest-node DM (LLM) ---------------- */
+/* ---------------- Voice lines (bank, no LLM) ---------------- */
+function actForLevel(lvl) {
+  return Math.max(1, Math.floor((lvl - 1) / 5) + 1);
+}
+
+/** One approved line from /api/voice-line for `moment`, or null (offline / no server). */
+async function fetchVoiceLine(moment, extra = {}) {
+  const apiBase = (apiBaseEl?.value || "").trim();
+  if (!apiBase) return null;
+  const { bankPrimary } = inferBANK();
+  try {
+    const resp = await postJSON(apiBase, "/api/voice-line", {
+      moment,
+      act: actForLevel(level),
+      thesis: currentThesisKey,
+      bankPrimary,
+      sinTags: inferSinTags(),
+      seed: runSeed,
+      level,
+      used_voice_ids: getUsedVoiceIds(),
+      ...extra,
+    });
+    const payload = resp?.payload;
+    if (payload?.used_voice_ids) pushUsedVoiceIds(payload.used_voice_ids);
+    return payload?.line || null;
+  } catch {
+    return null;
+  }
+}
+
+// Filler levels get a one-liner instead of a quest node.
+async function sayVoiceLine(moment) {
+  const myLevel = level;
+  const line = await fetchVoiceLine(moment);
+  if (!line || myLevel !== level || introIsActive()) return;
+  maOneLiner(line.text);
+}
+
+/* ---------------- Quest-node DM (LLM, local fallback) ---------------- */
+// The server node is an enhancement: no API base, or a failed request, gets a
+// locally generated node with the same shape (questNodeLocal.js).
 async function runDMIfAvailable() {
   if (!isDMLevel(level)) return;
 
@@ -2054,69 +2306,63 @@ async function runDMIfAvailable() {
   setBankRail(bankPrimary);
 
   showDMOverlay();
-  setSpeechTheme("dark");
-
-  const apiBase = (apiBaseEl?.value || "").trim();
-  if (!apiBase) {
-    setDMAvatar({ mood: "annoyed", seedKey: 222 });
-    setDMSpeech({
-      title: "No server.",
-      body: "You didnât connect the labâs brain.\nSet API Base in Settings.",
-      small: "Open Settings (âï¸) â set API Base.",
-    });
-    return;
-  }
+  applySpeechTheme();
 
   const sinTags = inferSinTags();
-  const act = Math.max(1, Math.floor((level - 1) / 5) + 1);
+  const act = actForLevel(level);
 
   const wantModifier = true;
   const foreshadowOnly =
     level >= FORESHADOW_START_LEVEL && level < STABILIZER_UNLOCK_LEVEL;
 
-  let payload;
-  try {
-    const resp = await singleFlight(
-      `quest:${runSeed}:${questId}:${level}:${bankPrimary}:${wantModifier}`,
-      () =>
-        postJSON(apiBase, "/api/quest-node", {
-          act,
-          questId,
-          level,
-          playerName: ensurePlayerName(),
-          bankPrimary,
-          bankConfidence,
-          sinTags,
-          seed: runSeed,
-          wantModifier,
-          foreshadowOnly,
-          used_voice_ids: getUsedVoiceIds(),
-        })
-    );
-    payload = resp?.payload;
-    // persist anti-repeat ids coming back from server
-if (payload?.used_voice_ids) pushUsedVoiceIds(payload.used_voice_ids);
-  } catch (e) {
-    if (myToken !== dmToken) return;
-    setDMAvatar({ mood: "furious", seedKey: 333 });
-    setDMSpeech({
-      title: "Server error.",
-      body: "The lab stuttered.\n\nFix your API, then return.",
-      small: String(e?.message || e),
+  const localNode = () =>
+    generateLocalQuestNode({
+      runSeed,
+      questId,
+      level,
+      bankPrimary,
+      sinTags,
+      thesisKey: currentThesisKey,
+      foreshadowOnly,
+      wantModifier,
+      major: isMajorDM(dmAppearCount + 1),
+      usedVoiceIds: getUsedVoiceIds(),
     });
-    return;
+
+  const apiBase = (apiBaseEl?.value || "").trim();
+  let payload = null;
+  let offlineReason = apiBase ? "" : "No API base";
+  if (apiBase) {
+    try {
+      const resp = await singleFlight(
+        `quest:${runSeed}:${questId}:${level}:${bankPrimary}:${wantModifier}`,
+        () =>
+          postJSON(apiBase, "/api/quest-node", {
+            act,
+            questId,
+            level,
+            playerName: ensurePlayerName(),
+            bankPrimary,
+            bankConfidence,
+            sinTags,
+            thesis: currentThesisKey,
+            seed: runSeed,
+            wantModifier,
+            foreshadowOnly,
+            used_voice_ids: getUsedVoiceIds(),
+          })
+      );
+      payload = resp?.payload || null;
+      if (!payload) offlineReason = "Empty response";
+    } catch (e) {
+      offlineReason = String(e?.message || e);
+    }
   }
 
   if (myToken !== dmToken) return;
-  if (!payload) {
-    setDMAvatar({ mood: "annoyed", seedKey: 444 });
-    setDMSpeech({
-      title: "Empty response.",
-      body: "The lab answered with silence.",
-      small: "Check server logs.",
-    });
-    return;
-  }
+  if (!payload) payload = localNode();
+  // persist anti-repeat ids (bank ids from the server, lore ids from the local node)
+  if (payload.used_voice_ids) pushUsedVoiceIds(payload.used_voice_ids);
 
   setDMAvatar({
     mood: payload.dm_mood || "encouraging",
@@ -2130,12 +2376,16 @@ if (payload?.used_voice_ids) pushUsedVoiceIds(payload.used_voice_ids);
   setNum(DM_COUNT_KEY, dmAppearCount);
   scheduleNextDM(level);
 
+  // server-designed level: its lore leads the quest speech
+  const lore = state.recipeInfo?.source === "server" ? state.recipeInfo.lore : "";
+  const node = isMajorDM(dmAppearCount) ? "Major node." : "Minor node.";
+
   setDMSpeech({
     title: payload.quest_title || "Quest",
-    body: `${payload.dm_intro || ""}\n\n${payload.dm_midpoint || ""}\n\n${
+    body: `${lore ? `${lore}\n\n` : ""}${payload.dm_intro || ""}\n\n${payload.dm_midpoint || ""}\n\n${
       payload.dm_verdict || ""
     }`,
-    small: isMajorDM(dmAppearCount) ? "Major node." : "Minor node.",
+    small: payload.source === "local" ? `${node} Offline lab (${offlineReason}).` : node,
   });
 }
 
@@ -2148,6 +2398,9 @@ function buildLocalRecipe() {
 
   const cfg = computeLevelConfig(level, makeRng(hashSeed(runSeed, 4242, level, 99001)));
   const elems = chooseElementsForThesis(currentThesisKey, cfg.colors, rng);
+  const keystoneSym = cfg.keystone
+    ? pickKeystoneElement(currentThesisKey, elems, makeRng(hashSeed(runSeed, 4242, level, 5151)))
+    : null;
 
   return {
     title: `Level ${level}`,
@@ -2159,8 +2412,10 @@ function buildLocalRecipe() {
     lockedBottles: cfg.lockedBottles, // backward compat
     sealedUnknownBottles: 0,
     wildcardSlots: cfg.wildcardSlots,
+    // bottles dealt as another vessel shape than the vial (0 = uniform vials)
+    mixedVessels: cfg.mixedVessels,
     // Rule #2 (optional per-level): element symbol that acts as Keystone. Solving a full bottle of this element uncorks all corked bottles.
-    keystoneElementSym: null,
+    keystoneElementSym: keystoneSym,
     // Rule #2 (optional per-level): designated bottle index to solve as the Keystone collector.
     // If null, generator will select a safe non-corked empty bottle.
     keystoneBottleIndex: null,
@@ -2170,6 +2425,21 @@ function buildLocalRecipe() {
   };
 }
 
+/**
+ * Keystone element for a corked level: one of the thesis' must-include elements
+ * when the palette has them (the thesis is the lesson), else any palette element.
+ * UR is skipped once the stabilizer runs, so the two gates never share a trigger.
+ */
+function pickKeystoneElement(thesisKey, elems, rng) {
+  const usable = elems.filter(
+    (sym) => ELEMENTS[sym] && !(sym === "UR" && level >= STABILIZER_UNLOCK_LEVEL)
+  );
+  if (!usable.length) return null;
+  const must = THESES[thesisKey]?.must_include || [];
+  const preferred = usable.filter((sym) => must.includes(sym));
+  return rng.pick(preferred.length ? preferred : usable);
+}
+
 function shuffle(arr, rng) {
   for (let i = arr.length - 1; i > 0; i--) {
     const j = Math.floor(rng.f() * (i + 1));
@@ -2268,29 +2538,30 @@ function enforceKeystoneGenerationSafety({ ksIdx, lockCount, filledBottles }) {
   }
 }
 
-function validateKeystoneLevelSafety({ ksIdx, lockCount, filledBottles }) {
+// Corks are read from state.locked: the generator corks the first lockCount
+// bottles, the level editor can cork any of them.
+function validateKeystoneLevelSafety({ ksIdx }) {
   const errors = [];
   if (ksIdx === null || ksIdx === undefined) return { ok: true, errors };
-  const cap = state.capacity | 0;
-  const lc = lockCount | 0;
-  const fb = filledBottles | 0;
+  // the collector decides how many keystone segments are needed
+  const ksBottle = state.keystone?.bottleIndex;
+  const cap = (Number.isInteger(ksBottle) && ksBottle < state.bottles.length ? capOf(ksBottle) : state.capacity) | 0;
+  const corked = (bi) => !!state.locked[bi];
 
   if (cap <= 0) return { ok: true, errors };
 
   // 1) No keystone in corked bottles
-  if (lc > 0) {
-    for (let bi = 0; bi < lc; bi++) {
-      const b = state.bottles[bi] || [];
-      if (b.includes(ksIdx)) {
-        errors.push("KEYSTONE_IN_CORKED");
-        break;
-      }
+  for (let bi = 0; bi < state.bottles.length; bi++) {
+    if (corked(bi) && (state.bottles[bi] || []).includes(ksIdx)) {
+      errors.push("KEYSTONE_IN_CORKED");
+      break;
     }
   }
 
   // 2) Enough accessible keystone count pre-unlock (at least `cap` segments outside corked bottles)
   let accessibleKs = 0;
-  for (let bi = lc; bi < state.bottles.length; bi++) {
+  for (let bi = 0; bi < state.bottles.length; bi++) {
+    if (corked(bi)) continue;
     const b = state.bottles[bi] || [];
     for (const seg of b) if (seg === ksIdx) accessibleKs++;
   }
@@ -2301,17 +2572,12 @@ function validateKeystoneLevelSafety({ ksIdx, lockCount, filledBottles }) {
   if (empties < 1) errors.push("NO_EMPTY_BOTTLE");
 
   // 3b) Keystone collector: at least one NON-CORKED empty bottle must exist to collect fragments.
-  // We prefer the first empty slot after filled bottles (index = fb), but accept any non-corked empty.
-  let hasNonCorkedEmpty = false;
-  for (let bi = lc; bi < state.bottles.length; bi++) {
-    const b = state.bottles[bi] || [];
-    if (!b.length) { hasNonCorkedEmpty = true; break; }
-  }
+  const hasNonCorkedEmpty = state.bottles.some((b, bi) => !corked(bi) && !(b || []).length);
   if (!hasNonCorkedEmpty) errors.push("NO_KEYSTONE_COLLECTOR");
 
   // 3c) Designated Keystone bottle must exist, be non-corked, and start empty.
   const designated = state.keystone?.bottleIndex;
-  if (!Number.isInteger(designated) || designated < lc || designated >= state.bottles.length) {
+  if (!Number.isInteger(designated) || designated < 0 || designated >= state.bottles.length) {
     errors.push("NO_DESIGNATED_KEYSTONE_BOTTLE");
   } else {
     const db = state.bottles[designated] || [];
@@ -2322,7 +2588,7 @@ function validateKeystoneLevelSafety({ ksIdx, lockCount, filledBottles }) {
   // 4) Basic pre-unlock move exists (unless level is trivially solved)
   // Use existing helper if available
   try {
-    if (!isSolved() && !hasAnyPlayableMove()) errors.push("NO_PRE_UNLOCK_MOVES");
+    if (!isSolved(state) && !hasAnyPlayableMove(state)) errors.push("NO_PRE_UNLOCK_MOVES");
   } catch {}
 
   return { ok: errors.length === 0, errors, accessibleKs };
@@ -2349,18 +2615,33 @@ function generateBottlesFromRecipe(recipe) {
     bottleIndex: null,
   };
 
-  // Retry generation a few times if keystone safety fails (prevents rare impossible boards).
+  // Wildcards (recipe.wildcardSlots): swapped in for random non-keystone segments.
+  const wildcardSlots = Math.max(0, Math.min(2, recipe.wildcardSlots | 0));
+
+  // Vessel shapes (recipe.mixedVessels): never on corked boards (see computeLevelConfig).
+  const mixed = lockCount > 0 ? 0 : Math.max(0, Math.min(bottleCount, recipe.mixedVessels | 0));
+
+  // Retry generation a few times if keystone safety or the solver rejects the shuffle.
   const MAX_ATTEMPTS = 8;
+  let lastErrors = [];
 
   for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
     const rng = makeRng(hashSeed(runSeed, 9898, level, attempt));
 
-    // Build and shuffle pool
+    // Vessels: own rng so uniform levels shuffle exactly as before
+    state.shapes = mixed
+      ? pickVesselShapes(makeRng(hashSeed(runSeed, 9898, level, attempt, 77)), bottleCount, mixed)
+      : new Array(bottleCount).fill(DEFAULT_VESSEL);
+    state.capacities = capacitiesFor(state.shapes, state.capacity);
+
+    // Build and shuffle pool: colour c comes in the amount of the vessel it is dealt
+    // into (bottle c), so a solve has exactly one full vessel per colour.
     const pool = [];
     for (let c = 0; c < colors; c++) {
-      for (let i = 0; i < state.capacity; i++) pool.push(c);
+      for (let i = 0; i < capOf(c); i++) pool.push(c);
     }
     shuffle(pool, rng);
+    state.wildcardCount = seedWildcards(pool, wildcardSlots, rng, ksIdx >= 0 ? ksIdx : null);
 
     // Build bottles
     state.bottles = [];
@@ -2368,7 +2649,7 @@ function generateBottlesFromRecipe(recipe) {
 
     for (let b = 0; b < filledBottles; b++) {
       const bottle = [];
-      for (let k = 0; k < state.capacity; k++) bottle.push(pool[idx++]);
+      for (let k = 0; k < capOf(b); k++) bottle.push(pool[idx++]);
       state.bottles.push(bottle);
     }
     for (let e = 0; e < empty; e++) state.bottles.push([]);
@@ -2394,12 +2675,11 @@ function generateBottlesFromRecipe(recipe) {
     const maxSU = Math.max(0, bottleCount - lockCount);
     const suCount = Math.max(0, Math.min(suCountRaw, maxSU));
     if (suCount > 0) {
-      const cap2 = state.capacity;
       let assigned = 0;
       for (let i = bottleCount - 1; i >= 0 && assigned < suCount; i--) {
         if (state.locked[i]) continue;
         state.sealedUnknown[i] = true;
-        state.revealDepthPct[i] = state.bottles[i]?.length ? 1 / cap2 : 1;
+        state.revealDepthPct[i] = state.bottles[i]?.length ? 1 / capOf(i) : 1;
         assigned++;
       }
     }
@@ -2443,14 +2723,11 @@ function generateBottlesFromRecipe(recipe) {
         state.keystone.bottleIndex = null;
       }
 
-      const v = validateKeystoneLevelSafety({
-        ksIdx: state.keystone.idx,
-        lockCount,
-        filledBottles,
-      });
+      const v = validateKeystoneLevelSafety({ ksIdx: state.keystone.idx });
 
       if (!v.ok) {
         // Try again with a different shuffle
+        lastErrors = v.errors;
         if (attempt === MAX_ATTEMPTS - 1) {
           console.warn("Keystone safety failed after retries:", v.errors);
         }
@@ -2458,101 +2735,513 @@ function generateBottlesFromRecipe(recipe) {
       }
     }
 
+    // Solvability guarantee: reject dead-on-arrival shuffles.
+    const solution = solveBoard(solverBoardFromState(), { budget: SOLVER_GEN_BUDGET });
+    if (solution.solvable === false) {
+      lastErrors = ["UNSOLVABLE"];
+      continue;
+    }
+    // unproven is not good enough: the fallback chain guarantees a playable board
+    if (solution.solvable === null) {
+      lastErrors = ["SOLVER_BUDGET"];
+      continue;
+    }
+
     // Success
-    return;
+    state.solution = solution;
+    state.genReport = makeGenReport({ attempt, maxAttempts: MAX_ATTEMPTS, lockCount, errors: [] });
+    return true;
   }
+
+  // No proven-solvable shuffle: leave no board behind (beginLevel deals a simpler one).
+  state.bottles = [];
+  state.solution = null;
+  state.genReport = makeGenReport({ attempt: MAX_ATTEMPTS - 1, maxAttempts: MAX_ATTEMPTS, lockCount, errors: lastErrors });
+  return false;
 }
 
+// Easier takes on a recipe, easiest last: one more empty bottle, one colour fewer,
+// then a plain 3-colour board (no corks, unknowns, wildcards or keystone).
+function simplerRecipes(recipe) {
+  const roomier = { ...recipe, bottleCount: recipe.bottleCount + 1, emptyBottles: recipe.emptyBottles + 1 };
+  const out = [roomier];
+  if (recipe.colors > 3) out.push({ ...roomier, colors: recipe.colors - 1, bottleCount: recipe.bottleCount });
+  out.push({
+    ...recipe,
+    colors: 3,
+    bottleCount: 5,
+    emptyBottles: 2,
+    corkedBottles: 0,
+    lockedBottles: 0,
+    sealedUnknownBottles: 0,
+    wildcardSlots: 0,
+    mixedVessels: 0,
+    keystoneElementSym: null,
+    keystoneBottleIndex: null,
+  });
+  return out;
+}
 
-function uncorkAllCorkedBottles(reason = "uncork") {
-  let changed = false;
-  for (let i = 0; i < state.bottles.length; i++) {
-    if (state.locked[i]) {
-      state.locked[i] = false;
-      // Keep hiddenSegs off for corked bottles (visible contents)
-      state.hiddenSegs[i] = false;
-      changed = true;
-    }
+/**
+ * After generateBottlesFromRecipe(recipe) failed: deal the first simpler recipe
+ * that generates, else a plain board solvable by construction. Returns the
+ * recipe the board was actually made from.
+ */
+function generateFallbackBoard(recipe) {
+  const tries = simplerRecipes(recipe).map((r) => ({ ...r, fallback: r.fallback || "SIMPLIFIED" }));
+  for (const r of tries) {
+    // fewer colours means fewer elements: legend, keystone and reactions follow the board
+    applyElementPalette(r);
+    if (generateBottlesFromRecipe(r)) return r;
   }
-  if (changed) {
 
-    pushTelemetry({
-      eventType: "cork_unlock",
-      level: level,
-      moveIndex: levelMoveIndex,
-      method: reason === "keystone" ? "keystone" : (reason === "deco" ? "deco_key" : "other"),
-      corkedCount: state.locked?.filter(Boolean)?.length ?? null,
-    });
+  const plain = tries[tries.length - 1];
+  const n = plain.bottleCount;
+  state.capacity = plain.capacity;
+  state.selected = -1;
+  state.shapes = new Array(n).fill(DEFAULT_VESSEL);
+  state.capacities = capacitiesFor(state.shapes, state.capacity);
+  state.bottles = scrambleSolvedBoard({
+    colors: plain.colors,
+    caps: state.capacities,
+    rng: makeRng(hashSeed(runSeed, 9898, level, 4040)),
+  });
+  state.locked = new Array(n).fill(false);
+  state.hiddenSegs = new Array(n).fill(false);
+  state.sealedUnknown = new Array(n).fill(false);
+  state.revealDepthPct = new Array(n).fill(1);
+  state.stabilizer = null;
+  state.keystone = { sym: null, idx: null, unlocked: false, bottleIndex: null };
+  state.wildcardCount = 0;
+  state.solution = solveBoard(solverBoardFromState(), { budget: SOLVER_GEN_BUDGET });
+  state.genReport = makeGenReport({ attempt: 0, maxAttempts: 1, lockCount: 0, errors: ["SCRAMBLED_FALLBACK"] });
+  return plain;
+}
 
-    playSFX(SFX.bottleOpened);
-    if (reason === "keystone") showToast("Keystone solved. Corks released.");
-    else if (reason === "deco") showToast("Decoherence applied. Corks released.");
-    else showToast("Corks released.");
-    render();
-    redrawAllBottles();
+/* ---------------- Solver bridge (generation) ---------------- */
+// Node budget for the optimal search during generation (weighted fallback gets the same).
+const SOLVER_GEN_BUDGET = 20000;
+
+function solverBoardFromState() {
+  const st = state.stabilizer;
+  return {
+    bottles: state.bottles,
+    capacity: state.capacity,
+    capacities: state.capacities,
+    locked: state.locked,
+    sealedUnknown: state.sealedUnknown,
+    keystone: state.keystone,
+    stabilizer: st ? { ...st, colorIdx: currentElements.indexOf("UR") } : null,
+  };
+}
 
-    resetSoftDeadlock();
-    recordSoftDeadlockStep();
+function makeGenReport({ attempt, maxAttempts, lockCount, errors }) {
+  const ks = state.keystone;
+  const ksActive = ks?.idx !== null && ks?.idx !== undefined && lockCount > 0;
+  let accessible = null;
+  if (ksActive) {
+    accessible = 0;
+    for (let bi = lockCount; bi < state.bottles.length; bi++) {
+      for (const seg of state.bottles[bi] || []) if (seg === ks.idx) accessible++;
+    }
   }
-  return changed;
+  const sol = state.solution;
+  return {
+    attempts_used: attempt + 1,
+    max_attempts: maxAttempts,
+    keystone_active: ksActive,
+    keystone_element: ks?.sym || null,
+    keystone_bottle_index: ks?.bottleIndex ?? null,
+    accessible_keystone: accessible,
+    capacity: state.capacity,
+    mixed_vessels: state.shapes.filter((sh) => sh !== DEFAULT_VESSEL).length,
+    corked_count: lockCount,
+    wildcards: state.wildcardCount ?? 0,
+    solvable: sol ? sol.solvable : null,
+    optimal_moves: sol?.optimal ? sol.moveCount : null,
+    solution_moves: sol?.moveCount ?? null,
+    solver_explored: sol?.explored ?? null,
+    last_errors: errors,
+  };
+}
+
+
+// reason: "keystone" | "deco" | anything else. Side effects come back as a cork_unlock event.
+function uncorkAllCorkedBottles(reason = "uncork") {
+  return rules.uncork(reason === "keystone" ? "keystone" : reason === "deco" ? "deco_key" : "other");
 }
 
-function checkKeystoneUnlock() {
+/**
+ * Level-start keystone briefing. The first keystone level gets a DM overlay
+ * (the player has never seen the gate); later ones get a toast. Returns true
+ * when the overlay was used, so startLevel() skips the quest-node DM this time.
+ */
+function announceKeystone() {
   const ks = state.keystone;
-  if (!ks || ks.unlocked || ks.idx === null) return false;
+  if (!ks?.sym || ks.unlocked || !Number.isInteger(ks.bottleIndex)) return false;
+  const el = ELEMENTS[ks.sym];
+  const name = el?.name || ks.sym;
+
+  if (localStorage.getItem(KEYSTONE_BRIEFED_KEY) === "1" || introIsActive() || isDMLevel(level)) {
+    showToast(`Keystone: ${ks.sym} (${name}). Fill the marked vial to release the corks.`);
+    return false;
+  }
+  localStorage.setItem(KEYSTONE_BRIEFED_KEY, "1");
+
+  const { bankPrimary } = inferBANK();
+  setBankRail(bankPrimary);
 
-  // Designated bottle only: the Keystone bottle must be the one that becomes SOLVED.
-  const bi = ks.bottleIndex;
-  if (!Number.isInteger(bi) || bi < 0 || bi >= state.bottles.length) return false;
+  dmToken++;
+  showDMOverlay();
+  applySpeechTheme();
+  setDMAvatar({ mood: "amused", seedKey: 6600 });
+  setDMSpeech({
+    title: "Keystone.",
+    body: `Corked glass does not negotiate.\n\nThe seals answer to ${name}. Distill one full vial of it in the marked flask and every cork breaks.\nOr spend a Decoherence Key. I will remember which you chose.`,
+    small: `Keystone ${ks.sym}: fill the glowing vial with ${ks.sym} only.`,
+  });
+  return true;
+}
+
+/* ---------------- Element chemistry (illegal reactions) ---------------- */
+// Rules live in reactions.js; consequences + DM copy live here. Active from the
+// advanced-play gate (STABILIZER_UNLOCK_LEVEL), each rule at most once per level.
+let reactionsFired = new Set();
+
+const AGITATE_MOVES = { agitate: 4, agitate_hard: 8 };
+
+const REACTION_COPY = {
+  CONFLICT: {
+    title: "Conflict.",
+    mood: "annoyed",
+    lines: [
+      "{element} poured onto {partner}. They refuse to share glass.",
+      "You forced {element} into a vial of {partner}. The mixture clouds in protest.",
+      "{element} and {partner}, one vial. Chemistry has opinions, and so do I.",
+    ],
+    small: "Conflict: the vial clouds over. Pour from it to see inside again.",
+  },
+  PANIC: {
+    title: "Panic.",
+    mood: "furious",
+    lines: [
+      "A full vial of {element} and no {missing} in the room. That is how panic starts.",
+      "{element} without {missing}. Everything you left alone is shaking now.",
+    ],
+    small: "PANIC: neglected vials destabilize faster.",
+  },
+  COLLAPSE: {
+    title: "Collapse.",
+    mood: "furious",
+    lines: [
+      "{element} at full strength, and no {missing} to hold it. The structure buckles.",
+      "You bottled {element} with nothing to stabilize it. Listen to the glass crack.",
+    ],
+    small: "COLLAPSE: every neglected vial is close to failure.",
+  },
+  DESPAIR: {
+    title: "Despair.",
+    mood: "annoyed",
+    lines: [
+      "{element}, completed, without {missing}. Nothing to hope for, so your tools go dull.",
+      "All that {element} and no {missing}. Despair costs you a charge.",
+    ],
+    small: "DESPAIR: one modifier charge drained.",
+  },
+  DISTRUST: {
+    title: "Distrust.",
+    mood: "annoyed",
+    lines: [
+      "{element}, perfected, and not a drop of {missing}. Nobody believes what you poured.",
+      "Pure {element} with no {missing} behind it. The lab stops trusting its own glass.",
+    ],
+    small: "DISTRUST: a vial seals its contents.",
+  },
+  INDIFFERENCE: {
+    title: "Indifference.",
+    mood: "satisfied",
+    lines: [
+      "{element} without {missing}. The lab stops caring how you got here.",
+      "A full vial of {element}, and no {missing} to give it meaning. Your history is erased.",
+    ],
+    small: "INDIFFERENCE: undo history erased.",
+  },
+};
+
+function elementName(sym) {
+  return ELEMENTS[sym]?.name || sym;
+}
+
+function reactionLine(r) {
+  const copy = REACTION_COPY[r.result] || REACTION_COPY.PANIC;
+  return pickLine(copy.lines)
+    .replaceAll("{element}", elementName(r.element))
+    .replaceAll("{partner}", elementName(r.partner))
+    .replaceAll("{missing}", r.missing.map(elementName).join(" or ") || "its counterpart");
+}
+
+// Seal a vial the way Sealed Unknown does (top segment visible, reveals as you pour out).
+function obscureBottle(i) {
+  if (!Number.isInteger(i) || i < 0 || i >= state.bottles.length) return null;
+  if (state.locked[i] || state.sealedUnknown[i] || !state.bottles[i].length) return null;
+  if (state.keystone?.bottleIndex === i && !state.keystone.unlocked) return null;
+  state.sealedUnknown[i] = true;
+  state.revealDepthPct[i] = 1 / Math.max(1, capOf(i));
+  return i;
+}
+
+/** Apply one reaction's board consequence. Returns telemetry details. */
+function applyReactionEffect(r) {
+  switch (r.effect) {
+    case "obscure_target":
+      return { affectedBottle: obscureBottle(r.bottleIndex) };
+    case "obscure_random": {
+      const candidates = [];
+      for (let i = 0; i < state.bottles.length; i++) {
+        if (i !== r.bottleIndex && !isBottleSolvedOrEmpty(state, i)) candidates.push(i);
+      }
+      const rng = makeRng(hashSeed(runSeed, level, rules.moveIndex, 6061));
+      const pick = candidates.length ? rng.pick(candidates) : null;
+      return { affectedBottle: obscureBottle(pick) };
+    }
+    case "agitate":
+    case "agitate_hard": {
+      const n = AGITATE_MOVES[r.effect];
+      for (let i = 0; i < rules.lastTouchedMove.length; i++) rules.lastTouchedMove[i] -= n;
+      return { agitateMoves: n };
+    }
+    case "drain_modifier": {
+      const id = Object.keys(modState.usesLeft)
+        .filter((k) => (modState.usesLeft[k] ?? 0) > 0)
+        .sort((a, b) => modState.usesLeft[b] - modState.usesLeft[a])[0];
+      return { drainedModifier: id && spendUse(id, { drained: true }) ? id : null };
+    }
+    case "forget_undo": {
+      const forgotten = journal.forgetRetraction();
+      undoStack = [];
+      return { undoForgotten: forgotten };
+    }
+    default:
+      return {};
+  }
+}
+
+function showReactionDM(r) {
+  const copy = REACTION_COPY[r.result] || REACTION_COPY.PANIC;
+  const line = reactionLine(r);
+  showToast(`${r.result}: ${line}`);
+  if (introIsActive() || deadlockActive) return;
 
-  const cap = state.capacity;
-  const target = ks.idx;
-  const b = state.bottles[bi] || [];
+  try {
+    dmToken++;
+    showDMOverlay();
+    applySpeechTheme();
+    setDMAvatar({ mood: copy.mood, seedKey: 6100 });
+    setDMSpeech({ title: copy.title, body: line, small: copy.small });
+
+    const my = dmToken;
+    setTimeout(() => {
+      if (dmToken !== my) return;
+      if (!introIsActive() && !deadlockActive) hideDMOverlay();
+    }, 2400);
+  } catch {}
+}
 
-  const solved = b.length === cap && b.every((x) => x === target);
-  if (!solved) return false;
+/**
+ * Evaluate the pour that just landed in `to` (`before` = its contents pre-pour).
+ * Runs before the instability tick so PANIC/COLLAPSE land on this move.
+ */
+/** Returns how many reactions fired (their consequences are not undoable). */
+function applyPourReactions(to, before) {
+  if (level < STABILIZER_UNLOCK_LEVEL || isSolved(state)) return 0;
 
-  ks.unlocked = true;
+  const reactions = evaluatePour({
+    before,
+    after: state.bottles[to],
+    to,
+    capacity: capOf(to),
+    elements: currentElements,
+    thesisKey: currentThesisKey,
+    fired: reactionsFired,
+  });
 
+  for (const r of reactions) {
+    const details = applyReactionEffect(r);
     pushTelemetry({
-      eventType: "keystone_solved",
+      eventType: "illegal_reaction",
       level: level,
-      moveIndex: levelMoveIndex,
-      bottleIndex: ks.bottleIndex,
-      elementSym: ks.sym,
+      moveIndex: rules.moveIndex,
+      kind: r.kind,
+      result: r.result,
+      effect: r.effect,
+      elementSym: r.element,
+      partnerSym: r.partner,
+      missing: r.missing,
+      bottleIndex: r.bottleIndex,
+      ...details,
     });
-  uncorkAllCorkedBottles("keystone");
-  return true;
+    pushSinTag(ELEMENTS[r.element]?.punishes || "sloppiness");
+  }
+  if (reactions.length) {
+    playSFX(SFX.invalidClink);
+    showReactionDM(reactions[reactions.length - 1]);
+  }
+  return reactions.length;
+}
+
+/* ---------------- Hints ---------------- */
+const HINT_SHOW_MS = 2600;
+const HINT_REFUSE_CHANCE = 0.2;
+const HINT_SFX = [SFX.hintAppear1, SFX.hintAppear2, SFX.hintAppear3];
+// Local refusals, for when the server's voice bank has no hint_denial line (or there is no server).
+const HINT_DENIAL_LINES = [
+  "No. Observe the reaction first.",
+  "The mixture already told you. Read it again.",
+  "Hints are for people who looked. Look.",
+  "Denied. Precision starts with your own eyes.",
+  "I don't pour for you. I watch you pour.",
+];
+
+let hintsUsed = 0;
+let hintRefusedLast = false;
+let hintMove = null; // { from, to } while the pair is highlighted
+let hintTimer = 0;
+let lastPourMove = null;
+let lastHint = null; // { key, hint }: asking again on the same board is free
+
+// Late boards are where players stall, so they get the bigger budget.
+function hintBudgetFor(lvl) {
+  return lvl < 20 ? 2 : 3;
+}
+
+function hintBoardKey() {
+  return JSON.stringify([state.bottles, state.locked, state.revealDepthPct]);
+}
+
+function hintsLeft() {
+  if (sandbox === "daily") return 0; // the daily is ranked: no help
+  return Math.max(0, hintBudgetFor(level) - hintsUsed);
+}
+
+function renderHintBtn() {
+  if (!hintBtn) return;
+  const left = hintsLeft();
+  hintBtn.textContent = `Hint ${left}`;
+  hintBtn.disabled = left === 0;
+  hintBtn.title = left
+    ? `${left} hint${left === 1 ? "" : "s"} left this level`
+    : sandbox === "daily"
+    ? "No hints in the Daily Experiment"
+    : "No hints left this level";
+}
+
+function clearHint() {
+  if (hintTimer) clearTimeout(hintTimer);
+  hintTimer = 0;
+  if (!hintMove) return;
+  hintMove = null;
+  for (const el of bottleEls) el?.classList.remove("hintFrom", "hintTo");
+}
+
+function showHintPair(from, to) {
+  clearHint();
+  hintMove = { from, to };
+  bottleEls[from]?.classList.add("hintFrom");
+  bottleEls[to]?.classList.add("hintTo");
+  hintTimer = setTimeout(clearHint, HINT_SHOW_MS);
 }
 
+async function showHintDenial() {
+  const myLevel = level;
+  const line = await fetchVoiceLine("hint_denial");
+  if (myLevel !== level || introIsActive() || deadlockActive) return;
+  const r = makeRng(hashSeed(runSeed, level, hintsUsed, rules.moveIndex, 8282));
+  const text = line?.text || r.pick(HINT_DENIAL_LINES);
 
-function checkStabilizerUnlock() {
-  if (!state.stabilizer || state.stabilizer.unlocked) return;
-  if (state.stabilizer.unlock !== "UR_full") return;
+  try {
+    dmToken++;
+    showDMOverlay();
+    applySpeechTheme();
+    setDMAvatar({ mood: "amused", seedKey: 8181 });
+    setDMSpeech({ title: "Hint denied.", body: text, small: "Not charged. Ask again if you must." });
+
+    const my = dmToken;
+    setTimeout(() => {
+      if (dmToken !== my) return;
+      if (!introIsActive() && !deadlockActive) hideDMOverlay();
+    }, 2400);
+  } catch {}
+}
+
+/**
+ * Hint button: the DM may refuse (never twice in a row, never charged);
+ * otherwise one charge buys a highlighted next pour.
+ */
+function requestHint() {
+  if (modOverlayOpen || introIsActive() || deadlockActive || inputLocked || recipePending || sandbox === "replay" || sandbox === "editor") return;
+  const key = hintBoardKey();
+  if (lastHint?.key === key) {
+    showHintPair(lastHint.hint.from, lastHint.hint.to);
+    return;
+  }
+  if (!hintsLeft()) {
+    showToast(sandbox === "daily" ? "No hints in the Daily Experiment." : "No hints left this level.");
+    return;
+  }
+
+  const budget = hintBudgetFor(level);
+  const base = { eventType: "hint_request", level: level, moveIndex: rules.moveIndex, budget };
 
-  const urIndex = currentElements.indexOf("UR");
-  if (urIndex < 0) return;
+  const r = makeRng(hashSeed(runSeed, level, hintsUsed, rules.moveIndex, 8181));
+  if (!hintRefusedLast && r.f() < HINT_REFUSE_CHANCE) {
+    hintRefusedLast = true;
+    pushTelemetry({ ...base, outcome: "refused", hintsUsed });
+    showHintDenial();
+    return;
+  }
+  hintRefusedLast = false;
 
-  const cap = state.capacity;
-  const hasFullUR = state.bottles.some(
-    (b) => b.length === cap && b.every((x) => x === urIndex)
+  const hint = suggestHint(
+    { ...solverBoardFromState(), revealDepthPct: state.revealDepthPct },
+    { lastMove: lastPourMove }
   );
-  if (hasFullUR) {
-    const idx = state.stabilizer.idx;
-    state.locked[idx] = false;
-    state.hiddenSegs[idx] = false;
-    state.stabilizer.unlocked = true;
-    playSFX(SFX.bottleOpened);
-    showToast("Clarity unlocked. Now stop panicking.");
-    render();
-    redrawAllBottles();
+  if (!hint) {
+    pushTelemetry({ ...base, outcome: "none", hintsUsed });
+    showToast("No legal pour. Retry the level.");
+    return;
   }
+
+  hintsUsed++;
+  lastHint = { key, hint };
+  state.selected = NO_SELECTION;
+  render();
+  showHintPair(hint.from, hint.to);
+  playSFX(r.pick(HINT_SFX));
+  pushTelemetry({
+    ...base,
+    outcome: "shown",
+    hintsUsed,
+    source: hint.source,
+    from: hint.from,
+    to: hint.to,
+    movesLeft: hint.movesLeft,
+    solvable: hint.solvable,
+  });
+  showToast(
+    hint.solvable === false
+      ? "This mixture is already lost. Best pour shown anyway."
+      : `Pour ${hint.from + 1} → ${hint.to + 1}.${hint.movesLeft ? ` ~${hint.movesLeft} pours to go.` : ""}`
+  );
+  renderHintBtn();
+  persistRun();
 }
 
 /* ---------------- Canvas liquid rendering ---------------- */
 const bottleEls = [];
 const bottleCanvases = [];
 const bottleTiltRad = [];
+// What each canvas last drew (see bottleDrawKey); a canvas is only redrawn when its key changes.
+const bottleDrawKeys = [];
 let rafResize = 0;
 
 function getRoleTextureUrl(role) {
@@ -2574,6 +3263,86 @@ function getRoleTextureUrl(role) {
   return "assets/elements/textures/pattern_grid.svg";
 }
 
+// Symbol mode: one generated tile per (pattern, ink) pair, see colorVision.js.
+const SLOT_TILE_PX = 14;
+const slotTileCache = new Map();
+function getSlotTile(kind, ink, dpr) {
+  const s = Math.round(SLOT_TILE_PX * dpr);
+  const key = `${kind}|${ink}|${s}`;
+  if (slotTileCache.has(key)) return slotTileCache.get(key);
+  const tile = document.createElement("canvas");
+  tile.width = tile.height = s;
+  const t = tile.getContext("2d");
+  if (t) drawSlotTile(t, kind, ink, s);
+  slotTileCache.set(key, tile);
+  return tile;
+}
+
+function drawSlotTile(t, kind, ink, s) {
+  const lw = Math.max(1, s * 0.12);
+  t.fillStyle = ink;
+  t.strokeStyle = ink;
+  t.lineWidth = lw;
+  t.beginPath();
+  switch (kind) {
+    case "dots":
+      t.arc(s / 2, s / 2, s * 0.16, 0, Math.PI * 2);
+      t.fill();
+      return;
+    case "horizontal":
+      t.fillRect(0, s * 0.4, s, s * 0.2);
+      return;
+    case "vertical":
+      t.fillRect(s * 0.4, 0, s * 0.2, s);
+      return;
+    case "checker":
+      t.fillRect(0, 0, s / 2, s / 2);
+      t.fillRect(s / 2, s / 2, s / 2, s / 2);
+      return;
+    case "grid":
+      t.fillRect(0, 0, s, lw);
+      t.fillRect(0, 0, lw, s);
+      return;
+    case "rings":
+      t.arc(s / 2, s / 2, s * 0.3, 0, Math.PI * 2);
+      break;
+    case "zigzag":
+      t.moveTo(0, s * 0.65);
+      t.lineTo(s / 2, s * 0.35);
+      t.lineTo(s, s * 0.65);
+      break;
+    default:
+      // diagonals run corner to corner, plus the neighbours' so the tile repeats seamlessly
+      for (let k = -1; k <= 1; k++) {
+        if (kind !== "antidiagonal") {
+          t.moveTo(k * s, s);
+          t.lineTo(k * s + s, 0);
+        }
+        if (kind === "antidiagonal" || kind === "crosshatch") {
+          t.moveTo(k * s, 0);
+          t.lineTo(k * s + s, s);
+        }
+      }
+  }
+  t.stroke();
+}
+
+function drawSegmentSymbol(ctx, text, fill, x, y, w, h) {
+  const size = Math.max(7, Math.min(h * 0.5, w * 0.34));
+  const ink = inkFor(fill);
+  ctx.save();
+  ctx.font = `900 ${size}px system-ui, sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineJoin = "round";
+  ctx.lineWidth = Math.max(1, size * 0.16);
+  ctx.strokeStyle = ink === "#ffffff" ? "rgba(0,0,0,.55)" : "rgba(255,255,255,.55)";
+  ctx.fillStyle = ink;
+  ctx.strokeText(text, x + w / 2, y + h / 2);
+  ctx.fillText(text, x + w / 2, y + h / 2);
+  ctx.restore();
+}
+
 const patternImgCache = new Map();
 function getPatternImage(url) {
   if (patternImgCache.has(url)) return patternImgCache.get(url);
@@ -2581,6 +3350,7 @@ function getPatternImage(url) {
   img.decoding = "async";
   img.loading = "eager";
   img.src = url;
+  img.addEventListener("load", redrawAllBottlesNow, { once: true });
   patternImgCache.set(url, img);
   return img;
 }
@@ -2604,6 +3374,26 @@ const vialAlphaImg = new Image();
 vialAlphaImg.decoding = "async";
 vialAlphaImg.loading = "eager";
 vialAlphaImg.src = VIAL_ALPHA_URL;
+vialAlphaImg.addEventListener("load", redrawAllBottlesNow, { once: true });
+
+// Per-shape alpha masks (vessels.js). Shapes without their own mask art use the
+// vial's; add a shape here once its chemset folder has an alpha PNG.
+const VESSEL_ALPHA_URLS = { vial: VIAL_ALPHA_URL };
+const vesselAlphaImgs = { vial: vialAlphaImg };
+
+function alphaImageFor(shape) {
+  const url = VESSEL_ALPHA_URLS[shape];
+  if (!url) return vialAlphaImg;
+  if (!vesselAlphaImgs[shape]) {
+    const img = new Image();
+    img.decoding = "async";
+    img.src = url;
+    img.addEventListener("load", redrawAllBottlesNow, { once: true });
+    vesselAlphaImgs[shape] = img;
+  }
+  const img = vesselAlphaImgs[shape];
+  return img.complete && img.naturalWidth > 0 ? img : vialAlphaImg;
+}
 
 function cssVarPx(el, name, fallback = 0) {
   const v = getComputedStyle(el).getPropertyValue(name).trim();
@@ -2620,11 +3410,12 @@ function computeContainBottomBox(canvasW, canvasH, imgW, imgH) {
   return { dx, dy, dw, dh, scale };
 }
 
-function applyAlphaMask(ctx, bottleEl, w, h, dpr) {
-  if (!vialAlphaImg.complete || vialAlphaImg.naturalWidth <= 0) return;
+function applyAlphaMask(ctx, bottleEl, w, h, dpr, shape = DEFAULT_VESSEL) {
+  const alphaImg = alphaImageFor(shape);
+  if (!alphaImg.complete || alphaImg.naturalWidth <= 0) return;
 
-  const imgW = vialAlphaImg.naturalWidth;
-  const imgH = vialAlphaImg.naturalHeight;
+  const imgW = alphaImg.naturalWidth;
+  const imgH = alphaImg.naturalHeight;
 
   // chamber in canvas px
   const chTop = cssVarPx(bottleEl, "--ch-top", 0) * dpr;
@@ -2651,7 +3442,7 @@ function applyAlphaMask(ctx, bottleEl, w, h, dpr) {
   ctx.translate(innerX, innerY);
 
   ctx.drawImage(
-    vialAlphaImg,
+    alphaImg,
     0,
     0,
     imgW,
@@ -2665,12 +3456,33 @@ function applyAlphaMask(ctx, bottleEl, w, h, dpr) {
   ctx.restore();
 }
 
+// Everything a bottle's canvas depends on: size, contents, clouding, tilt, palette, symbol mode.
+function bottleDrawKey(i, w, h, dpr) {
+  const b = state.bottles[i] || [];
+  return [
+    `${w}x${h}@${dpr}`,
+    shapeAt(state, i),
+    capOf(i),
+    state.hiddenSegs[i] ? "H" : "",
+    state.sealedUnknown?.[i] ? `S${state.revealDepthPct?.[i] ?? 1}` : "",
+    (bottleTiltRad[i] || 0).toFixed(4),
+    b.join(","),
+    b.map((x) => (x === WILDCARD ? "*" : `${currentElements[x]}${currentPalette[x]}`)).join(","),
+    prefs.segmentSymbols ? "sym" : "",
+  ].join("|");
+}
+
 function drawBottleLiquid(i) {
   const canvas = bottleCanvases[i];
   const bottleEl = bottleEls[i];
   if (!canvas || !bottleEl) return;
 
   const { w, h, dpr } = resizeCanvasToCSS(canvas);
+  // resizing clears the canvas, so a new size is a new key
+  const key = bottleDrawKey(i, w, h, dpr);
+  if (bottleDrawKeys[i] === key) return;
+  bottleDrawKeys[i] = key;
+
   const ctx = canvas.getContext("2d");
   if (!ctx) return;
 
@@ -2679,7 +3491,7 @@ function drawBottleLiquid(i) {
   if (state.hiddenSegs[i]) return;
 
   const b = state.bottles[i] || [];
-  const cap = state.capacity;
+  const cap = capOf(i);
   if (!b.length) return;
 
   const chTop = cssVarPx(bottleEl, "--ch-top", 0) * dpr;
@@ -2705,22 +3517,28 @@ function drawBottleLiquid(i) {
 
   const tilt = bottleTiltRad[i] || 0;
   const slant = Math.tan(tilt) * (innerW * 0.18);
+  const eff = effectiveColors(b);
 
   for (let s = 0; s < cap; s++) {
-    const idx = b[s] ?? null;
-    if (idx === null || idx === undefined) continue;
+    const raw = b[s] ?? null;
+    if (raw === null || raw === undefined) continue;
 
     // Clouded segments: hide identity below the currently visible top layers.
     // Note: segments still have real values; only rendering is obscured.
     const isClouded = isSU && s < hiddenBelow;
 
-    const sym = currentElements[idx];
+    // Wildcards draw in the colour they resolved to (pure wildcards get a prism fill).
+    const isWild = raw === WILDCARD;
+    const idx = isWild ? eff[s] : raw;
+    const sym = idx !== WILDCARD ? currentElements[idx] : null;
     const el = ELEMENTS?.[sym];
-    let fill = el?.color || currentPalette[idx] || "#fff";
+    const color = currentPalette[idx] || el?.color || "#fff";
+    let fill = color;
+    if (isWild && idx === WILDCARD) fill = wildcardPrismFill(ctx, innerX, innerW);
     if (isClouded) fill = "rgba(120,130,150,.55)";
-    const role = el?.role || "";
-    const texUrl = getRoleTextureUrl(role);
-    const img = getPatternImage(texUrl);
+    // symbol mode swaps the role texture for the slot's own pattern (never on clouded layers)
+    const slotTile = prefs.segmentSymbols && sym && !isClouded ? getSlotTile(slotPattern(idx), inkFor(color), dpr) : null;
+    const img = prefs.segmentSymbols ? null : getPatternImage(getRoleTextureUrl(el?.role || ""));
 
     const yBottom = innerY + (innerH - (s + 1) * cellH);
     const yTop = innerY + (innerH - s * cellH);
@@ -2770,6 +3588,22 @@ function drawBottleLiquid(i) {
         ctx.restore();
       }
     }
+
+    if (slotTile) {
+      const pat = ctx.createPattern(slotTile, "repeat");
+      if (pat) {
+        ctx.save();
+        ctx.globalAlpha = 0.3;
+        ctx.fillStyle = pat;
+        ctx.fillRect(innerX, yBottom, innerW, cellH);
+        ctx.restore();
+      }
+    }
+
+    if (isWild && !isClouded) drawWildcardMark(ctx, innerX, yBottom, innerW, cellH, !prefs.segmentSymbols);
+    if (prefs.segmentSymbols && !isClouded && (sym || isWild)) {
+      drawSegmentSymbol(ctx, isWild ? `✱${sym || ""}` : sym, isWild && !sym ? "#ffffff" : color, innerX, yBottom, innerW, cellH);
+    }
   }
 
   ctx.save();
@@ -2782,13 +3616,57 @@ function drawBottleLiquid(i) {
   ctx.fillRect(0, 0, w, h);
   ctx.restore();
 
-  applyAlphaMask(ctx, bottleEl, w, h, dpr);
+  applyAlphaMask(ctx, bottleEl, w, h, dpr, shapeAt(state, i));
 }
 
+function wildcardPrismFill(ctx, x, w) {
+  const g = ctx.createLinearGradient(x, 0, x + w, 0);
+  g.addColorStop(0, "#ff5fa2");
+  g.addColorStop(0.35, "#ffe25f");
+  g.addColorStop(0.65, "#5fffc8");
+  g.addColorStop(1, "#6a7dff");
+  return g;
+}
+
+// Wildcard marker: sheen + hollow diamond so resolved wildcards stay recognisable.
+// diamond=false leaves just the band (symbol mode writes "✱" instead).
+function drawWildcardMark(ctx, x, y, w, h, diamond = true) {
+  ctx.save();
+  ctx.globalAlpha = 0.28;
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(x, y, w, h * 0.18);
+  if (!diamond) {
+    ctx.restore();
+    return;
+  }
+
+  const cx = x + w * 0.5;
+  const cy = y + h * 0.5;
+  const r = Math.max(3, Math.min(w, h) * 0.22);
+  ctx.globalAlpha = 0.9;
+  ctx.strokeStyle = "rgba(255,255,255,.95)";
+  ctx.lineWidth = Math.max(1.5, r * 0.28);
+  ctx.beginPath();
+  ctx.moveTo(cx, cy - r);
+  ctx.lineTo(cx + r, cy);
+  ctx.lineTo(cx, cy + r);
+  ctx.lineTo(cx - r, cy);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/** Redraw the bottles whose canvas is out of date (cheap when nothing changed). */
 function redrawAllBottles() {
   for (let i = 0; i < state.bottles.length; i++) drawBottleLiquid(i);
 }
 
+// Something outside the draw key changed (a texture or mask loaded, fonts settled): draw everything.
+function redrawAllBottlesNow() {
+  bottleDrawKeys.length = 0;
+  requestRedraw();
+}
+
 function requestRedraw() {
   if (rafResize) cancelAnimationFrame(rafResize);
   rafResize = requestAnimationFrame(() => {
@@ -2807,11 +3685,12 @@ if (window.visualViewport) {
 
 // â Force a redraw after first layout + after fonts settle
 requestAnimationFrame(() => requestAnimationFrame(requestRedraw));
-document.fonts?.ready?.then?.(() => requestRedraw());
+document.fonts?.ready?.then?.(() => redrawAllBottlesNow());
 setTimeout(requestRedraw, 80);
 
 /* ---------------- Pour + win ---------------- */
 let levelInvalid = 0;
+let levelUndos = 0; // journal undos this level (scoring)
 let punishedThisLevel = false;
 
 // Rule #2 telemetry: track keystone bottle fill progress (designated bottle only)
@@ -2819,63 +3698,25 @@ let lastKeystoneProgress = null;
 
 function applyPourState(from, to) {
   pushUndoSnapshot();
+  const journalBefore = journalSnapshot();
+  clearHint();
+  lastPourMove = { from, to };
   playSFX(SFX.bottlePour);
 
-  const a = state.bottles[from],
-    b = state.bottles[to];
-  const run = topRunCount(a);
-  const space = state.capacity - b.length;
-  const amount = Math.min(run, space);
-
-
-  // telemetry: pour execute (movedCount known here)
-  pushTelemetry({
-    eventType: "pour_execute",
-    level: level,
-    moveIndex: levelMoveIndex,
-    from,
-    to,
-    movedCount: amount,
-    fromType: bottleTypeForTelemetry(from),
-    toType: bottleTypeForTelemetry(to),
-    lockedFrom: !!state.locked?.[from],
-    lockedTo: !!state.locked?.[to],
-  });
-
-
-  for (let i = 0; i < amount; i++) b.push(a.pop());
+  const toBefore = state.bottles[to].slice();
 
-  // Rule #3 (Sealed Unknown): each removed top segment reveals one deeper segment.
-  if (amount > 0 && state.sealedUnknown?.[from]) {
-    const step = 1 / Math.max(1, state.capacity);
-    const cur = Number.isFinite(state.revealDepthPct?.[from])
-      ? state.revealDepthPct[from]
-      : 1;
-    state.revealDepthPct[from] = Math.min(1, cur + step * amount);
+  // the engine moves the segments and reveals Sealed Unknown layers (events: onRulesEvent)
+  const { amount, solved } = rules.pour(from, to);
+  announce(describePour({ from, to, amount, name: segName(topColor(state.bottles[to])), solved }));
 
-    // telemetry: unknown reveal (Rule #3)
-    const nextReveal = state.revealDepthPct[from];
-    if (nextReveal > cur + 1e-6) {
-    // If emptied, stop showing as partially revealed.
-    if (!state.bottles[from]?.length) state.revealDepthPct[from] = 1;
-  }
+  const reacted = applyPourReactions(to, toBefore);
 
-  }
   sig.moves++;
   syncInfoPanel();
 
-  levelMoveIndex++;
-  markTouched(from);
-  markTouched(to);
-  tickInstabilityAfterValidMove();
-
-  checkStabilizerUnlock();
-
-  // Rule #2: keystone unlock gate
-  checkKeystoneUnlock();
-
-  // Soft-deadlock tracking (after a valid move updates state)
-  recordSoftDeadlockStep();
+  // move count, instability, stabilizer + keystone gates, deadlock window
+  const collapsed = rules.settle(from, to).collapse;
+  if (collapsed) handleCollapse();
 
   // telemetry: keystone progress (designated bottle only)
   try {
@@ -2884,13 +3725,13 @@ function applyPourState(from, to) {
     const target = ks?.idx;
     if (bi !== null && bi !== undefined && Number.isInteger(bi) && target !== null && target !== undefined) {
       const b = state.bottles[bi] || [];
-      const count = b.reduce((n,x)=> n + (x===target), 0);
+      const count = effectiveColors(b).reduce((n,x)=> n + (x===target), 0);
       if (lastKeystoneProgress === null) lastKeystoneProgress = count;
       if (count !== lastKeystoneProgress) {
         pushTelemetry({
           eventType: "keystone_progress",
           level: level,
-          moveIndex: levelMoveIndex,
+          moveIndex: rules.moveIndex,
           bottleIndex: bi,
           elementSym: ks.sym,
           countInBottle: count,
@@ -2901,32 +3742,41 @@ function applyPourState(from, to) {
     }
   } catch {}
 
-  if (isSolved()) {
+  recordJournalPour(from, to, amount, journalBefore);
+  // the lab's reactions stick: no free undo back past the pour that caused one
+  if (reacted) journal.seal();
 
-    pushTelemetry({
-      eventType: "level_end",
-      level: level,
-      moveIndex: levelMoveIndex,
-      result: "win",
-      moves: sig.moves,
-      invalid: sig.invalid,
-      undos: sig.undos,
-    });
-    showToast("Solved. Next level.");
-    nextLevel();
+  // replays, editor tests and the daily handle their own end (no results, no DM, no next level)
+  if (sandbox) {
+    render();
+    redrawAllBottles();
+    if (sandbox === "test") afterTestPour();
+    if (sandbox === "daily") afterDailyPour();
+    return true;
+  }
+
+  // the collapse ended the attempt: no second level_end, and its fail card stays up
+  if (collapsed) {
+    persistRun();
+    return true;
+  }
+
+  if (isSolved(state)) {
+    finishLevelWin();
     return true;
   }
 
   render();
   redrawAllBottles();
+  persistRun();
 
-  const softDead = isSoftDeadlocked();
-  if (!isSolved() && (!hasAnyPlayableMove() || softDead)) {
+  const softDead = rules.isSoftDeadlocked();
+  if (!isSolved(state) && (!hasAnyPlayableMove(state) || softDead)) {
 
     pushTelemetry({
       eventType: "level_end",
       level: level,
-      moveIndex: levelMoveIndex,
+      moveIndex: rules.moveIndex,
       result: softDead ? "soft_deadlock" : "deadlock",
       moves: sig.moves,
       invalid: sig.invalid,
@@ -2951,9 +3801,10 @@ function invalidWiggle(i) {
 async function animateTransferThenPour(from, to) {
   const aEl = bottleEls[from];
   const bEl = bottleEls[to];
-  if (!aEl || !bEl) return applyPourState(from, to);
+  // reduced motion: no flight, the pour lands at once
+  if (!aEl || !bEl || !moveAnimMs) return applyPourState(from, to);
 
-  lockInput(MOVE_ANIM_MS + INPUT_LOCK_PADDING_MS);
+  lockInput(moveAnimMs + INPUT_LOCK_PADDING_MS);
 
   const a = aEl.getBoundingClientRect();
   const b = bEl.getBoundingClientRect();
@@ -2961,7 +3812,7 @@ async function animateTransferThenPour(from, to) {
   const dy = b.top + b.height * 0.25 - (a.top + a.height * 0.25);
 
   const dir = dx >= 0 ? 1 : -1;
-  const tiltDeg = dir * TILT_MAX_DEG;
+  const tiltDeg = dir * tiltMaxDeg;
   const tiltRad = (tiltDeg * Math.PI) / 180;
 
   const keyframes = [
@@ -2977,13 +3828,13 @@ async function animateTransferThenPour(from, to) {
     { transform: `translate3d(0,0,0) rotate(0deg)`, offset: 1 },
   ];
   const timing = {
-    duration: MOVE_ANIM_MS,
+    duration: moveAnimMs,
     easing: "cubic-bezier(.15,.9,.15,1)",
     fill: "none",
   };
 
   const t0 = performance.now();
-  const dur = MOVE_ANIM_MS;
+  const dur = moveAnimMs;
 
   const anim = aEl.animate(keyframes, timing);
 
@@ -3008,77 +3859,209 @@ async function animateTransferThenPour(from, to) {
   applyPourState(from, to);
 }
 
-/* ---------------- Render bottles ---------------- */
-function render() {
-  grid.innerHTML = "";
-  bottleEls.length = 0;
-  bottleCanvases.length = 0;
-  bottleTiltRad.length = 0;
-
-  for (let i = 0; i < state.bottles.length; i++) {
-    const bottle = document.createElement("button");
-    bottle.className = "bottle";
-    bottle.type = "button";
-
-    bottleEls[i] = bottle;
-    bottleTiltRad[i] = 0;
-
-    if (state.selected === i) bottle.classList.add("selected");
-    if (state.locked[i]) bottle.classList.add("locked");
-    if (state.hiddenSegs[i]) bottle.classList.add("hiddenSegs");
-    if (state.sealedUnknown?.[i]) bottle.classList.add("sealedUnknown");
-    if ((state.revealDepthPct?.[i] ?? 1) < 1) bottle.classList.add("partiallyRevealed");
-    if (state.keystone?.bottleIndex === i && !state.keystone?.unlocked) bottle.classList.add("keystoneTarget");
-
-    const stg = instabilityStage[i] || 0;
-    if (stg === 1) bottle.classList.add("unstable1");
-    if (stg === 2) bottle.classList.add("unstable2");
-    if (stg >= 3) bottle.classList.add("unstable3");
-
-    bottle.addEventListener("pointerdown", () => bottle.classList.add("pressed"));
-    const clearPressed = () => bottle.classList.remove("pressed");
-    bottle.addEventListener("pointerup", clearPressed);
-    bottle.addEventListener("pointercancel", clearPressed);
-    bottle.addEventListener("pointerleave", clearPressed);
-
-    bottle.addEventListener("pointerup", (e) => {
-      if (e.pointerType === "mouse" && e.button !== 0) return;
-      handleBottleTap(i);
-    });
+/* ---------------- Screen reader + keyboard (see a11y.js) ---------------- */
+// Roving focus: one bottle is in the tab order; arrows move it. render() puts focus
+// back on gridFocus when the grid had it (a tap or a removed bottle can move it).
+let gridFocus = 0;
 
-    const canvas = document.createElement("canvas");
-    canvas.className = "liquidCanvas";
-    canvas.setAttribute("aria-hidden", "true");
-    bottleCanvases[i] = canvas;
+function segName(idx) {
+  return idx === WILDCARD ? "wildcard" : elementName(currentElements[idx]);
+}
 
-    const halo = document.createElement("div");
-    halo.className = "bottleHalo";
-    halo.setAttribute("aria-hidden", "true");
+function bottleLabel(i, visible) {
+  const shape = shapeAt(state, i);
+  return describeBottle({
+    index: i,
+    total: state.bottles.length,
+    segments: state.bottles[i] || [],
+    capacity: capOf(i),
+    vessel: shape !== DEFAULT_VESSEL ? VESSELS[shape].name.toLowerCase() : "",
+    visible: state.hiddenSegs[i] ? 0 : visible,
+    nameOf: segName,
+    corked: !!state.locked[i],
+    sealed: !!state.sealedUnknown?.[i],
+    collector: state.keystone?.bottleIndex === i && !state.keystone?.unlocked,
+    stage: rules.instabilityStage[i] || 0,
+  });
+}
 
-    bottle.appendChild(canvas);
-    bottle.appendChild(halo);
+function gridColumns() {
+  const cols = getComputedStyle(grid).gridTemplateColumns.split(" ").filter(Boolean).length;
+  return cols || 5;
+}
 
-    grid.appendChild(bottle);
-  }
+function focusBottle(i) {
+  if (!bottleEls.length) return;
+  gridFocus = Math.max(0, Math.min(bottleEls.length - 1, i));
+  bottleEls.forEach((el, k) => (el.tabIndex = k === gridFocus ? 0 : -1));
+  bottleEls[gridFocus].focus();
+}
 
+// Polite live region: pours, blocked pours. Cleared first so a repeat is re-read.
+function announce(msg) {
+  if (!statusOut || !msg) return;
+  statusOut.textContent = "";
   requestAnimationFrame(() => {
-    redrawAllBottles();
+    statusOut.textContent = msg;
   });
 }
 
-/* ---------------- Input ---------------- */
-function handleBottleTap(i) {
-  if (modOverlayOpen) return;
-  if (introIsActive()) return;
-  if (deadlockActive) return;
-  if (inputLocked) return;
-
-
-  // telemetry: bottle select
-  pushTelemetry({
+grid.addEventListener("keydown", (e) => {
+  const i = bottleEls.indexOf(e.target);
+  if (i < 0) return;
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    if (!e.repeat) handleBottleTap(i);
+    return;
+  }
+  const next = gridMove(i, e.key, bottleEls.length, gridColumns());
+  if (next === null) return;
+  e.preventDefault();
+  focusBottle(next);
+});
+
+/* ---------------- Render bottles ---------------- */
+// Keyed by bottle index: render() creates a bottle's button and canvas once, then
+// only touches the classes and attributes that changed. Canvases redraw through
+// their draw keys, so a selection or a pour repaints just the bottles it changed.
+function createBottleEl(i) {
+  const bottle = document.createElement("button");
+  bottle.className = "bottle";
+  bottle.type = "button";
+
+  const canvas = document.createElement("canvas");
+  canvas.className = "liquidCanvas";
+  canvas.setAttribute("aria-hidden", "true");
+
+  const halo = document.createElement("div");
+  halo.className = "bottleHalo";
+  halo.setAttribute("aria-hidden", "true");
+
+  bottle.appendChild(canvas);
+  bottle.appendChild(halo);
+
+  bottleEls[i] = bottle;
+  bottleCanvases[i] = canvas;
+  bottleTiltRad[i] = 0;
+  bottleDrawKeys[i] = "";
+  return bottle;
+}
+
+function setAttr(el, name, value) {
+  if (value === null) {
+    if (el.hasAttribute(name)) el.removeAttribute(name);
+  } else if (el.getAttribute(name) !== value) {
+    el.setAttribute(name, value);
+  }
+}
+
+function syncBottleEl(i, bottle, maxCap, visible) {
+  const shape = shapeAt(state, i);
+  for (const k of VESSEL_SHAPES) {
+    if (k !== DEFAULT_VESSEL) bottle.classList.toggle(`vessel-${k}`, k === shape);
+  }
+  setAttr(bottle, "title", shape !== DEFAULT_VESSEL ? `${VESSELS[shape].name} · holds ${capOf(i)}` : null);
+  const scale = capOf(i) !== maxCap ? String(capOf(i) / maxCap) : "";
+  if (bottle.style.getPropertyValue("--vessel-scale") !== scale) {
+    if (scale) bottle.style.setProperty("--vessel-scale", scale);
+    else bottle.style.removeProperty("--vessel-scale");
+  }
+  setAttr(bottle, "aria-label", bottleLabel(i, visible[i]));
+  setAttr(bottle, "aria-pressed", state.selected === i ? "true" : "false");
+  if (bottle.tabIndex !== (i === gridFocus ? 0 : -1)) bottle.tabIndex = i === gridFocus ? 0 : -1;
+
+  const stg = rules.instabilityStage[i] || 0;
+  const cls = bottle.classList;
+  cls.toggle("selected", state.selected === i);
+  cls.toggle("locked", !!state.locked[i]);
+  cls.toggle("hiddenSegs", !!state.hiddenSegs[i]);
+  cls.toggle("sealedUnknown", !!state.sealedUnknown?.[i]);
+  cls.toggle("partiallyRevealed", (state.revealDepthPct?.[i] ?? 1) < 1);
+  cls.toggle("keystoneTarget", state.keystone?.bottleIndex === i && !state.keystone?.unlocked);
+  cls.toggle("hintFrom", hintMove?.from === i);
+  cls.toggle("hintTo", hintMove?.to === i);
+  cls.toggle("unstable1", stg === 1);
+  cls.toggle("unstable2", stg === 2);
+  cls.toggle("unstable3", stg >= 3);
+}
+
+function render() {
+  const hadFocus = grid.contains(document.activeElement);
+  const n = state.bottles.length;
+  // vessels scale with capacity so a segment is the same height in every shape
+  const maxCap = Math.max(1, ...state.bottles.map((_, i) => capOf(i)));
+  const visible = visibleCounts({ ...solverBoardFromState(), revealDepthPct: state.revealDepthPct });
+  gridFocus = Math.max(0, Math.min(n - 1, gridFocus));
+
+  // add or drop bottles at the end (new level, Equilibrium Vessel, the editor)
+  for (let i = bottleEls.length; i < n; i++) grid.appendChild(createBottleEl(i));
+  for (let i = bottleEls.length - 1; i >= n; i--) bottleEls[i].remove();
+  for (const arr of [bottleEls, bottleCanvases, bottleTiltRad, bottleDrawKeys]) arr.length = Math.min(arr.length, n);
+
+  for (let i = 0; i < n; i++) syncBottleEl(i, bottleEls[i], maxCap, visible);
+
+  renderHintBtn();
+  renderJournalBtns();
+  renderDailyBar();
+  if (hadFocus && document.activeElement !== bottleEls[gridFocus]) focusBottle(gridFocus);
+
+  requestAnimationFrame(() => {
+    redrawAllBottles();
+  });
+}
+
+// One set of pointer listeners for the whole grid (the bottles outlive each render).
+let pressedBottle = null;
+
+function bottleIndexOf(e) {
+  const el = e.target?.closest?.(".bottle");
+  return el ? bottleEls.indexOf(el) : -1;
+}
+
+function clearPressed() {
+  pressedBottle?.classList.remove("pressed");
+  pressedBottle = null;
+}
+
+grid.addEventListener("pointerdown", (e) => {
+  const i = bottleIndexOf(e);
+  clearPressed();
+  if (i < 0) return;
+  pressedBottle = bottleEls[i];
+  pressedBottle.classList.add("pressed");
+});
+
+grid.addEventListener("pointerup", (e) => {
+  clearPressed();
+  const i = bottleIndexOf(e);
+  if (i < 0) return;
+  if (e.pointerType === "mouse" && e.button !== 0) return;
+  gridFocus = i;
+  handleBottleTap(i);
+});
+
+grid.addEventListener("pointercancel", clearPressed);
+grid.addEventListener("pointerout", (e) => {
+  if (pressedBottle && !pressedBottle.contains(e.relatedTarget)) clearPressed();
+});
+
+/* ---------------- Input ---------------- */
+function handleBottleTap(i) {
+  if (sandbox === "replay") return;
+  if (sandbox === "editor") return editorTap(i);
+  if (levelResult) return;
+  if (modOverlayOpen) return;
+  if (introIsActive()) return;
+  if (deadlockActive) return;
+  if (inputLocked) return;
+  // the next level's recipe is still brewing; the board on screen is the last level's
+  if (recipePending) return;
+
+  // telemetry: bottle select
+  pushTelemetry({
     eventType: "bottle_select",
     level: level,
-    moveIndex: levelMoveIndex,
+    moveIndex: rules.moveIndex,
     bottleIndex: i,
     bottleType: bottleTypeForTelemetry(i),
     revealDepthPct: Number.isFinite(state.revealDepthPct?.[i]) ? state.revealDepthPct[i] : 1,
@@ -3102,9 +4085,10 @@ function handleBottleTap(i) {
     pushTelemetry({
       eventType: "deco_key_use",
       level: level,
-      moveIndex: levelMoveIndex,
+      moveIndex: rules.moveIndex,
     });
 uncorkAllCorkedBottles("deco");
+    recordJournalModifier("DECOHERENCE_KEY", i);
     modState.targeting = null;
     renderModifiers();
     maOneLiner(MODIFIERS.DECOHERENCE_KEY.maLine);
@@ -3115,15 +4099,16 @@ uncorkAllCorkedBottles("deco");
   if (sig.lastMoveAt) sig.moveTimes.push(now - sig.lastMoveAt);
   sig.lastMoveAt = now;
 
-  if (state.selected < 0) {
+  const tap = tapAction(state, i);
+  if (tap === "select") {
     state.selected = i;
     render();
     redrawAllBottles();
     return;
   }
 
-  if (state.selected === i) {
-    state.selected = -1;
+  if (tap === "deselect") {
+    state.selected = NO_SELECTION;
     render();
     redrawAllBottles();
     return;
@@ -3132,16 +4117,16 @@ uncorkAllCorkedBottles("deco");
   const from = state.selected;
   const to = i;
 
-  state.selected = -1;
+  state.selected = NO_SELECTION;
   render();
   redrawAllBottles();
 
   // telemetry: pour attempt (player)
-  const _pourInfo = canPourInfo(from, to);
+  const _pourInfo = canPourInfo(state, from, to);
   pushTelemetry({
     eventType: "pour_attempt",
     level: level,
-    moveIndex: levelMoveIndex,
+    moveIndex: rules.moveIndex,
     from,
     to,
     legal: _pourInfo.legal,
@@ -3152,19 +4137,20 @@ uncorkAllCorkedBottles("deco");
     lockedTo: !!state.locked?.[to],
   });
 
-  if (!canPour(from, to)) {
+  if (!canPour(state, from, to)) {
     sig.invalid++;
     levelInvalid++;
     syncInfoPanel();
 
     invalidWiggle(from);
     invalidWiggle(to);
+    announce(describeBlocked(from, to, _pourInfo.blockedBy));
 
     if (!punishedThisLevel && levelInvalid >= INVALID_POUR_PUNISH_THRESHOLD) {
       punishedThisLevel = true;
       const a = state.bottles[from] || [];
       const ci = a.length ? topColor(a) : null;
-      const sym = ci !== null && ci !== undefined ? currentElements[ci] : null;
+      const sym = ci !== null && ci !== undefined && ci !== WILDCARD ? currentElements[ci] : null;
       const el = sym ? ELEMENTS[sym] : null;
       const punishTag = el?.punishes || "sloppiness";
       showToast(`${el?.symbol || sym || "??"} punishes: ${punishTag}`);
@@ -3178,23 +4164,171 @@ uncorkAllCorkedBottles("deco");
   animateTransferThenPour(from, to);
 }
 
+/* ---------------- Level results (par / stars) ---------------- */
+// A win scores the level against par (scoring.js), keeps the best result per
+// seed + level, and shows a results card. The level only advances from the card,
+// so a reload with the card up brings the card back (levelStats.result).
+const LEVEL_BEST_KEY = "ma_levelBest";
+let levelResult = null; // set from the win until Next Level / Retry
+let levelBests = getJSON(LEVEL_BEST_KEY, {});
+
+const STRIKE_TEXT = {
+  MOVES: "moves over par",
+  INVALID: "invalid pours",
+  MODIFIERS: "modifier use",
+  UNDOS: "undos",
+};
+
+function parInfoText() {
+  const { par, exact } = levelPar(state.solution);
+  const best = sandbox ? null : levelBests[bestKey(runSeed, level)];
+  const parText = par === null ? "—" : `${exact ? "" : "~"}${par}`;
+  return best ? `${parText} · best ${starText(best.stars)}` : parText;
+}
+
+function finishLevelWin() {
+  const { par, exact } = levelPar(state.solution);
+  const stats = {
+    moves: journal.applied().filter((e) => e.kind === "pour").length,
+    par,
+    invalid: levelInvalid,
+    modifiers: modState.used,
+    undos: levelUndos,
+  };
+  const { stars, strikes } = starRating(stats);
+  const result = { ...stats, parExact: exact, stars, strikes, hints: hintsUsed, at: Date.now() };
+  const rec = recordBest(levelBests, bestKey(runSeed, level), result);
+  levelBests = rec.bests;
+  setJSON(LEVEL_BEST_KEY, levelBests);
+  levelResult = { ...result, isBest: rec.isBest, previous: rec.previous };
+
+  pushTelemetry({
+    eventType: "level_end",
+    level: level,
+    moveIndex: rules.moveIndex,
+    result: "win",
+    moves: sig.moves,
+    invalid: sig.invalid,
+    undos: sig.undos,
+    levelMoves: stats.moves,
+    par,
+    stars,
+  });
+
+  render();
+  syncInfoPanel();
+  redrawAllBottles();
+  persistRun();
+  showResultsCard();
+}
+
+function showResultsCard() {
+  const r = levelResult;
+  if (!r) return;
+  const prev = r.previous;
+  const lines = [
+    `Moves: ${r.moves}${r.par === null ? "" : ` (par ${r.parExact ? "" : "~"}${r.par})`}`,
+    `Invalid pours: ${r.invalid} · Undos: ${r.undos} · Modifiers: ${r.modifiers}`,
+  ];
+  if (r.strikes.length) lines.push("", `Cost you: ${[...new Set(r.strikes)].map((k) => STRIKE_TEXT[k]).join(", ")}.`);
+
+  dmToken++;
+  showDMOverlay();
+  applySpeechTheme();
+  setDMAvatar({ mood: r.stars === 3 ? "impressed" : r.stars === 2 ? "satisfied" : "disappointed", seedKey: 7300 + r.stars });
+  setDMSpeech({
+    title: `Level ${level} solved. ${starText(r.stars)}`,
+    body: lines.join("\n"),
+    small: !prev
+      ? "First clear of this level."
+      : r.isBest
+      ? `New best (was ${starText(prev.stars)} in ${prev.moves}).`
+      : `Best: ${starText(prev.stars)} in ${prev.moves} moves.`,
+    paginate: false,
+  });
+
+  const row = document.createElement("div");
+  row.style.display = "flex";
+  row.style.gap = "10px";
+  row.style.alignItems = "center";
+  row.style.marginTop = "10px";
+
+  const retryBtn = makePrimaryBtn("Retry");
+  retryBtn.addEventListener("click", () => {
+    levelResult = null;
+    hideDMOverlay();
+    startLevel();
+  });
+  const nextBtn = makePrimaryBtn("Next Level");
+  nextBtn.addEventListener("click", advanceFromResults);
+  row.appendChild(retryBtn);
+  row.appendChild(nextBtn);
+  speechText.appendChild(row);
+
+  requestAnimationFrame(() => shrinkTextToFitBubble());
+}
+
+function advanceFromResults() {
+  if (!levelResult) return;
+  levelResult = null;
+  dmToken++;
+  hideDMOverlay();
+  nextLevel();
+}
+
 /* ---------------- Level flow ---------------- */
 function startLevel() {
   deadlockActive = false;
   punishedThisLevel = false;
   levelInvalid = 0;
+  levelUndos = 0;
+  levelResult = null;
   lastKeystoneProgress = null;
+  reactionsFired = new Set();
+  hintsUsed = 0;
+  hintRefusedLast = false;
+  lastPourMove = null;
+  lastHint = null;
+  clearHint();
+  stashLastReplay();
+  journal = createMoveJournal();
 
   resetModifiersForLevel();
 
   const recipe = buildLocalRecipe();
+  const my = ++recipeRequestToken;
+  if (!wantsServerRecipe()) {
+    recipePending = false;
+    beginLevel(recipe);
+    return;
+  }
+
+  recipePending = true;
+  showBrewingDM();
+  requestServerRecipe(recipe).then(({ recipe: server, error, notes }) => {
+    if (my !== recipeRequestToken) return;
+    recipePending = false;
+    beginLevel(server || { ...recipe, source: "local", fallback: error, recipeNotes: notes }, recipe);
+  });
+}
+
+function beginLevel(recipe, localRecipe = null) {
   applyElementPalette(recipe);
-  renderThesisBar(currentThesisKey);
+  let generated = generateBottlesFromRecipe(recipe);
+  if (!generated && recipe.source === "server" && localRecipe) {
+    // never serve a server board the generator could not make playable
+    recipe = { ...localRecipe, source: "local", fallback: "UNSOLVABLE", recipeNotes: recipe.recipeNotes };
+    applyElementPalette(recipe);
+    generated = generateBottlesFromRecipe(recipe);
+  }
+  if (!generated) recipe = generateFallbackBoard(recipe);
+  state.recipeInfo = recipeInfoFrom(recipe);
+  levelMeta = { runSeed, level, questId, thesisKey: currentThesisKey, recipe, board: captureBoard(), startedAt: Date.now() };
 
-  generateBottlesFromRecipe(recipe);
+  renderThesisBar(currentThesisKey);
+  renderRecipeBar();
 
-  resetSoftDeadlock();
-  recordSoftDeadlockStep();
+  rules.resetDeadlock();
 
 
   // telemetry: level start
@@ -3202,10 +4336,15 @@ function startLevel() {
     eventType: "level_start",
     level: level,
     capacity: state.capacity,
+    mixedVessels: state.shapes.filter((sh) => sh !== DEFAULT_VESSEL).length,
     corkedCount: (recipe.corkedBottles ?? recipe.lockedBottles ?? 0),
     sealedUnknownCount: (recipe.sealedUnknownBottles ?? 0),
-    keystoneElementSym: recipe.keystoneElementSym ?? null,
-    keystoneBottleIndex: recipe.keystoneBottleIndex ?? null,
+    wildcardCount: state.wildcardCount ?? 0,
+    keystoneElementSym: state.keystone?.sym ?? null,
+    keystoneBottleIndex: state.keystone?.bottleIndex ?? null,
+    instabilityEnabled: level >= INSTABILITY_ENABLE_LEVEL,
+    recipeSource: state.recipeInfo.source,
+    recipeFallback: state.recipeInfo.fallback,
   });
 
 
@@ -3214,8 +4353,119 @@ function startLevel() {
   render();
   syncInfoPanel();
   redrawAllBottles();
+  persistRun();
+
+  if (announceKeystone()) return;
+  if (isDMLevel(level)) runDMIfAvailable();
+  else sayVoiceLine("experiment_intro");
+}
+
+/* ---------------- Server level recipes (/api/level-recipe) ---------------- */
+// DM levels ask the server to design the board. The answer is clamped by
+// recipeValidate.js; timeouts and bad data fall back to buildLocalRecipe(),
+// which is already seeded per level, so the fallback board is deterministic.
+const RECIPE_TIMEOUT_MS = 6000;
+const serverRecipeCache = new Map(); // `${runSeed}:${level}` -> recipe (retries replay the same board)
+let recipeRequestToken = 0;
+let recipePending = false;
+
+function wantsServerRecipe() {
+  return isDMLevel(level) && !!(apiBaseEl?.value || "").trim();
+}
 
-  runDMIfAvailable();
+function withTimeout(promise, ms) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error("TIMEOUT")), ms)),
+  ]);
+}
+
+async function requestServerRecipe(local) {
+  const key = `${runSeed}:${level}`;
+  if (serverRecipeCache.has(key)) return { recipe: serverRecipeCache.get(key), error: null, notes: [] };
+
+  const apiBase = (apiBaseEl?.value || "").trim();
+  const { bankPrimary, bankConfidence } = inferBANK();
+  let payload;
+  try {
+    const resp = await withTimeout(
+      singleFlight(`recipe:${key}`, () =>
+        postJSON(apiBase, "/api/level-recipe", {
+          act: actForLevel(level),
+          questId,
+          level,
+          bankPrimary,
+          bankConfidence,
+          sinTags: local.sinTags,
+          seed: runSeed,
+          modifier: pendingModifier || null,
+        })
+      ),
+      RECIPE_TIMEOUT_MS
+    );
+    payload = resp?.payload;
+  } catch (e) {
+    return { recipe: null, error: e?.message === "TIMEOUT" ? "TIMEOUT" : "REQUEST_FAILED", notes: [] };
+  }
+
+  const v = sanitizeServerRecipe(payload, {
+    thesisKey: currentThesisKey,
+    pendingModifier,
+    local,
+  });
+  if (!v.ok) return { recipe: null, error: v.errors.join(", "), notes: v.notes };
+
+  const recipe = { ...v.recipe, recipeNotes: v.notes };
+  // corks always ship with a keystone so a server board can't cork the player in
+  if (recipe.corkedBottles > 0 && !recipe.keystoneElementSym) {
+    recipe.keystoneElementSym = pickKeystoneElement(
+      currentThesisKey,
+      recipe.elements,
+      makeRng(hashSeed(runSeed, 4242, level, 5151))
+    );
+  }
+  serverRecipeCache.set(key, recipe);
+  return { recipe, error: null, notes: v.notes };
+}
+
+function recipeInfoFrom(recipe) {
+  return {
+    source: recipe.source === "server" ? "server" : "local",
+    title: recipe.title || `Level ${level}`,
+    lore: recipe.lore || "",
+    bonuses: recipe.bonuses || [],
+    constraints: recipe.constraints || [],
+    notes: recipe.recipeNotes || [],
+    fallback: recipe.fallback || null,
+  };
+}
+
+function showBrewingDM() {
+  dmToken++;
+  showDMOverlay();
+  applySpeechTheme();
+  setDMAvatar({ mood: "amused", seedKey: 4321 });
+  setDMSpeech({
+    title: "Brewing.",
+    body: "Hold still. I am designing this one myself.",
+    small: "Requesting a level recipe…",
+  });
+}
+
+function renderRecipeBar() {
+  if (!thesisRecipe) return;
+  const r = state.recipeInfo;
+  if (!r || r.source !== "server") {
+    thesisRecipe.hidden = true;
+    thesisRecipe.textContent = "";
+    return;
+  }
+  const parts = [r.title];
+  if (r.bonuses.length) parts.push(`Bonus: ${r.bonuses.join("; ")}`);
+  if (r.constraints.length) parts.push(`Constraint: ${r.constraints.join("; ")}`);
+  thesisRecipe.textContent = parts.join(" · ");
+  thesisRecipe.title = r.lore || "";
+  thesisRecipe.hidden = false;
 }
 
 function nextLevel() {
@@ -3224,8 +4474,186 @@ function nextLevel() {
   startLevel();
 }
 
+/* ---------------- Run save (resume across reloads) ---------------- */
+function captureBoard() {
+  return {
+    bottles: deepCloneBottles(state.bottles),
+    capacity: state.capacity,
+    shapes: state.bottles.map((_, i) => shapeAt(state, i)),
+    capacities: state.bottles.map((_, i) => capOf(i)),
+    locked: state.locked.slice(),
+    hiddenSegs: state.hiddenSegs.slice(),
+    sealedUnknown: state.sealedUnknown.slice(),
+    revealDepthPct: state.revealDepthPct.slice(),
+    keystone: state.keystone ? { ...state.keystone } : null,
+    keystoneCollectorIndex: state.keystoneCollectorIndex ?? null,
+    wildcardCount: state.wildcardCount ?? 0,
+    stabilizer: state.stabilizer ? { ...state.stabilizer } : null,
+    solution: state.solution,
+    genReport: state.genReport,
+    recipeInfo: state.recipeInfo,
+  };
+}
+
+function restoreBoard(b) {
+  state.bottles = deepCloneBottles(b.bottles);
+  state.capacity = b.capacity;
+  // boards saved before vessel shapes are all vials
+  state.shapes = b.bottles.map((_, i) => shapeAt(b, i));
+  state.capacities = b.bottles.map((_, i) => capacityAt(b, i));
+  state.selected = -1;
+  state.locked = b.locked.slice();
+  state.hiddenSegs = b.hiddenSegs.slice();
+  state.sealedUnknown = b.sealedUnknown.slice();
+  state.revealDepthPct = b.revealDepthPct.slice();
+  state.keystone = b.keystone ? { ...b.keystone } : null;
+  state.keystoneCollectorIndex = b.keystoneCollectorIndex ?? undefined;
+  state.wildcardCount = b.wildcardCount | 0;
+  state.stabilizer = b.stabilizer ? { ...b.stabilizer } : null;
+  state.solution = b.solution || null;
+  state.genReport = b.genReport || null;
+  state.recipeInfo = b.recipeInfo || null;
+}
+
+function captureRunSnapshot() {
+  return {
+    runSeed,
+    level,
+    questId,
+    board: captureBoard(),
+    levelMeta,
+    palette: { elements: currentElements.slice(), thesisKey: currentThesisKey },
+    modifiers: { usesLeft: { ...modState.usesLeft }, used: modState.used, pending: pendingModifier },
+    undoStack,
+    journal: journal.toJSON(),
+    instability: {
+      levelMoveIndex: rules.moveIndex,
+      lastTouchedMove: rules.lastTouchedMove.slice(),
+      untouchedMoves: rules.untouchedMoves.slice(),
+      instabilityStage: rules.instabilityStage.slice(),
+      warnedStage2: rules.warnedStage2.slice(),
+      warnedStage3: rules.warnedStage3.slice(),
+    },
+    levelStats: {
+      levelInvalid,
+      levelUndos,
+      punishedThisLevel,
+      lastKeystoneProgress,
+      reactionsFired: [...reactionsFired],
+      hintsUsed,
+      result: levelResult,
+    },
+    sig: { moves: sig.moves, invalid: sig.invalid, undos: sig.undos, resets: sig.resets },
+  };
+}
+
+function persistRun() {
+  // the board on screen still belongs to the previous level while a recipe brews;
+  // a replay's or the editor's board never belonged to the run
+  if (recipePending || sandbox) return;
+  writeRunSave(captureRunSnapshot());
+}
+
+function restoreArray(src, n, fill) {
+  const out = new Array(n).fill(fill);
+  if (Array.isArray(src)) for (let i = 0; i < n && i < src.length; i++) out[i] = src[i];
+  return out;
+}
+
+/**
+ * Restore the saved run (if any). Returns true when a level was resumed
+ * (board restored, or regenerated at the saved level for board-less saves).
+ */
+function resumeSavedRun() {
+  const save = loadRunSave(runSeed);
+  if (!save) return false;
+
+  level = save.level;
+  questId = save.questId;
+  if (save.modifiers && "pending" in save.modifiers) pendingModifier = save.modifiers.pending || null;
+  if (save.sig) {
+    sig.moves = save.sig.moves | 0;
+    sig.invalid = save.sig.invalid | 0;
+    sig.undos = save.sig.undos | 0;
+    sig.resets = save.sig.resets | 0;
+  }
+
+  const b = save.board;
+  if (!b) {
+    startLevel();
+    return true;
+  }
+
+  deadlockActive = false;
+  resetModifiersForLevel();
+  for (const id of Object.keys(modState.usesLeft)) {
+    const v = save.modifiers?.usesLeft?.[id];
+    if (Number.isInteger(v)) modState.usesLeft[id] = Math.max(0, Math.min(MODIFIERS[id].perLevelUses, v));
+  }
+  modState.used = Math.max(0, save.modifiers?.used | 0);
+  renderModifiers();
+
+  currentThesisKey = save.palette?.thesisKey ?? null;
+  const elements = Array.isArray(save.palette?.elements) ? save.palette.elements : [];
+  applyElementPalette({ elements, colors: elements.length });
+
+  restoreBoard(b);
+  levelMeta = save.levelMeta || null;
+  renderThesisBar(currentThesisKey);
+  renderRecipeBar();
+
+  undoStack = Array.isArray(save.undoStack) ? save.undoStack.slice(-MAX_UNDO) : [];
+  journal = createMoveJournal(save.journal);
+
+  levelInvalid = save.levelStats?.levelInvalid | 0;
+  levelUndos = save.levelStats?.levelUndos | 0;
+  levelResult = save.levelStats?.result ?? null;
+  punishedThisLevel = !!save.levelStats?.punishedThisLevel;
+  lastKeystoneProgress = save.levelStats?.lastKeystoneProgress ?? null;
+  reactionsFired = new Set(Array.isArray(save.levelStats?.reactionsFired) ? save.levelStats.reactionsFired : []);
+  hintsUsed = Math.max(0, Number(save.levelStats?.hintsUsed) || 0);
+
+  initInstabilityForLevel();
+  const inst = save.instability || {};
+  const n = state.bottles.length;
+  rules.moveIndex = inst.levelMoveIndex | 0;
+  rules.lastTouchedMove = restoreArray(inst.lastTouchedMove, n, 0);
+  rules.untouchedMoves = restoreArray(inst.untouchedMoves, n, 0);
+  rules.instabilityStage = restoreArray(inst.instabilityStage, n, 0);
+  rules.warnedStage2 = restoreArray(inst.warnedStage2, n, false);
+  rules.warnedStage3 = restoreArray(inst.warnedStage3, n, false);
+
+  rules.resetDeadlock();
+
+  render();
+  syncInfoPanel();
+  redrawAllBottles();
+
+  if (levelResult) showResultsCard();
+  else if (!isSolved(state) && !hasAnyPlayableMove(state)) showOutOfMovesDM();
+  else runDMIfAvailable();
+  return true;
+}
+
+window.addEventListener("pagehide", () => {
+  if (state.bottles.length) persistRun();
+  telemetry.flush();
+});
+
+// mobile browsers may discard a hidden tab without a pagehide
+document.addEventListener("visibilitychange", () => {
+  if (document.visibilityState === "hidden") telemetry.flush();
+});
+
+// back online: send what piled up
+window.addEventListener("online", () => telemetryUploader.upload());
+
 /* ---------------- Settings / Glossary / BANK ---------------- */
 devBtn.addEventListener("click", () => {
+  if (sandbox) {
+    showToast(`Exit the ${SANDBOX_NAMES[sandbox]} first.`);
+    return;
+  }
   syncInfoPanel();
   settings.showModal();
 });
@@ -3233,10 +4661,46 @@ glossaryBtn.addEventListener("click", () => {
   renderGlossary();
   glossary.showModal();
 });
+hintBtn?.addEventListener("click", requestHint);
+undoBtn?.addEventListener("click", journalUndo);
+redoBtn?.addEventListener("click", journalRedo);
+
+// Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl+Y redo (never while typing in a field)
+document.addEventListener("keydown", (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target?.closest?.("input, textarea, select, [contenteditable]")) return;
+  const k = e.key.toLowerCase();
+  if (k === "z" && !e.shiftKey) {
+    e.preventDefault();
+    journalUndo();
+  } else if ((k === "z" && e.shiftKey) || k === "y") {
+    e.preventDefault();
+    journalRedo();
+  }
+});
+
+// 1/2/3 modifier slots, U undo, Escape drops the selection (grid keys: see render)
+document.addEventListener("keydown", (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+  if (e.target?.closest?.("input, textarea, select, [contenteditable]")) return;
+  if (document.querySelector("dialog[open]")) return;
+  const slot = { 1: modSlot1, 2: modSlot2, 3: modSlot3 }[e.key];
+  if (slot) {
+    e.preventDefault();
+    slot.click();
+  } else if (e.key === "u" || e.key === "U") {
+    e.preventDefault();
+    journalUndo();
+  } else if (e.key === "Escape" && Number.isInteger(state.selected) && state.selected >= 0) {
+    e.preventDefault();
+    handleBottleTap(state.selected);
+  }
+});
 
 bankRail.addEventListener("click", () => {
   const expanded = bankRail.classList.toggle("expanded");
   bankExpanded.setAttribute("aria-hidden", expanded ? "false" : "true");
+  if (expanded) renderBankEvidence();
 });
 
 /* ---------------- DM close: ALWAYS WORKS ---------------- */
@@ -3253,6 +4717,12 @@ dmClose.addEventListener("click", () => {
     return;
   }
 
+  // closing the results card moves on, like Next Level
+  if (levelResult) {
+    advanceFromResults();
+    return;
+  }
+
   if (deadlockActive) {
     deadlockActive = false;
     sig.resets++;
@@ -3270,7 +4740,7 @@ function factoryResetGame() {
   try {
     dmToken++;
     showDMOverlay();
-    setSpeechTheme("dark");
+    applySpeechTheme();
     setDMAvatar({ mood: "satisfied", seedKey: 7777 });
     setDMSpeech({
       title: "Factory Reset",
@@ -3287,13 +4757,15 @@ Try not to disappoint me twice.`,
   setTimeout(() => {
     localStorage.removeItem(PLAYER_NAME_KEY);
     localStorage.removeItem(INTRO_SEEN_KEY);
+    localStorage.removeItem(KEYSTONE_BRIEFED_KEY);
     localStorage.removeItem(NAME_PROMPTED_KEY);
     localStorage.removeItem(RUN_SEED_KEY);
     localStorage.removeItem(DM_COUNT_KEY);
     localStorage.removeItem(NEXT_DM_KEY);
     localStorage.removeItem(SIN_QUEUE_KEY);
-    localStorage.removeItem(SPEECH_THEME_KEY);
-    localStorage.removeItem(API_BASE_KEY);
+    clearPrefs();
+    localStorage.removeItem(LEVEL_BEST_KEY);
+    clearRunSave();
     location.reload();
   }, 650);
 }
@@ -3310,12 +4782,967 @@ retryLevelBtn?.addEventListener("click", () => {
   startLevel();
 });
 
+/* ---------------- Sandbox boards (replay / editor / daily) ---------------- */
+let sandboxSaved = null; // { runSeed, level, questId, sig } of the run underneath
+const SANDBOX_NAMES = { replay: "replay", editor: "editor", test: "editor", daily: "Daily Experiment" };
+
+function enterSandbox(mode) {
+  if (sandbox || recipePending || introIsActive() || levelResult) return false;
+  persistRun();
+  sandboxSaved = { runSeed, level, questId, sig: { ...sig, moveTimes: sig.moveTimes.slice() } };
+  sandbox = mode;
+  document.body.dataset.sandbox = mode;
+  dmToken++;
+  hideDMOverlay();
+  deadlockActive = false;
+  clearHint();
+  return true;
+}
+
+// Back to the run exactly as it was saved when the sandbox opened.
+function leaveSandbox() {
+  sandbox = null;
+  delete document.body.dataset.sandbox;
+  dmToken++;
+  hideDMOverlay();
+  deadlockActive = false;
+  ({ runSeed, level, questId } = sandboxSaved);
+  Object.assign(sig, sandboxSaved.sig);
+  sandboxSaved = null;
+  journal = createMoveJournal();
+  if (!resumeSavedRun()) startLevel();
+}
+
+function resetSandboxLevel() {
+  resetModifiersForLevel();
+  journal = createMoveJournal();
+  reactionsFired = new Set();
+  levelInvalid = 0;
+  punishedThisLevel = false;
+  lastKeystoneProgress = null;
+  sig.moves = 0;
+  sig.invalid = 0;
+  sig.undos = 0;
+}
+
+function showSandboxBoard() {
+  initInstabilityForLevel();
+  rules.resetDeadlock();
+  renderThesisBar(currentThesisKey);
+  renderRecipeBar();
+  syncInfoPanel();
+  render();
+  redrawAllBottles();
+}
+
+/* ---------------- Replays ---------------- */
+// Export: the current level's journal (or the last finished/failed attempt).
+// Playback swaps in the replay's seed + recipe, re-runs every pour through
+// applyPourState with its animation, then resumes the saved run untouched.
+const LAST_REPLAY_KEY = "ma_lastReplay";
+const REPLAY_GAP_PAD_MS = 250; // on top of the pour animation
+const REPLAY_GAP_MAX_MS = 2500;
+
+const replayBar = qs("replayBar");
+const replayPos = qs("replayPos");
+const replayPlayBtn = qs("replayPlayBtn");
+const replayStepBtn = qs("replayStepBtn");
+const replayExitBtn = qs("replayExitBtn");
+const replayFile = qs("replayFile");
+
+const rp = { data: null, index: 0, playing: false, busy: false, timer: 0, saved: null };
+
+function currentReplay() {
+  return levelMeta ? buildReplay(levelMeta, journal.applied()) : null;
+}
+
+// startLevel: keep the attempt that just ended (win, retry or deadlock) exportable.
+function stashLastReplay() {
+  if (sandbox || !journal.length) return;
+  const r = currentReplay();
+  if (r?.events.length) setJSON(LAST_REPLAY_KEY, r);
+}
+
+function exportReplay() {
+  const r = journal.applied().length ? currentReplay() : getJSON(LAST_REPLAY_KEY, null);
+  if (!r?.events?.length) {
+    showToast("Nothing to export yet. Pour something first.");
+    return;
+  }
+  downloadJSON(r, replayFilename(r));
+  if (r.truncated) showToast(`Replay exported: level ${r.level}, first ${REPLAY_EVENT_MAX} steps only (the attempt ran longer).`);
+  else showToast(`Replay exported: level ${r.level}, ${r.events.length} steps.`);
+}
+
+function renderReplayBar() {
+  if (!replayBar) return;
+  replayBar.hidden = sandbox !== "replay";
+  if (sandbox !== "replay") return;
+  const n = rp.data.events.length;
+  replayPos.textContent = `Level ${rp.data.level} · ${rp.index} / ${n}`;
+  replayPlayBtn.textContent = rp.playing ? "Pause" : "Play";
+  replayPlayBtn.disabled = rp.index >= n;
+  replayStepBtn.disabled = rp.index >= n || rp.busy;
+}
+
+function startReplay(data) {
+  if (!enterSandbox("replay")) return false;
+  runSeed = data.runSeed;
+  level = data.level;
+  questId = data.questId;
+  currentThesisKey = data.thesisKey ?? null;
+  resetSandboxLevel();
+
+  applyElementPalette(data.recipe);
+  // editor boards have no generator inputs; generated ones may have drifted since recording
+  let sameBoard = data.recipe.source === "editor";
+  if (!sameBoard) {
+    generateBottlesFromRecipe(data.recipe);
+    sameBoard = !data.board || boardKey(captureBoard()) === boardKey(data.board);
+  }
+  if (data.board && (data.recipe.source === "editor" || !sameBoard)) restoreBoard(data.board);
+  state.recipeInfo = recipeInfoFrom(data.recipe);
+  showSandboxBoard();
+
+  Object.assign(rp, { data, index: 0, playing: false, busy: false });
+  renderReplayBar();
+  showToast(
+    sameBoard
+      ? `Replay: level ${data.level}, ${data.events.length} steps.`
+      : "The generator changed since this was recorded. Playing the recorded board."
+  );
+  return true;
+}
+
+function exitReplay() {
+  if (sandbox !== "replay") return;
+  clearTimeout(rp.timer);
+  rp.playing = false;
+  rp.data = null;
+  leaveSandbox();
+  renderReplayBar();
+}
+
+function applyReplayModifier(e) {
+  if (e.id === "DECOHERENCE_KEY") {
+    uncorkAllCorkedBottles("deco");
+  } else if (e.id === "EQUILIBRIUM_VESSEL") {
+    pushEmptyBottle();
+  }
+  recordJournalModifier(e.id, e.target);
+  render();
+  redrawAllBottles();
+}
+
+function finishReplay(msg) {
+  rp.playing = false;
+  clearTimeout(rp.timer);
+  renderReplayBar();
+  showToast(msg || (isSolved(state) ? "Replay finished: solved." : `Replay finished: ${rp.index} steps, not solved.`));
+}
+
+async function stepReplay() {
+  if (sandbox !== "replay" || rp.busy) return;
+  const e = rp.data.events[rp.index];
+  if (!e) return finishReplay();
+
+  if (e.type === "pour") {
+    if (e.from >= state.bottles.length || e.to >= state.bottles.length || !canPour(state, e.from, e.to)) {
+      return finishReplay(`Replay diverged at step ${rp.index + 1}: pour ${e.from + 1} → ${e.to + 1} is not legal here.`);
+    }
+    rp.busy = true;
+    rp.index++;
+    renderReplayBar();
+    try {
+      await animateTransferThenPour(e.from, e.to);
+    } finally {
+      rp.busy = false;
+    }
+    const moved = journal.applied().at(-1)?.amount;
+    if (sandbox === "replay" && Number.isInteger(e.amount) && moved !== e.amount) {
+      return finishReplay(`Replay diverged at step ${rp.index}: moved ${moved}, recorded ${e.amount}.`);
+    }
+  } else {
+    rp.index++;
+    applyReplayModifier(e);
+  }
+
+  if (sandbox !== "replay") return;
+  if (rp.index >= rp.data.events.length) return finishReplay();
+  renderReplayBar();
+}
+
+// Recorded gaps, clamped: long thinking pauses shrink, animations never overlap.
+function scheduleReplay() {
+  clearTimeout(rp.timer);
+  if (sandbox !== "replay" || !rp.playing) return;
+  const prev = rp.data.events[rp.index - 1];
+  const next = rp.data.events[rp.index];
+  if (!next) return finishReplay();
+  const gap = prev ? next.t - prev.t : 0;
+  rp.timer = setTimeout(async () => {
+    await stepReplay();
+    scheduleReplay();
+  }, Math.max(moveAnimMs + REPLAY_GAP_PAD_MS, Math.min(REPLAY_GAP_MAX_MS, gap)));
+}
+
+async function playReplayFile(file) {
+  let text = "";
+  try {
+    text = await file.text();
+  } catch {
+    showToast("Could not read that file.");
+    return;
+  }
+  const v = parseReplay(text);
+  if (!v.ok) {
+    showToast(`Not a replay: ${v.errors.slice(0, 2).join(", ")}`);
+    return;
+  }
+  try {
+    settings?.close?.();
+  } catch {}
+  if (!startReplay(v.replay)) showToast("Finish what you're doing, then load the replay.");
+}
+
+// DEV ONLY: maReplay() = current level, maReplay(json) = play it (errors come back as a list)
+window.maReplay = (data) => {
+  if (!data) return currentReplay();
+  const v = parseReplay(data);
+  return v.ok ? startReplay(v.replay) : v.errors;
+};
+
+exportReplayBtn?.addEventListener("click", exportReplay);
+playReplayBtn?.addEventListener("click", () => replayFile?.click());
+replayFile?.addEventListener("change", () => {
+  const f = replayFile.files?.[0];
+  replayFile.value = "";
+  if (f) playReplayFile(f);
+});
+replayPlayBtn?.addEventListener("click", () => {
+  rp.playing = !rp.playing;
+  renderReplayBar();
+  scheduleReplay();
+});
+replayStepBtn?.addEventListener("click", async () => {
+  rp.playing = false;
+  clearTimeout(rp.timer);
+  await stepReplay();
+  renderReplayBar();
+});
+replayExitBtn?.addEventListener("click", exitReplay);
+
+/* ---------------- Level editor ---------------- */
+// Authoring happens on the real grid: the draft (ed.lv, a levelFile.js level) is
+// loaded into `state` after every edit, so the preview is exactly what play shows.
+// Taps select a vial; the panel adds/removes segments and toggles flags.
+// Play tests the board in place ("test" sandbox, undo allowed); Back returns here.
+const editorPanel = qs("editorPanel");
+const edLevel = qs("edLevel");
+const edCap = qs("edCap");
+const edThesis = qs("edThesis");
+const edElements = qs("edElements");
+const edSwatches = qs("edSwatches");
+const edSel = qs("edSel");
+const edCork = qs("edCork");
+const edSealed = qs("edSealed");
+const edCollector = qs("edCollector");
+const edShape = qs("edShape");
+const edKeystone = qs("edKeystone");
+const edStatus = qs("edStatus");
+const edPlay = qs("edPlay");
+const edBack = qs("edBack");
+const edFile = qs("edFile");
+
+const ed = { lv: null, selected: -1, testMeta: null };
+
+function editorLevelFromState() {
+  const b = levelMeta?.level === level && levelMeta.board ? levelMeta.board : captureBoard();
+  const ks = b.keystone;
+  return {
+    level,
+    thesisKey: currentThesisKey,
+    elements: currentElements.slice(),
+    board: {
+      capacity: b.capacity,
+      bottles: deepCloneBottles(b.bottles),
+      shapes: b.bottles.map((_, i) => shapeAt(b, i)),
+      locked: b.bottles.map((_, i) => !!b.locked[i]),
+      sealedUnknown: b.bottles.map((_, i) => !!b.sealedUnknown[i]),
+      keystone: ks?.sym ? { sym: ks.sym, bottleIndex: ks.bottleIndex ?? null } : null,
+    },
+  };
+}
+
+// Editing shows Sealed Unknown contents; testing hides them like a real level.
+function loadEditorLevel(lv, { reveal }) {
+  const b = lv.board;
+  const n = b.bottles.length;
+  level = lv.level;
+  currentThesisKey = lv.thesisKey;
+  applyElementPalette({ elements: lv.elements, colors: lv.elements.length });
+  state.capacity = b.capacity;
+  state.shapes = levelShapes(b);
+  state.capacities = levelCapacities(b);
+  state.bottles = deepCloneBottles(b.bottles);
+  state.selected = -1;
+  state.locked = b.locked.slice();
+  state.hiddenSegs = new Array(n).fill(false);
+  state.sealedUnknown = b.sealedUnknown.slice();
+  state.revealDepthPct = b.bottles.map((x, i) => (b.sealedUnknown[i] && x.length && !reveal ? 1 / capOf(i) : 1));
+  const ksIdx = b.keystone?.sym ? lv.elements.indexOf(b.keystone.sym) : -1;
+  state.keystone = b.keystone?.sym
+    ? { sym: b.keystone.sym, idx: ksIdx >= 0 ? ksIdx : null, unlocked: false, bottleIndex: b.keystone.bottleIndex }
+    : null;
+  state.keystoneCollectorIndex = undefined;
+  state.stabilizer =
+    lv.level >= STABILIZER_UNLOCK_LEVEL && b.locked.some(Boolean) ? { unlock: "UR_full", idx: 0, unlocked: false } : null;
+  state.wildcardCount = b.bottles.reduce((k, x) => k + x.filter((seg) => seg === WILDCARD).length, 0);
+  state.solution = null;
+  state.genReport = null;
+  state.recipeInfo = recipeInfoFrom(editorRecipe(lv));
+}
+
+function fillEditorSelects() {
+  if (edThesis.options.length) return;
+  edThesis.add(new Option("None", ""));
+  for (const [key, t] of Object.entries(THESES)) edThesis.add(new Option(t.name, key));
+  for (const shape of VESSEL_SHAPES) edShape.add(new Option(VESSELS[shape].name, shape));
+  for (const sym of Object.keys(ELEMENTS)) {
+    const chip = document.createElement("button");
+    chip.type = "button";
+    chip.className = "edChip";
+    chip.dataset.sym = sym;
+    chip.textContent = sym;
+    chip.title = ELEMENTS[sym].name;
+    chip.style.setProperty("--chip", ELEMENTS[sym].color || "#fff");
+    edElements.appendChild(chip);
+  }
+}
+
+function renderEditorPanel() {
+  if (!editorPanel) return;
+  editorPanel.hidden = sandbox !== "editor" && sandbox !== "test";
+  if (editorPanel.hidden) return;
+  const testing = sandbox === "test";
+  editorPanel.classList.toggle("testing", testing);
+  edPlay.hidden = testing;
+  edBack.hidden = !testing;
+  if (testing) return;
+
+  const lv = ed.lv;
+  const b = lv.board;
+  edLevel.value = lv.level;
+  edCap.value = b.capacity;
+  edThesis.value = lv.thesisKey || "";
+  for (const chip of edElements.children) {
+    chip.setAttribute("aria-pressed", lv.elements.includes(chip.dataset.sym) ? "true" : "false");
+  }
+
+  edSwatches.innerHTML = "";
+  const segs = lv.elements.map((sym, c) => [c, sym, slotColor(prefs.colorVision, c, ELEMENTS[sym]?.color || "#fff")]);
+  segs.push([WILDCARD, "Wild", "linear-gradient(90deg,#ff5f6d,#ffc371,#47e7a7,#4facfe)"]);
+  for (const [c, label, bg] of segs) {
+    const sw = document.createElement("button");
+    sw.type = "button";
+    sw.className = "edSwatch";
+    sw.dataset.seg = String(c);
+    sw.textContent = label;
+    sw.style.background = bg;
+    sw.setAttribute("aria-label", `Add ${label} segment`);
+    edSwatches.appendChild(sw);
+  }
+
+  edKeystone.innerHTML = "";
+  edKeystone.add(new Option("None", ""));
+  for (const sym of lv.elements) edKeystone.add(new Option(sym, sym));
+  edKeystone.value = b.keystone?.sym || "";
+
+  const i = ed.selected;
+  const has = i >= 0 && i < b.bottles.length;
+  edSel.textContent = has ? `Vial ${i + 1} · ${b.bottles[i].length}/${levelCapacities(b)[i]}` : "Tap a vial";
+  edShape.disabled = !has;
+  edShape.value = has ? levelShapes(b)[i] : DEFAULT_VESSEL;
+  for (const [btn, on] of [
+    [edCork, has && b.locked[i]],
+    [edSealed, has && b.sealedUnknown[i]],
+    [edCollector, has && b.keystone?.bottleIndex === i],
+  ]) {
+    btn.disabled = !has;
+    btn.setAttribute("aria-pressed", on ? "true" : "false");
+  }
+}
+
+function refreshEditor(status = "Not validated.") {
+  loadEditorLevel(ed.lv, { reveal: true });
+  state.selected = ed.selected;
+  edStatus.textContent = status;
+  renderThesisBar(currentThesisKey);
+  renderRecipeBar();
+  syncInfoPanel();
+  render();
+  redrawAllBottles();
+  renderEditorPanel();
+}
+
+function enterEditor() {
+  const lv = editorLevelFromState();
+  if (!enterSandbox("editor")) {
+    showToast("Finish what you're doing, then open the editor.");
+    return;
+  }
+  fillEditorSelects();
+  resetSandboxLevel();
+  Object.assign(ed, { lv, selected: -1, testMeta: null });
+  refreshEditor("Editing a copy of this level. Tap a vial to select it.");
+}
+
+function exitEditor() {
+  if (sandbox !== "editor" && sandbox !== "test") return;
+  if (sandbox === "test") stashTestReplay();
+  ed.lv = null;
+  leaveSandbox();
+  renderEditorPanel();
+}
+
+function editorTap(i) {
+  ed.selected = ed.selected === i ? -1 : i;
+  state.selected = ed.selected;
+  render();
+  redrawAllBottles();
+  renderEditorPanel();
+}
+
+function selectedVial() {
+  const b = ed.lv.board;
+  if (ed.selected < 0 || ed.selected >= b.bottles.length) {
+    showToast("Tap a vial first.");
+    return null;
+  }
+  return ed.selected;
+}
+
+function editorAddSegment(seg) {
+  const i = selectedVial();
+  if (i === null) return;
+  const b = ed.lv.board;
+  if (b.bottles[i].length >= levelCapacities(b)[i]) {
+    showToast("That vial is full.");
+    return;
+  }
+  if (b.keystone?.bottleIndex === i) {
+    showToast("The keystone collector starts empty.");
+    return;
+  }
+  b.bottles[i].push(seg);
+  refreshEditor();
+}
+
+function editorPopSegment() {
+  const i = selectedVial();
+  if (i === null) return;
+  if (!ed.lv.board.bottles[i].length) {
+    showToast("That vial is already empty.");
+    return;
+  }
+  ed.lv.board.bottles[i].pop();
+  refreshEditor();
+}
+
+function editorAddBottle() {
+  const b = ed.lv.board;
+  if (b.bottles.length >= EDITOR_LIMITS.bottles[1]) {
+    showToast(`At most ${EDITOR_LIMITS.bottles[1]} vials.`);
+    return;
+  }
+  b.shapes = levelShapes(b).concat(DEFAULT_VESSEL);
+  b.bottles.push([]);
+  b.locked.push(false);
+  b.sealedUnknown.push(false);
+  ed.selected = b.bottles.length - 1;
+  refreshEditor();
+}
+
+function editorRemoveBottle() {
+  const b = ed.lv.board;
+  const i = ed.selected >= 0 ? ed.selected : b.bottles.length - 1;
+  if (b.bottles.length <= EDITOR_LIMITS.bottles[0]) {
+    showToast(`Keep at least ${EDITOR_LIMITS.bottles[0]} vials.`);
+    return;
+  }
+  b.shapes = levelShapes(b);
+  b.shapes.splice(i, 1);
+  b.bottles.splice(i, 1);
+  b.locked.splice(i, 1);
+  b.sealedUnknown.splice(i, 1);
+  if (b.keystone) {
+    const k = b.keystone.bottleIndex;
+    b.keystone.bottleIndex = k === i ? null : Number.isInteger(k) && k > i ? k - 1 : k;
+  }
+  ed.selected = -1;
+  refreshEditor();
+}
+
+function editorToggle(flag) {
+  const i = selectedVial();
+  if (i === null) return;
+  const b = ed.lv.board;
+  if (flag === "collector") {
+    if (!b.keystone?.sym) {
+      showToast("Pick a keystone element first.");
+      return;
+    }
+    b.keystone.bottleIndex = b.keystone.bottleIndex === i ? null : i;
+    if (b.keystone.bottleIndex === i) {
+      b.bottles[i] = [];
+      b.locked[i] = false;
+      b.sealedUnknown[i] = false;
+    }
+  } else {
+    const key = flag === "cork" ? "locked" : "sealedUnknown";
+    const other = flag === "cork" ? "sealedUnknown" : "locked";
+    b[key][i] = !b[key][i];
+    // a vial is corked (visible, frozen) or sealed (hidden, playable), never both
+    if (b[key][i]) b[other][i] = false;
+    if (b[key][i] && b.keystone?.bottleIndex === i) b.keystone.bottleIndex = null;
+  }
+  refreshEditor();
+}
+
+function editorToggleElement(sym) {
+  const lv = ed.lv;
+  const c = lv.elements.indexOf(sym);
+  if (c < 0) {
+    if (lv.elements.length >= EDITOR_LIMITS.elements[1]) {
+      showToast(`At most ${EDITOR_LIMITS.elements[1]} elements.`);
+      return;
+    }
+    lv.elements.push(sym);
+  } else {
+    if (lv.board.bottles.some((x) => x.includes(c))) {
+      showToast(`${sym} is on the board. Remove its segments first.`);
+      return;
+    }
+    if (lv.elements.length <= EDITOR_LIMITS.elements[0]) return;
+    lv.elements.splice(c, 1);
+    // later palette indices shift down by one
+    lv.board.bottles = lv.board.bottles.map((x) => x.map((seg) => (seg > c ? seg - 1 : seg)));
+    if (lv.board.keystone?.sym === sym) lv.board.keystone = null;
+  }
+  refreshEditor();
+}
+
+function editorSetCapacity(v) {
+  const [lo, hi] = EDITOR_LIMITS.capacity;
+  const cap = Math.max(lo, Math.min(hi, Math.round(Number(v) || 0)));
+  const b = ed.lv.board;
+  // other vessels follow the base capacity
+  const caps = levelCapacities({ ...b, capacity: cap });
+  if (b.bottles.some((x, i) => x.length > caps[i])) {
+    showToast("A vial holds more than that. Remove segments first.");
+  } else {
+    b.capacity = cap;
+  }
+  refreshEditor();
+}
+
+function editorSetShape(shape) {
+  const i = selectedVial();
+  if (i === null) return refreshEditor();
+  const b = ed.lv.board;
+  const shapes = levelShapes(b);
+  shapes[i] = shape;
+  if (b.bottles[i].length > levelCapacities({ ...b, shapes })[i]) {
+    showToast(`A ${VESSELS[shape].name.toLowerCase()} holds less than that. Remove segments first.`);
+  } else {
+    b.shapes = shapes;
+  }
+  refreshEditor();
+}
+
+/** Shape checks + keystone safety (same validator as the generator) + solver. */
+function editorValidate() {
+  const c = checkLevel(ed.lv);
+  const errors = c.errors.slice();
+  const notes = c.notes.slice();
+  refreshEditor("Validating…");
+
+  if (!errors.length && state.keystone?.idx !== null && state.keystone?.idx !== undefined && state.locked.some(Boolean)) {
+    errors.push(...validateKeystoneLevelSafety({ ksIdx: state.keystone.idx }).errors);
+  }
+  if (!errors.length) {
+    const sol = solveBoard(solverBoardFromState(), { budget: SOLVER_GEN_BUDGET });
+    state.solution = sol;
+    if (sol.solvable === false) errors.push("UNSOLVABLE");
+    else if (sol.solvable === null) notes.push("SOLVER_BUDGET");
+    else notes.unshift(`solvable in ${sol.moveCount} pours${sol.optimal ? " (optimal)" : ""}`);
+  }
+
+  edStatus.textContent = errors.length
+    ? `✗ ${errors.join(", ")}${notes.length ? ` · ${notes.join(", ")}` : ""}`
+    : `✓ ${notes.join(", ") || "valid"}`;
+  return errors.length === 0;
+}
+
+function editorPlay() {
+  const c = checkLevel(ed.lv);
+  if (!c.ok) {
+    edStatus.textContent = `✗ ${c.errors.join(", ")}`;
+    showToast("Fix the board before playing it.");
+    return;
+  }
+  sandbox = "test";
+  document.body.dataset.sandbox = "test";
+  resetSandboxLevel();
+  loadEditorLevel(ed.lv, { reveal: false });
+  ed.testMeta = {
+    runSeed,
+    level,
+    questId,
+    thesisKey: currentThesisKey,
+    recipe: editorRecipe(ed.lv),
+    board: captureBoard(),
+    startedAt: Date.now(),
+  };
+  showSandboxBoard();
+  renderEditorPanel();
+  edStatus.textContent = "Testing. Undo works; Back returns to the editor.";
+}
+
+// The attempt becomes the "last replay", so Settings → Export Replay can hand it to the team.
+function stashTestReplay() {
+  if (!ed.testMeta || !journal.applied().length) return;
+  setJSON(LAST_REPLAY_KEY, buildReplay(ed.testMeta, journal.applied()));
+}
+
+function editorBack() {
+  if (sandbox !== "test") return;
+  stashTestReplay();
+  sandbox = "editor";
+  document.body.dataset.sandbox = "editor";
+  resetSandboxLevel();
+  ed.selected = -1;
+  refreshEditor("Back in the editor. Settings → Export Replay has the test run.");
+}
+
+function afterTestPour() {
+  if (isSolved(state)) {
+    edStatus.textContent = `✓ Solved in ${sig.moves} pours.`;
+    showToast("Solved.");
+  } else if (!hasAnyPlayableMove(state)) {
+    edStatus.textContent = "Deadlock: no legal pours left. Undo, or go back to the editor.";
+  } else if (rules.isSoftDeadlocked()) {
+    edStatus.textContent = "Soft deadlock: the last pours went in circles.";
+  }
+}
+
+function exportLevelFile() {
+  const f = levelFileFrom(ed.lv);
+  downloadJSON(f, `ma_level_L${f.level}_${new Date().toISOString().replace(/[:.]/g, "-")}.json`);
+}
+
+async function importLevelFile(file) {
+  let text = "";
+  try {
+    text = await file.text();
+  } catch {
+    showToast("Could not read that file.");
+    return;
+  }
+  const v = parseLevelFile(text);
+  if (!v.ok) {
+    edStatus.textContent = `✗ Not a level: ${v.errors.join(", ")}`;
+    return;
+  }
+  ed.lv = v.level;
+  ed.selected = -1;
+  refreshEditor(`Imported.${v.notes.length ? ` ${v.notes.join(", ")}` : ""}`);
+}
+
+editorBtn?.addEventListener("click", () => {
+  try {
+    settings?.close?.();
+  } catch {}
+  enterEditor();
+});
+editorPanel?.addEventListener("click", (e) => {
+  const t = e.target.closest("button");
+  if (!t || (sandbox !== "editor" && t.id !== "edBack" && t.id !== "edExit")) return;
+  if (t.dataset.sym) return editorToggleElement(t.dataset.sym);
+  if (t.dataset.seg) return editorAddSegment(Number(t.dataset.seg));
+  switch (t.id) {
+    case "edAddBottle": return editorAddBottle();
+    case "edRemoveBottle": return editorRemoveBottle();
+    case "edPop": return editorPopSegment();
+    case "edCork": return editorToggle("cork");
+    case "edSealed": return editorToggle("sealed");
+    case "edCollector": return editorToggle("collector");
+    case "edValidate": return editorValidate();
+    case "edExport": return exportLevelFile();
+    case "edImport": return edFile?.click();
+    case "edPlay": return editorPlay();
+    case "edBack": return editorBack();
+    case "edExit": return exitEditor();
+  }
+});
+edLevel?.addEventListener("change", () => {
+  const [lo, hi] = EDITOR_LIMITS.level;
+  ed.lv.level = Math.max(lo, Math.min(hi, Math.round(Number(edLevel.value) || lo)));
+  refreshEditor();
+});
+edCap?.addEventListener("change", () => editorSetCapacity(edCap.value));
+edThesis?.addEventListener("change", () => {
+  ed.lv.thesisKey = edThesis.value || null;
+  refreshEditor();
+});
+edShape?.addEventListener("change", () => editorSetShape(edShape.value));
+edKeystone?.addEventListener("change", () => {
+  const sym = edKeystone.value;
+  const prev = ed.lv.board.keystone;
+  ed.lv.board.keystone = sym ? { sym, bottleIndex: prev?.bottleIndex ?? null } : null;
+  refreshEditor();
+});
+edFile?.addEventListener("change", () => {
+  const f = edFile.files?.[0];
+  edFile.value = "";
+  if (f) importLevelFile(f);
+});
+
+/* ---------------- Daily Experiment ---------------- */
+// One shared board per UTC date (daily.js), played as a sandbox over the run:
+// undo works but is counted, hints are off. A solve goes into the local history
+// and, with an API base set, to the server with its pour list; the server
+// replays the pours before it ranks the result.
+const DAILY_HISTORY_KEY = "ma_dailyHistory";
+const DAILY_HISTORY_MAX = 30;
+const PLAYER_ID_KEY = "ma_playerId";
+
+const dailyBar = qs("dailyBar");
+const dailyPos = qs("dailyPos");
+const dailyBoardBtn = qs("dailyBoardBtn");
+const dailyRestartBtn = qs("dailyRestartBtn");
+const dailyExitBtn = qs("dailyExitBtn");
+
+const dy = { key: null, par: null, lv: null, startedAt: 0, result: null };
+
+// Anonymous, per-browser; sent with daily submissions and telemetry uploads.
+function getPlayerId() {
+  let id = localStorage.getItem(PLAYER_ID_KEY) || "";
+  if (!/^[a-z0-9-]{8,64}$/i.test(id)) {
+    id = globalThis.crypto?.randomUUID?.() || `p-${Date.now().toString(36)}-${randInt(0, 2 ** 31, Date.now()).toString(36)}`;
+    localStorage.setItem(PLAYER_ID_KEY, id);
+  }
+  return id;
+}
+
+function loadDailyHistory() {
+  const h = getJSON(DAILY_HISTORY_KEY, []);
+  return Array.isArray(h) ? h : [];
+}
+
+// Best solve per day (newest day first); returns true when `r` is a new best.
+function saveDailyResult(r) {
+  const h = loadDailyHistory();
+  const prev = h.find((x) => x.key === r.key);
+  const isBest = !prev || compareDailyResults(r, prev) < 0;
+  const row = { ...(isBest ? r : prev), solves: (prev?.solves || 0) + 1 };
+  const next = [row, ...h.filter((x) => x.key !== r.key)].sort((a, b) => (a.key < b.key ? 1 : -1));
+  setJSON(DAILY_HISTORY_KEY, next.slice(0, DAILY_HISTORY_MAX));
+  return isBest;
+}
+
+function dailyPours() {
+  return journal.applied().filter((e) => e.kind === "pour");
+}
+
+function formatDailyTime(ms) {
+  const s = Math.round((Number(ms) || 0) / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function dailyStatsLine(r) {
+  return `${r.pours} pours${r.par ? ` (par ${r.par})` : ""} · ${formatDailyTime(r.timeMs)} · ${r.invalid} invalid · ${r.undos} undos`;
+}
+
+function renderDailyBar() {
+  if (!dailyBar) return;
+  dailyBar.hidden = sandbox !== "daily";
+  if (sandbox !== "daily") return;
+  dailyPos.textContent = `Daily ${dy.key} · ${dailyPours().length} pours${dy.par ? ` · par ${dy.par}` : ""}`;
+}
+
+function startDaily() {
+  const key = dailyKey();
+  const d = dy.key === key ? null : buildDailyLevel(key);
+  if (d && !d.ok) {
+    showToast(`Today's Daily Experiment (${key}) could not be built. Try again tomorrow.`);
+    return;
+  }
+  if (!enterSandbox("daily")) {
+    showToast("Finish what you're doing, then open the daily.");
+    return;
+  }
+  if (d) Object.assign(dy, { key, par: d.par, lv: d.level });
+  loadDailyBoard();
+  const best = loadDailyHistory().find((x) => x.key === key);
+  showToast(best ? `Daily ${key}. Your best: ${best.pours} pours.` : `Daily ${key}. Same board for everyone today.`);
+}
+
+function loadDailyBoard() {
+  resetSandboxLevel();
+  loadEditorLevel(dy.lv, { reveal: false });
+  state.recipeInfo = recipeInfoFrom({ title: `Daily Experiment ${dy.key}` });
+  dy.startedAt = Date.now();
+  dy.result = null;
+  showSandboxBoard();
+}
+
+function exitDaily() {
+  if (sandbox !== "daily") return;
+  leaveSandbox();
+  renderDailyBar();
+}
+
+function afterDailyPour() {
+  renderDailyBar();
+  if (dy.result) return;
+  if (isSolved(state)) finishDaily();
+  else if (!hasAnyPlayableMove(state)) showToast("No legal pours left. Undo, or Restart.");
+}
+
+function finishDaily() {
+  const pours = dailyPours().map((e) => [e.from, e.to]);
+  const r = {
+    key: dy.key,
+    pours: pours.length,
+    invalid: sig.invalid,
+    undos: sig.undos,
+    timeMs: Math.min(DAILY_LIMITS.timeMs, Date.now() - dy.startedAt),
+    par: dy.par,
+    at: Date.now(),
+  };
+  dy.result = r;
+  const isBest = saveDailyResult(r);
+  const apiBase = (apiBaseEl?.value || "").trim();
+  const title = isBest ? "Daily solved. New best." : "Daily solved.";
+  const my = showDailyCard({ title, small: apiBase ? "Submitting to the leaderboard…" : "Saved locally (no API base)." });
+  if (!apiBase) return;
+
+  postJSON(apiBase, "/api/daily/submit", {
+    key: r.key,
+    playerId: getPlayerId(),
+    name: getPlayerName() || DEFAULT_PLAYER_NAME,
+    moves: pours,
+    invalid: r.invalid,
+    undos: r.undos,
+    timeMs: r.timeMs,
+  })
+    .then((res) => {
+      if (dmToken !== my) return;
+      const you = res?.you;
+      showDailyCard({ title, board: res, small: you ? `Rank #${you.rank} of ${res.total}.` : "Submitted." });
+    })
+    .catch((err) => {
+      if (dmToken !== my) return;
+      const why = err?.payload?.error || "leaderboard unreachable";
+      showDailyCard({ title, small: `Saved locally (${why}).` });
+    });
+}
+
+function showDailyLeaderboard() {
+  if (sandbox !== "daily") return;
+  const apiBase = (apiBaseEl?.value || "").trim();
+  const title = `Daily Experiment ${dy.key}`;
+  const my = showDailyCard({ title, small: apiBase ? "Loading the leaderboard…" : "No API base: local history only." });
+  if (!apiBase) return;
+
+  const q = `?key=${encodeURIComponent(dy.key)}&playerId=${encodeURIComponent(getPlayerId())}`;
+  getJSONFrom(apiBase, `/api/daily/leaderboard${q}`)
+    .then((res) => {
+      if (dmToken !== my) return;
+      showDailyCard({ title, board: res, small: res?.you ? `You: #${res.you.rank} of ${res.total}.` : `${res?.total || 0} solved so far.` });
+    })
+    .catch(() => {
+      if (dmToken !== my) return;
+      showDailyCard({ title, small: "Leaderboard unreachable. Local history only." });
+    });
+}
+
+function dailyCardBody(board) {
+  const lines = [];
+  const history = loadDailyHistory();
+  const best = history.find((h) => h.key === dy.key);
+  if (dy.result) lines.push(`This solve: ${dailyStatsLine(dy.result)}`);
+  if (best && (!dy.result || compareDailyResults(best, dy.result) !== 0)) lines.push(`Your best today: ${dailyStatsLine(best)}`);
+  if (board?.entries?.length) {
+    lines.push("", `Leaderboard ${board.key}:`);
+    for (const e of board.entries) lines.push(`${e.rank}. ${e.name} · ${e.pours} pours · ${formatDailyTime(e.timeMs)}`);
+  }
+  const earlier = history.filter((h) => h.key !== dy.key).slice(0, 5);
+  if (earlier.length) {
+    lines.push("", "Earlier days:");
+    for (const h of earlier) lines.push(`${h.key}: ${dailyStatsLine(h)}`);
+  }
+  return lines.join("\n") || "Nobody has solved today's board yet. Including you.";
+}
+
+// Returns the dmToken so async updates can tell whether the card is still up.
+function showDailyCard({ title, board = null, small = "" }) {
+  dmToken++;
+  showDMOverlay();
+  applySpeechTheme();
+  setDMAvatar({ mood: "amused", seedKey: 2468 });
+  setDMSpeech({ title, body: dailyCardBody(board), small, paginate: false });
+
+  const row = document.createElement("div");
+  row.style.display = "flex";
+  row.style.gap = "10px";
+  row.style.alignItems = "center";
+  row.style.marginTop = "10px";
+
+  const againBtn = makePrimaryBtn(dy.result ? "Play Again" : "Keep Pouring");
+  againBtn.addEventListener("click", () => {
+    hideDMOverlay();
+    if (dy.result) loadDailyBoard();
+  });
+  const exitBtn = makePrimaryBtn("Back to Run");
+  exitBtn.addEventListener("click", () => {
+    hideDMOverlay();
+    exitDaily();
+  });
+  row.appendChild(againBtn);
+  row.appendChild(exitBtn);
+  speechText.appendChild(row);
+
+  requestAnimationFrame(() => shrinkTextToFitBubble());
+  return dmToken;
+}
+
+dailyBtn?.addEventListener("click", () => {
+  try {
+    settings?.close?.();
+  } catch {}
+  startDaily();
+});
+dailyBoardBtn?.addEventListener("click", showDailyLeaderboard);
+dailyRestartBtn?.addEventListener("click", () => {
+  if (sandbox !== "daily" || inputLocked) return;
+  sig.resets++;
+  loadDailyBoard();
+});
+dailyExitBtn?.addEventListener("click", exitDaily);
+
 /* ---------------- Boot ---------------- */
 function boot() {
-  setSpeechTheme(getSpeechTheme());
+  applyPrefs();
   syncInfoPanel();
+  // earlier sessions' events feed BANK inference once they load
+  telemetry.open().then(() => {
+    if (bankRail.classList.contains("expanded")) renderBankEvidence();
+    telemetryUploader.start();
+  });
 
-  startLevel();
+  if (!resumeSavedRun()) startLevel();
 
   setTimeout(() => {
     const seen = localStorage.getItem(INTRO_SEEN_KEY) === "1";
@@ -2,8 +2,9 @@
    BANK Inference v1.0 — Deterministic, testable
    Implements spec sections 1–7 (optional 8 deferred)
 
-   Usage:
-     const events = JSON.parse(localStorage.getItem("ma_telemetry_v1") || "[]");
+   Usage (browser or Node, e.g. bankHarness.mjs):
+     import { computeBankProfile } from "./bankInference.js";
+     const events = maTelemetry(); // in the game's console, or a maExportTelemetry() file
      const result = computeBankProfile(events);
      console.log(result);
 
@@ -16,9 +17,8 @@
        diagnostics: {...}
      }
    ============================================================ */
-import "./bankInference.js";
 
-const BANK_TYPES = ["Blueprint", "Action", "Nurturing", "Knowledge"];
+export const BANK_TYPES = ["Blueprint", "Action", "Nurturing", "Knowledge"];
 
 /* ------------------------ Constants (locked) ------------------------ */
 const BANK_CFG = {
@@ -51,6 +51,7 @@ const BANK_CFG = {
     keystone_solved: 1.8,
     cork_unlock: 1.8,
     level_end: 0.8,
+    hint_request: 1.0,
   },
 
   // feature weights (spec §3)
@@ -86,6 +87,10 @@ const BANK_CFG = {
     B1_ILLEGAL_LT5PCT: { Blueprint: +2.0, Action: 0.0, Nurturing: 0.0, Knowledge: 0.0 },
     B1_ILLEGAL_GT20PCT: { Action: +0.5, Blueprint: 0.0, Nurturing: 0.0, Knowledge: 0.0 },
 
+    // Hints: asking before trying reads as impatience; asking after a real attempt reads as support-seeking
+    H1_HINT_EARLY: { Action: +1.0, Blueprint: -0.5, Nurturing: 0.0, Knowledge: 0.0 },
+    H1_HINT_LATE: { Nurturing: +1.0, Knowledge: +0.5, Action: 0.0, Blueprint: 0.0 },
+
     // Undo nuance (if you emit undos in level_end; we treat as optional)
     B2_UNDO_REFINEMENT: { Blueprint: +1.5, Knowledge: +0.5, Action: 0.0, Nurturing: 0.0 },
   },
@@ -169,7 +174,7 @@ function getEventTs(e) {
 }
 
 /* ------------------------ Main ------------------------ */
-function computeBankProfile(events) {
+export function computeBankProfile(events) {
   const evs = Array.isArray(events) ? events.slice() : [];
   evs.sort((a,b) => getEventTs(a) - getEventTs(b));  // deterministic if timestamps present
 
@@ -374,6 +379,15 @@ function computeBankProfile(events) {
       continue;
     }
 
+    if (type === "hint_request") {
+      // refusals and empty boards say nothing about how the player plays
+      if (e.outcome !== "shown" || e.moveIndex == null) continue;
+      const exp = expectedSolveMoves(lastLevelStart || {});
+      if (e.moveIndex < 0.20 * exp) applyFeature("H1_HINT_EARLY", BANK_CFG.FEATURES.H1_HINT_EARLY, type, `move=${e.moveIndex}, exp=${exp}`);
+      else applyFeature("H1_HINT_LATE", BANK_CFG.FEATURES.H1_HINT_LATE, type, `move=${e.moveIndex}, exp=${exp}`);
+      continue;
+    }
+
     if (type === "level_end") {
       lastLevelEnd = e;
       continue;
@@ -434,7 +448,7 @@ function computeBankProfile(events) {
   // ---------- Confidence (spec §5) ----------
   const meaningfulEvents = evs.filter(e => {
     const t = e.eventType || e.type;
-    return ["cork_unlock","keystone_solved","deco_key_use","unknown_reveal","instability_warning","instability_reset","instability_collapse","pour_attempt","pour_execute"].includes(t);
+    return ["cork_unlock","keystone_solved","deco_key_use","unknown_reveal","instability_warning","instability_reset","instability_collapse","pour_attempt","pour_execute","hint_request"].includes(t);
   }).length;
 
   const base = clamp(Math.log(1 + meaningfulEvents) / Math.log(1 + 120), 0, 1);
@@ -473,6 +487,3 @@ function computeBankProfile(events) {
     }
   };
 }
-// DEV ONLY: expose for console calibration
-window.computeBankProfile = computeBankProfile;
-
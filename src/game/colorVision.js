@@ -0,0 +1,91 @@
+// src/game/colorVision.js
+// Colour-blind safe rendering: palette remaps, per-element patterns and symbol ink (DOM-free).
+//
+// Element colours are picked for flavour, not contrast, and several share a hue
+// family (HO #FFB000 and VI #FF8C00 are both orange). Two independent settings
+// help:
+//   - a colour vision mode swaps the level palette for one whose colours stay
+//     apart under that deficiency. Colours go by palette slot (the element's index
+//     in the level), so every element in a level gets a different one.
+//   - segment symbols draw the element symbol on each segment and give every slot
+//     its own pattern, so nothing depends on colour at all.
+// app.js owns the canvas side (pattern tiles, text) and the settings controls.
+
+/* ---------------- Colour vision modes ---------------- */
+// Okabe & Ito (2008) for red-green deficiencies, Tol's "muted" scheme for
+// tritanopia; each padded with light/dark neutrals to cover 10 slots (the
+// editor's maximum palette).
+export const COLOR_VISION_MODES = {
+  off: { name: "Standard colours", palette: null },
+  deuteranopia: {
+    name: "Deuteranopia (green-weak)",
+    palette: ["#E69F00", "#56B4E9", "#009E73", "#F0E442", "#0072B2", "#D55E00", "#CC79A7", "#F5F5F5", "#7F7F7F", "#3A2A14"],
+  },
+  protanopia: {
+    name: "Protanopia (red-weak)",
+    palette: ["#56B4E9", "#E69F00", "#0072B2", "#F0E442", "#009E73", "#CC79A7", "#D55E00", "#F5F5F5", "#7F7F7F", "#3A2A14"],
+  },
+  tritanopia: {
+    name: "Tritanopia (blue-weak)",
+    palette: ["#CC6677", "#44AA99", "#882255", "#DDCC77", "#117733", "#AA4499", "#332288", "#F5F5F5", "#999933", "#88CCEE"],
+  },
+};
+
+export const COLOR_VISION_KEYS = Object.keys(COLOR_VISION_MODES);
+export const DEFAULT_COLOR_VISION = "off";
+
+export function isColorVisionMode(mode) {
+  return Object.prototype.hasOwnProperty.call(COLOR_VISION_MODES, mode);
+}
+
+/**
+ * Fill for palette slot `idx` under `mode`; `fallback` (the element's own colour)
+ * when the mode is off or the slot is past the mode's palette.
+ */
+export function slotColor(mode, idx, fallback) {
+  const pal = COLOR_VISION_MODES[mode]?.palette;
+  if (!pal || !Number.isInteger(idx) || idx < 0) return fallback;
+  return pal[idx % pal.length] || fallback;
+}
+
+/* ---------------- Patterns ---------------- */
+// One pattern per palette slot. Ordered so neighbouring slots differ in direction
+// as well as density.
+export const SEGMENT_PATTERNS = [
+  "dots",
+  "diagonal",
+  "horizontal",
+  "checker",
+  "vertical",
+  "antidiagonal",
+  "grid",
+  "rings",
+  "zigzag",
+  "crosshatch",
+];
+
+export function slotPattern(idx) {
+  const n = SEGMENT_PATTERNS.length;
+  return SEGMENT_PATTERNS[(((idx | 0) % n) + n) % n];
+}
+
+/* ---------------- Ink ---------------- */
+/** Relative luminance (WCAG) of "#rgb" / "#rrggbb"; null for anything else. */
+export function luminance(hex) {
+  const m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex || "").trim());
+  if (!m) return null;
+  const h = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+  const [r, g, b] = [0, 2, 4].map((k) => {
+    const c = parseInt(h.slice(k, k + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/** Text/pattern ink that reads on `fill`: near-black on light fills, white otherwise. */
+export function inkFor(fill) {
+  const l = luminance(fill);
+  if (l === null) return "#ffffff";
+  // the contrast crossover against pure black / white
+  return l > 0.179 ? "#10151d" : "#ffffff";
+}
@@ -0,0 +1,169 @@
+// src/game/daily.js
+// Daily Experiment: one shared board per UTC calendar date (DOM-free, also used by the server).
+//
+// Everyone gets the same board for the same date: the seed comes from the date
+// alone, never from the player's run. Difficulty is fixed (DAILY_CONFIG) and the
+// board is played at a rules level below instability, corks and reactions, so the
+// only rule is the pour itself. That keeps results comparable and lets the server
+// check a submission by replaying its pour list (replayDailyMoves).
+//
+// The board uses the level editor's shape (levelFile.js), so the game loads it
+// with the same code path as an authored level.
+
+import { ELEMENTS, THESES } from "../../element_schema.js";
+import { makeRng, hashSeed } from "../utils/rng.js";
+import { solveBoard } from "./solver.js";
+import { effectiveTop, effectiveTopRun, isUniform, colorsMatch } from "./wildcard.js";
+
+export const DAILY_VERSION = 1;
+
+export const DAILY_CONFIG = {
+  rulesLevel: 7, // last level before instability
+  colors: 6,
+  capacity: 4,
+  emptyBottles: 2,
+};
+
+// Submission sanity limits (client and server agree on these).
+export const DAILY_LIMITS = {
+  pours: 500,
+  timeMs: 24 * 60 * 60 * 1000,
+};
+
+const DAILY_SALT = 20240601;
+const MAX_ATTEMPTS = 12;
+
+/* ---------------- Dates ---------------- */
+/** "YYYY-MM-DD" for the UTC calendar date of `date` (default: now). */
+export function dailyKey(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+export function isDailyKey(key) {
+  if (typeof key !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+  const d = new Date(`${key}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && dailyKey(d) === key;
+}
+
+/** Day before `key` ("YYYY-MM-DD"). */
+export function previousDailyKey(key) {
+  return dailyKey(new Date(`${key}T00:00:00Z`).getTime() - 86400000);
+}
+
+export function dailySeed(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return hashSeed(DAILY_SALT, DAILY_VERSION, y, m, d);
+}
+
+/* ---------------- Build ---------------- */
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.f() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+function pickPalette(rng) {
+  const thesisKey = rng.pick(Object.keys(THESES).sort());
+  const t = THESES[thesisKey];
+  const exclude = new Set(t.must_exclude || []);
+  const chosen = (t.must_include || []).filter((sym) => ELEMENTS[sym]);
+  const pool = Object.keys(ELEMENTS)
+    .sort()
+    .filter((sym) => !exclude.has(sym) && !chosen.includes(sym));
+  while (chosen.length < DAILY_CONFIG.colors && pool.length) {
+    chosen.push(pool.splice(Math.floor(rng.f() * pool.length), 1)[0]);
+  }
+  return { thesisKey, elements: chosen.slice(0, DAILY_CONFIG.colors) };
+}
+
+/**
+ * The day's level (levelFile.js shape) plus its par (shortest solve, if proven).
+ * Returns { ok: true, key, level, par } or { ok: false, key, error: "NO_BOARD" }
+ * when every attempt was rejected — deterministic for a given key.
+ */
+export function buildDailyLevel(key) {
+  const seed = dailySeed(key);
+  const { thesisKey, elements } = pickPalette(makeRng(hashSeed(seed, 1)));
+  const { colors, capacity, emptyBottles } = DAILY_CONFIG;
+
+  let bottles = null;
+  let par = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const rng = makeRng(hashSeed(seed, 2, attempt));
+    const pool = [];
+    for (let c = 0; c < colors; c++) for (let i = 0; i < capacity; i++) pool.push(c);
+    shuffle(pool, rng);
+
+    const next = [];
+    for (let b = 0; b < colors; b++) next.push(pool.slice(b * capacity, (b + 1) * capacity));
+    for (let e = 0; e < emptyBottles; e++) next.push([]);
+
+    // an already-finished vial makes a dull daily; keep shuffling
+    if (next.some((b) => b.length && isUniform(b))) continue;
+    const res = solveBoard({ bottles: next, capacity, locked: [], sealedUnknown: [] });
+    if (res.solvable === false) continue;
+    bottles = next;
+    // par is only quoted when the solver proved it is the shortest solve
+    par = res.solvable && res.optimal ? res.moveCount : null;
+    if (res.solvable) break;
+  }
+
+  if (!bottles) return { ok: false, key, error: "NO_BOARD" };
+
+  const n = colors + emptyBottles;
+  return {
+    ok: true,
+    key,
+    par,
+    level: {
+      level: DAILY_CONFIG.rulesLevel,
+      thesisKey,
+      elements,
+      board: {
+        capacity,
+        bottles,
+        locked: new Array(n).fill(false),
+        sealedUnknown: new Array(n).fill(false),
+        keystone: null,
+      },
+    },
+  };
+}
+
+/* ---------------- Verify ---------------- */
+/**
+ * Replay a pour list ([[from, to], ...]) on the day's board with the game's pour
+ * rules. Returns { ok, solved, pours } or { ok: false, error, at }.
+ */
+export function replayDailyMoves(level, moves) {
+  if (!Array.isArray(moves) || moves.length > DAILY_LIMITS.pours) return { ok: false, error: "BAD_MOVES", at: -1 };
+  const cap = level.board.capacity;
+  const bottles = level.board.bottles.map((b) => b.slice());
+  const n = bottles.length;
+
+  for (let i = 0; i < moves.length; i++) {
+    const m = moves[i];
+    const from = Array.isArray(m) ? m[0] : NaN;
+    const to = Array.isArray(m) ? m[1] : NaN;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < 0 || from >= n || to >= n || from === to) {
+      return { ok: false, error: "BAD_MOVE", at: i };
+    }
+    const a = bottles[from];
+    const b = bottles[to];
+    if (!a.length || b.length >= cap || !colorsMatch(effectiveTop(a), effectiveTop(b))) {
+      return { ok: false, error: "ILLEGAL_POUR", at: i };
+    }
+    const amount = Math.min(effectiveTopRun(a), cap - b.length);
+    for (let k = 0; k < amount; k++) b.push(a.pop());
+  }
+
+  const solved = bottles.every((b) => !b.length || (b.length === cap && isUniform(b)));
+  return { ok: true, solved, pours: moves.length };
+}
+
+/* ---------------- Results ---------------- */
+/** Leaderboard order: fewer pours, then faster, then fewer invalid pours and undos. */
+export function compareDailyResults(a, b) {
+  return a.pours - b.pours || a.timeMs - b.timeMs || a.invalid - b.invalid || a.undos - b.undos;
+}
@@ -0,0 +1,333 @@
+// src/game/dashboard.js
+// Telemetry dashboard (dashboard.html): loads events from files, this browser's
+// store or the server, and charts them with inline SVG. The numbers come from
+// telemetryStats.js; this file only fetches and draws.
+
+import { qs } from "../utils/ui.js";
+import { getJSONFrom } from "../utils/http.js";
+import { getStr } from "../utils/storage.js";
+import { loadPrefs } from "./prefs.js";
+import { createTelemetryStore } from "./telemetry.js";
+import { LEVEL_END_RESULTS } from "./telemetryEvents.js";
+import { computeTelemetryStats, parseTelemetryText, revealBucketLabels } from "./telemetryStats.js";
+
+const SVG_W = 640;
+const RESULT_LABELS = { win: "Win", deadlock: "Deadlock", soft_deadlock: "Soft deadlock", collapse: "Collapse" };
+
+const filesEl = qs("files");
+const apiBaseEl = qs("apiBase");
+const playerIdEl = qs("playerId");
+const exportTokenEl = qs("exportToken");
+const statusEl = qs("status");
+const levelMinEl = qs("levelMin");
+const levelMaxEl = qs("levelMax");
+const appVersionEl = qs("appVersion");
+const keystoneLevelEl = qs("keystoneLevel");
+
+// every loaded event; the same event loaded twice (file + server, or one file twice) counts once
+let events = [];
+let seen = new Set();
+
+/* ---------------- Loading ---------------- */
+function eventKey(e) {
+  return Number.isInteger(e.id) ? `${e.playerId || ""}:${e.sessionId || "legacy"}:${e.id}` : null;
+}
+
+function addEvents(list, source, skipped = 0) {
+  let added = 0;
+  for (const e of list) {
+    const k = eventKey(e);
+    if (k) {
+      if (seen.has(k)) continue;
+      seen.add(k);
+    }
+    events.push(e);
+    added++;
+  }
+  const dup = list.length - added;
+  setStatus(
+    `${source}: ${added} events` +
+      (dup ? `, ${dup} already loaded` : "") +
+      (skipped ? `, ${skipped} unreadable` : "") +
+      `. ${events.length} in total.`,
+  );
+  refresh();
+}
+
+function setStatus(text, isError = false) {
+  statusEl.textContent = text;
+  statusEl.classList.toggle("error", isError);
+}
+
+filesEl.addEventListener("change", async () => {
+  for (const f of filesEl.files) {
+    try {
+      const { events: list, skipped } = parseTelemetryText(await f.text());
+      addEvents(list, f.name, skipped);
+    } catch (err) {
+      setStatus(`${f.name}: ${err?.message || err}`, true);
+    }
+  }
+  filesEl.value = "";
+});
+
+qs("loadLocal").addEventListener("click", async () => {
+  try {
+    // read-only: nothing is recorded through this store
+    const store = await createTelemetryStore().open();
+    addEvents(store.all(), `This browser (${store.backend})`);
+  } catch (err) {
+    setStatus(`This browser: ${err?.message || err}`, true);
+  }
+});
+
+qs("loadPlayer").addEventListener("click", async () => {
+  const base = apiBaseEl.value.trim();
+  const playerId = playerIdEl.value.trim();
+  if (!base || !playerId) return setStatus("Set the API Base and a playerId first.", true);
+  try {
+    const json = await getJSONFrom(base, `/api/telemetry?playerId=${encodeURIComponent(playerId)}`);
+    addEvents(json?.events || [], `Player ${playerId}`);
+  } catch (err) {
+    setStatus(`Player ${playerId}: ${err?.payload?.error || err?.message || err}`, true);
+  }
+});
+
+qs("loadExport").addEventListener("click", async () => {
+  const base = apiBaseEl.value.trim();
+  if (!base) return setStatus("Set the API Base first.", true);
+  try {
+    // NDJSON behind a bearer token, so not getJSONFrom
+    const res = await fetch(base.replace(/\/+$/, "") + "/api/telemetry/export", {
+      headers: { authorization: `Bearer ${exportTokenEl.value.trim()}` },
+    });
+    const text = await res.text();
+    if (!res.ok) {
+      let why = `HTTP ${res.status}`;
+      try {
+        why = JSON.parse(text)?.error || why;
+      } catch {}
+      return setStatus(`All players: ${why}`, true);
+    }
+    const { events: list, skipped } = parseTelemetryText(text);
+    addEvents(list, "All players", skipped);
+  } catch (err) {
+    setStatus(`All players: ${err?.message || err}`, true);
+  }
+});
+
+qs("clearEvents").addEventListener("click", () => {
+  events = [];
+  seen = new Set();
+  setStatus("No events loaded.");
+  refresh();
+});
+
+for (const el of [levelMinEl, levelMaxEl, appVersionEl]) el.addEventListener("change", refresh);
+keystoneLevelEl.addEventListener("change", () => drawKeystone(lastStats));
+
+/* ---------------- SVG helpers ---------------- */
+function esc(s) {
+  return String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function pct(x) {
+  return `${Math.round(x * 100)}%`;
+}
+
+function svg(h, body) {
+  return `<svg viewBox="0 0 ${SVG_W} ${h}" role="img">${body}</svg>`;
+}
+
+function empty(el, text = "No data.") {
+  el.innerHTML = `<p class="muted">${esc(text)}</p>`;
+}
+
+// rows: [{ label, value, note? }], one horizontal bar each
+function drawBars(el, rows) {
+  if (!rows.length || rows.every((r) => !r.value)) return empty(el);
+  const max = Math.max(...rows.map((r) => r.value));
+  const left = 130;
+  const rowH = 22;
+  const body = rows
+    .map((r, i) => {
+      const y = i * rowH;
+      const w = ((SVG_W - left - 60) * r.value) / max;
+      return (
+        `<text x="0" y="${y + 15}">${esc(r.label)}</text>` +
+        `<rect x="${left}" y="${y + 4}" width="${w}" height="14" rx="2" fill="var(--bar)"><title>${esc(r.label)}: ${r.value}</title></rect>` +
+        `<text x="${left + w + 6}" y="${y + 15}">${esc(r.note ?? r.value)}</text>`
+      );
+    })
+    .join("");
+  el.innerHTML = svg(rows.length * rowH + 4, body);
+}
+
+/* ---------------- Charts ---------------- */
+function drawOutcomes(stats) {
+  const el = qs("outcomeChart");
+  const rows = stats.levels.filter((r) => r.ended);
+  qs("outcomeLegend").innerHTML = LEVEL_END_RESULTS.map(
+    (r) => `<span><i style="background:var(--${r})"></i>${RESULT_LABELS[r]}</span>`,
+  ).join("");
+
+  if (!rows.length) empty(el, "No finished attempts.");
+  else {
+    const left = 60;
+    const rowH = 18;
+    const body = rows
+      .map((row, i) => {
+        const y = i * rowH;
+        let x = left;
+        const segs = LEVEL_END_RESULTS.map((r) => {
+          const w = (SVG_W - left - 50) * row.rates[r];
+          const s = w
+            ? `<rect x="${x}" y="${y + 3}" width="${w}" height="13" fill="var(--${r})"><title>Level ${row.level} ${RESULT_LABELS[r]}: ${row.results[r]} (${pct(row.rates[r])})</title></rect>`
+            : "";
+          x += w;
+          return s;
+        }).join("");
+        return `<text x="0" y="${y + 14}">L${row.level}</text>${segs}<text x="${SVG_W - 44}" y="${y + 14}">n=${row.ended}</text>`;
+      })
+      .join("");
+    el.innerHTML = svg(rows.length * rowH + 4, body);
+  }
+
+  // the config columns are what computeLevelConfig produced for that level
+  const table = qs("levelTable");
+  if (!stats.levels.length) {
+    table.innerHTML = "";
+    return;
+  }
+  const head =
+    "<tr><th>Level</th><th>Started</th><th>Ended</th>" +
+    LEVEL_END_RESULTS.map((r) => `<th>${RESULT_LABELS[r]}</th>`).join("") +
+    "<th>Median moves</th><th>Cap</th><th>Corks</th><th>Unknown</th><th>Wild</th><th>Keystone</th><th>Instability</th></tr>";
+  const rows2 = stats.levels
+    .map((r) => {
+      const c = r.config || {};
+      return (
+        `<tr><td>${r.level}</td><td>${r.attempts}</td><td>${r.ended}</td>` +
+        LEVEL_END_RESULTS.map((k) => `<td>${r.ended ? pct(r.rates[k]) : "–"}</td>`).join("") +
+        `<td>${r.medianMoves ?? "–"}</td><td>${c.capacity ?? "–"}</td><td>${c.corkedCount ?? "–"}</td>` +
+        `<td>${c.sealedUnknownCount ?? "–"}</td><td>${c.wildcardCount ?? "–"}</td>` +
+        `<td>${c.keystone ? esc(c.keystone) : "–"}</td><td>${r.config ? (c.instability ? "on" : "off") : "–"}</td></tr>`
+      );
+    })
+    .join("");
+  table.innerHTML = head + rows2;
+}
+
+function drawBlocked(stats) {
+  const { total, causes } = stats.blocked;
+  const rows = Object.entries(causes)
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, value]) => ({ label, value, note: total ? `${value} (${pct(value / total)})` : value }));
+  drawBars(qs("blockedChart"), rows);
+}
+
+function drawModifiers(stats) {
+  const rows = Object.entries(stats.modifiers)
+    .sort((a, b) => b[1].uses - a[1].uses)
+    .map(([id, m]) => ({ label: id, value: m.uses + m.drained, note: m.drained ? `${m.uses} used, ${m.drained} drained` : m.uses }));
+  drawBars(qs("modifierChart"), rows);
+}
+
+function drawReveals(stats) {
+  const r = stats.reveals;
+  const labels = revealBucketLabels();
+  drawBars(
+    qs("revealChart"),
+    r.buckets.map((value, i) => ({ label: `moves ${labels[i]}`, value })),
+  );
+  qs("revealNote").textContent = r.total
+    ? `${r.total} reveals. Median move ${r.medianMove}` +
+      (r.medianDepthPct !== null ? `, median reveal depth ${Math.round(r.medianDepthPct)}%.` : ".")
+    : "";
+}
+
+function fillKeystoneLevels(stats) {
+  const levels = Object.keys(stats.keystone).map(Number).sort((a, b) => a - b);
+  const prev = keystoneLevelEl.value;
+  keystoneLevelEl.innerHTML = levels.map((l) => `<option value="${l}">${l}</option>`).join("");
+  if (levels.includes(Number(prev))) keystoneLevelEl.value = prev;
+}
+
+// each attempt as a thin line, the mean as a thick one
+function drawKeystone(stats) {
+  const el = qs("keystoneChart");
+  const k = stats?.keystone[keystoneLevelEl.value];
+  if (!k) {
+    qs("keystoneNote").textContent = "";
+    return empty(el, "No keystone levels.");
+  }
+
+  const h = 220;
+  const pad = 28;
+  const maxMove = Math.max(1, ...k.curves.map((c) => c[c.length - 1].moveIndex), k.mean.length - 1);
+  const maxCount = Math.max(1, ...k.curves.flat().map((p) => p.count));
+  const x = (m) => pad + ((SVG_W - pad * 2) * m) / maxMove;
+  const y = (n) => h - pad - ((h - pad * 2) * n) / maxCount;
+  // counts only change on progress events, so draw steps
+  const path = (pts) =>
+    pts.map((p, i) => (i ? `H${x(p.moveIndex)}V${y(p.count)}` : `M${x(p.moveIndex)},${y(p.count)}`)).join("");
+
+  const axes =
+    `<line x1="${pad}" y1="${h - pad}" x2="${SVG_W - pad}" y2="${h - pad}" stroke="var(--line)"/>` +
+    `<line x1="${pad}" y1="${pad}" x2="${pad}" y2="${h - pad}" stroke="var(--line)"/>` +
+    `<text x="${pad}" y="${h - 8}">move 0</text><text x="${SVG_W - pad - 50}" y="${h - 8}">move ${maxMove}</text>` +
+    `<text x="2" y="${y(maxCount) + 4}">${maxCount}</text><text x="2" y="${h - pad + 4}">0</text>`;
+  const lines = k.curves
+    .map((c) => `<path d="${path(c)}" fill="none" stroke="var(--bar)" stroke-opacity=".25"/>`)
+    .join("");
+  const mean = `<path d="${path(k.mean)}" fill="none" stroke="var(--win)" stroke-width="2.5"/>`;
+  el.innerHTML = svg(h, axes + lines + mean);
+
+  qs("keystoneNote").textContent =
+    `${k.attempts} attempts with keystone progress (${k.curves.length} drawn), ${k.solved} solved. ` +
+    "Thick line: mean keystone count in the bottle by move.";
+}
+
+/* ---------------- Refresh ---------------- */
+let lastStats = null;
+
+function numOrNull(el) {
+  const n = parseInt(el.value, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function fillAppVersions() {
+  const versions = [...new Set(events.map((e) => e.appVersion).filter(Boolean))].sort();
+  const prev = appVersionEl.value;
+  appVersionEl.innerHTML =
+    `<option value="">all</option>` + versions.map((v) => `<option value="${esc(v)}">${esc(v)}</option>`).join("");
+  if (versions.includes(prev)) appVersionEl.value = prev;
+}
+
+function refresh() {
+  fillAppVersions();
+  const stats = computeTelemetryStats(events, {
+    levelMin: numOrNull(levelMinEl),
+    levelMax: numOrNull(levelMaxEl),
+    appVersion: appVersionEl.value || null,
+  });
+  lastStats = stats;
+
+  const t = stats.totals;
+  qs("totals").textContent = events.length
+    ? `${t.events} events, ${t.sessions} sessions` + (t.players ? `, ${t.players} players` : "") + `, ${t.attempts} level attempts.`
+    : "";
+
+  drawOutcomes(stats);
+  drawBlocked(stats);
+  drawModifiers(stats);
+  drawReveals(stats);
+  fillKeystoneLevels(stats);
+  drawKeystone(stats);
+}
+
+/* ---------------- Boot ---------------- */
+// same origin as the game: start from its server settings
+apiBaseEl.value = loadPrefs().apiBase || "";
+playerIdEl.value = getStr("ma_playerId", "");
+refresh();
@@ -0,0 +1,155 @@
+// src/game/hints.js
+// Next-pour suggestions for the hint button (DOM-free).
+//
+// Board shape = solver.js board + revealDepthPct (Sealed Unknown visibility).
+//
+// Two sources:
+//   - solver:    first move of solveBoard(), only when nothing on the board is
+//                hidden. The solver plays with perfect information, so on a board
+//                with clouded segments its plan would leak what the player cannot see.
+//   - heuristic: one-ply scoring over what the player can see (tops, visible runs,
+//                corks, keystone collector), with a deadlock look-ahead.
+// Both honour corks and the keystone gate exactly like the game's canPour().
+
+import { solveBoard } from "./solver.js";
+import { WILDCARD, effectiveTop, effectiveTopRun, effectiveRunCount, isUniform, colorsMatch } from "./wildcard.js";
+import { capacityAt } from "./vessels.js";
+
+/* ---------------- Limits ---------------- */
+// Hints run on a tap; keep the search well under the generator's budget.
+export const HINT_SOLVER_BUDGET = 20000;
+
+/* ---------------- Visibility ---------------- */
+/** Visible segments per bottle (from the top), mirroring drawBottleLiquid(). */
+export function visibleCounts(board) {
+  return board.bottles.map((b, i) => {
+    if (!board.sealedUnknown?.[i]) return b.length;
+    const cap = capacityAt(board, i);
+    const pct = Number.isFinite(board.revealDepthPct?.[i]) ? board.revealDepthPct[i] : 1;
+    const layers = Math.max(1, Math.min(cap, Math.ceil(Math.max(0, Math.min(1, pct)) * cap)));
+    return Math.min(b.length, layers);
+  });
+}
+
+export function hasHiddenSegments(board) {
+  const vis = visibleCounts(board);
+  return board.bottles.some((b, i) => vis[i] < b.length);
+}
+
+/* ---------------- Rules (visible) ---------------- */
+function canPourBoard(board, from, to) {
+  if (from === to) return false;
+  if (board.locked?.[from] || board.locked?.[to]) return false;
+  const a = board.bottles[from];
+  const b = board.bottles[to];
+  if (!a.length || b.length >= capacityAt(board, to)) return false;
+  return colorsMatch(effectiveTop(a), effectiveTop(b));
+}
+
+function pourPreview(board, from, to, visible) {
+  const a = board.bottles[from];
+  const b = board.bottles[to];
+  // the player only knows the run they can see
+  const run = Math.min(effectiveTopRun(a), visible[from]);
+  const amount = Math.min(effectiveTopRun(a), capacityAt(board, to) - b.length);
+  const bottles = board.bottles.slice();
+  const a2 = a.slice();
+  const b2 = b.slice();
+  for (let i = 0; i < amount; i++) b2.push(a2.pop());
+  bottles[from] = a2;
+  bottles[to] = b2;
+  return { run, amount, bottles };
+}
+
+function anyMove(board, bottles) {
+  const next = { ...board, bottles };
+  for (let f = 0; f < bottles.length; f++) {
+    for (let t = 0; t < bottles.length; t++) {
+      if (canPourBoard(next, f, t)) return true;
+    }
+  }
+  return false;
+}
+
+function solvedAfter(board, bottles) {
+  return bottles.every((b, i) => !b.length || (b.length === capacityAt(board, i) && isUniform(b)));
+}
+
+/* ---------------- Heuristic ---------------- */
+function scoreMove(board, from, to, visible, lastMove) {
+  const { run, amount, bottles } = pourPreview(board, from, to, visible);
+  const cap = capacityAt(board, to);
+  const a = board.bottles[from];
+  const b = board.bottles[to];
+  const after = bottles[to];
+  let s = 0;
+
+  // completes a vial the player can see is uniform
+  if (after.length === cap && visible[to] === b.length && isUniform(after)) s += 10;
+  // consolidating onto a matching top beats spending an empty vial
+  s += b.length ? 3 : -1;
+  // moving the whole visible run keeps colours together
+  if (amount >= run) s += 2;
+  else s -= 2;
+  // a uniform vial into an empty one of the same vessel changes nothing
+  if (!b.length && effectiveRunCount(a) === 1 && capacityAt(board, from) === cap) s -= 8;
+  // digging into a Sealed Unknown reveals information
+  if (visible[from] < a.length) s += 3;
+  // emptying a vial frees space
+  if (amount === a.length) s += 2;
+
+  // keystone collector: feed it its element, never drain it
+  const ks = board.keystone;
+  if (ks && !ks.unlocked && Number.isInteger(ks.bottleIndex)) {
+    const top = effectiveTop(a);
+    if (to === ks.bottleIndex && (top === ks.idx || top === WILDCARD)) s += 6;
+    if (from === ks.bottleIndex && effectiveTop(a) === ks.idx) s -= 6;
+  }
+
+  // undoing the previous pour is rarely progress
+  if (lastMove && lastMove.from === to && lastMove.to === from) s -= 6;
+
+  // never suggest a pour that leaves no legal move
+  if (!solvedAfter(board, bottles) && !anyMove(board, bottles)) s -= 20;
+
+  return s;
+}
+
+function heuristicMove(board, lastMove) {
+  const visible = visibleCounts(board);
+  let best = null;
+  const n = board.bottles.length;
+  for (let from = 0; from < n; from++) {
+    for (let to = 0; to < n; to++) {
+      if (!canPourBoard(board, from, to)) continue;
+      const score = scoreMove(board, from, to, visible, lastMove);
+      if (!best || score > best.score) best = { from, to, score };
+    }
+  }
+  return best;
+}
+
+/* ---------------- Suggest ---------------- */
+/**
+ * Suggest the next pour.
+ *
+ * opts: { lastMove: {from,to} | null, budget }
+ * Returns { from, to, source: "solver" | "heuristic", movesLeft, solvable } or null
+ * when no legal pour exists. `solvable === false` means the solver proved the
+ * current board dead (the hint is then a best effort).
+ */
+export function suggestHint(board, opts = {}) {
+  let solvable = null;
+  if (!hasHiddenSegments(board)) {
+    const res = solveBoard(board, { budget: Number.isFinite(opts.budget) ? opts.budget : HINT_SOLVER_BUDGET });
+    solvable = res.solvable;
+    if (res.solvable && res.moves?.length) {
+      const m = res.moves[0];
+      return { from: m.from, to: m.to, source: "solver", movesLeft: res.moveCount, solvable: true };
+    }
+  }
+
+  const best = heuristicMove(board, opts.lastMove || null);
+  if (!best) return null;
+  return { from: best.from, to: best.to, source: "heuristic", movesLeft: null, solvable };
+}
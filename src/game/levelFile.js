@@ -0,0 +1,180 @@
+// src/game/levelFile.js
+// Hand-authored levels (level editor): JSON format, validation, recipe view (DOM-free).
+//
+// A level file is a finished board, not generator inputs: the editor places every
+// segment, cork, Sealed Unknown and the keystone collector by hand. Segments are
+// palette indices (elements[i]) or WILDCARD. The rules level decides which
+// mechanics run (instability, stabilizer, reactions), exactly like a generated level.
+// Vessel shapes (vessels.js) are optional: a file without `shapes` is all vials.
+
+import { ELEMENTS, THESES } from "../../element_schema.js";
+import { WILDCARD } from "./wildcard.js";
+import { DEFAULT_VESSEL, isVesselShape, capacitiesFor } from "./vessels.js";
+
+export const LEVEL_FILE_FORMAT = "ma_level";
+export const LEVEL_FILE_VERSION = 1;
+
+export const EDITOR_LIMITS = {
+  capacity: [2, 8],
+  bottles: [2, 16],
+  elements: [1, 10],
+  level: [1, 99],
+};
+
+/* ---------------- Build ---------------- */
+/**
+ * level: { level, thesisKey, elements, board: { bottles, capacity, shapes, locked, sealedUnknown, keystone } }
+ * keystone: { sym, bottleIndex } | null
+ * shapes: vessel shape per bottle (capacity follows from the shape and the base capacity)
+ */
+export function levelFileFrom(lv) {
+  const b = lv.board;
+  return {
+    format: LEVEL_FILE_FORMAT,
+    version: LEVEL_FILE_VERSION,
+    level: lv.level,
+    thesisKey: lv.thesisKey ?? null,
+    elements: lv.elements.slice(),
+    board: {
+      capacity: b.capacity,
+      bottles: b.bottles.map((x) => x.slice()),
+      shapes: levelShapes(b),
+      locked: b.bottles.map((_, i) => !!b.locked?.[i]),
+      sealedUnknown: b.bottles.map((_, i) => !!b.sealedUnknown?.[i]),
+      keystone: b.keystone?.sym ? { sym: b.keystone.sym, bottleIndex: b.keystone.bottleIndex ?? null } : null,
+    },
+  };
+}
+
+/** Recipe-shaped summary (level_start telemetry, replays, recipe info). */
+export function editorRecipe(lv) {
+  const b = lv.board;
+  return {
+    source: "editor",
+    title: `Editor level (L${lv.level})`,
+    colors: lv.elements.length,
+    bottleCount: b.bottles.length,
+    capacity: b.capacity,
+    mixedVessels: levelShapes(b).filter((s) => s !== DEFAULT_VESSEL).length,
+    emptyBottles: b.bottles.filter((x) => !x.length).length,
+    corkedBottles: b.locked.filter(Boolean).length,
+    lockedBottles: b.locked.filter(Boolean).length,
+    sealedUnknownBottles: b.sealedUnknown.filter(Boolean).length,
+    wildcardSlots: b.bottles.reduce((n, x) => n + x.filter((s) => s === WILDCARD).length, 0),
+    keystoneElementSym: b.keystone?.sym ?? null,
+    keystoneBottleIndex: b.keystone?.bottleIndex ?? null,
+    elements: lv.elements.slice(),
+    appliedModifier: null,
+  };
+}
+
+/** Shape per bottle, vials where the board has none. */
+export function levelShapes(board) {
+  return board.bottles.map((_, i) => (isVesselShape(board.shapes?.[i]) ? board.shapes[i] : DEFAULT_VESSEL));
+}
+
+/** Capacity per bottle (shape + base capacity). */
+export function levelCapacities(board) {
+  return capacitiesFor(levelShapes(board), board.capacity);
+}
+
+/* ---------------- Checks ---------------- */
+/**
+ * Shape problems that make a board unplayable (errors) or merely unusual (notes).
+ * Solvability and keystone safety are the game's job (solver + validateKeystoneLevelSafety).
+ */
+export function checkLevel(lv) {
+  const errors = [];
+  const notes = [];
+  const b = lv.board;
+  const caps = levelCapacities(b);
+  const n = lv.elements.length;
+
+  b.bottles.forEach((x, i) => {
+    if (x.length > caps[i]) errors.push(`OVERFILLED:${i + 1}`);
+    if (x.some((s) => s !== WILDCARD && (s < 0 || s >= n))) errors.push(`UNKNOWN_SEGMENT:${i + 1}`);
+    if (b.locked[i] && b.sealedUnknown[i]) errors.push(`CORKED_AND_SEALED:${i + 1}`);
+  });
+
+  // every colour has to fill exactly one whole vessel (wildcards can stand in for any);
+  // which vessel is the solver's call, here a colour only has to fit the nearest size
+  const sizes = [...new Set(caps)].sort((x, y) => x - y);
+  const wild = b.bottles.reduce((k, x) => k + x.filter((s) => s === WILDCARD).length, 0);
+  let short = 0;
+  for (let c = 0; c < n; c++) {
+    const count = b.bottles.reduce((k, x) => k + x.filter((s) => s === c).length, 0);
+    const fit = sizes.find((size) => size >= count);
+    if (fit === undefined) errors.push(`TOO_MANY:${lv.elements[c]}`);
+    else if (count && count < fit) short += fit - count;
+    else if (!count) notes.push(`UNUSED:${lv.elements[c]}`);
+  }
+  if (short > wild) errors.push("INCOMPLETE_COLORS");
+
+  const ks = b.keystone;
+  if (ks?.sym) {
+    if (!lv.elements.includes(ks.sym)) errors.push("KEYSTONE_NOT_IN_PALETTE");
+    if (!b.locked.some(Boolean)) notes.push("KEYSTONE_WITHOUT_CORKS");
+  } else if (b.locked.some(Boolean)) {
+    notes.push("CORKS_WITHOUT_KEYSTONE");
+  }
+  if (lv.thesisKey && !THESES[lv.thesisKey]) errors.push("UNKNOWN_THESIS");
+
+  return { ok: errors.length === 0, errors, notes };
+}
+
+/* ---------------- Parse ---------------- */
+function inRange(v, [lo, hi]) {
+  return Number.isInteger(v) && v >= lo && v <= hi;
+}
+
+/**
+ * Parse an imported level file (string or object).
+ * Returns { ok: true, level } or { ok: false, errors }.
+ */
+export function parseLevelFile(raw) {
+  let r = raw;
+  if (typeof raw === "string") {
+    try {
+      r = JSON.parse(raw);
+    } catch {
+      return { ok: false, errors: ["NOT_JSON"] };
+    }
+  }
+  if (!r || typeof r !== "object" || Array.isArray(r)) return { ok: false, errors: ["NOT_AN_OBJECT"] };
+
+  const errors = [];
+  if (r.format !== LEVEL_FILE_FORMAT) errors.push("BAD_FORMAT");
+  if (r.version !== LEVEL_FILE_VERSION) errors.push(`UNSUPPORTED_VERSION:${r.version}`);
+  if (!inRange(r.level, EDITOR_LIMITS.level)) errors.push("BAD_LEVEL");
+  const elements = Array.isArray(r.elements) ? r.elements : [];
+  if (!inRange(elements.length, EDITOR_LIMITS.elements) || !elements.every((s) => ELEMENTS[s])) errors.push("BAD_ELEMENTS");
+  if (new Set(elements).size !== elements.length) errors.push("DUPLICATE_ELEMENTS");
+
+  const b = r.board || {};
+  if (!inRange(b.capacity, EDITOR_LIMITS.capacity)) errors.push("BAD_CAPACITY");
+  const bottles = Array.isArray(b.bottles) ? b.bottles : [];
+  if (!inRange(bottles.length, EDITOR_LIMITS.bottles)) errors.push("BAD_BOTTLES");
+  if (!bottles.every((x) => Array.isArray(x) && x.every(Number.isInteger))) errors.push("BAD_SEGMENTS");
+  if (b.shapes !== undefined && !(Array.isArray(b.shapes) && b.shapes.length === bottles.length && b.shapes.every(isVesselShape))) {
+    errors.push("BAD_SHAPES");
+  }
+  if (errors.length) return { ok: false, errors };
+
+  const flags = (a) => bottles.map((_, i) => !!(Array.isArray(a) && a[i]));
+  const ks = b.keystone && typeof b.keystone === "object" ? b.keystone : null;
+  const level = {
+    level: r.level,
+    thesisKey: THESES[r.thesisKey] ? r.thesisKey : null,
+    elements: elements.slice(),
+    board: {
+      capacity: b.capacity,
+      bottles: bottles.map((x) => x.slice()),
+      shapes: levelShapes({ bottles, shapes: b.shapes }),
+      locked: flags(b.locked),
+      sealedUnknown: flags(b.sealedUnknown),
+      keystone: ks?.sym ? { sym: String(ks.sym), bottleIndex: Number.isInteger(ks.bottleIndex) ? ks.bottleIndex : null } : null,
+    },
+  };
+  const c = checkLevel(level);
+  return c.ok ? { ok: true, level, notes: c.notes } : { ok: false, errors: c.errors };
+}
@@ -0,0 +1,170 @@
+// src/game/moveJournal.js
+// Per-level move journal: every pour as a compact diff, with undo/redo (DOM-free).
+//
+// An entry stores the transfer (from, to, amount) plus only the fields that the
+// pour changed: per-index [i, before, after] triples for arrays (reveal depth,
+// corks, sealed flags, instability) and [before, after] pairs for scalars
+// (move index, gate unlocks). Applying an entry backwards or forwards is exact,
+// so seed + journal reconstructs the whole level.
+//
+// Modifier uses are recorded as markers and raise the floor: the journal never
+// undoes across them (Temporal Retraction stays the only in-fiction rewind for
+// what a modifier changed). The game seal()s after a pour that set off a reaction.
+//
+// Temporal Retraction rewinds through the journal too, so it reaches the last applied
+// pour however many journal undos came before it. It has its own floor, which only
+// forgetRetraction() raises.
+
+/* ---------------- Diffs ---------------- */
+/**
+ * Compact diff between two snapshots with the same keys.
+ * Arrays -> [[i, before, after], ...] (changed indices only); scalars -> [before, after].
+ */
+export function diffSnapshots(before, after) {
+  const d = {};
+  for (const k of Object.keys(after)) {
+    const b = before[k];
+    const a = after[k];
+    if (Array.isArray(a)) {
+      const bb = Array.isArray(b) ? b : [];
+      const changes = [];
+      const n = Math.max(a.length, bb.length);
+      for (let i = 0; i < n; i++) {
+        if (!Object.is(bb[i], a[i])) changes.push([i, bb[i] ?? null, a[i] ?? null]);
+      }
+      if (changes.length) d[k] = changes;
+    } else if (!Object.is(b, a)) {
+      d[k] = [b ?? null, a ?? null];
+    }
+  }
+  return d;
+}
+
+/**
+ * Apply a diff to `view` in place (arrays are mutated, scalars reassigned).
+ * dir = -1 restores the "before" side, +1 the "after" side.
+ */
+export function applyDiff(view, diff, dir) {
+  const side = dir < 0 ? 1 : 2;
+  for (const [k, v] of Object.entries(diff || {})) {
+    if (Array.isArray(view[k])) {
+      for (const t of v) view[k][t[0]] = t[side];
+    } else {
+      view[k] = v[side - 1];
+    }
+  }
+}
+
+/** Move `amount` top segments (dir +1: from -> to, dir -1: back), preserving order. */
+export function applyTransfer(bottles, from, to, amount, dir) {
+  const src = dir < 0 ? bottles[to] : bottles[from];
+  const dst = dir < 0 ? bottles[from] : bottles[to];
+  for (let i = 0; i < amount; i++) dst.push(src.pop());
+}
+
+/* ---------------- Journal ---------------- */
+/**
+ * entries: [{ kind: "pour", from, to, amount, moveIndex, at, diff }
+ *         | { kind: "mod", id, target, moveIndex, at }]
+ * cursor:  entries[0..cursor) are applied; the rest is the redo tail.
+ * floor:   undo never goes below this index.
+ * retractFloor: Temporal Retraction never goes below this index.
+ */
+export function createMoveJournal(saved = null) {
+  const j = {
+    entries: Array.isArray(saved?.entries) ? saved.entries.slice() : [],
+    cursor: 0,
+    floor: 0,
+    retractFloor: 0,
+  };
+  j.cursor = clampIndex(saved?.cursor, j.entries.length, j.entries.length);
+  j.floor = clampIndex(saved?.floor, j.cursor, 0);
+  j.retractFloor = clampIndex(saved?.retractFloor, j.entries.length, 0);
+
+  function clampIndex(v, max, dflt) {
+    const n = Number.isInteger(v) ? v : dflt;
+    return Math.max(0, Math.min(max, n));
+  }
+
+  // Index of the last applied pour, or -1.
+  function lastPour() {
+    let i = j.cursor - 1;
+    while (i >= 0 && j.entries[i].kind !== "pour") i--;
+    return i;
+  }
+
+  // A new action after undo discards the redo tail.
+  function push(entry) {
+    j.entries.length = j.cursor;
+    j.retractFloor = Math.min(j.retractFloor, j.cursor);
+    j.entries.push(entry);
+    j.cursor = j.entries.length;
+  }
+
+  return {
+    get cursor() {
+      return j.cursor;
+    },
+    get length() {
+      return j.entries.length;
+    },
+    canUndo() {
+      return j.cursor > j.floor && j.entries[j.cursor - 1]?.kind === "pour";
+    },
+    canRedo() {
+      return j.cursor < j.entries.length && j.entries[j.cursor]?.kind === "pour";
+    },
+    recordPour(entry) {
+      push({ kind: "pour", ...entry });
+    },
+    recordModifier(id, moveIndex, target = null) {
+      push({ kind: "mod", id, target, moveIndex, at: Date.now() });
+      j.floor = j.cursor;
+    },
+    /** Forget the undo history without losing the record (replays still need it). */
+    seal() {
+      j.floor = j.cursor;
+    },
+    /** Step back one pour; returns the entry to revert, or null. */
+    undo() {
+      if (!this.canUndo()) return null;
+      j.cursor--;
+      return j.entries[j.cursor];
+    },
+    /** Step forward one pour; returns the entry to re-apply, or null. */
+    redo() {
+      if (!this.canRedo()) return null;
+      return j.entries[j.cursor++];
+    },
+    canRetract() {
+      const i = lastPour();
+      return i >= 0 && i >= j.retractFloor;
+    },
+    /**
+     * Temporal Retraction: drop the last applied pour (and any markers after it)
+     * from the record. No redo: the rewind happened in the fiction.
+     */
+    retract() {
+      if (!this.canRetract()) return null;
+      const i = lastPour();
+      const entry = j.entries[i];
+      j.entries.length = i;
+      j.cursor = i;
+      j.floor = Math.min(j.floor, j.cursor);
+      return entry;
+    },
+    /** Put the pours applied so far out of Temporal Retraction's reach; returns how many. */
+    forgetRetraction() {
+      const forgotten = j.entries.slice(j.retractFloor, j.cursor).filter((e) => e.kind === "pour").length;
+      j.retractFloor = Math.max(j.retractFloor, j.cursor);
+      return forgotten;
+    },
+    /** Applied entries only (what happened in the level so far). */
+    applied() {
+      return j.entries.slice(0, j.cursor);
+    },
+    toJSON() {
+      return { entries: j.entries, cursor: j.cursor, floor: j.floor, retractFloor: j.retractFloor };
+    },
+  };
+}
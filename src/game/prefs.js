@@ -0,0 +1,139 @@
+// src/game/prefs.js
+// Player preferences: one typed, versioned record in localStorage (DOM-free).
+//
+// PREF_SCHEMA is the single list of settings (type, default, allowed values). Every
+// read goes through coercePref(), so a stale or hand-edited value falls back to its
+// default instead of breaking boot. app.js applies the preferences live and binds
+// the settings dialog to the schema (controls carry data-pref="<key>").
+
+import { getJSON, setJSON, getStr, del } from "../utils/storage.js";
+import { COLOR_VISION_MODES, DEFAULT_COLOR_VISION } from "./colorVision.js";
+
+export const PREFS_KEY = "ma_prefs";
+export const PREFS_VERSION = 1;
+
+/* ---------------- Schema ---------------- */
+// Pour animation length relative to the base timing in app.js.
+export const ANIM_SPEEDS = { slow: 1.5, normal: 1, fast: 0.6 };
+
+export const PREF_SCHEMA = {
+  sfxVolume: { type: "number", min: 0, max: 100, default: 80 }, // percent
+  sfxMuted: { type: "boolean", default: false },
+  animSpeed: { type: "enum", default: "normal", options: { slow: "Slow", normal: "Normal", fast: "Fast" } },
+  // "system" follows prefers-reduced-motion
+  reducedMotion: { type: "enum", default: "system", options: { system: "Follow system", on: "On", off: "Off" } },
+  speechTheme: { type: "enum", default: "dark", options: { dark: "Dark", light: "Light" } },
+  colorVision: {
+    type: "enum",
+    default: DEFAULT_COLOR_VISION,
+    options: Object.fromEntries(Object.entries(COLOR_VISION_MODES).map(([k, m]) => [k, m.name])),
+  },
+  segmentSymbols: { type: "boolean", default: false },
+  // mostly-solved mercy on every level (the thesis can still grant it on its own)
+  mostlySolvedMercy: { type: "boolean", default: false },
+  telemetryOff: { type: "boolean", default: false },
+  // "" means the build default (local server or production)
+  apiBase: { type: "string", default: "", maxLength: 300 },
+};
+
+export const PREF_KEYS = Object.keys(PREF_SCHEMA);
+
+/** `value` as a valid `key` preference, or the key's default. */
+export function coercePref(key, value) {
+  const spec = PREF_SCHEMA[key];
+  if (!spec) return undefined;
+  switch (spec.type) {
+    case "boolean":
+      return typeof value === "boolean" ? value : spec.default;
+    case "number": {
+      const n = Number(value);
+      if (value === null || value === "" || !Number.isFinite(n)) return spec.default;
+      return Math.max(spec.min, Math.min(spec.max, Math.round(n)));
+    }
+    case "enum":
+      return Object.prototype.hasOwnProperty.call(spec.options, value) ? value : spec.default;
+    case "string":
+      return typeof value === "string" ? value.trim().slice(0, spec.maxLength) : spec.default;
+    default:
+      return spec.default;
+  }
+}
+
+export function defaultPrefs() {
+  return Object.fromEntries(PREF_KEYS.map((k) => [k, PREF_SCHEMA[k].default]));
+}
+
+/** Every schema key, coerced; unknown keys dropped. */
+export function normalizePrefs(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return Object.fromEntries(PREF_KEYS.map((k) => [k, coercePref(k, src[k])]));
+}
+
+/* ---------------- Migrations ---------------- */
+// Keys that held preferences before the store. The v0 "save" is gathered from
+// them; savePrefs() removes them once the store is written.
+export const LEGACY_PREF_KEYS = {
+  telemetryOff: "maTelemetryOff",
+  speechTheme: "ma_speechTheme",
+  apiBase: "ma_apiBase",
+  colorVision: "ma_colorVision",
+  segmentSymbols: "ma_segmentSymbols",
+};
+
+function readLegacy() {
+  const get = (k) => getStr(LEGACY_PREF_KEYS[k]);
+  const flag = (v) => (v === null ? undefined : v === "1");
+  return {
+    v: 0,
+    telemetryOff: flag(get("telemetryOff")),
+    speechTheme: (get("speechTheme") || "").toLowerCase(),
+    apiBase: get("apiBase") ?? undefined,
+    colorVision: get("colorVision"),
+    segmentSymbols: flag(get("segmentSymbols")),
+  };
+}
+
+// Each entry upgrades a record FROM that version to the next one.
+const MIGRATIONS = {
+  // v0: the scattered legacy keys (see readLegacy)
+  0: (s) => {
+    const { v, ...prefs } = s;
+    return { v: 1, prefs };
+  },
+};
+
+function migrate(raw) {
+  let s = raw;
+  let v = Number.isInteger(s.v) ? s.v : 0;
+  while (v < PREFS_VERSION) {
+    const step = MIGRATIONS[v];
+    if (!step) return null;
+    s = step(s);
+    v = s.v;
+  }
+  return v === PREFS_VERSION ? s : null;
+}
+
+/* ---------------- Public API ---------------- */
+/** Stored preferences (migrated from the legacy keys on first run), always complete. */
+export function loadPrefs() {
+  const raw = getJSON(PREFS_KEY, null);
+  const s = migrate(raw && typeof raw === "object" ? raw : readLegacy());
+  return normalizePrefs(s?.prefs);
+}
+
+export function savePrefs(prefs) {
+  try {
+    setJSON(PREFS_KEY, { v: PREFS_VERSION, prefs: normalizePrefs(prefs) });
+  } catch {
+    // quota errors: the preference still applies for this session
+    return false;
+  }
+  for (const k of Object.values(LEGACY_PREF_KEYS)) del(k);
+  return true;
+}
+
+export function clearPrefs() {
+  del(PREFS_KEY);
+  for (const k of Object.values(LEGACY_PREF_KEYS)) del(k);
+}
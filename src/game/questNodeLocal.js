@@ -0,0 +1,168 @@
+// src/game/questNodeLocal.js
+// Offline DM: quest nodes generated on the client (DOM-free).
+//
+// Same payload shape as POST /api/quest-node (quest_title, dm_intro, dm_midpoint,
+// dm_verdict, dm_mood, dm_frame, used_voice_ids, modifier), built from the element
+// schema, THESES, the pickLoreLine voice pack, the BANK profile and sin tags.
+// Everything is drawn from one rng seeded by (runSeed, questId, level), so the same
+// run replays the same nodes. The server node is an enhancement over this one.
+
+import { ELEMENTS, THESES, pickLoreLine } from "../../element_schema.js";
+import { makeRng, hashSeed } from "../utils/rng.js";
+
+/* ---------------- Modifier shape (mirrors server ZERO_MOD) ---------------- */
+export const ZERO_MODIFIER = {
+  lockedBottlesDelta: 0,
+  corkedBottlesDelta: 0,
+  emptyBottlesDelta: 0,
+  capacityDelta: 0,
+  wildcardSlotsDelta: 0,
+  colorsDelta: 0,
+  bottleCountDelta: 0,
+  ruleTag: "none",
+  bonusObjective: "",
+};
+
+// Corks only exist from this level on (computeLevelConfig ramp); earlier nodes never add one.
+const CORK_MIN_LEVEL = 18;
+const LORE_TRIES = 4;
+
+/* ---------------- Voice tables ---------------- */
+const TITLE_TEMPLATES = ["The {el} Trial", "{el} Under Pressure", "Protocol: {el}", "The {el} Distillation"];
+
+// One opener per sin tag: the roast lands on what the player actually did.
+const SIN_INTROS = {
+  hesitation: ["You hover over vials like they might bite.", "Hesitation is still a reaction. A slow one."],
+  indecision: ["Half your pours argue with the other half.", "Indecision leaves residue. I can see it."],
+  over_reset: ["Reset is not a strategy. It's a ritual.", "Another reset. The lab keeps count."],
+  steady_hand: ["Steady hands. Let's see if the head matches.", "Clean pours so far. Suspicious."],
+};
+
+const BANK_MOODS = { A: "annoyed", B: "disappointed", N: "encouraging", K: "amused" };
+const MAJOR_MOODS = { A: "frustrated", B: "disappointed", N: "satisfied", K: "impressed" };
+
+/* ---------------- Modifiers by BANK ---------------- */
+// Each template is a pure function of the node context; deltas stay inside computeLevelConfig clamps.
+const BANK_MODIFIERS = {
+  // Action: fewer safety vials, reward restraint
+  A: () => ({ emptyBottlesDelta: -1, ruleTag: "fewer_empties", bonusObjective: "Finish without Temporal Retraction." }),
+  // Blueprint: denser palette, reward a clean plan
+  B: () => ({ colorsDelta: 1, ruleTag: "denser_palette", bonusObjective: "Finish with zero invalid pours." }),
+  // Nurture: breathing room, reward calm
+  N: () => ({ emptyBottlesDelta: 1, ruleTag: "breathing_room", bonusObjective: "Finish without a reset." }),
+  // Knowledge: a sealed vial once corks exist, otherwise a denser palette
+  K: (ctx) =>
+    ctx.level >= CORK_MIN_LEVEL && !ctx.foreshadowOnly
+      ? { lockedBottlesDelta: 1, ruleTag: "sealed_protocol", bonusObjective: "Release the cork before the final pour." }
+      : { colorsDelta: 1, ruleTag: "denser_palette", bonusObjective: "Finish without a modifier." },
+};
+
+function modifierFor(ctx, rng) {
+  if (!ctx.wantModifier) return { ...ZERO_MODIFIER };
+  const make = BANK_MODIFIERS[ctx.bankPrimary] || BANK_MODIFIERS.K;
+  const m = { ...ZERO_MODIFIER, ...make(ctx) };
+
+  // Major nodes twist harder: one extra color, unless the palette is already the twist.
+  if (ctx.major && !m.colorsDelta) m.colorsDelta = 1;
+  // Over-resetters get a wildcard once wildcards are in play (mercy with a price tag).
+  if (ctx.sinTags.includes("over_reset") && !ctx.foreshadowOnly && ctx.level >= CORK_MIN_LEVEL && rng.f() < 0.5) {
+    m.wildcardSlotsDelta = 1;
+  }
+
+  // server canonical = locked; keep the corked alias in sync
+  m.corkedBottlesDelta = m.lockedBottlesDelta;
+  return m;
+}
+
+/* ---------------- Lines ---------------- */
+function textHash(s) {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0).toString(36);
+}
+
+// Lore line the player has not heard recently; ids ride the same used_voice_ids history as bank lines.
+function loreLine(kind, rng, used, usedOut) {
+  let text = pickLoreLine(kind, rng);
+  for (let i = 1; i < LORE_TRIES && used.has(`lore:${kind}:${textHash(text)}`); i++) {
+    text = pickLoreLine(kind, rng);
+  }
+  usedOut.push(`lore:${kind}:${textHash(text)}`);
+  return text;
+}
+
+// schema tags are snake_case ("scale_risk"); the DM says them as words
+function words(tag) {
+  return String(tag || "").replace(/_/g, " ");
+}
+
+function featuredElement(thesis, rng) {
+  const sym = thesis?.must_include?.[0] || rng.pick(Object.keys(ELEMENTS));
+  return ELEMENTS[sym] || null;
+}
+
+function midpointFor(ctx, thesis, el) {
+  const rule = thesis?.illegal_rule;
+  if (ctx.foreshadowOnly && rule && el) {
+    const needs = rule.required
+      ? ELEMENTS[rule.required]?.name || rule.required
+      : (rule.required_any_of || []).map((s) => ELEMENTS[s]?.name || s).join(" or ");
+    return `${el.name} without ${needs} ends in ${rule.result.toLowerCase()}. Remember that.`;
+  }
+  if (el) return `${el.name} teaches ${words(el.teaches)}. Ignore it and it punishes ${words(el.punishes)}.`;
+  return "Structure first. Pressure later.";
+}
+
+/* ---------------- Generator ---------------- */
+/**
+ * Build a quest node locally.
+ *
+ * ctx: { runSeed, questId, level, bankPrimary, sinTags, thesisKey, foreshadowOnly,
+ *        wantModifier, major, usedVoiceIds }
+ * Returns the /api/quest-node payload shape plus { source: "local" }.
+ */
+export function generateLocalQuestNode(ctx = {}) {
+  const c = {
+    level: Number(ctx.level) || 1,
+    bankPrimary: ["B", "A", "N", "K"].includes(ctx.bankPrimary) ? ctx.bankPrimary : "K",
+    sinTags: Array.isArray(ctx.sinTags) ? ctx.sinTags : [],
+    foreshadowOnly: !!ctx.foreshadowOnly,
+    wantModifier: ctx.wantModifier !== false,
+    major: !!ctx.major,
+  };
+  const thesisKeys = Object.keys(THESES);
+  const thesisKey = THESES[ctx.thesisKey] ? ctx.thesisKey : null;
+  const rng = makeRng(
+    hashSeed(ctx.runSeed, 6161, ctx.questId, c.level, thesisKey ? thesisKeys.indexOf(thesisKey) + 1 : 0)
+  );
+  const thesis = thesisKey ? THESES[thesisKey] : THESES[rng.pick(thesisKeys)];
+  const el = featuredElement(thesis, rng);
+
+  const used = new Set(Array.isArray(ctx.usedVoiceIds) ? ctx.usedVoiceIds : []);
+  const usedOut = [];
+
+  const sinTag = c.sinTags.find((t) => SIN_INTROS[t]) || "steady_hand";
+  // Minor nodes open with one line (roast or lore); major nodes stack both.
+  const roast = rng.pick(SIN_INTROS[sinTag]);
+  const intro = c.major
+    ? `${roast} ${loreLine("intro", rng, used, usedOut)}`
+    : rng.f() < 0.5
+    ? roast
+    : loreLine("intro", rng, used, usedOut);
+  const verdictKind = c.sinTags.some((t) => t === "over_reset" || t === "indecision") ? "fail" : "win";
+
+  return {
+    quest_title: rng.pick(TITLE_TEMPLATES).replace("{el}", el?.name || thesis.name),
+    dm_intro: intro,
+    dm_midpoint: midpointFor(c, thesis, el),
+    dm_verdict: loreLine(verdictKind, rng, used, usedOut),
+    dm_mood: (c.major ? MAJOR_MOODS : BANK_MOODS)[c.bankPrimary],
+    dm_frame: rng.int(0, 5),
+    used_voice_ids: usedOut,
+    modifier: modifierFor(c, rng),
+    source: "local",
+  };
+}
@@ -0,0 +1,139 @@
+// src/game/reactions.js
+// Element chemistry: illegal reactions declared in element_schema.js (DOM-free).
+//
+// Two rule families, evaluated after every valid pour:
+//   - conflict: an element is poured into a vial that holds an element it
+//     conflicts with (conflicts_with, either direction), e.g. HO onto CL.
+//   - illegal:  a vial is completed with an element whose requirement is missing
+//     from the level palette (illegal_without / illegal_without_any_of). The active
+//     thesis' illegal_rule overrides the element rule for its element.
+// Each rule fires at most once per level. app.js owns the board consequences.
+
+import { ELEMENTS, THESES } from "../../element_schema.js";
+import { WILDCARD, effectiveColors, effectiveTop, isUniform } from "./wildcard.js";
+
+/* ---------------- Results -> consequences ---------------- */
+export const REACTION_EFFECTS = {
+  CONFLICT: "obscure_target", // the reacting vial seals (Sealed Unknown)
+  PANIC: "agitate", // neglected vials age faster (instability)
+  COLLAPSE: "agitate_hard",
+  DESPAIR: "drain_modifier", // one modifier charge is lost
+  DISTRUST: "obscure_random", // another vial seals
+  INDIFFERENCE: "forget_undo", // undo history is erased
+};
+const DEFAULT_ILLEGAL_RESULT = "PANIC";
+
+// element -> result, as named by the thesis that features it (e.g. PA -> DESPAIR)
+const RESULT_BY_ELEMENT = (() => {
+  const out = {};
+  for (const t of Object.values(THESES)) {
+    const r = t.illegal_rule;
+    if (r?.element && r.result && !out[r.element]) out[r.element] = r.result;
+  }
+  return out;
+})();
+
+/* ---------------- Rules ---------------- */
+function ruleFromThesis(r) {
+  return {
+    element: r.element,
+    required: r.type === "missing_required" ? [r.required] : null,
+    anyOf: r.type === "missing_any_of" ? (r.required_any_of || []).slice() : null,
+    result: r.result || DEFAULT_ILLEGAL_RESULT,
+  };
+}
+
+/** Illegal rules for the elements of a palette (thesis rule wins for its element). */
+export function illegalRulesFor(elements, thesisKey) {
+  const rules = new Map();
+  for (const sym of elements) {
+    const el = ELEMENTS[sym];
+    if (!el) continue;
+    const result = RESULT_BY_ELEMENT[sym] || DEFAULT_ILLEGAL_RESULT;
+    if (el.illegal_without?.length) {
+      rules.set(sym, { element: sym, required: el.illegal_without.slice(), anyOf: null, result });
+    } else if (el.illegal_without_any_of?.length) {
+      rules.set(sym, { element: sym, required: null, anyOf: el.illegal_without_any_of.slice(), result });
+    }
+  }
+  const tr = THESES[thesisKey]?.illegal_rule;
+  if (tr?.element && elements.includes(tr.element)) rules.set(tr.element, ruleFromThesis(tr));
+  return [...rules.values()];
+}
+
+/** Elements the rule needs but the palette lacks ([] when the rule is satisfied). */
+export function missingFor(rule, elements) {
+  if (rule.required) return rule.required.filter((s) => !elements.includes(s));
+  if (rule.anyOf) return rule.anyOf.some((s) => elements.includes(s)) ? [] : rule.anyOf.slice();
+  return [];
+}
+
+export function conflictsBetween(a, b) {
+  return !!(ELEMENTS[a]?.conflicts_with?.includes(b) || ELEMENTS[b]?.conflicts_with?.includes(a));
+}
+
+function symbolsIn(bottle, elements) {
+  const out = new Set();
+  for (const c of effectiveColors(bottle)) {
+    if (c !== WILDCARD && elements[c]) out.add(elements[c]);
+  }
+  return out;
+}
+
+/* ---------------- Evaluation ---------------- */
+/**
+ * Evaluate one pour into bottle `to`.
+ * `before` / `after` are the target's contents (palette indices), `elements`
+ * maps indices to symbols, `fired` is the per-level Set of rule keys (mutated).
+ *
+ * Returns [{ kind, key, result, effect, element, partner, missing, bottleIndex }].
+ */
+export function evaluatePour({ before, after, to, capacity, elements, thesisKey, fired }) {
+  const out = [];
+  const top = effectiveTop(after);
+  if (top === null || top === WILDCARD) return out;
+  const sym = elements[top];
+  if (!sym) return out;
+
+  // conflict: the poured element lands in a vial holding an element it rejects
+  for (const other of symbolsIn(before, elements)) {
+    if (other === sym || !conflictsBetween(sym, other)) continue;
+    const key = `conflict:${[sym, other].sort().join("+")}`;
+    if (fired.has(key)) continue;
+    fired.add(key);
+    out.push({
+      kind: "conflict",
+      key,
+      result: "CONFLICT",
+      effect: REACTION_EFFECTS.CONFLICT,
+      element: sym,
+      partner: other,
+      missing: [],
+      bottleIndex: to,
+    });
+  }
+
+  // illegal: this pour completed a full vial of an element whose requirement is absent
+  const completed =
+    after.length === capacity && isUniform(after) && !(before.length === capacity && isUniform(before));
+  if (completed && !fired.has(`illegal:${sym}`)) {
+    const rule = illegalRulesFor(elements, thesisKey).find((r) => r.element === sym);
+    const missing = rule ? missingFor(rule, elements) : [];
+    if (missing.length) {
+      const key = `illegal:${sym}`;
+      fired.add(key);
+      out.push({
+        kind: "illegal",
+        key,
+        result: rule.result,
+        effect: REACTION_EFFECTS[rule.result] || REACTION_EFFECTS[DEFAULT_ILLEGAL_RESULT],
+        element: sym,
+        partner: null,
+        missing,
+        bottleIndex: to,
+      });
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,165 @@
+// src/game/recipeValidate.js
+// Server level recipes (/api/level-recipe): clamp + validate against the client's
+// limits before the generator sees them (DOM-free).
+//
+// The server schema is looser than the generator (up to 10 colors, 14 bottles, 3
+// corks), and the model can drift from the modifier it was asked to apply, so every
+// field is re-derived here. Small problems are clamped and noted; anything the
+// generator cannot build from is rejected so the caller falls back to the local recipe.
+
+import { ELEMENTS, THESES } from "../../element_schema.js";
+
+export const RECIPE_LIMITS = {
+  colors: [3, 8],
+  capacity: [3, 6],
+  emptyBottles: [1, 4],
+  corkedBottles: [0, 2],
+  wildcardSlots: [0, 2],
+};
+
+const TEXT_MAX = 240;
+const LIST_MAX = 4;
+
+// recipe field <- modifier delta key (server canonical name first)
+const MOD_FIELDS = [
+  ["colors", ["colorsDelta"]],
+  ["capacity", ["capacityDelta"]],
+  ["emptyBottles", ["emptyBottlesDelta"]],
+  ["corkedBottles", ["lockedBottlesDelta", "corkedBottlesDelta"]],
+  ["wildcardSlots", ["wildcardSlotsDelta"]],
+];
+
+function delta(mod, keys) {
+  for (const k of keys) {
+    const v = Number(mod?.[k]);
+    if (Number.isFinite(v)) return Math.trunc(v);
+  }
+  return 0;
+}
+
+function cleanText(v, max = TEXT_MAX) {
+  return typeof v === "string" ? v.replace(/\s+/g, " ").trim().slice(0, max) : "";
+}
+
+function cleanList(v) {
+  if (!Array.isArray(v)) return [];
+  return v.map((x) => cleanText(x, 90)).filter(Boolean).slice(0, LIST_MAX);
+}
+
+/**
+ * Elements the level may use: known symbols only, thesis must_exclude removed,
+ * thesis must_include forced to the front (the thesis is the lesson).
+ */
+function reconcileElements(raw, thesisKey, notes) {
+  const thesis = THESES[thesisKey] || null;
+  const exclude = new Set(thesis?.must_exclude || []);
+  const out = [];
+  for (const s of Array.isArray(raw) ? raw : []) {
+    const sym = String(s || "").trim().toUpperCase();
+    if (!ELEMENTS[sym]) {
+      notes.push(`UNKNOWN_ELEMENT:${sym || "?"}`);
+      continue;
+    }
+    if (exclude.has(sym)) {
+      notes.push(`THESIS_EXCLUDES:${sym}`);
+      continue;
+    }
+    if (!out.includes(sym)) out.push(sym);
+  }
+  for (const sym of [...(thesis?.must_include || [])].reverse()) {
+    if (ELEMENTS[sym] && !out.includes(sym)) {
+      out.unshift(sym);
+      notes.push(`THESIS_INCLUDES:${sym}`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate a server recipe.
+ *
+ * ctx: { thesisKey, pendingModifier, local }  (local = buildLocalRecipe() output)
+ * Returns { ok: true, recipe, notes } or { ok: false, errors, notes }.
+ */
+export function sanitizeServerRecipe(raw, ctx = {}) {
+  const notes = [];
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, errors: ["NOT_AN_OBJECT"], notes };
+  }
+
+  // numbers: required, finite
+  const num = {};
+  for (const [field] of MOD_FIELDS) {
+    const v = Number(field === "corkedBottles" ? raw.corkedBottles ?? raw.lockedBottles : raw[field]);
+    if (!Number.isFinite(v)) errors.push(`MISSING_${field}`);
+    else num[field] = Math.round(v);
+  }
+  if (errors.length) return { ok: false, errors, notes };
+
+  // appliedModifier vs pendingModifier: the client's modifier is the truth.
+  // If the model applied different deltas, undo its deltas and apply ours.
+  const pending = ctx.pendingModifier || null;
+  const applied = raw.appliedModifier || null;
+  for (const [field, keys] of MOD_FIELDS) {
+    const diff = delta(pending, keys) - delta(applied, keys);
+    if (diff) {
+      num[field] += diff;
+      notes.push(`MODIFIER_MISMATCH:${field}${diff > 0 ? "+" : ""}${diff}`);
+    }
+  }
+
+  // clamp to the generator's limits
+  for (const [field, [lo, hi]] of Object.entries(RECIPE_LIMITS)) {
+    const v = Math.max(lo, Math.min(hi, num[field]));
+    if (v !== num[field]) notes.push(`CLAMP:${field}=${v}`);
+    num[field] = v;
+  }
+
+  // palette: colors can never exceed the elements we can actually draw
+  const elements = reconcileElements(raw.elements, ctx.thesisKey, notes);
+  if (elements.length < RECIPE_LIMITS.colors[0]) {
+    return { ok: false, errors: ["TOO_FEW_ELEMENTS"], notes };
+  }
+  if (num.colors > elements.length) {
+    num.colors = elements.length;
+    notes.push(`CLAMP:colors=${num.colors}`);
+  }
+
+  // one filled bottle per color, so bottleCount is derived, never trusted
+  const bottleCount = num.colors + num.emptyBottles;
+  if (Number(raw.bottleCount) !== bottleCount) notes.push(`BOTTLE_COUNT:${raw.bottleCount}->${bottleCount}`);
+
+  const corked = Math.min(num.corkedBottles, num.colors - 1);
+  if (corked !== num.corkedBottles) notes.push(`CLAMP:corkedBottles=${corked}`);
+
+  const palette = elements.slice(0, num.colors);
+  const ks = ctx.local?.keystoneElementSym;
+
+  return {
+    ok: true,
+    notes,
+    recipe: {
+      title: cleanText(raw.title, 60) || ctx.local?.title || "Level",
+      colors: num.colors,
+      bottleCount,
+      capacity: num.capacity,
+      emptyBottles: num.emptyBottles,
+      corkedBottles: corked,
+      lockedBottles: corked, // backward compat
+      sealedUnknownBottles: ctx.local?.sealedUnknownBottles ?? 0,
+      wildcardSlots: num.wildcardSlots,
+      // keystone stays a client decision; keep it only if it still fits the board
+      keystoneElementSym: corked > 0 && ks && palette.includes(ks) ? ks : null,
+      keystoneBottleIndex: null,
+      elements: palette,
+      sinTags: ctx.local?.sinTags || [],
+      appliedModifier: pending,
+      source: "server",
+      lore: cleanText(raw.lore),
+      bonuses: cleanList(raw.bonuses),
+      constraints: cleanList(raw.constraints),
+      difficulty: Number.isInteger(raw.difficulty) ? Math.max(1, Math.min(10, raw.difficulty)) : null,
+    },
+  };
+}
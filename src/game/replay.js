@@ -0,0 +1,109 @@
+// src/game/replay.js
+// Level replays: build / validate the exported JSON (DOM-free).
+//
+// A replay is everything needed to rebuild one level and re-run its pours:
+// the generator inputs (runSeed, level, recipe, thesis) plus the move journal's
+// applied entries as timestamped events. The start board rides along so playback
+// can tell when the generator has changed since the replay was recorded.
+
+import { capacityAt, isMixedBoard } from "./vessels.js";
+
+export const REPLAY_FORMAT = "ma_replay";
+export const REPLAY_VERSION = 1;
+
+// Longer attempts are trimmed at export, so every exported replay parses back.
+export const REPLAY_EVENT_MAX = 2000;
+const MODIFIER_IDS = ["DECOHERENCE_KEY", "EQUILIBRIUM_VESSEL"];
+
+/* ---------------- Build ---------------- */
+/**
+ * meta:    { runSeed, level, questId, thesisKey, recipe, board, startedAt }
+ * entries: moveJournal applied() entries
+ * Keeps the first REPLAY_EVENT_MAX events; `truncated` says whether any were cut.
+ */
+export function buildReplay(meta, entries) {
+  const t0 = Number(meta.startedAt) || 0;
+  const t = (at) => Math.max(0, Math.round((Number(at) || t0) - t0));
+  const events = [];
+  for (const e of entries || []) {
+    if (e.kind === "pour") events.push({ t: t(e.at), type: "pour", from: e.from, to: e.to, amount: e.amount });
+    else if (e.kind === "mod") events.push({ t: t(e.at), type: "modifier", id: e.id, target: e.target ?? null });
+  }
+  const truncated = events.length > REPLAY_EVENT_MAX;
+  return {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    runSeed: meta.runSeed,
+    level: meta.level,
+    questId: meta.questId ?? meta.level,
+    thesisKey: meta.thesisKey ?? null,
+    recipe: meta.recipe,
+    modifier: meta.recipe?.appliedModifier ?? null,
+    board: meta.board ?? null,
+    recordedAt: new Date(t0 || Date.now()).toISOString(),
+    events: truncated ? events.slice(0, REPLAY_EVENT_MAX) : events,
+    truncated,
+  };
+}
+
+export function replayFilename(r) {
+  return `ma_replay_L${r.level}_${r.runSeed}_${r.recordedAt.replace(/[:.]/g, "-")}.json`;
+}
+
+/** Stable key for "is this the same start board". */
+export function boardKey(b) {
+  if (!b) return "";
+  const key = [b.bottles, b.capacity, b.locked, b.sealedUnknown, b.keystone?.sym ?? null, b.keystone?.bottleIndex ?? null];
+  // vessels only join the key on mixed boards, so uniform boards keep their old key
+  if (isMixedBoard(b)) key.push(b.bottles.map((_, i) => capacityAt(b, i)));
+  return JSON.stringify(key);
+}
+
+/* ---------------- Validate ---------------- */
+function isIndex(v) {
+  return Number.isInteger(v) && v >= 0;
+}
+
+function validEvent(e) {
+  if (!e || typeof e !== "object" || !Number.isFinite(e.t)) return false;
+  if (e.type === "pour") return isIndex(e.from) && isIndex(e.to) && e.from !== e.to;
+  if (e.type === "modifier") return MODIFIER_IDS.includes(e.id);
+  return false;
+}
+
+/**
+ * Parse an imported replay (string or object).
+ * Returns { ok: true, replay } or { ok: false, errors }.
+ */
+export function parseReplay(raw) {
+  let r = raw;
+  if (typeof raw === "string") {
+    try {
+      r = JSON.parse(raw);
+    } catch {
+      return { ok: false, errors: ["NOT_JSON"] };
+    }
+  }
+  if (!r || typeof r !== "object" || Array.isArray(r)) return { ok: false, errors: ["NOT_AN_OBJECT"] };
+
+  const errors = [];
+  if (r.format !== REPLAY_FORMAT) errors.push("BAD_FORMAT");
+  if (r.version !== REPLAY_VERSION) errors.push(`UNSUPPORTED_VERSION:${r.version}`);
+  if (!Number.isFinite(r.runSeed) || !r.runSeed) errors.push("BAD_RUN_SEED");
+  if (!Number.isInteger(r.level) || r.level < 1) errors.push("BAD_LEVEL");
+  const rc = r.recipe;
+  if (!rc || typeof rc !== "object" || !Array.isArray(rc.elements)) errors.push("BAD_RECIPE");
+  else {
+    for (const k of ["colors", "bottleCount", "capacity", "emptyBottles"]) {
+      if (!Number.isInteger(rc[k]) || rc[k] < 0) errors.push(`BAD_RECIPE_${k}`);
+    }
+  }
+  if (!Array.isArray(r.events) || r.events.length > REPLAY_EVENT_MAX) errors.push("BAD_EVENTS");
+  else {
+    const bad = r.events.findIndex((e) => !validEvent(e));
+    if (bad >= 0) errors.push(`BAD_EVENT:${bad}`);
+  }
+  if (errors.length) return { ok: false, errors };
+
+  return { ok: true, replay: { ...r, questId: Number.isInteger(r.questId) ? r.questId : r.level } };
+}
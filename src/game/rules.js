@@ -0,0 +1,412 @@
+// src/game/rules.js
+// Game rules engine: pours, gates, instability and deadlock detection (DOM-free).
+//
+// `board` is the live board (app.js's `state`: bottles, capacity/capacities,
+// locked, hiddenSegs, sealedUnknown, revealDepthPct, keystone, stabilizer). Board
+// questions ("can this pour?", "is it solved?") are plain functions. The engine
+// from createRulesEngine() adds the per-level bookkeeping (move index, instability,
+// the soft-deadlock window) and reports every consequence of a pour as an event;
+// app.js subscribes and does the telling (telemetry, sound, toasts, the DM).
+//
+// No DOM, storage or randomness here, so the rules run under Node (test/rules.test.js).
+
+import { WILDCARD, effectiveColors, effectiveTop, effectiveTopRun, isUniform, colorsMatch, countUnresolvedWildcards } from "./wildcard.js";
+import { capacityAt } from "./vessels.js";
+
+/* ---------------- Board queries ---------------- */
+/** { legal, blockedBy } — blockedBy: "same" | "cork" | "empty" | "capacity" | "rule" | null. */
+export function canPourInfo(board, from, to) {
+  if (from === to) return { legal: false, blockedBy: "same" };
+  if (board.locked[from] || board.locked[to]) return { legal: false, blockedBy: "cork" };
+  const a = board.bottles[from],
+    b = board.bottles[to];
+  if (!a.length) return { legal: false, blockedBy: "empty" };
+  if (b.length >= capacityAt(board, to)) return { legal: false, blockedBy: "capacity" };
+  const ok = colorsMatch(effectiveTop(a), effectiveTop(b));
+  return { legal: ok, blockedBy: ok ? null : "rule" };
+}
+
+export function canPour(board, from, to) {
+  return canPourInfo(board, from, to).legal;
+}
+
+/** Segments a legal pour moves: the whole top run, or as much as fits. */
+export function pourAmount(board, from, to) {
+  return Math.min(effectiveTopRun(board.bottles[from]), capacityAt(board, to) - board.bottles[to].length);
+}
+
+/** Full of one (effective) colour. */
+export function isBottleSolved(board, i) {
+  const b = board.bottles[i] || [];
+  return b.length > 0 && b.length === capacityAt(board, i) && isUniform(b);
+}
+
+export function isBottleSolvedOrEmpty(board, i) {
+  return !board.bottles[i]?.length || isBottleSolved(board, i);
+}
+
+export function isSolved(board) {
+  return board.bottles.every((_, i) => isBottleSolvedOrEmpty(board, i));
+}
+
+export function hasAnyPlayableMove(board) {
+  for (let from = 0; from < board.bottles.length; from++) {
+    if (board.locked[from]) continue;
+    if (!board.bottles[from]?.length) continue;
+    for (let to = 0; to < board.bottles.length; to++) {
+      if (canPour(board, from, to)) return true;
+    }
+  }
+  return false;
+}
+
+/* ---------------- Selection ---------------- */
+// `board.selected`: the bottle a pour starts from, or NO_SELECTION.
+export const NO_SELECTION = -1;
+
+/** What a tap on bottle i does: "select" | "deselect" | "pour" (from board.selected into i). */
+export function tapAction(board, i) {
+  const s = board.selected;
+  if (!Number.isInteger(s) || s < 0) return "select";
+  return s === i ? "deselect" : "pour";
+}
+
+/* ---------------- Instability ---------------- */
+// Full, mixed, uncorked bottles left untouched destabilize. Stage 1 at the
+// threshold, stage 2 at +3, stage 3 at +5, collapse (stage 4) at +7.
+export const INSTABILITY_STAGE_MAX = 3;
+export const INSTABILITY_COLLAPSE_STAGE = 4;
+export const STAGE_OFFSETS = [0, 0, 3, 5, 7];
+
+export function stageForUntouched(movesUntouched, threshold) {
+  for (let s = 1; s <= INSTABILITY_COLLAPSE_STAGE; s++) {
+    if (movesUntouched < threshold + STAGE_OFFSETS[s]) return s - 1;
+  }
+  return INSTABILITY_COLLAPSE_STAGE;
+}
+
+export function isBottleFullAndMixed(board, i) {
+  if (board.locked[i]) return false; // immune
+  const b = board.bottles[i] || [];
+  if (b.length !== capacityAt(board, i)) return false;
+  return new Set(effectiveColors(b)).size >= 2;
+}
+
+/** Full, with all but one segment the same colour (the mercy rule spares these). */
+export function isBottleMostlySolved(board, i) {
+  const b = board.bottles[i] || [];
+  const cap = capacityAt(board, i);
+  if (b.length !== cap) return false;
+  const counts = new Map();
+  for (const c of effectiveColors(b)) counts.set(c, (counts.get(c) || 0) + 1);
+  return Math.max(...counts.values()) >= cap - 1;
+}
+
+/* ---------------- Soft deadlock ---------------- */
+// Back-and-forth cycling with no progress counts as a fail-state, so a board
+// with "infinite legal pours" that can never finish still ends.
+export const SOFT_DEADLOCK = {
+  window: 18, // recent valid pours to consider
+  repeatMin: 3, // same exact state seen this many times inside the window
+  stallMoves: 14, // consecutive valid pours with no progress
+  minHistory: 8,
+};
+
+/** Bottles + corks + clouding + gates as one string. */
+export function deadlockStateKey(board) {
+  const bottlesSig = board.bottles.map((b) => (b && b.length ? b.join(",") : "")).join("|");
+  const flags = (arr) => (arr || []).map((x) => (x ? "1" : "0")).join("");
+  const rdSig = (board.revealDepthPct || [])
+    .map((v) => String(Math.round(Math.max(0, Math.min(1, Number.isFinite(v) ? v : 1)) * 100)))
+    .join(",");
+  const ks = board.keystone;
+  const ksSig = ks ? `${ks.idx ?? "n"}:${ks.bottleIndex ?? "n"}:${ks.unlocked ? 1 : 0}` : "none";
+  const st = board.stabilizer;
+  const stSig = st ? `${st.idx ?? "n"}:${st.unlocked ? 1 : 0}` : "none";
+  return `${bottlesSig}#L${flags(board.locked)}#SU${flags(board.sealedUnknown)}#RD${rdSig}#K${ksSig}#S${stSig}`;
+}
+
+/** A tiny summary that moves when the player makes real progress. */
+export function progressSignature(board) {
+  let solved = 0;
+  let empty = 0;
+  for (let i = 0; i < board.bottles.length; i++) {
+    if (!board.bottles[i]?.length) empty++;
+    else if (isBottleSolved(board, i)) solved++;
+  }
+  const corked = (board.locked || []).filter(Boolean).length;
+  return `${solved}/${board.bottles.length}|E${empty}|C${corked}|K${board.keystone?.unlocked ? 1 : 0}`;
+}
+
+/**
+ * Rolling window of board states. Deadlocked when, inside the window, one state
+ * repeats (repeatMin) while progress has stalled (stallMoves).
+ */
+export function createDeadlockWatch(limits = SOFT_DEADLOCK) {
+  let states = [];
+  let progress = [];
+
+  return {
+    reset() {
+      states = [];
+      progress = [];
+    },
+    record(board) {
+      states.push(deadlockStateKey(board));
+      progress.push(progressSignature(board));
+      if (states.length > limits.window) states.shift();
+      if (progress.length > limits.window) progress.shift();
+    },
+    isDeadlocked(board) {
+      if (states.length < Math.min(limits.minHistory, limits.window)) return false;
+      // solved or stuck boards end through the normal checks
+      if (isSolved(board) || !hasAnyPlayableMove(board)) return false;
+
+      const freq = new Map();
+      for (const s of states) freq.set(s, (freq.get(s) || 0) + 1);
+      const maxRepeat = Math.max(...freq.values());
+
+      const last = progress[progress.length - 1];
+      let stall = 0;
+      for (let i = progress.length - 1; i >= 0 && progress[i] === last; i--) stall++;
+
+      return maxRepeat >= limits.repeatMin && stall >= limits.stallMoves;
+    },
+  };
+}
+
+/* ---------------- Engine ---------------- */
+/**
+ * Per-level rules. instability/collapse switch the instability system on;
+ * threshold is the untouched-move count for stage 1; mercy spares mostly solved
+ * bottles; stabilizerUnlockIdx is the palette index whose full bottle opens the
+ * stabilizer (-1: none).
+ */
+export const DEFAULT_LEVEL_RULES = {
+  instability: false,
+  collapse: false,
+  mercy: false,
+  threshold: 10,
+  stabilizerUnlockIdx: -1,
+};
+
+/**
+ * Rules engine over a live board. Events go to subscribers as
+ * { type, moveIndex, ...detail }:
+ *   pour_execute { from, to, movedCount, wildcardMoved }  (before the segments move)
+ *   wildcard_resolve { bottleIndex, count, resolvedTo }
+ *   unknown_reveal { bottleIndex, revealDepthPct, revealedCount }
+ *   instability_warning { bottleIndex, stage }  (a bottle entered the warning band)
+ *   instability_alarm { bottleIndex, stage }    (first stage 2 / 3 for that bottle)
+ *   instability_reset { bottleIndex, prevStage }
+ *   instability_collapse { bottleIndices }
+ *   stabilizer_unlock { bottleIndex }
+ *   keystone_solved { bottleIndex, elementIdx, instabilityActive }
+ *   cork_unlock { method, corkedCount }
+ * The per-level fields (moveIndex, lastTouchedMove, ...) are plain properties so
+ * the caller can save, restore and journal them.
+ */
+export function createRulesEngine(board) {
+  const listeners = new Set();
+  const deadlock = createDeadlockWatch();
+
+  const eng = {
+    board,
+    config: { ...DEFAULT_LEVEL_RULES },
+    moveIndex: 0,
+    lastTouchedMove: [],
+    untouchedMoves: [],
+    instabilityStage: [],
+    warnedStage2: [],
+    warnedStage3: [],
+
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+
+    /** New level (or a restored one): config + fresh per-bottle instability. */
+    startLevel(config = {}) {
+      eng.config = { ...DEFAULT_LEVEL_RULES, ...config };
+      const n = board.bottles.length;
+      eng.moveIndex = 0;
+      eng.lastTouchedMove = new Array(n).fill(0);
+      eng.untouchedMoves = new Array(n).fill(0);
+      eng.instabilityStage = new Array(n).fill(0);
+      eng.warnedStage2 = new Array(n).fill(false);
+      eng.warnedStage3 = new Array(n).fill(false);
+    },
+
+    /**
+     * Move the segments of a legal pour (the caller checks canPour) and reveal
+     * Sealed Unknown layers. Returns { amount, wildcardMoved, solved }.
+     */
+    pour(from, to) {
+      const a = board.bottles[from],
+        b = board.bottles[to];
+      const amount = pourAmount(board, from, to);
+      const wildcardMoved = a.slice(a.length - amount).filter((x) => x === WILDCARD).length;
+      const unresolvedBefore = countUnresolvedWildcards(a) + countUnresolvedWildcards(b);
+
+      emit("pour_execute", { from, to, movedCount: amount, wildcardMoved });
+      for (let i = 0; i < amount; i++) b.push(a.pop());
+
+      // Wildcards resolve to the colour they land on (or that lands on them).
+      const resolved = unresolvedBefore - countUnresolvedWildcards(a) - countUnresolvedWildcards(b);
+      if (resolved > 0) emit("wildcard_resolve", { bottleIndex: to, count: resolved, resolvedTo: effectiveTop(b) });
+
+      // Rule #3 (Sealed Unknown): each removed top segment reveals one deeper segment.
+      if (amount > 0 && board.sealedUnknown?.[from]) {
+        const step = 1 / Math.max(1, capacityAt(board, from));
+        const cur = Number.isFinite(board.revealDepthPct?.[from]) ? board.revealDepthPct[from] : 1;
+        const next = Math.min(1, cur + step * amount);
+        board.revealDepthPct[from] = next;
+        if (next > cur + 1e-6) {
+          emit("unknown_reveal", { bottleIndex: from, revealDepthPct: Number(next.toFixed(3)), revealedCount: amount });
+        }
+        // emptied: stop showing as partially revealed
+        if (!a.length) board.revealDepthPct[from] = 1;
+      }
+
+      return { amount, wildcardMoved, solved: isBottleSolved(board, to) };
+    },
+
+    /**
+     * Count the pour as a move and let the board react: instability, the
+     * stabilizer and keystone gates, the deadlock window. Call after pour() (and
+     * after anything the pour set off). Returns { collapse }.
+     */
+    settle(from, to) {
+      eng.moveIndex++;
+      touch(from);
+      touch(to);
+      const collapse = tickInstability();
+      checkStabilizer();
+      checkKeystone();
+      deadlock.record(board);
+      return { collapse };
+    },
+
+    /** Pull every cork. method: "keystone" | "deco_key" | "other". Returns true if any moved. */
+    uncork(method = "other") {
+      const corkedCount = board.locked.filter(Boolean).length;
+      if (!corkedCount) return false;
+      for (let i = 0; i < board.bottles.length; i++) {
+        if (!board.locked[i]) continue;
+        board.locked[i] = false;
+        // corked contents were visible; keep them that way
+        board.hiddenSegs[i] = false;
+      }
+      emit("cork_unlock", { method, corkedCount });
+      eng.resetDeadlock();
+      return true;
+    },
+
+    /** Restart the deadlock window from the current board (level start, undo, gates). */
+    resetDeadlock() {
+      deadlock.reset();
+      deadlock.record(board);
+    },
+
+    isSoftDeadlocked() {
+      return deadlock.isDeadlocked(board);
+    },
+  };
+
+  function emit(type, detail) {
+    const e = { type, moveIndex: eng.moveIndex, ...detail };
+    for (const fn of listeners) fn(e);
+  }
+
+  function touch(i) {
+    if (i < 0) return;
+    eng.lastTouchedMove[i] = eng.moveIndex;
+    eng.untouchedMoves[i] = 0;
+  }
+
+  function calm(i) {
+    eng.instabilityStage[i] = 0;
+    eng.untouchedMoves[i] = 0;
+  }
+
+  function tickInstability() {
+    const { instability, collapse, mercy, threshold } = eng.config;
+    if (!instability) return false;
+
+    const stages = eng.instabilityStage;
+    const prevStages = stages.slice();
+    const collapsing = [];
+
+    for (let i = 0; i < board.bottles.length; i++) {
+      if (board.locked[i] || isBottleSolvedOrEmpty(board, i)) {
+        calm(i);
+        continue;
+      }
+      if ((mercy && isBottleMostlySolved(board, i)) || !isBottleFullAndMixed(board, i)) {
+        calm(i);
+        continue;
+      }
+
+      const untouched = eng.moveIndex - (eng.lastTouchedMove[i] || 0);
+      eng.untouchedMoves[i] = untouched;
+
+      const stage = stageForUntouched(untouched, threshold);
+      const prev = stages[i] || 0;
+      stages[i] = stage;
+
+      if (stage >= 2 && prev < 2) emit("instability_warning", { bottleIndex: i, stage });
+      if (stage >= 2 && prev < 2 && !eng.warnedStage2[i]) {
+        eng.warnedStage2[i] = true;
+        emit("instability_alarm", { bottleIndex: i, stage: 2 });
+      }
+      if (stage >= 3 && prev < 3 && !eng.warnedStage3[i]) {
+        eng.warnedStage3[i] = true;
+        emit("instability_alarm", { bottleIndex: i, stage: 3 });
+      }
+      if (stage >= INSTABILITY_COLLAPSE_STAGE && collapse) collapsing.push(i);
+    }
+
+    // warned bottles the player stabilized this move (touched, solved, or emptied)
+    for (let i = 0; i < prevStages.length; i++) {
+      if ((prevStages[i] || 0) >= 2 && !stages[i]) {
+        emit("instability_reset", { bottleIndex: i, prevStage: prevStages[i] });
+      }
+    }
+
+    if (collapsing.length) emit("instability_collapse", { bottleIndices: collapsing });
+    return collapsing.length > 0;
+  }
+
+  function checkStabilizer() {
+    const st = board.stabilizer;
+    if (!st || st.unlocked || st.unlock !== "UR_full") return;
+    const key = eng.config.stabilizerUnlockIdx;
+    if (!Number.isInteger(key) || key < 0) return;
+
+    const open = board.bottles.some((b, i) => isBottleSolved(board, i) && effectiveTop(b) === key);
+    if (!open) return;
+    board.locked[st.idx] = false;
+    board.hiddenSegs[st.idx] = false;
+    st.unlocked = true;
+    emit("stabilizer_unlock", { bottleIndex: st.idx });
+  }
+
+  // Rule #2: only the designated bottle counts, and only when it is SOLVED in the keystone element.
+  function checkKeystone() {
+    const ks = board.keystone;
+    if (!ks || ks.unlocked || ks.idx === null || ks.idx === undefined) return;
+    const bi = ks.bottleIndex;
+    if (!Number.isInteger(bi) || bi < 0 || bi >= board.bottles.length) return;
+    if (!isBottleSolved(board, bi) || effectiveTop(board.bottles[bi]) !== ks.idx) return;
+
+    ks.unlocked = true;
+    emit("keystone_solved", {
+      bottleIndex: bi,
+      elementIdx: ks.idx,
+      instabilityActive: eng.instabilityStage.some((x) => x > 0),
+    });
+    eng.uncork("keystone");
+  }
+
+  return eng;
+}
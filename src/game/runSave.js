@@ -0,0 +1,91 @@
+// src/game/runSave.js
+// Versioned run save: level, quest, live board, modifiers, undo + instability.
+// app.js owns the snapshot shape; this module only stores, validates and migrates it.
+
+import { getJSON, setJSON, del } from "../utils/storage.js";
+import { capacityAt } from "./vessels.js";
+
+export const RUN_SAVE_KEY = "ma_runSave";
+export const RUN_SAVE_VERSION = 1;
+
+/* ---------------- Migrations ---------------- */
+// Each entry upgrades a save FROM that version to the next one and returns it with
+// the new `v`. v1 is the first format, so there are none yet; a save without a
+// version is not ours. A format change bumps RUN_SAVE_VERSION and adds a step here,
+// e.g. 1: (s) => ({ ...s, newField: default, v: 2 }), so older saves still resume.
+const MIGRATIONS = {};
+
+/**
+ * Walk `raw` up the migration chain to `version`. Returns null for saves with no
+ * version, from a newer version, or with a gap in the chain.
+ */
+export function migrateRunSave(raw, migrations = MIGRATIONS, version = RUN_SAVE_VERSION) {
+  let s = raw;
+  let v = s.v;
+  if (!Number.isInteger(v) || v < 1) return null;
+  while (v < version) {
+    const step = migrations[v];
+    if (!step) return null;
+    s = step(s);
+    // a step must move forward, or the chain never ends
+    if (!Number.isInteger(s?.v) || s.v <= v) return null;
+    v = s.v;
+  }
+  return v === version ? s : null;
+}
+
+/* ---------------- Validation ---------------- */
+function isIntArray(a) {
+  return Array.isArray(a) && a.every((x) => Number.isInteger(x));
+}
+
+function validBoard(b) {
+  if (!b || typeof b !== "object") return false;
+  if (!Array.isArray(b.bottles) || !b.bottles.length) return false;
+  if (!b.bottles.every(isIntArray)) return false;
+  if (!Number.isInteger(b.capacity) || b.capacity <= 0) return false;
+  const n = b.bottles.length;
+  for (const k of ["locked", "hiddenSegs", "sealedUnknown", "revealDepthPct"]) {
+    if (!Array.isArray(b[k]) || b[k].length !== n) return false;
+  }
+  // mixed vessels (optional; saves from before them are uniform vials)
+  if (b.capacities !== undefined && !(isIntArray(b.capacities) && b.capacities.length === n)) return false;
+  if (b.shapes !== undefined && !(Array.isArray(b.shapes) && b.shapes.length === n)) return false;
+  return b.bottles.every((x, i) => x.length <= capacityAt(b, i));
+}
+
+function validSave(s) {
+  if (!s || typeof s !== "object") return false;
+  if (!Number.isInteger(s.level) || s.level < 1) return false;
+  if (!Number.isInteger(s.questId) || s.questId < 1) return false;
+  return s.board === null || validBoard(s.board);
+}
+
+/* ---------------- Public API ---------------- */
+/**
+ * Load the saved run for `runSeed`. Returns null when there is no save, the
+ * save belongs to a different run (factory reset), or it fails validation.
+ */
+export function loadRunSave(runSeed) {
+  const raw = getJSON(RUN_SAVE_KEY, null);
+  if (!raw || typeof raw !== "object") return null;
+
+  const s = migrateRunSave(raw);
+  if (!s || !validSave(s)) return null;
+  if (s.runSeed && runSeed && s.runSeed !== runSeed) return null;
+  return s;
+}
+
+export function writeRunSave(snapshot) {
+  try {
+    setJSON(RUN_SAVE_KEY, { ...snapshot, v: RUN_SAVE_VERSION, savedAt: Date.now() });
+    return true;
+  } catch {
+    // quota errors: keep playing, lose resume
+    return false;
+  }
+}
+
+export function clearRunSave() {
+  del(RUN_SAVE_KEY);
+}
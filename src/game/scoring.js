@@ -0,0 +1,90 @@
+// src/game/scoring.js
+// Level results: par, stars and best-result bookkeeping (DOM-free).
+//
+// Par is the generator's solver result for the start board (solver.js): the exact
+// minimum when the search finished, otherwise the weighted fallback's solve, which
+// is close but may be beaten. Moves are the pours still on the record at the win,
+// so an undone pour costs an undo, not a move.
+//
+// Stars start at 3 and lose one per strike (never below 1):
+//   - moves over par beyond the slack, and a second strike far over par
+//   - sloppy pouring (invalid pours)
+//   - leaning on the lab (any modifier use)
+//   - rewinding a lot (undos)
+
+export const STAR_RULES = {
+  parSlackPct: 0.25, // within par + 25% (at least +2) costs one star...
+  parSlackMin: 2,
+  parFarPct: 0.75, // ...beyond par + 75% (at least +5) costs two
+  parFarMin: 5,
+  invalidMax: 2, // more invalid pours than this costs a star
+  modifiersMax: 0,
+  undosMax: 4,
+};
+
+/** Par from a solveBoard() result: { par, exact } (par null when unproven). */
+export function levelPar(solution) {
+  if (!solution?.solvable || !Number.isInteger(solution.moveCount)) return { par: null, exact: false };
+  return { par: solution.moveCount, exact: !!solution.optimal };
+}
+
+/**
+ * stats: { moves, par, invalid, modifiers, undos }
+ * Returns { stars, strikes: string[] } — strikes name what cost a star.
+ */
+export function starRating(stats, rules = STAR_RULES) {
+  const strikes = [];
+  const { moves, par } = stats;
+  if (Number.isInteger(par) && par > 0) {
+    const over = moves - par;
+    const slack = Math.max(rules.parSlackMin, Math.ceil(par * rules.parSlackPct));
+    const far = Math.max(rules.parFarMin, Math.ceil(par * rules.parFarPct));
+    if (over > far) strikes.push("MOVES", "MOVES");
+    else if (over > slack) strikes.push("MOVES");
+  }
+  if ((stats.invalid | 0) > rules.invalidMax) strikes.push("INVALID");
+  if ((stats.modifiers | 0) > rules.modifiersMax) strikes.push("MODIFIERS");
+  if ((stats.undos | 0) > rules.undosMax) strikes.push("UNDOS");
+  return { stars: Math.max(1, 3 - strikes.length), strikes };
+}
+
+/** Best-result order: more stars, then fewer moves, invalid pours, modifier uses, undos. */
+export function compareLevelResults(a, b) {
+  return (
+    b.stars - a.stars ||
+    a.moves - b.moves ||
+    (a.invalid | 0) - (b.invalid | 0) ||
+    (a.modifiers | 0) - (b.modifiers | 0) ||
+    (a.undos | 0) - (b.undos | 0)
+  );
+}
+
+export function starText(stars) {
+  return "★".repeat(stars) + "☆".repeat(Math.max(0, 3 - stars));
+}
+
+/* ---------------- Bests (per seed + level) ---------------- */
+export const BEST_RESULTS_MAX = 300;
+
+export function bestKey(runSeed, level) {
+  return `${runSeed}:${level}`;
+}
+
+/**
+ * Merge `result` into the bests map (plain object, key -> result).
+ * Returns { bests, isBest, previous }; the oldest entries drop past BEST_RESULTS_MAX.
+ */
+export function recordBest(bests, key, result) {
+  const previous = bests?.[key] || null;
+  const isBest = !previous || compareLevelResults(result, previous) < 0;
+  const next = { ...(bests || {}) };
+  if (isBest) next[key] = result;
+  const keys = Object.keys(next);
+  if (keys.length > BEST_RESULTS_MAX) {
+    keys
+      .sort((x, y) => (next[x].at || 0) - (next[y].at || 0))
+      .slice(0, keys.length - BEST_RESULTS_MAX)
+      .forEach((k) => delete next[k]);
+  }
+  return { bests: next, isBest, previous };
+}
@@ -0,0 +1,317 @@
+// src/game/solver.js
+// Exhaustive bottle-board solver (DOM-free).
+//
+// Board shape (mirrors the live `state` in app.js):
+//   {
+//     bottles: number[][],          // bottom -> top, values are palette indices
+//     capacity: number,
+//     capacities?: number[],        // per-bottle capacity (vessels.js); default capacity
+//     locked: boolean[],            // corked bottles (no pour in or out)
+//     sealedUnknown: boolean[],     // render-only for the solver (see note below)
+//     keystone: { idx, bottleIndex, unlocked } | null,
+//     stabilizer: { idx, colorIdx, unlocked } | null,
+//   }
+//
+// Notes:
+// - Sealed Unknown bottles only obscure rendering; the generator knows the real
+//   contents, so the solver plays with perfect information. That makes the
+//   result a solvability *guarantee*, not a claim about what a player can see.
+// - Keystone: once the designated bottle is full of the keystone element,
+//   every cork is released (same as checkKeystoneUnlock()).
+// - Stabilizer: once any bottle is full of `colorIdx`, bottle `idx` uncorks
+//   (same as checkStabilizerUnlock()).
+// - Wildcards (see wildcard.js) are matched by effective colour everywhere.
+// - Mixed vessels: "full" is per bottle, so every capacity check reads caps[i].
+
+import { effectiveTop, effectiveTopRun, effectiveRunCount, isUniform, colorsMatch } from "./wildcard.js";
+import { capacityAt } from "./vessels.js";
+
+/* ---------------- Limits ---------------- */
+export const SOLVER_NODE_BUDGET = 60000;
+// Weighted fallback: proves solvability when the optimal search runs out of budget.
+const GREEDY_WEIGHT = 3;
+
+/* ---------------- Board helpers ---------------- */
+const topRun = effectiveTopRun;
+const runCount = effectiveRunCount;
+
+function isFullOf(b, capacity, color) {
+  return b.length === capacity && isUniform(b) && effectiveTop(b) === color;
+}
+
+/** caps: per-bottle capacities, or one number for a uniform board. */
+export function isBoardSolved(node, caps) {
+  return node.bottles.every((b, i) => {
+    if (!b.length) return true;
+    if (b.length !== capOf(caps, i)) return false;
+    return isUniform(b);
+  });
+}
+
+function capOf(caps, i) {
+  return Array.isArray(caps) ? caps[i] : caps;
+}
+
+function canPourNode(node, from, to, caps) {
+  if (from === to) return false;
+  if (node.locked[from] || node.locked[to]) return false;
+  const a = node.bottles[from];
+  const b = node.bottles[to];
+  if (!a.length) return false;
+  if (b.length >= caps[to]) return false;
+  return colorsMatch(effectiveTop(a), effectiveTop(b));
+}
+
+/**
+ * Apply one pour to a search node (returns a new node; input is untouched).
+ * Gate unlocks (keystone / stabilizer) run after the transfer, exactly like
+ * applyPourState() does in the game.
+ */
+function pourNode(node, from, to, ctx) {
+  const bottles = node.bottles.slice();
+  const a = bottles[from].slice();
+  const b = bottles[to].slice();
+  const amount = Math.min(topRun(a), ctx.caps[to] - b.length);
+  for (let i = 0; i < amount; i++) b.push(a.pop());
+  bottles[from] = a;
+  bottles[to] = b;
+
+  let locked = node.locked;
+  let ksUnlocked = node.ksUnlocked;
+  let stUnlocked = node.stUnlocked;
+
+  if (ctx.stabilizer && !stUnlocked) {
+    const c = ctx.stabilizer.colorIdx;
+    const full = bottles.some((x, i) => isFullOf(x, ctx.caps[i], c));
+    if (full) {
+      stUnlocked = true;
+      locked = locked.slice();
+      locked[ctx.stabilizer.idx] = false;
+    }
+  }
+
+  if (ctx.keystone && !ksUnlocked) {
+    const kb = bottles[ctx.keystone.bottleIndex] || [];
+    if (isFullOf(kb, ctx.caps[ctx.keystone.bottleIndex], ctx.keystone.idx)) {
+      ksUnlocked = true;
+      locked = locked.map(() => false);
+    }
+  }
+
+  return { bottles, locked, ksUnlocked, stUnlocked };
+}
+
+/**
+ * Canonical key: bottle order does not matter for the rules, so we sort the
+ * per-bottle signatures. Flags that DO matter (cork, keystone collector) are
+ * folded into each bottle's signature so they never get permuted away, and so
+ * is its capacity (two bottles only swap places if they are the same vessel).
+ */
+function canonicalKey(node, ctx) {
+  const parts = node.bottles.map((b, i) => {
+    const flag =
+      (node.locked[i] ? "L" : "") +
+      (ctx.keystone && !node.ksUnlocked && i === ctx.keystone.bottleIndex ? "K" : "") +
+      (ctx.stabilizer && !node.stUnlocked && i === ctx.stabilizer.idx ? "S" : "");
+    return `${flag}${ctx.caps[i]}:${b.join(",")}`;
+  });
+  parts.sort();
+  return parts.join("|");
+}
+
+// Admissible: every bottle with r runs needs at least r-1 pours OUT of it.
+function heuristic(node) {
+  let h = 0;
+  for (const b of node.bottles) {
+    const r = runCount(b);
+    if (r > 1) h += r - 1;
+  }
+  return h;
+}
+
+/* ---------------- Min-heap (priority queue) ---------------- */
+function makeHeap() {
+  const items = [];
+  const up = (i) => {
+    while (i > 0) {
+      const p = (i - 1) >> 1;
+      if (items[p].f <= items[i].f) break;
+      [items[p], items[i]] = [items[i], items[p]];
+      i = p;
+    }
+  };
+  const down = (i) => {
+    for (;;) {
+      const l = i * 2 + 1;
+      const r = l + 1;
+      let m = i;
+      if (l < items.length && items[l].f < items[m].f) m = l;
+      if (r < items.length && items[r].f < items[m].f) m = r;
+      if (m === i) break;
+      [items[m], items[i]] = [items[i], items[m]];
+      i = m;
+    }
+  };
+  return {
+    get size() {
+      return items.length;
+    },
+    push(x) {
+      items.push(x);
+      up(items.length - 1);
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        down(0);
+      }
+      return top;
+    },
+  };
+}
+
+/* ---------------- Search ---------------- */
+function search(start, ctx, weight, budget) {
+  const heap = makeHeap();
+  const bestG = new Map();
+  const startKey = canonicalKey(start, ctx);
+
+  heap.push({ node: start, g: 0, f: weight * heuristic(start), key: startKey, parent: null, move: null });
+  bestG.set(startKey, 0);
+
+  let explored = 0;
+  while (heap.size) {
+    const cur = heap.pop();
+    if (bestG.get(cur.key) < cur.g) continue; // stale entry
+
+    if (isBoardSolved(cur.node, ctx.caps)) {
+      const moves = [];
+      for (let n = cur; n.parent; n = n.parent) moves.push(n.move);
+      moves.reverse();
+      return { status: "solved", moves, explored };
+    }
+
+    if (++explored > budget) return { status: "budget", moves: null, explored };
+
+    const n = cur.node.bottles.length;
+    for (let from = 0; from < n; from++) {
+      for (let to = 0; to < n; to++) {
+        if (!canPourNode(cur.node, from, to, ctx.caps)) continue;
+
+        // Moving a whole single-colour bottle into an empty one of the same vessel
+        // changes nothing; into a different vessel it can fill it or make room.
+        const src = cur.node.bottles[from];
+        // (Unless the empty one is the keystone collector.)
+        if (!cur.node.bottles[to].length && runCount(src) === 1 && ctx.caps[from] === ctx.caps[to]) {
+          const isCollector = ctx.keystone && !cur.node.ksUnlocked && to === ctx.keystone.bottleIndex;
+          if (!isCollector) continue;
+        }
+
+        const next = pourNode(cur.node, from, to, ctx);
+        const key = canonicalKey(next, ctx);
+        const g = cur.g + 1;
+        const prev = bestG.get(key);
+        if (prev !== undefined && prev <= g) continue;
+        bestG.set(key, g);
+        heap.push({ node: next, g, f: g + weight * heuristic(next), key, parent: cur, move: { from, to } });
+      }
+    }
+  }
+  return { status: "unsolvable", moves: null, explored };
+}
+
+/**
+ * Solve a board.
+ *
+ * Returns:
+ *   {
+ *     solvable: true | false | null,   // null = budget exhausted, unknown
+ *     optimal: boolean,                // moveCount is the true minimum
+ *     moveCount: number | null,
+ *     moves: [{ from, to }] | null,
+ *     explored: number,
+ *   }
+ */
+export function solveBoard(board, opts = {}) {
+  const budget = Number.isFinite(opts.budget) ? opts.budget : SOLVER_NODE_BUDGET;
+  const count = (board.bottles || []).length;
+  const caps = Array.from({ length: count }, (_, i) => capacityAt(board, i) | 0);
+
+  const ks = board.keystone;
+  const keystone =
+    ks && !ks.unlocked && Number.isInteger(ks.idx) && Number.isInteger(ks.bottleIndex)
+      ? { idx: ks.idx, bottleIndex: ks.bottleIndex }
+      : null;
+
+  const st = board.stabilizer;
+  const stabilizer =
+    st && !st.unlocked && Number.isInteger(st.idx) && Number.isInteger(st.colorIdx) && st.colorIdx >= 0
+      ? { idx: st.idx, colorIdx: st.colorIdx }
+      : null;
+
+  const ctx = { caps, keystone, stabilizer };
+  const start = {
+    bottles: board.bottles.map((b) => b.slice()),
+    locked: Array.from({ length: count }, (_, i) => !!board.locked?.[i]),
+    ksUnlocked: !keystone,
+    stUnlocked: !stabilizer,
+  };
+
+  const exact = search(start, ctx, 1, budget);
+  if (exact.status === "solved") {
+    return { solvable: true, optimal: true, moveCount: exact.moves.length, moves: exact.moves, explored: exact.explored };
+  }
+  if (exact.status === "unsolvable") {
+    return { solvable: false, optimal: true, moveCount: null, moves: null, explored: exact.explored };
+  }
+
+  const greedy = search(start, ctx, GREEDY_WEIGHT, budget);
+  const explored = exact.explored + greedy.explored;
+  if (greedy.status === "solved") {
+    return { solvable: true, optimal: false, moveCount: greedy.moves.length, moves: greedy.moves, explored };
+  }
+  if (greedy.status === "unsolvable") {
+    return { solvable: false, optimal: true, moveCount: null, moves: null, explored };
+  }
+  return { solvable: null, optimal: false, moveCount: null, moves: null, explored };
+}
+
+/* ---------------- Known-solvable boards ---------------- */
+/**
+ * A plain board (no corks, gates or wildcards) that is solvable by construction:
+ * start sorted (colour c fills bottle c, the rest empty) and play pours backwards.
+ * Each backward step undoes a legal forward pour, so replaying them in reverse
+ * solves the board. caps: capacity per bottle; rng: makeRng() (utils/rng.js).
+ */
+export function scrambleSolvedBoard({ colors, caps, rng, steps = 80 }) {
+  const bottles = caps.map((cap, i) => (i < colors ? new Array(cap).fill(i) : []));
+
+  for (let s = 0; s < steps || isBoardSolved({ bottles }, caps); s++) {
+    const moves = [];
+    for (let to = 0; to < bottles.length; to++) {
+      const b = bottles[to];
+      if (!b.length) continue;
+      const c = b[b.length - 1];
+      let run = 1;
+      while (run < b.length && b[b.length - 1 - run] === c) run++;
+
+      for (let from = 0; from < bottles.length; from++) {
+        const a = bottles[from];
+        // the forward pour moves a's whole top run, so it must be exactly what we put there
+        if (from === to || a[a.length - 1] === c) continue;
+        for (let k = 1; k <= run && a.length + k <= caps[from]; k++) {
+          // what stays behind must take colour c again (or be empty)
+          if (k === run && run < b.length) continue;
+          moves.push({ from, to, k });
+        }
+      }
+    }
+    if (!moves.length || s > steps * 4) break;
+
+    const m = rng.pick(moves);
+    for (let i = 0; i < m.k; i++) bottles[m.from].push(bottles[m.to].pop());
+  }
+  return bottles;
+}
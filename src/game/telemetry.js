@@ -0,0 +1,272 @@
+// src/game/telemetry.js
+// Telemetry store: in-memory buffer, batched IndexedDB writes, sessions (no DOM).
+//
+// record() checks an event against its schema (telemetryEvents.js), tags it with
+// the session id, app version and schema version, and keeps it in memory. Pending
+// events go to IndexedDB in one transaction per batch: when the batch fills, a
+// short timer runs out, or the page hides (app.js calls flush()). The store keeps
+// the whole stored history in memory once open() has loaded it, so readers
+// (computeBankProfile, maExportTelemetry) stay synchronous.
+//
+// Without IndexedDB (some private windows and webviews) the store falls back to
+// the old localStorage ring buffer, capped as before.
+//
+// v1 events predate sessions and several of today's field names, so they fail
+// the current schemas. They stay on this device (BANK profile, dashboard) marked
+// localOnly, and the uploader never sends them (isUploadable).
+
+import { TELEMETRY_SCHEMA_VERSION, validateEvent } from "./telemetryEvents.js";
+
+export const TELEMETRY_DB = "ma_telemetry";
+export const TELEMETRY_DB_VERSION = 1;
+const EVENTS_STORE = "events";
+
+// v1 store, read once into IndexedDB and then removed
+export const LEGACY_TELEMETRY_KEY = "ma_telemetry_v1";
+
+export const TELEMETRY_LIMITS = {
+  batchSize: 50, // pending events that trigger a write
+  flushMs: 2000, // longest an event waits in memory
+  maxEvents: 20000, // stored history; the oldest go first
+  legacyMax: 1000, // localStorage fallback cap
+};
+
+/** Random id for this page load; every event carries it. */
+export function newSessionId() {
+  const c = globalThis.crypto;
+  if (c?.randomUUID) return c.randomUUID();
+  return `s${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/* ---------------- Legacy events ---------------- */
+/** A v1 ring-buffer event as the store keeps it: tagged v1 and never uploaded. */
+export function migrateLegacyEvent(e) {
+  return { ...e, schemaVersion: 1, localOnly: true };
+}
+
+/** Only current-schema events leave the device (checked again by the server). */
+export function isUploadable(e) {
+  return !!e && !e.localOnly && e.schemaVersion === TELEMETRY_SCHEMA_VERSION;
+}
+
+/* ---------------- Backends ---------------- */
+function promised(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+function readLegacy(storage) {
+  try {
+    const arr = JSON.parse(storage?.getItem(LEGACY_TELEMETRY_KEY) || "[]");
+    return Array.isArray(arr) ? arr : [];
+  } catch {
+    return [];
+  }
+}
+
+// Events get their IndexedDB key as `id` (insertion order); uploads page by it (telemetryUpload.js).
+async function openIdbBackend(idb, storage, limits) {
+  const open = idb.open(TELEMETRY_DB, TELEMETRY_DB_VERSION);
+  open.onupgradeneeded = () => {
+    const db = open.result;
+    if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+      db.createObjectStore(EVENTS_STORE, { keyPath: "id", autoIncrement: true });
+    }
+  };
+  const db = await promised(open);
+
+  const backend = {
+    kind: "indexedDB",
+    async load() {
+      const tx = db.transaction(EVENTS_STORE, "readonly");
+      return promised(tx.objectStore(EVENTS_STORE).getAll());
+    },
+    async append(batch) {
+      const tx = db.transaction(EVENTS_STORE, "readwrite");
+      const os = tx.objectStore(EVENTS_STORE);
+      for (const e of batch) {
+        os.add(e).onsuccess = (ev) => {
+          e.id = ev.target.result;
+        };
+      }
+      await done(tx);
+    },
+    async prune(max) {
+      const tx = db.transaction(EVENTS_STORE, "readwrite");
+      const os = tx.objectStore(EVENTS_STORE);
+      let extra = (await promised(os.count())) - max;
+      if (extra > 0) {
+        os.openCursor().onsuccess = (ev) => {
+          const cur = ev.target.result;
+          if (!cur || extra-- <= 0) return;
+          cur.delete();
+          cur.continue();
+        };
+      }
+      await done(tx);
+    },
+  };
+
+  // first run on this store: bring the v1 ring buffer across
+  const legacy = readLegacy(storage);
+  if (legacy.length) {
+    await backend.append(legacy.map(migrateLegacyEvent));
+    storage.removeItem(LEGACY_TELEMETRY_KEY);
+  }
+  await backend.prune(limits.maxEvents);
+  return backend;
+}
+
+function localStorageBackend(storage, limits) {
+  return {
+    kind: "localStorage",
+    async load() {
+      // the ring buffer may still hold untagged v1 events from before the store
+      return readLegacy(storage).map((e) => (e.schemaVersion ? e : migrateLegacyEvent(e)));
+    },
+    async append(batch) {
+      const arr = readLegacy(storage);
+      // ids as IndexedDB would give them (the newest event survives the cap, so they keep rising)
+      let id = arr.reduce((m, e) => (Number.isInteger(e.id) && e.id > m ? e.id : m), 0);
+      for (const e of batch) e.id = ++id;
+      arr.push(...batch);
+      if (arr.length > limits.legacyMax) arr.splice(0, arr.length - limits.legacyMax);
+      try {
+        storage?.setItem(LEGACY_TELEMETRY_KEY, JSON.stringify(arr));
+      } catch {
+        // quota: the events stay in memory for this session
+      }
+    },
+    async prune() {},
+  };
+}
+
+/* ---------------- Store ---------------- */
+/**
+ * Telemetry store for one page load. Call open() once; record() works before it
+ * resolves (events wait in memory and are written after the stored history loads).
+ * `rev` changes whenever the event list does (keys the BANK profile cache).
+ */
+export function createTelemetryStore({
+  appVersion = "",
+  indexedDB: idb = globalThis.indexedDB,
+  storage = globalThis.localStorage,
+  limits = TELEMETRY_LIMITS,
+  onReject = null,
+} = {}) {
+  const sessionId = newSessionId();
+  let events = [];
+  let pending = [];
+  let backend = null;
+  let opening = null;
+  let writing = Promise.resolve();
+  let timer = 0;
+  let rev = 0;
+  let rejected = 0;
+
+  function schedule() {
+    if (!backend) return;
+    if (pending.length >= limits.batchSize) {
+      store.flush();
+      return;
+    }
+    if (!timer) timer = setTimeout(() => store.flush(), limits.flushMs);
+  }
+
+  const store = {
+    sessionId,
+    get rev() {
+      return rev;
+    },
+    get rejected() {
+      return rejected;
+    },
+    get backend() {
+      return backend?.kind ?? null;
+    },
+
+    /** Load the stored history (migrating the v1 buffer). Falls back to localStorage if IndexedDB fails. */
+    open() {
+      if (opening) return opening;
+      opening = (async () => {
+        try {
+          if (!idb) throw new Error("no indexedDB");
+          backend = await openIdbBackend(idb, storage, limits);
+        } catch {
+          backend = localStorageBackend(storage, limits);
+        }
+        let stored = [];
+        try {
+          stored = await backend.load();
+        } catch {}
+        // anything recorded while opening is newer than the stored history
+        events = stored.concat(events);
+        if (events.length > limits.maxEvents) events.splice(0, events.length - limits.maxEvents);
+        rev++;
+        schedule();
+        return store;
+      })();
+      return opening;
+    },
+
+    /** Validate, tag and buffer one event. Returns the stored event, or null if it was rejected. */
+    record(evt) {
+      const now = Date.now();
+      const e = {
+        // keep both for backward/forward compatibility
+        t: now,
+        ts: now,
+        eventType: evt.eventType,
+        ...evt,
+        sessionId,
+        appVersion,
+        schemaVersion: TELEMETRY_SCHEMA_VERSION,
+      };
+      const v = validateEvent(e);
+      if (!v.ok) {
+        rejected++;
+        onReject?.(e, v.errors);
+        return null;
+      }
+      events.push(e);
+      if (events.length > limits.maxEvents) events.splice(0, events.length - limits.maxEvents);
+      pending.push(e);
+      rev++;
+      schedule();
+      return e;
+    },
+
+    /** Write pending events now. Resolves once they are stored (or the write failed). */
+    flush() {
+      if (timer) clearTimeout(timer);
+      timer = 0;
+      if (!backend || !pending.length) return writing;
+      const batch = pending;
+      pending = [];
+      writing = writing
+        .then(() => backend.append(batch))
+        .then(() => (backend.kind === "indexedDB" && events.length >= limits.maxEvents ? backend.prune(limits.maxEvents) : null))
+        .catch(() => {
+          // keep them for the next flush
+          pending = batch.concat(pending);
+        });
+      return writing;
+    },
+
+    /** Every event, oldest first (the stored history plus this session). */
+    all() {
+      return events.slice();
+    },
+  };
+
+  return store;
+}
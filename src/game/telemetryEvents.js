@@ -0,0 +1,86 @@
+// src/game/telemetryEvents.js
+// Telemetry event schemas: the fields each eventType must carry (DOM-free).
+//
+// The client checks every event before storing it (telemetry.js) and the server
+// checks uploads against the same table, so a field renamed in app.js fails
+// loudly in both places instead of quietly skewing BANK inference.
+//
+// Field specs: "int" | "num" | "str" | "bool" | "arr", "?" prefix for nullable,
+// or an array of allowed values. Fields not listed are allowed and not checked.
+
+// v1: the localStorage ring buffer (no session or version tags).
+// v2: + sessionId, appVersion, schemaVersion on every event.
+export const TELEMETRY_SCHEMA_VERSION = 2;
+
+const MOVE = { level: "int", moveIndex: "int" };
+const POUR = { ...MOVE, from: "int", to: "int" };
+
+export const LEVEL_END_RESULTS = ["win", "deadlock", "soft_deadlock", "collapse"];
+
+export const EVENT_SCHEMAS = {
+  level_start: {
+    level: "int",
+    capacity: "int",
+    corkedCount: "int",
+    sealedUnknownCount: "int",
+    wildcardCount: "int",
+    keystoneElementSym: "?str",
+    keystoneBottleIndex: "?int",
+    instabilityEnabled: "bool",
+  },
+  bottle_select: { ...MOVE, bottleIndex: "int", bottleType: "str", revealDepthPct: "num", isKeystone: "bool" },
+  pour_attempt: { ...POUR, legal: "bool", blockedBy: "?str", fromType: "str", toType: "str" },
+  pour_execute: { ...POUR, movedCount: "int", wildcardMoved: "int" },
+  move_undo: { ...POUR, amount: "int" },
+  move_redo: { ...POUR, amount: "int" },
+  wildcard_resolve: { ...MOVE, bottleIndex: "int", count: "int", resolvedTo: "?str" },
+  unknown_reveal: { ...MOVE, bottleIndex: "int", revealDepthPct: "num", revealedCount: "int" },
+  instability_warning: { ...MOVE, bottleIndex: "int", stage: "int" },
+  instability_reset: { ...MOVE, bottleIndex: "int", prevStage: "int" },
+  instability_collapse: { ...MOVE, bottleIndices: "arr" },
+  keystone_progress: { ...MOVE, bottleIndex: "int", elementSym: "?str", countInBottle: "int", delta: "int" },
+  keystone_solved: { ...MOVE, bottleIndex: "int", elementSym: "?str", instabilityActive: "bool" },
+  cork_unlock: { ...MOVE, method: ["keystone", "deco_key", "other"], corkedCount: "int" },
+  deco_key_use: { ...MOVE },
+  // drained: spent by a DM consequence, not by the player
+  modifier_use: { ...MOVE, modifierId: "str", drained: "bool" },
+  illegal_reaction: { ...MOVE, kind: "str", elementSym: "?str" },
+  hint_request: { ...MOVE, budget: "int", outcome: ["shown", "refused", "none"], hintsUsed: "int" },
+  level_end: { ...MOVE, result: LEVEL_END_RESULTS, moves: "int", invalid: "int", undos: "int" },
+};
+
+export const EVENT_TYPES = Object.keys(EVENT_SCHEMAS);
+
+function fieldOk(spec, v) {
+  if (Array.isArray(spec)) return spec.includes(v);
+  if (spec.startsWith("?")) {
+    if (v === null) return true;
+    spec = spec.slice(1);
+  }
+  switch (spec) {
+    case "int":
+      return Number.isInteger(v);
+    case "num":
+      return Number.isFinite(v);
+    case "str":
+      return typeof v === "string";
+    case "bool":
+      return typeof v === "boolean";
+    case "arr":
+      return Array.isArray(v);
+    default:
+      return false;
+  }
+}
+
+/** { ok, errors } — errors: "NOT_AN_OBJECT" | "UNKNOWN_EVENT_TYPE:<t>" | "BAD_FIELD:<eventType>.<field>". */
+export function validateEvent(e) {
+  if (!e || typeof e !== "object" || Array.isArray(e)) return { ok: false, errors: ["NOT_AN_OBJECT"] };
+  const schema = EVENT_SCHEMAS[e.eventType];
+  if (!schema) return { ok: false, errors: [`UNKNOWN_EVENT_TYPE:${e.eventType}`] };
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    if (!fieldOk(spec, e[field])) errors.push(`BAD_FIELD:${e.eventType}.${field}`);
+  }
+  return errors.length ? { ok: false, errors } : { ok: true };
+}
@@ -0,0 +1,296 @@
+// src/game/telemetryStats.js
+// Telemetry aggregation for the dashboard (dashboard.html): level outcomes, blocked
+// pours, modifier use, Sealed Unknown reveal timing, keystone progress (no DOM).
+//
+// Input is any mix of what the game and server hand out: a maExportTelemetry()
+// JSON array, the GET /api/telemetry response, or the /api/telemetry/export NDJSON.
+// Events are grouped into attempts: one level_start up to the next, per player
+// and session, in the order they were stored.
+
+import { LEVEL_END_RESULTS } from "./telemetryEvents.js";
+
+export const BLOCKED_CAUSES = ["same", "cork", "empty", "capacity", "rule"];
+
+// Sealed Unknown reveals are bucketed by the move they happened on
+export const REVEAL_MOVE_BUCKETS = [0, 5, 10, 20, 40];
+// attempts drawn per keystone chart; the mean curve still uses all of them
+export const KEYSTONE_CURVES_MAX = 40;
+
+/* ---------------- Parsing ---------------- */
+/**
+ * Events from one file or response body: a JSON array, { events: [...] },
+ * or NDJSON (bad lines are counted, not fatal). Returns { events, skipped }.
+ */
+export function parseTelemetryText(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return { events: [], skipped: 0 };
+
+  try {
+    const json = JSON.parse(raw);
+    const arr = Array.isArray(json) ? json : Array.isArray(json?.events) ? json.events : null;
+    if (arr) {
+      const events = arr.filter(isEvent);
+      return { events, skipped: arr.length - events.length };
+    }
+    if (isEvent(json)) return { events: [json], skipped: 0 };
+  } catch {
+    // not one JSON document: NDJSON
+  }
+
+  const events = [];
+  let skipped = 0;
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const e = JSON.parse(line);
+      if (isEvent(e)) events.push(e);
+      else skipped++;
+    } catch {
+      skipped++;
+    }
+  }
+  return { events, skipped };
+}
+
+function isEvent(e) {
+  return !!e && typeof e === "object" && !Array.isArray(e) && typeof e.eventType === "string";
+}
+
+/* ---------------- Aggregation ---------------- */
+function median(nums) {
+  if (!nums.length) return null;
+  const s = nums.slice().sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function revealBucket(moveIndex) {
+  let b = 0;
+  REVEAL_MOVE_BUCKETS.forEach((min, i) => {
+    if (moveIndex >= min) b = i;
+  });
+  return b;
+}
+
+/** Label for each REVEAL_MOVE_BUCKETS entry ("0-4", ..., "40+"). */
+export function revealBucketLabels() {
+  return REVEAL_MOVE_BUCKETS.map((min, i) => {
+    const next = REVEAL_MOVE_BUCKETS[i + 1];
+    return next === undefined ? `${min}+` : `${min}-${next - 1}`;
+  });
+}
+
+function streamKey(e) {
+  return `${e.playerId || ""}:${e.sessionId || "legacy"}`;
+}
+
+/**
+ * Summary of a list of events. Options: levelMin / levelMax (inclusive) and
+ * appVersion narrow it down (events without a level pass the level filter).
+ *
+ * Returns {
+ *   totals:    { events, players, sessions, attempts, appVersions },  // events: after the filters
+ *   levels:    [{ level, attempts, ended, results: {win, ...}, rates: {win, ...}, medianMoves, config }],
+ *   blocked:   { total, causes: {same, ...}, byLevel: { [level]: {same, ...} } },
+ *   modifiers: { [modifierId]: { uses, drained } },
+ *   reveals:   { total, medianMove, medianDepthPct, buckets: [count per REVEAL_MOVE_BUCKETS], byLevel: { [level]: {count, medianMove} } },
+ *   keystone:  { [level]: { attempts, solved, curves: [[{ moveIndex, count }]], mean: [{ moveIndex, count }] } },
+ * }
+ * rates are shares of the attempts that ended; config is the latest level_start seen.
+ */
+export function computeTelemetryStats(events, { levelMin = null, levelMax = null, appVersion = null } = {}) {
+  const inLevel = (lv) =>
+    !Number.isInteger(lv) || ((levelMin === null || lv >= levelMin) && (levelMax === null || lv <= levelMax));
+
+  const players = new Set();
+  const sessions = new Set();
+  const appVersions = new Set();
+  const levels = new Map(); // level -> row
+  const blocked = { total: 0, causes: Object.fromEntries(BLOCKED_CAUSES.map((c) => [c, 0])), byLevel: {} };
+  const modifiers = {};
+  const reveals = { moves: [], depths: [], buckets: REVEAL_MOVE_BUCKETS.map(() => 0), byLevel: {} };
+  const keystone = {};
+
+  const current = new Map(); // stream -> open attempt
+  const opened = []; // every attempt
+  const endings = []; // level_end outside an attempt (its level_start was filtered out or pruned)
+  const withModifierUse = new Set(); // streams that report modifier_use
+  const decoOnly = []; // deco_key_use from older builds (before modifier_use)
+  let kept = 0;
+  let attempts = 0;
+
+  function levelRow(level) {
+    if (!levels.has(level)) {
+      levels.set(level, {
+        level,
+        attempts: 0,
+        ended: 0,
+        results: Object.fromEntries(LEVEL_END_RESULTS.map((r) => [r, 0])),
+        moves: [],
+        config: null,
+      });
+    }
+    return levels.get(level);
+  }
+
+  function keystoneFor(level) {
+    if (!keystone[level]) keystone[level] = { attempts: 0, solved: 0, curves: [] };
+    return keystone[level];
+  }
+
+  for (const e of events) {
+    if (appVersion && e.appVersion !== appVersion) continue;
+    if (!inLevel(e.level)) continue;
+
+    kept++;
+    const key = streamKey(e);
+    if (e.playerId) players.add(e.playerId);
+    sessions.add(key);
+    if (e.appVersion) appVersions.add(e.appVersion);
+
+    switch (e.eventType) {
+      case "level_start": {
+        const row = levelRow(e.level);
+        row.attempts++;
+        attempts++;
+        row.config = {
+          capacity: e.capacity,
+          corkedCount: e.corkedCount,
+          sealedUnknownCount: e.sealedUnknownCount,
+          wildcardCount: e.wildcardCount,
+          keystone: e.keystoneElementSym ?? null,
+          instability: !!e.instabilityEnabled,
+        };
+        const a = { level: e.level, curve: null, end: null };
+        opened.push(a);
+        current.set(key, a);
+        break;
+      }
+
+      case "level_end": {
+        if (!LEVEL_END_RESULTS.includes(e.result)) break;
+        const a = current.get(key);
+        // one outcome per attempt: the last one (a deadlock retracted and then won is a win)
+        if (a && a.level === e.level) a.end = e;
+        else endings.push(e);
+        break;
+      }
+
+      case "pour_attempt": {
+        if (e.legal !== false) break;
+        const cause = e.blockedBy || "rule";
+        blocked.total++;
+        blocked.causes[cause] = (blocked.causes[cause] || 0) + 1;
+        const by = (blocked.byLevel[e.level] ||= {});
+        by[cause] = (by[cause] || 0) + 1;
+        break;
+      }
+
+      case "modifier_use": {
+        withModifierUse.add(key);
+        const m = (modifiers[e.modifierId] ||= { uses: 0, drained: 0 });
+        if (e.drained) m.drained++;
+        else m.uses++;
+        break;
+      }
+
+      case "deco_key_use":
+        decoOnly.push(key);
+        break;
+
+      case "unknown_reveal": {
+        if (!Number.isInteger(e.moveIndex)) break;
+        reveals.moves.push(e.moveIndex);
+        if (Number.isFinite(e.revealDepthPct)) reveals.depths.push(e.revealDepthPct);
+        reveals.buckets[revealBucket(e.moveIndex)]++;
+        const by = (reveals.byLevel[e.level] ||= { moves: [] });
+        by.moves.push(e.moveIndex);
+        break;
+      }
+
+      case "keystone_progress": {
+        const a = current.get(key);
+        if (!a || a.level !== e.level) break;
+        if (!a.curve) {
+          a.curve = [{ moveIndex: 0, count: e.countInBottle - (e.delta || 0) }];
+          const k = keystoneFor(e.level);
+          k.attempts++;
+          k.curves.push(a.curve);
+        }
+        a.curve.push({ moveIndex: e.moveIndex, count: e.countInBottle });
+        break;
+      }
+
+      case "keystone_solved":
+        if (Number.isInteger(e.level)) keystoneFor(e.level).solved++;
+        break;
+    }
+  }
+
+  for (const e of opened.map((a) => a.end).filter(Boolean).concat(endings)) {
+    const row = levelRow(e.level);
+    row.ended++;
+    row.results[e.result]++;
+    if (Number.isInteger(e.moves)) row.moves.push(e.moves);
+  }
+
+  // modifier_use covers the Decoherence Key too; only older sessions need deco_key_use
+  for (const key of decoOnly) {
+    if (withModifierUse.has(key)) continue;
+    const m = (modifiers.DECOHERENCE_KEY ||= { uses: 0, drained: 0 });
+    m.uses++;
+  }
+
+  const levelRows = [...levels.values()]
+    .sort((a, b) => a.level - b.level)
+    .map(({ moves, ...row }) => ({
+      ...row,
+      rates: Object.fromEntries(LEVEL_END_RESULTS.map((r) => [r, row.ended ? row.results[r] / row.ended : 0])),
+      medianMoves: median(moves),
+    }));
+
+  for (const by of Object.values(reveals.byLevel)) {
+    by.count = by.moves.length;
+    by.medianMove = median(by.moves);
+    delete by.moves;
+  }
+
+  for (const k of Object.values(keystone)) {
+    k.mean = meanCurve(k.curves);
+    k.curves = k.curves.slice(-KEYSTONE_CURVES_MAX);
+  }
+
+  return {
+    totals: { events: kept, players: players.size, sessions: sessions.size, attempts, appVersions: [...appVersions].sort() },
+    levels: levelRows,
+    blocked,
+    modifiers,
+    reveals: {
+      total: reveals.moves.length,
+      medianMove: median(reveals.moves),
+      medianDepthPct: median(reveals.depths),
+      buckets: reveals.buckets,
+      byLevel: reveals.byLevel,
+    },
+    keystone,
+  };
+}
+
+// Mean keystone count at each move, carrying every attempt's last count forward.
+function meanCurve(curves) {
+  const last = curves.reduce((m, c) => Math.max(m, c[c.length - 1].moveIndex), 0);
+  const out = [];
+  for (let move = 0; move <= last; move++) {
+    let sum = 0;
+    for (const c of curves) {
+      let count = 0;
+      for (const p of c) {
+        if (p.moveIndex > move) break;
+        count = p.count;
+      }
+      sum += count;
+    }
+    out.push({ moveIndex: move, count: curves.length ? sum / curves.length : 0 });
+  }
+  return out;
+}
@@ -0,0 +1,128 @@
+// src/game/telemetryUpload.js
+// Telemetry upload: stored events go to POST /api/telemetry in batches (no DOM).
+//
+// The store (telemetry.js) is the queue. Every stored event has a rising `id`,
+// and the highest id the server has acknowledged is kept in localStorage; anything
+// newer goes up with the next upload (v1 events stay local, see telemetry.js).
+// Events recorded offline, or while the server is down, leave once it answers
+// again (retries back off). The server skips events it already has, so resending
+// a batch whose answer was lost is harmless.
+//
+// Events the server refuses for good (a bad batch, a full store, or single events
+// failing its schema check) are not retried. They are counted by reason in
+// localStorage instead, so a lossy upload shows up rather than vanishing.
+
+import { postJSON } from "../utils/http.js";
+import { getJSON, setJSON, getNum, setNum } from "../utils/storage.js";
+import { isUploadable } from "./telemetry.js";
+
+export const TELEMETRY_SENT_KEY = "ma_telemetrySentId";
+// { count, reasons: { [reason]: count }, lastAt }
+export const TELEMETRY_DROPPED_KEY = "ma_telemetryDropped";
+
+export const UPLOAD_LIMITS = {
+  batchMax: 200, // events per request (the server takes up to 500)
+  intervalMs: 30000, // regular upload while playing
+  retryMinMs: 5000,
+  retryMaxMs: 5 * 60 * 1000,
+};
+
+/**
+ * apiBase(), playerId() and isOff() are read on every upload, so a settings
+ * change applies at once. onDrop(count, reason) hears about events the server
+ * refused for good (they are counted in TELEMETRY_DROPPED_KEY, not retried).
+ */
+export function createTelemetryUploader({ store, apiBase, playerId, isOff, limits = UPLOAD_LIMITS, onDrop = null }) {
+  let sentId = getNum(TELEMETRY_SENT_KEY, 0);
+  let running = null;
+  let retryMs = 0;
+  let retryTimer = 0;
+  let interval = 0;
+
+  function markSent(id) {
+    sentId = id;
+    try {
+      setNum(TELEMETRY_SENT_KEY, id);
+    } catch {
+      // quota: resent next session, and skipped by the server
+    }
+  }
+
+  function drop(count, reason) {
+    const d = getJSON(TELEMETRY_DROPPED_KEY, null) || { count: 0, reasons: {} };
+    d.count = (d.count | 0) + count;
+    d.reasons = { ...d.reasons, [reason]: (d.reasons?.[reason] | 0) + count };
+    d.lastAt = Date.now();
+    try {
+      setJSON(TELEMETRY_DROPPED_KEY, d);
+    } catch {
+      // quota: onDrop still hears about it
+    }
+    onDrop?.(count, reason);
+  }
+
+  function unsent() {
+    const all = store.all();
+    const maxId = all.reduce((m, e) => (Number.isInteger(e.id) && e.id > m ? e.id : m), 0);
+    // the browser cleared the store and ids started over
+    if (maxId > 0 && maxId < sentId) markSent(0);
+    return all.filter((e) => Number.isInteger(e.id) && e.id > sentId && isUploadable(e));
+  }
+
+  function retryLater() {
+    retryMs = Math.min(limits.retryMaxMs, retryMs ? retryMs * 2 : limits.retryMinMs);
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(uploader.upload, retryMs);
+  }
+
+  async function run() {
+    if (isOff() || !store.backend) return;
+    const base = String(apiBase() || "").trim();
+    if (!base) return;
+    // the "online" event brings us back (app.js)
+    if (globalThis.navigator?.onLine === false) return;
+
+    await store.flush();
+    let batch;
+    while ((batch = unsent().slice(0, limits.batchMax)).length) {
+      try {
+        const res = await postJSON(base, "/api/telemetry", { playerId: playerId(), events: batch });
+        // the rest of the batch was stored; these failed the server's schema check
+        if (res?.rejected > 0) drop(res.rejected, "Rejected by server schema");
+      } catch (err) {
+        const s = err?.status;
+        if (!s || s >= 500 || s === 408 || s === 429) {
+          retryLater();
+          return;
+        }
+        // bad batch or full store: retrying can't fix it
+        drop(batch.length, err?.payload?.error || `HTTP ${s}`);
+      }
+      markSent(batch[batch.length - 1].id);
+      retryMs = 0;
+    }
+  }
+
+  const uploader = {
+    /** What was dropped so far: { count, reasons, lastAt } (count 0 when nothing was). */
+    dropped() {
+      return getJSON(TELEMETRY_DROPPED_KEY, null) || { count: 0, reasons: {}, lastAt: null };
+    },
+
+    /** Upload everything unsent; one upload at a time. */
+    upload() {
+      clearTimeout(retryTimer);
+      retryTimer = 0;
+      if (!running) running = run().catch(retryLater).finally(() => (running = null));
+      return running;
+    },
+
+    start() {
+      // a pending retry keeps its backoff
+      if (!interval) interval = setInterval(() => retryTimer || uploader.upload(), limits.intervalMs);
+      return uploader.upload();
+    },
+  };
+
+  return uploader;
+}
@@ -0,0 +1,74 @@
+// src/game/vessels.js
+// Vessel shapes: per-bottle shape and capacity (DOM-free).
+//
+// A board always has a base `capacity` (the vial). Mixed-vessel boards add
+// `shapes[]` and `capacities[]`, one entry per bottle; everything that asks "how
+// much fits in bottle i" goes through capacityAt(), so boards without the arrays
+// (old saves, replays, level files, the daily) keep playing as uniform vials.
+//
+// A vessel counts as solved when it is full of one colour, so each colour comes in
+// the amount of the vessel it was dealt into (see the generator in app.js).
+
+/* ---------------- Shapes ---------------- */
+// capacityDelta is relative to the level's base (vial) capacity.
+export const VESSELS = {
+  vial: { name: "Vial", capacityDelta: 0 },
+  tube: { name: "Test tube", capacityDelta: -1 },
+  flask: { name: "Flask", capacityDelta: 1 },
+  beaker: { name: "Beaker", capacityDelta: 1 },
+  cylinder: { name: "Cylinder", capacityDelta: 2 },
+};
+
+export const VESSEL_SHAPES = Object.keys(VESSELS);
+export const DEFAULT_VESSEL = "vial";
+export const VESSEL_CAPACITY = [2, 8];
+
+export function isVesselShape(shape) {
+  return Object.prototype.hasOwnProperty.call(VESSELS, shape);
+}
+
+/** Capacity of `shape` on a board whose vials hold `base`. */
+export function vesselCapacity(shape, base) {
+  const d = VESSELS[shape]?.capacityDelta ?? 0;
+  const [lo, hi] = VESSEL_CAPACITY;
+  return Math.max(lo, Math.min(hi, (base | 0) + d));
+}
+
+/* ---------------- Board access ---------------- */
+/** Capacity of bottle `i` (per-bottle when the board has capacities[], else the base). */
+export function capacityAt(board, i) {
+  const c = board.capacities?.[i];
+  return Number.isInteger(c) && c > 0 ? c : board.capacity;
+}
+
+export function shapeAt(board, i) {
+  const s = board.shapes?.[i];
+  return isVesselShape(s) ? s : DEFAULT_VESSEL;
+}
+
+/** True when any bottle differs from the base vial. */
+export function isMixedBoard(board) {
+  return (board.bottles || []).some((_, i) => shapeAt(board, i) !== DEFAULT_VESSEL || capacityAt(board, i) !== board.capacity);
+}
+
+/* ---------------- Generation ---------------- */
+/**
+ * Shapes for `count` bottles: vials, with `mixed` of them (distinct indices)
+ * swapped for another vessel. Deterministic for a given rng.
+ */
+export function pickVesselShapes(rng, count, mixed) {
+  const shapes = new Array(count).fill(DEFAULT_VESSEL);
+  const others = VESSEL_SHAPES.filter((s) => s !== DEFAULT_VESSEL);
+  const slots = Array.from({ length: count }, (_, i) => i);
+  const n = Math.max(0, Math.min(count, mixed | 0));
+  for (let k = 0; k < n; k++) {
+    const j = k + Math.floor(rng.f() * (slots.length - k));
+    [slots[k], slots[j]] = [slots[j], slots[k]];
+    shapes[slots[k]] = others[Math.floor(rng.f() * others.length)];
+  }
+  return shapes;
+}
+
+export function capacitiesFor(shapes, base) {
+  return shapes.map((s) => vesselCapacity(s, base));
+}
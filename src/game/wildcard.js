@@ -0,0 +1,90 @@
+// src/game/wildcard.js
+// Wildcard segments (recipe.wildcardSlots) — shared by app.js and solver.js (DOM-free).
+//
+// A wildcard is stored as WILDCARD in a bottle and never changes value. Its
+// *effective* colour is derived from its neighbours:
+//   - the nearest real segment BELOW it (the colour it landed on), else
+//   - the nearest real segment ABOVE it (the colour that surrounds it), else
+//   - WILDCARD ("pure": a bottle holding only wildcards).
+// Pour rules, runs and solved checks all use effective colours, so a wildcard
+// matches any element when poured and completes any single-element bottle.
+
+export const WILDCARD = -1;
+
+export function isWildcard(seg) {
+  return seg === WILDCARD;
+}
+
+/** Effective colour per segment (bottom -> top). */
+export function effectiveColors(b) {
+  const out = new Array(b.length);
+  let below = WILDCARD;
+  let firstReal = -1;
+  for (let i = 0; i < b.length; i++) {
+    if (b[i] !== WILDCARD) {
+      below = b[i];
+      if (firstReal < 0) firstReal = i;
+    }
+    out[i] = b[i] === WILDCARD ? below : b[i];
+  }
+  // leading wildcards (nothing below) take the first real colour above
+  for (let i = 0; i < firstReal; i++) out[i] = b[firstReal];
+  return out;
+}
+
+export function effectiveTop(b) {
+  if (!b.length) return null;
+  const eff = effectiveColors(b);
+  return eff[eff.length - 1];
+}
+
+export function effectiveTopRun(b) {
+  if (!b.length) return 0;
+  const eff = effectiveColors(b);
+  const c = eff[eff.length - 1];
+  let n = 0;
+  for (let i = eff.length - 1; i >= 0 && eff[i] === c; i--) n++;
+  return n;
+}
+
+/** Number of colour runs (wildcards merge into the run they resolve to). */
+export function effectiveRunCount(b) {
+  const eff = effectiveColors(b);
+  let runs = 0;
+  for (let i = 0; i < eff.length; i++) {
+    if (i === 0 || eff[i] !== eff[i - 1]) runs++;
+  }
+  return runs;
+}
+
+export function isUniform(b) {
+  return effectiveRunCount(b) <= 1;
+}
+
+/** Does effective colour `top` accept effective colour `color` poured onto it? */
+export function colorsMatch(color, top) {
+  return top === null || top === color || top === WILDCARD || color === WILDCARD;
+}
+
+/** Wildcards that have not resolved to any colour yet. */
+export function countUnresolvedWildcards(b) {
+  return effectiveColors(b).filter((c) => c === WILDCARD).length;
+}
+
+/**
+ * Swap `count` random segments of `pool` for wildcards, never touching
+ * `protectedIdx` (the keystone element must stay countable). Mutates `pool`.
+ */
+export function seedWildcards(pool, count, rng, protectedIdx = null) {
+  const slots = [];
+  for (let i = 0; i < pool.length; i++) {
+    if (pool[i] !== WILDCARD && pool[i] !== protectedIdx) slots.push(i);
+  }
+  let placed = 0;
+  while (placed < count && slots.length) {
+    const k = Math.floor(rng.f() * slots.length);
+    pool[slots.splice(k, 1)[0]] = WILDCARD;
+    placed++;
+  }
+  return placed;
+}
@@ -1,10 +1,6 @@
-export async function postJSON(apiBase, path, body){
+async function requestJSON(apiBase, path, init){
   const url = apiBase.replace(/\/+$/,"") + path;
-  const res = await fetch(url, {
-    method:"POST",
-    headers: { "content-type":"application/json" },
-    body: JSON.stringify(body),
-  });
+  const res = await fetch(url, init);
 
   const text = await res.text();
   let json = null;
@@ -19,3 +15,15 @@ export async function postJSON(apiBase, path, body){
   }
   return json;
 }
+
+export function postJSON(apiBase, path, body){
+  return requestJSON(apiBase, path, {
+    method:"POST",
+    headers: { "content-type":"application/json" },
+    body: JSON.stringify(body),
+  });
+}
+
+export function getJSONFrom(apiBase, path){
+  return requestJSON(apiBase, path, { method:"GET" });
+}
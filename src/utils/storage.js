@@ -11,6 +11,11 @@ export function setJSON(key, value){
   localStorage.setItem(key, JSON.stringify(value));
 }
 
+export function getStr(key, fallback=null){
+  const v = localStorage.getItem(key);
+  return v === null ? fallback : v;
+}
+
 export function getNum(key, fallback=0){
   const v = Number(localStorage.getItem(key));
   return Number.isFinite(v) && v !== 0 ? v : fallback;
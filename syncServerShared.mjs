@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+/**
+ * Copies the game modules the server runs into server/shared/.
+ *
+ * Usage:
+ *   node syncServerShared.mjs          (or: npm run sync:server)
+ *   node syncServerShared.mjs --check  (exit 1 if a copy is missing or stale)
+ *
+ * The server deploys on its own, so it cannot import from src/. Run this before
+ * starting or shipping server/: the copies are build output (git-ignored), and src/
+ * stays the only tracked version. Copies keep their repo-relative paths, so their
+ * imports work unchanged. test/serverShared.test.js checks that the set is complete.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+export const SERVER_SHARED_DIR = path.join(ROOT, "server", "shared");
+
+// the daily board (daily.js and what it imports) and the telemetry schemas
+export const SERVER_SHARED_FILES = [
+  "element_schema.js",
+  "src/utils/rng.js",
+  "src/game/daily.js",
+  "src/game/solver.js",
+  "src/game/vessels.js",
+  "src/game/wildcard.js",
+  "src/game/telemetryEvents.js",
+];
+
+/** Files whose copy under `dir` is missing or differs from the source. */
+export function staleServerCopies(dir = SERVER_SHARED_DIR) {
+  return SERVER_SHARED_FILES.filter((f) => {
+    const copy = path.join(dir, f);
+    return !fs.existsSync(copy) || fs.readFileSync(copy, "utf-8") !== fs.readFileSync(path.join(ROOT, f), "utf-8");
+  });
+}
+
+/** Copy the stale files into `dir`; returns the ones copied. */
+export function syncServerShared(dir = SERVER_SHARED_DIR) {
+  const stale = staleServerCopies(dir);
+  for (const f of stale) {
+    const dest = path.join(dir, f);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(path.join(ROOT, f), dest);
+  }
+  return stale;
+}
+
+function main() {
+  if (process.argv.includes("--check")) {
+    const stale = staleServerCopies();
+    if (stale.length) {
+      console.error(`Missing or stale server copies (run npm run sync:server):\n  ${stale.join("\n  ")}`);
+      process.exit(1);
+    }
+    console.log("server/shared is up to date.");
+    return;
+  }
+  const copied = syncServerShared();
+  for (const f of copied) console.log(`copied ${f}`);
+  if (!copied.length) console.log("server/shared is up to date.");
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,113 @@
+// test/hints.test.js
+// Hint suggestions (src/game/hints.js): solver path on fully visible boards,
+// heuristic path when Sealed Unknown segments are hidden, corks and the keystone.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { suggestHint, visibleCounts, hasHiddenSegments } from "../src/game/hints.js";
+import { solveBoard } from "../src/game/solver.js";
+
+/* ---------------- Helpers ---------------- */
+function makeBoard(bottles, extra = {}) {
+  const n = bottles.length;
+  return {
+    bottles: bottles.map((b) => b.slice()),
+    capacity: 4,
+    locked: new Array(n).fill(false),
+    sealedUnknown: new Array(n).fill(false),
+    revealDepthPct: new Array(n).fill(1),
+    keystone: null,
+    stabilizer: null,
+    ...extra,
+  };
+}
+
+// bottle i shows only its top segment
+function sealTop(board, i) {
+  board.sealedUnknown[i] = true;
+  board.revealDepthPct[i] = 0.25;
+  return board;
+}
+
+const touches = (hint, i) => hint.from === i || hint.to === i;
+
+/* ---------------- Visibility ---------------- */
+test("a Sealed Unknown shows only its revealed layers", () => {
+  const board = sealTop(makeBoard([[0, 1, 0, 1], [1, 0], []]), 0);
+  assert.deepEqual(visibleCounts(board), [1, 2, 0]);
+  assert.equal(hasHiddenSegments(board), true);
+  board.revealDepthPct[0] = 1;
+  assert.equal(hasHiddenSegments(board), false);
+});
+
+/* ---------------- Sources ---------------- */
+test("a fully visible board gets the solver's first move", () => {
+  const board = makeBoard([[0, 1, 0, 1], [1, 0, 1, 0], [], []]);
+  const hint = suggestHint(board);
+  const sol = solveBoard(board);
+  assert.equal(hint.source, "solver");
+  assert.equal(hint.solvable, true);
+  assert.equal(hint.movesLeft, sol.moveCount);
+  assert.deepEqual({ from: hint.from, to: hint.to }, sol.moves[0]);
+});
+
+test("hidden segments switch to the heuristic so the hint leaks nothing", () => {
+  const board = sealTop(makeBoard([[0, 1, 0, 1], [1, 0, 1, 0], [], []]), 1);
+  const hint = suggestHint(board);
+  assert.equal(hint.source, "heuristic");
+  assert.equal(hint.movesLeft, null);
+  assert.equal(hint.solvable, null);
+});
+
+test("a dead board still gets a best-effort pour, marked unsolvable", () => {
+  // 0 -> 2 is legal, but three segments of colour 1 never fill 2-high vials evenly
+  const board = makeBoard([[0, 1], [1, 0], [1]], { capacity: 2 });
+  const hint = suggestHint(board);
+  assert.equal(hint.source, "heuristic");
+  assert.equal(hint.solvable, false);
+});
+
+test("no legal pour means no hint", () => {
+  assert.equal(suggestHint(makeBoard([[0, 1], [1, 0]], { capacity: 2 })), null);
+});
+
+/* ---------------- Corks ---------------- */
+test("corked bottles are never part of a hint", () => {
+  // 1 -> 0 would complete a vial, but 0 is corked
+  const heuristic = sealTop(makeBoard([[1, 1, 1], [0, 2, 1], [2, 0], [], [0, 2]], { locked: [true, false, false, false, false] }), 1);
+  const h = suggestHint(heuristic);
+  assert.equal(h.source, "heuristic");
+  assert.ok(!touches(h, 0), JSON.stringify(h));
+
+  const solver = makeBoard([[2, 2, 2, 2], [0, 1, 0, 1], [1, 0, 1, 0], [], []], { locked: [true, false, false, false, false] });
+  const s = suggestHint(solver);
+  assert.equal(s.source, "solver");
+  assert.ok(!touches(s, 0), JSON.stringify(s));
+});
+
+/* ---------------- Keystone ---------------- */
+test("the heuristic feeds the keystone collector its element", () => {
+  const board = sealTop(
+    makeBoard([[1, 1, 0], [2, 2, 1, 0], [], [], [1, 2]], {
+      keystone: { idx: 0, bottleIndex: 2, unlocked: false },
+    }),
+    1,
+  );
+  const hint = suggestHint(board);
+  assert.equal(hint.source, "heuristic");
+  assert.equal(hint.to, 2);
+  assert.equal(board.bottles[hint.from].at(-1), 0);
+});
+
+test("the solver path plays through the keystone gate", () => {
+  // bottle 0 stays corked until the collector (3) is full of element 0
+  const bottles = [[2, 2, 1, 1], [0, 0, 1, 1], [0, 0, 2, 2], [], []];
+  const locked = [true, false, false, false, false];
+  assert.equal(solveBoard(makeBoard(bottles, { locked })).solvable, false, "no way in without the gate");
+
+  const hint = suggestHint(makeBoard(bottles, { locked, keystone: { idx: 0, bottleIndex: 3, unlocked: false } }));
+  assert.equal(hint.source, "solver");
+  assert.equal(hint.solvable, true);
+  assert.ok(!touches(hint, 0));
+});
@@ -0,0 +1,171 @@
+// test/moveJournal.test.js
+// Move journal (src/game/moveJournal.js): diffs, undo/redo, seal, modifier
+// markers, Temporal Retraction and saved journals.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { diffSnapshots, applyDiff, applyTransfer, createMoveJournal } from "../src/game/moveJournal.js";
+
+/* ---------------- Helpers ---------------- */
+function pour(j, from, to, amount = 1, moveIndex = j.cursor) {
+  j.recordPour({ from, to, amount, moveIndex, at: 0, diff: {} });
+}
+
+/* ---------------- Diffs ---------------- */
+test("diffs keep only what changed and apply both ways", () => {
+  const before = { locked: [true, false, true], moveIndex: 3, keystoneUnlocked: false };
+  const after = { locked: [false, false, false], moveIndex: 4, keystoneUnlocked: false };
+  const d = diffSnapshots(before, after);
+  assert.deepEqual(d, { locked: [[0, true, false], [2, true, false]], moveIndex: [3, 4] });
+
+  const view = { locked: after.locked.slice(), moveIndex: 4, keystoneUnlocked: false };
+  applyDiff(view, d, -1);
+  assert.deepEqual(view, before);
+  applyDiff(view, d, +1);
+  assert.deepEqual(view, after);
+});
+
+test("a transfer moves the top segments and reverses exactly", () => {
+  const bottles = [[0, 1, 2, 2], [2], []];
+  applyTransfer(bottles, 0, 1, 2, +1);
+  assert.deepEqual(bottles, [[0, 1], [2, 2, 2], []]);
+  applyTransfer(bottles, 0, 1, 2, -1);
+  assert.deepEqual(bottles, [[0, 1, 2, 2], [2], []]);
+});
+
+/* ---------------- Undo / redo ---------------- */
+test("undo and redo walk the pours, and a new pour drops the redo tail", () => {
+  const j = createMoveJournal();
+  assert.equal(j.canUndo(), false);
+  pour(j, 0, 1);
+  pour(j, 2, 3);
+
+  assert.equal(j.undo().from, 2);
+  assert.equal(j.undo().from, 0);
+  assert.equal(j.undo(), null);
+  assert.equal(j.cursor, 0);
+
+  assert.equal(j.redo().from, 0);
+  assert.equal(j.canRedo(), true);
+  pour(j, 4, 5);
+  assert.equal(j.canRedo(), false);
+  assert.equal(j.length, 2);
+  assert.deepEqual(j.applied().map((e) => e.from), [0, 4]);
+});
+
+test("history is unlimited", () => {
+  const j = createMoveJournal();
+  for (let i = 0; i < 500; i++) pour(j, 0, 1);
+  let n = 0;
+  while (j.undo()) n++;
+  assert.equal(n, 500);
+});
+
+/* ---------------- Floors ---------------- */
+test("seal stops undo at the current pour but keeps the record", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  pour(j, 1, 2);
+  j.seal();
+  assert.equal(j.canUndo(), false);
+  assert.equal(j.undo(), null);
+  assert.equal(j.applied().length, 2);
+  pour(j, 2, 3);
+  assert.equal(j.undo().from, 2);
+  assert.equal(j.undo(), null);
+});
+
+test("a modifier marker is a floor and is never undone or redone", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  j.recordModifier("EQUILIBRIUM_VESSEL", 1);
+  assert.equal(j.canUndo(), false);
+  pour(j, 1, 2);
+  assert.equal(j.undo().from, 1);
+  assert.equal(j.canUndo(), false);
+  assert.equal(j.redo().from, 1);
+  assert.deepEqual(j.applied().map((e) => e.kind), ["pour", "mod", "pour"]);
+});
+
+/* ---------------- Retract ---------------- */
+test("retract drops the last pour and the markers after it, with no redo", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  pour(j, 1, 2);
+  j.recordModifier("DECOHERENCE_KEY", 2, 3);
+  const e = j.retract();
+  assert.equal(e.from, 1);
+  assert.equal(j.length, 1);
+  assert.equal(j.canRedo(), false);
+  // the floor follows the cursor down
+  assert.equal(j.canUndo(), false);
+  assert.equal(j.toJSON().floor, 1);
+});
+
+test("retract works across a seal and returns null with no pours left", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  j.seal();
+  assert.equal(j.retract().from, 0);
+  assert.equal(j.retract(), null);
+  assert.equal(j.length, 0);
+});
+
+test("retract still reaches the last pour after more undos than Retraction keeps", () => {
+  const start = [[0, 0, 1, 1], [1, 1, 0, 0], [], []];
+  const bottles = start.map((b) => b.slice());
+  const j = createMoveJournal();
+  const moves = [[0, 2, 2], [1, 3, 2], [0, 3, 2], [1, 2, 2], [2, 1, 2]];
+  for (const [from, to, amount] of moves) {
+    applyTransfer(bottles, from, to, amount, +1);
+    pour(j, from, to, amount);
+  }
+  // four journal undos: more than the three snapshots Temporal Retraction keeps
+  for (let k = 0; k < 4; k++) {
+    const e = j.undo();
+    applyTransfer(bottles, e.from, e.to, e.amount, -1);
+  }
+  assert.equal(j.canRetract(), true);
+  const e = j.retract();
+  assert.deepEqual([e.from, e.to], [0, 2]);
+  applyTransfer(bottles, e.from, e.to, e.amount, -1);
+  assert.deepEqual(bottles, start);
+  assert.equal(j.length, 0);
+  assert.equal(j.canRetract(), false);
+});
+
+test("forgetRetraction puts earlier pours out of reach, new pours stay retractable", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  pour(j, 1, 2);
+  assert.equal(j.forgetRetraction(), 2);
+  assert.equal(j.canRetract(), false);
+  assert.equal(j.retract(), null);
+  // journal undo is not affected
+  assert.equal(j.undo().from, 1);
+  pour(j, 2, 3);
+  assert.equal(j.retract().from, 2);
+  assert.equal(j.canRetract(), false);
+  // the floor survives a save
+  assert.equal(createMoveJournal(JSON.parse(JSON.stringify(j.toJSON()))).canRetract(), false);
+});
+
+/* ---------------- Saved journals ---------------- */
+test("a saved journal restores cursor and floor, clamped to its entries", () => {
+  const j = createMoveJournal();
+  pour(j, 0, 1);
+  pour(j, 1, 2);
+  pour(j, 2, 3);
+  j.undo();
+  j.seal();
+  const copy = createMoveJournal(JSON.parse(JSON.stringify(j.toJSON())));
+  assert.equal(copy.cursor, 2);
+  assert.equal(copy.canUndo(), false);
+  assert.equal(copy.redo().from, 2);
+
+  const bad = createMoveJournal({ entries: j.toJSON().entries, cursor: 99, floor: -4 });
+  assert.equal(bad.cursor, 3);
+  assert.equal(bad.toJSON().floor, 0);
+  assert.equal(createMoveJournal({ entries: "nope" }).length, 0);
+});
@@ -0,0 +1,95 @@
+// test/prefs.test.js
+// Player preferences (src/game/prefs.js): coercion, the legacy-key migration
+// and versioned records.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { PREFS_KEY, PREFS_VERSION, LEGACY_PREF_KEYS, coercePref, defaultPrefs, loadPrefs, savePrefs, clearPrefs } from "../src/game/prefs.js";
+
+/* ---------------- Helpers ---------------- */
+// storage.js reads the global localStorage; Node has none
+const mem = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (mem.has(k) ? mem.get(k) : null),
+  setItem: (k, v) => mem.set(k, String(v)),
+  removeItem: (k) => mem.delete(k),
+};
+
+beforeEach(() => mem.clear());
+
+const store = (raw) => mem.set(PREFS_KEY, JSON.stringify(raw));
+
+/* ---------------- Coercion ---------------- */
+test("bad values fall back to the default, numbers clamp and round", () => {
+  assert.equal(coercePref("sfxVolume", "55.6"), 56);
+  assert.equal(coercePref("sfxVolume", 400), 100);
+  assert.equal(coercePref("sfxVolume", ""), 80);
+  assert.equal(coercePref("sfxMuted", "true"), false);
+  assert.equal(coercePref("animSpeed", "warp"), "normal");
+  assert.equal(coercePref("apiBase", "  http://x  "), "http://x");
+  assert.equal(coercePref("nope", 1), undefined);
+});
+
+/* ---------------- Migration ---------------- */
+test("a first run with nothing stored gets the defaults", () => {
+  assert.deepEqual(loadPrefs(), defaultPrefs());
+});
+
+test("the legacy keys migrate into the v1 record", () => {
+  mem.set(LEGACY_PREF_KEYS.telemetryOff, "1");
+  mem.set(LEGACY_PREF_KEYS.speechTheme, "LIGHT");
+  mem.set(LEGACY_PREF_KEYS.apiBase, "https://lab.example");
+  mem.set(LEGACY_PREF_KEYS.colorVision, "deuteranopia");
+  mem.set(LEGACY_PREF_KEYS.segmentSymbols, "0");
+  const p = loadPrefs();
+  assert.equal(p.telemetryOff, true);
+  assert.equal(p.speechTheme, "light");
+  assert.equal(p.apiBase, "https://lab.example");
+  assert.equal(p.colorVision, "deuteranopia");
+  assert.equal(p.segmentSymbols, false);
+  assert.equal(p.sfxVolume, 80);
+});
+
+test("unreadable legacy values fall back to their defaults", () => {
+  mem.set(LEGACY_PREF_KEYS.speechTheme, "sepia");
+  mem.set(LEGACY_PREF_KEYS.colorVision, "infrared");
+  const p = loadPrefs();
+  assert.equal(p.speechTheme, "dark");
+  assert.equal(p.colorVision, defaultPrefs().colorVision);
+});
+
+test("saving writes the versioned record and removes the legacy keys", () => {
+  mem.set(LEGACY_PREF_KEYS.telemetryOff, "1");
+  assert.equal(savePrefs({ ...loadPrefs(), sfxVolume: 30 }), true);
+  assert.equal(mem.has(LEGACY_PREF_KEYS.telemetryOff), false);
+  const saved = JSON.parse(mem.get(PREFS_KEY));
+  assert.equal(saved.v, PREFS_VERSION);
+  assert.equal(saved.prefs.sfxVolume, 30);
+  assert.equal(saved.prefs.telemetryOff, true);
+  assert.equal(loadPrefs().sfxVolume, 30);
+});
+
+/* ---------------- Versions ---------------- */
+test("a stored record wins over leftover legacy keys", () => {
+  store({ v: PREFS_VERSION, prefs: { speechTheme: "dark" } });
+  mem.set(LEGACY_PREF_KEYS.speechTheme, "light");
+  assert.equal(loadPrefs().speechTheme, "dark");
+});
+
+test("records from a newer version load as defaults, unknown keys are dropped", () => {
+  store({ v: PREFS_VERSION + 1, prefs: { sfxVolume: 10 } });
+  assert.deepEqual(loadPrefs(), defaultPrefs());
+
+  store({ v: PREFS_VERSION, prefs: { sfxVolume: 10, confetti: true } });
+  const p = loadPrefs();
+  assert.equal(p.sfxVolume, 10);
+  assert.equal("confetti" in p, false);
+});
+
+test("clearPrefs removes the record and the legacy keys", () => {
+  savePrefs(defaultPrefs());
+  mem.set(LEGACY_PREF_KEYS.apiBase, "x");
+  clearPrefs();
+  assert.equal(mem.size, 0);
+});
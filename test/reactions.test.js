@@ -0,0 +1,75 @@
+// test/reactions.test.js
+// Element chemistry (src/game/reactions.js): conflicts, illegal completions,
+// thesis overrides and the once-per-level rule.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { REACTION_EFFECTS, illegalRulesFor, missingFor, conflictsBetween, evaluatePour } from "../src/game/reactions.js";
+import { WILDCARD } from "../src/game/wildcard.js";
+
+/* ---------------- Helpers ---------------- */
+function pour(elements, before, after, { fired = new Set(), thesisKey = null, capacity = 4 } = {}) {
+  return evaluatePour({ before, after, to: 2, capacity, elements, thesisKey, fired });
+}
+
+/* ---------------- Rules ---------------- */
+test("conflicts read conflicts_with in either direction", () => {
+  assert.equal(conflictsBetween("HO", "CL"), true);
+  assert.equal(conflictsBetween("CL", "HO"), true);
+  assert.equal(conflictsBetween("CL", "PA"), false);
+});
+
+test("illegal rules come from the palette and missingFor reports what is absent", () => {
+  const rules = illegalRulesFor(["PA", "UR", "CL"], null);
+  const pa = rules.find((r) => r.element === "PA");
+  assert.deepEqual(missingFor(pa, ["PA", "UR", "CL"]), ["PR"]);
+  assert.deepEqual(missingFor(rules.find((r) => r.element === "UR"), ["PA", "UR", "CL"]), []);
+
+  const vi = illegalRulesFor(["VI"], null)[0];
+  assert.deepEqual(missingFor(vi, ["VI"]), ["CS", "EV", "RE"]);
+  assert.deepEqual(missingFor(vi, ["VI", "EV"]), []);
+});
+
+test("the thesis rule replaces the element rule for its element", () => {
+  const rules = illegalRulesFor(["CH", "PA"], "Traffic_without_ME");
+  const ch = rules.find((r) => r.element === "CH");
+  assert.deepEqual(ch.required, ["ME"]);
+  assert.equal(ch.result, "INDIFFERENCE");
+  // a thesis about an element the palette lacks adds nothing
+  assert.equal(illegalRulesFor(["PA"], "Traffic_without_ME").some((r) => r.element === "CH"), false);
+});
+
+/* ---------------- Evaluation ---------------- */
+test("pouring into a conflicting vial fires once per level", () => {
+  const elements = ["CL", "HO", "TR"];
+  const fired = new Set();
+  const [r] = pour(elements, [0], [0, 1], { fired });
+  assert.equal(r.kind, "conflict");
+  assert.equal(r.element, "HO");
+  assert.equal(r.partner, "CL");
+  assert.equal(r.effect, REACTION_EFFECTS.CONFLICT);
+  assert.equal(r.bottleIndex, 2);
+  assert.deepEqual(pour(elements, [0], [0, 1], { fired }), []);
+});
+
+test("completing a vial whose requirement is missing is illegal", () => {
+  const elements = ["PA", "CL", "TR"];
+  const [r] = pour(elements, [0, 0, 0], [0, 0, 0, 0]);
+  assert.equal(r.kind, "illegal");
+  assert.equal(r.result, "DESPAIR");
+  assert.equal(r.effect, REACTION_EFFECTS.DESPAIR);
+  assert.deepEqual(r.missing, ["PR"]);
+
+  // not full yet, or the requirement is on the board: nothing happens
+  assert.deepEqual(pour(elements, [0, 0], [0, 0, 0]), []);
+  assert.deepEqual(pour(["PA", "PR", "TR"], [0, 0, 0], [0, 0, 0, 0]), []);
+});
+
+test("an already full vial does not complete again", () => {
+  assert.deepEqual(pour(["PA", "CL"], [0, 0, 0, 0], [0, 0, 0, 0], { capacity: 4 }), []);
+});
+
+test("a wildcard on top reacts with nothing", () => {
+  assert.deepEqual(pour(["CL", "HO"], [0], [0, WILDCARD]), []);
+});
@@ -0,0 +1,130 @@
+// test/recipeValidate.test.js
+// Server recipe checks (src/game/recipeValidate.js): clamping to the generator's
+// limits, modifier reconciliation and palette rules.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { RECIPE_LIMITS, sanitizeServerRecipe } from "../src/game/recipeValidate.js";
+
+/* ---------------- Helpers ---------------- */
+function raw(extra = {}) {
+  return {
+    title: "Test",
+    colors: 4,
+    capacity: 4,
+    emptyBottles: 2,
+    corkedBottles: 1,
+    wildcardSlots: 0,
+    bottleCount: 6,
+    elements: ["CL", "PA", "PR", "AU", "TR"],
+    ...extra,
+  };
+}
+
+const local = { title: "Local", sealedUnknownBottles: 1, keystoneElementSym: "PA", sinTags: ["x"] };
+
+/* ---------------- Shape ---------------- */
+test("a recipe inside the limits passes unchanged", () => {
+  const res = sanitizeServerRecipe(raw(), { local });
+  assert.equal(res.ok, true);
+  assert.deepEqual(res.notes, []);
+  const r = res.recipe;
+  assert.equal(r.colors, 4);
+  assert.equal(r.bottleCount, 6);
+  assert.deepEqual(r.elements, ["CL", "PA", "PR", "AU"]);
+  assert.equal(r.keystoneElementSym, "PA");
+  assert.equal(r.sealedUnknownBottles, 1);
+  assert.equal(r.source, "server");
+});
+
+test("non-objects and missing numbers are rejected", () => {
+  assert.deepEqual(sanitizeServerRecipe(null).errors, ["NOT_AN_OBJECT"]);
+  assert.deepEqual(sanitizeServerRecipe([]).errors, ["NOT_AN_OBJECT"]);
+  const res = sanitizeServerRecipe(raw({ capacity: "lots", wildcardSlots: undefined }));
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.errors, ["MISSING_capacity", "MISSING_wildcardSlots"]);
+});
+
+/* ---------------- Clamping ---------------- */
+test("every number is clamped to RECIPE_LIMITS and noted", () => {
+  const res = sanitizeServerRecipe(
+    raw({ colors: 12, capacity: 9, emptyBottles: 0, corkedBottles: 5, wildcardSlots: -1, elements: ["CL", "PA", "PR", "AU", "TR", "PO", "FR", "ME", "DI"] }),
+  );
+  assert.equal(res.ok, true);
+  const r = res.recipe;
+  assert.equal(r.colors, RECIPE_LIMITS.colors[1]);
+  assert.equal(r.capacity, RECIPE_LIMITS.capacity[1]);
+  assert.equal(r.emptyBottles, RECIPE_LIMITS.emptyBottles[0]);
+  assert.equal(r.corkedBottles, RECIPE_LIMITS.corkedBottles[1]);
+  assert.equal(r.wildcardSlots, 0);
+  for (const n of ["CLAMP:colors=8", "CLAMP:capacity=6", "CLAMP:emptyBottles=1", "CLAMP:corkedBottles=2", "CLAMP:wildcardSlots=0"]) {
+    assert.ok(res.notes.includes(n), n);
+  }
+});
+
+test("colors never exceed the palette and bottleCount is derived", () => {
+  const res = sanitizeServerRecipe(raw({ colors: 6, bottleCount: 20, elements: ["CL", "PA", "PR", "AU"] }));
+  assert.equal(res.recipe.colors, 4);
+  assert.equal(res.recipe.bottleCount, 6);
+  assert.ok(res.notes.includes("CLAMP:colors=4"));
+  assert.ok(res.notes.includes("BOTTLE_COUNT:20->6"));
+});
+
+test("the cork limit still holds after the modifier is applied", () => {
+  const res = sanitizeServerRecipe(raw({ colors: 3, corkedBottles: 2, elements: ["CL", "PA", "PR"] }), {
+    pendingModifier: { lockedBottlesDelta: 1 },
+    local,
+  });
+  // the modifier pushes corks to 3, the limit brings them back to 2
+  assert.equal(res.recipe.corkedBottles, 2);
+  assert.ok(res.notes.includes("CLAMP:corkedBottles=2"));
+});
+
+/* ---------------- Modifier reconciliation ---------------- */
+test("the client's modifier replaces the deltas the model applied", () => {
+  const res = sanitizeServerRecipe(raw({ colors: 5, appliedModifier: { colorsDelta: 1 } }), {
+    pendingModifier: { capacityDelta: 1 },
+  });
+  // colors: the model's +1 is undone; capacity: our +1 is added
+  assert.equal(res.recipe.colors, 4);
+  assert.equal(res.recipe.capacity, 5);
+  assert.ok(res.notes.includes("MODIFIER_MISMATCH:colors-1"));
+  assert.ok(res.notes.includes("MODIFIER_MISMATCH:capacity+1"));
+  assert.deepEqual(res.recipe.appliedModifier, { capacityDelta: 1 });
+});
+
+test("a modifier the model applied correctly leaves no note", () => {
+  const mod = { emptyBottlesDelta: 1 };
+  const res = sanitizeServerRecipe(raw({ emptyBottles: 3, bottleCount: 7, appliedModifier: mod }), { pendingModifier: mod });
+  assert.equal(res.recipe.emptyBottles, 3);
+  assert.deepEqual(res.notes, []);
+});
+
+test("corkedBottles and the legacy lockedBottles delta keys are the same field", () => {
+  const res = sanitizeServerRecipe(raw({ corkedBottles: undefined, lockedBottles: 0 }), {
+    pendingModifier: { corkedBottlesDelta: 1 },
+  });
+  assert.equal(res.recipe.corkedBottles, 1);
+  assert.equal(res.recipe.lockedBottles, 1);
+});
+
+/* ---------------- Palette ---------------- */
+test("unknown and excluded elements are dropped, required ones forced in", () => {
+  const res = sanitizeServerRecipe(raw({ elements: ["cl", "XX", "PR", "AU", "TR", "FR"] }), { thesisKey: "PA_without_PR" });
+  assert.deepEqual(res.recipe.elements, ["PA", "CL", "AU", "TR"]);
+  assert.ok(res.notes.includes("UNKNOWN_ELEMENT:XX"));
+  assert.ok(res.notes.includes("THESIS_EXCLUDES:PR"));
+  assert.ok(res.notes.includes("THESIS_INCLUDES:PA"));
+});
+
+test("too few usable elements rejects the recipe", () => {
+  const res = sanitizeServerRecipe(raw({ elements: ["CL", "ZZ"] }));
+  assert.equal(res.ok, false);
+  assert.deepEqual(res.errors, ["TOO_FEW_ELEMENTS"]);
+});
+
+test("the keystone is dropped when the board has no corks or lacks its element", () => {
+  assert.equal(sanitizeServerRecipe(raw({ corkedBottles: 0 }), { local }).recipe.keystoneElementSym, null);
+  assert.equal(sanitizeServerRecipe(raw({ elements: ["CL", "PR", "AU", "TR"] }), { local }).recipe.keystoneElementSym, null);
+});
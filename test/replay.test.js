@@ -0,0 +1,51 @@
+// test/replay.test.js
+// Level replays (src/game/replay.js): export, the event cap and import checks.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { REPLAY_EVENT_MAX, buildReplay, parseReplay } from "../src/game/replay.js";
+
+/* ---------------- Helpers ---------------- */
+const meta = {
+  runSeed: 777,
+  level: 3,
+  questId: 3,
+  thesisKey: null,
+  recipe: { colors: 3, bottleCount: 5, capacity: 4, emptyBottles: 2, elements: ["CL", "PA", "PR"] },
+  board: null,
+  startedAt: 1000,
+};
+
+function pours(n) {
+  return Array.from({ length: n }, (_, i) => ({ kind: "pour", from: i % 2, to: 2, amount: 1, at: 1000 + i }));
+}
+
+/* ---------------- Build ---------------- */
+test("pours and modifier markers become timed events", () => {
+  const r = buildReplay(meta, [...pours(2), { kind: "mod", id: "DECOHERENCE_KEY", target: 4, at: 1500 }]);
+  assert.equal(r.truncated, false);
+  assert.deepEqual(r.events, [
+    { t: 0, type: "pour", from: 0, to: 2, amount: 1 },
+    { t: 1, type: "pour", from: 1, to: 2, amount: 1 },
+    { t: 500, type: "modifier", id: "DECOHERENCE_KEY", target: 4 },
+  ]);
+  assert.equal(parseReplay(JSON.stringify(r)).ok, true);
+});
+
+test("an over-long attempt is trimmed so its export still parses", () => {
+  const r = buildReplay(meta, pours(REPLAY_EVENT_MAX + 5));
+  assert.equal(r.truncated, true);
+  assert.equal(r.events.length, REPLAY_EVENT_MAX);
+  assert.equal(parseReplay(JSON.stringify(r)).ok, true);
+
+  assert.equal(buildReplay(meta, pours(REPLAY_EVENT_MAX)).truncated, false);
+});
+
+/* ---------------- Parse ---------------- */
+test("imports over the cap or with bad events are refused", () => {
+  const r = buildReplay(meta, pours(3));
+  assert.deepEqual(parseReplay({ ...r, events: buildReplay(meta, pours(REPLAY_EVENT_MAX)).events.concat(r.events[0]) }).errors, ["BAD_EVENTS"]);
+  assert.deepEqual(parseReplay({ ...r, events: [r.events[0], { t: 1, type: "pour", from: 1, to: 1 }] }).errors, ["BAD_EVENT:1"]);
+  assert.deepEqual(parseReplay("{").errors, ["NOT_JSON"]);
+});
@@ -0,0 +1,330 @@
+// test/rules.test.js
+// Rules engine (src/game/rules.js): pours, corks, Sealed Unknown, gates,
+// instability and deadlock detection. Run with `npm test` (node:test, no deps).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  canPourInfo,
+  canPour,
+  pourAmount,
+  isSolved,
+  hasAnyPlayableMove,
+  stageForUntouched,
+  createDeadlockWatch,
+  createRulesEngine,
+  NO_SELECTION,
+  tapAction,
+} from "../src/game/rules.js";
+import { WILDCARD } from "../src/game/wildcard.js";
+
+/* ---------------- Helpers ---------------- */
+function makeBoard(bottles, extra = {}) {
+  const n = bottles.length;
+  return {
+    bottles: bottles.map((b) => b.slice()),
+    capacity: 4,
+    locked: new Array(n).fill(false),
+    hiddenSegs: new Array(n).fill(false),
+    sealedUnknown: new Array(n).fill(false),
+    revealDepthPct: new Array(n).fill(1),
+    keystone: null,
+    stabilizer: null,
+    ...extra,
+  };
+}
+
+function makeEngine(board, config = {}) {
+  const eng = createRulesEngine(board);
+  const events = [];
+  eng.subscribe((e) => events.push(e));
+  eng.startLevel(config);
+  eng.resetDeadlock();
+  return { eng, events };
+}
+
+function play(eng, from, to) {
+  assert.ok(canPour(eng.board, from, to), `pour ${from} -> ${to} should be legal`);
+  const res = eng.pour(from, to);
+  return { ...res, ...eng.settle(from, to) };
+}
+
+const types = (events) => events.map((e) => e.type);
+
+/* ---------------- Pours ---------------- */
+test("a pour moves the whole top run when it fits", () => {
+  const { eng, events } = makeEngine(makeBoard([[0, 1, 1], [1], []]));
+  const res = play(eng, 0, 1);
+  assert.equal(res.amount, 2);
+  assert.deepEqual(eng.board.bottles, [[0], [1, 1, 1], []]);
+  assert.equal(eng.moveIndex, 1);
+  assert.deepEqual(events[0], { type: "pour_execute", moveIndex: 0, from: 0, to: 1, movedCount: 2, wildcardMoved: 0 });
+});
+
+test("a pour stops when the target is full", () => {
+  const board = makeBoard([[0, 1, 1, 1], [2, 2, 1], []]);
+  assert.equal(pourAmount(board, 0, 1), 1);
+  const { eng } = makeEngine(board);
+  play(eng, 0, 1);
+  assert.deepEqual(eng.board.bottles[0], [0, 1, 1]);
+  assert.equal(canPourInfo(eng.board, 0, 1).blockedBy, "capacity");
+});
+
+test("illegal pours report why", () => {
+  const board = makeBoard([[0, 1], [0, 2], [], [0]]);
+  assert.deepEqual(canPourInfo(board, 0, 0), { legal: false, blockedBy: "same" });
+  assert.deepEqual(canPourInfo(board, 2, 0), { legal: false, blockedBy: "empty" });
+  assert.deepEqual(canPourInfo(board, 0, 1), { legal: false, blockedBy: "rule" });
+  assert.deepEqual(canPourInfo(board, 0, 2), { legal: true, blockedBy: null });
+});
+
+test("per-bottle capacities decide what fits", () => {
+  const board = makeBoard([[0, 0], [0], []], { capacities: [4, 2, 4] });
+  assert.equal(pourAmount(board, 0, 1), 1);
+  board.bottles[1].push(0);
+  assert.equal(canPourInfo(board, 0, 1).blockedBy, "capacity");
+  board.bottles[0].push(0, 0);
+  assert.ok(isSolved(board));
+});
+
+test("wildcards match any colour and resolve where they land", () => {
+  const board = makeBoard([[0, WILDCARD], [0], [WILDCARD], [2]]);
+  assert.ok(canPour(board, 2, 3), "a pure wildcard pours onto anything");
+  assert.ok(canPour(board, 3, 2), "and takes anything");
+
+  const { eng, events } = makeEngine(board);
+  const res = play(eng, 0, 1);
+  assert.equal(res.amount, 2, "a wildcard joins the run it sits on");
+  assert.equal(res.wildcardMoved, 1);
+  assert.ok(!types(events).includes("wildcard_resolve"), "it had already resolved to its neighbour");
+
+  play(eng, 2, 3);
+  assert.deepEqual(events.at(-1), { type: "wildcard_resolve", moveIndex: 1, bottleIndex: 3, count: 1, resolvedTo: 2 });
+});
+
+/* ---------------- Selection ---------------- */
+test("a tap with nothing selected selects, then deselects or pours", () => {
+  const board = makeBoard([[0], [0], []], { selected: NO_SELECTION });
+  assert.equal(tapAction(board, 1), "select");
+  board.selected = 1;
+  assert.equal(tapAction(board, 1), "deselect");
+  assert.equal(tapAction(board, 2), "pour");
+});
+
+test("a tap after a hint selects a bottle", () => {
+  // requestHint() clears the selection; older code left null there, which read as a pour from null
+  for (const selected of [NO_SELECTION, null, undefined]) {
+    assert.equal(tapAction(makeBoard([[0], []], { selected }), 0), "select", String(selected));
+  }
+});
+
+/* ---------------- Corks ---------------- */
+test("corked bottles can't pour or be poured into", () => {
+  const board = makeBoard([[0, 0], [0], []]);
+  board.locked[1] = true;
+  assert.equal(canPourInfo(board, 0, 1).blockedBy, "cork");
+  assert.equal(canPourInfo(board, 1, 2).blockedBy, "cork");
+  assert.ok(canPour(board, 0, 2));
+});
+
+test("uncork releases every cork once and reports it", () => {
+  const board = makeBoard([[0], [1], [2]]);
+  board.locked[0] = board.locked[2] = true;
+  board.hiddenSegs[2] = true;
+  const { eng, events } = makeEngine(board);
+  assert.equal(eng.uncork("deco_key"), true);
+  assert.deepEqual(board.locked, [false, false, false]);
+  assert.equal(board.hiddenSegs[2], false);
+  assert.deepEqual(events, [{ type: "cork_unlock", moveIndex: 0, method: "deco_key", corkedCount: 2 }]);
+  assert.equal(eng.uncork(), false);
+});
+
+/* ---------------- Sealed Unknown ---------------- */
+test("pouring from a Sealed Unknown bottle reveals one layer per segment", () => {
+  const board = makeBoard([[0, 0, 1, 1], [], []]);
+  board.sealedUnknown[0] = true;
+  board.revealDepthPct[0] = 0.25;
+  const { eng, events } = makeEngine(board);
+
+  play(eng, 0, 1);
+  assert.equal(board.revealDepthPct[0], 0.75);
+  assert.deepEqual(events.find((e) => e.type === "unknown_reveal"), {
+    type: "unknown_reveal",
+    moveIndex: 0,
+    bottleIndex: 0,
+    revealDepthPct: 0.75,
+    revealedCount: 2,
+  });
+
+  play(eng, 0, 2);
+  assert.equal(board.bottles[0].length, 0);
+  assert.equal(board.revealDepthPct[0], 1, "an emptied bottle stops showing as clouded");
+});
+
+/* ---------------- Gates ---------------- */
+test("solving the keystone bottle in its element releases the corks", () => {
+  const board = makeBoard([[1, 0], [1, 0], [], [2, 2]], {
+    capacity: 2,
+    keystone: { sym: "CL", idx: 0, bottleIndex: 2, unlocked: false },
+  });
+  board.locked[3] = true;
+  const { eng, events } = makeEngine(board);
+
+  play(eng, 0, 2);
+  assert.equal(board.keystone.unlocked, false);
+  play(eng, 1, 2);
+  assert.equal(board.keystone.unlocked, true);
+  assert.equal(board.locked[3], false);
+  assert.deepEqual(types(events).slice(-3), ["pour_execute", "keystone_solved", "cork_unlock"]);
+  assert.equal(events.at(-1).method, "keystone");
+});
+
+test("the keystone ignores other bottles and other elements", () => {
+  const board = makeBoard([[1, 0], [0], [1], [2, 2]], {
+    capacity: 2,
+    keystone: { sym: "CL", idx: 0, bottleIndex: 2, unlocked: false },
+  });
+  board.locked[3] = true;
+  const { eng } = makeEngine(board);
+  play(eng, 0, 1); // bottle 1 solved in the keystone element, but it isn't the collector
+  assert.equal(board.keystone.unlocked, false);
+  play(eng, 0, 2); // the collector solved, in the wrong element
+  assert.equal(board.keystone.unlocked, false);
+  assert.equal(board.locked[3], true);
+});
+
+test("a full bottle of the unlock element opens the stabilizer", () => {
+  const board = makeBoard([[2], [2], [0, 0]], {
+    capacity: 2,
+    stabilizer: { idx: 2, unlock: "UR_full", unlocked: false },
+  });
+  board.locked[2] = true;
+  const { eng, events } = makeEngine(board, { stabilizerUnlockIdx: 2 });
+  play(eng, 0, 1);
+  assert.equal(board.stabilizer.unlocked, true);
+  assert.equal(board.locked[2], false);
+  assert.ok(types(events).includes("stabilizer_unlock"));
+});
+
+/* ---------------- Instability ---------------- */
+test("stage thresholds: X, X+3, X+5, collapse at X+7", () => {
+  const t = 10;
+  assert.deepEqual(
+    [9, 10, 12, 13, 14, 15, 16, 17].map((n) => stageForUntouched(n, t)),
+    [0, 1, 1, 2, 2, 3, 3, 4]
+  );
+});
+
+// Bottle 0 sits full and mixed while the player shuffles bottles 1 and 2.
+function neglectBoard(first = [0, 1, 2]) {
+  return makeBoard([first, [3], [], []], { capacity: 3 });
+}
+
+function shuffle(eng, moves) {
+  let res;
+  for (let k = 0; k < moves; k++) {
+    const from = eng.board.bottles[1].length ? 1 : 2;
+    res = play(eng, from, 3 - from);
+  }
+  return res;
+}
+
+test("a neglected full mixed bottle warns, alarms and collapses", () => {
+  const { eng, events } = makeEngine(neglectBoard(), { instability: true, collapse: true, threshold: 2 });
+  shuffle(eng, 4);
+  assert.equal(eng.instabilityStage[0], 1);
+  assert.ok(!types(events).some((x) => x.startsWith("instability")));
+
+  shuffle(eng, 1); // 5 untouched: stage 2
+  assert.deepEqual(
+    events.filter((e) => e.type.startsWith("instability")).map((e) => [e.type, e.stage]),
+    [["instability_warning", 2], ["instability_alarm", 2]]
+  );
+
+  shuffle(eng, 2); // 7: stage 3
+  assert.equal(eng.instabilityStage[0], 3);
+  assert.equal(events.filter((e) => e.type === "instability_alarm").at(-1).stage, 3);
+
+  assert.equal(shuffle(eng, 1).collapse, false);
+  assert.equal(shuffle(eng, 1).collapse, true); // 9: collapse
+  assert.deepEqual(events.at(-1), { type: "instability_collapse", moveIndex: 9, bottleIndices: [0] });
+});
+
+test("collapse waits for the collapse level; warnings don't", () => {
+  const { eng, events } = makeEngine(neglectBoard(), { instability: true, collapse: false, threshold: 2 });
+  shuffle(eng, 12);
+  assert.equal(eng.instabilityStage[0], 4);
+  assert.ok(types(events).includes("instability_alarm"));
+  assert.ok(!types(events).includes("instability_collapse"));
+});
+
+test("touching a warned bottle calms it", () => {
+  const { eng, events } = makeEngine(neglectBoard(), { instability: true, collapse: true, threshold: 2 });
+  shuffle(eng, 5);
+  play(eng, 0, 3);
+  assert.equal(eng.instabilityStage[0], 0);
+  assert.deepEqual(events.at(-1), { type: "instability_reset", moveIndex: 6, bottleIndex: 0, prevStage: 2 });
+});
+
+test("mercy spares mostly solved bottles; corks and the off switch spare everything", () => {
+  const mercy = makeEngine(neglectBoard([0, 0, 1]), { instability: true, collapse: true, mercy: true, threshold: 2 });
+  shuffle(mercy.eng, 10);
+  assert.equal(mercy.eng.instabilityStage[0], 0);
+
+  const corked = neglectBoard();
+  corked.locked[0] = true;
+  const c = makeEngine(corked, { instability: true, collapse: true, threshold: 2 });
+  shuffle(c.eng, 10);
+  assert.equal(c.eng.instabilityStage[0], 0);
+
+  const off = makeEngine(neglectBoard(), { threshold: 2 });
+  shuffle(off.eng, 10);
+  assert.equal(off.events.filter((e) => e.type.startsWith("instability")).length, 0);
+});
+
+/* ---------------- Deadlocks ---------------- */
+test("no legal pour left is a hard deadlock", () => {
+  const board = makeBoard([[0, 1], [1, 0]], { capacity: 2 });
+  assert.equal(hasAnyPlayableMove(board), false);
+  assert.equal(isSolved(board), false);
+});
+
+test("cycling without progress is a soft deadlock", () => {
+  // bottles 1 and 2 pass a 1 back and forth; nothing ever solves or empties
+  const board = makeBoard([[0, 1], [2, 1], [3, 1]], { capacity: 3 });
+  const { eng } = makeEngine(board);
+  play(eng, 0, 1);
+  let from = 1;
+  for (let k = 0; k < 6; k++) {
+    play(eng, from, 3 - from);
+    from = 3 - from;
+  }
+  assert.equal(eng.isSoftDeadlocked(), false, "not enough history yet");
+  for (let k = 0; k < 12; k++) {
+    play(eng, from, 3 - from);
+    from = 3 - from;
+  }
+  assert.equal(eng.isSoftDeadlocked(), true);
+
+  eng.resetDeadlock();
+  assert.equal(eng.isSoftDeadlocked(), false, "undo, gates and restarts clear the window");
+});
+
+test("the deadlock watch ignores solved boards", () => {
+  const watch = createDeadlockWatch();
+  const board = makeBoard([[0, 0], []], { capacity: 2 });
+  for (let k = 0; k < 20; k++) watch.record(board);
+  assert.equal(watch.isDeadlocked(board), false);
+});
+
+/* ---------------- Subscriptions ---------------- */
+test("unsubscribed listeners stop receiving events", () => {
+  const eng = createRulesEngine(makeBoard([[0], []]));
+  const seen = [];
+  const off = eng.subscribe((e) => seen.push(e.type));
+  eng.startLevel();
+  off();
+  eng.pour(0, 1);
+  assert.deepEqual(seen, []);
+});
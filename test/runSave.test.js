@@ -0,0 +1,122 @@
+// test/runSave.test.js
+// Run save (src/game/runSave.js): versioning, board validation and the
+// runSeed check that drops saves from another run.
+
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { RUN_SAVE_KEY, RUN_SAVE_VERSION, loadRunSave, writeRunSave, clearRunSave, migrateRunSave } from "../src/game/runSave.js";
+
+/* ---------------- Helpers ---------------- */
+// storage.js reads the global localStorage; Node has none
+const mem = new Map();
+globalThis.localStorage = {
+  getItem: (k) => (mem.has(k) ? mem.get(k) : null),
+  setItem: (k, v) => mem.set(k, String(v)),
+  removeItem: (k) => mem.delete(k),
+};
+
+beforeEach(() => mem.clear());
+
+function board(extra = {}) {
+  return {
+    bottles: [[0, 0, 1], [1, 1, 0], []],
+    capacity: 4,
+    locked: [false, false, false],
+    hiddenSegs: [false, false, false],
+    sealedUnknown: [false, false, false],
+    revealDepthPct: [1, 1, 1],
+    ...extra,
+  };
+}
+
+function snapshot(extra = {}) {
+  return { runSeed: 777, level: 3, questId: 3, board: board(), ...extra };
+}
+
+const store = (raw) => mem.set(RUN_SAVE_KEY, JSON.stringify(raw));
+
+/* ---------------- Round trip ---------------- */
+test("a written save loads back for the same run", () => {
+  assert.equal(writeRunSave(snapshot()), true);
+  const s = loadRunSave(777);
+  assert.equal(s.v, RUN_SAVE_VERSION);
+  assert.equal(s.level, 3);
+  assert.deepEqual(s.board.bottles, board().bottles);
+});
+
+test("a save from another run is ignored", () => {
+  writeRunSave(snapshot());
+  assert.equal(loadRunSave(778), null);
+});
+
+test("clearRunSave removes the save", () => {
+  writeRunSave(snapshot());
+  clearRunSave();
+  assert.equal(loadRunSave(777), null);
+});
+
+/* ---------------- Versions ---------------- */
+test("saves without a version, or from a newer version, are rejected", () => {
+  store({ runSeed: 777, level: 3, questId: 3, board: null });
+  assert.equal(loadRunSave(777), null);
+  store({ ...snapshot(), v: RUN_SAVE_VERSION + 1 });
+  assert.equal(loadRunSave(777), null);
+});
+
+test("current saves pass through unchanged", () => {
+  const s = { ...snapshot(), v: RUN_SAVE_VERSION };
+  assert.equal(migrateRunSave(s), s);
+});
+
+test("older saves walk the migration chain one version at a time", () => {
+  // an identity step that only bumps the version, then one that adds a field
+  const steps = {
+    1: (s) => ({ ...s, v: 2 }),
+    2: (s) => ({ ...s, hintsLeft: 3, v: 3 }),
+  };
+  const v1 = { ...snapshot(), v: 1 };
+  assert.deepEqual(migrateRunSave(v1, steps, 2), { ...v1, v: 2 });
+  assert.deepEqual(migrateRunSave(v1, steps, 3), { ...v1, hintsLeft: 3, v: 3 });
+  assert.deepEqual(migrateRunSave({ ...v1, v: 2 }, steps, 3), { ...v1, hintsLeft: 3, v: 3 });
+});
+
+test("a gap in the chain or a step that goes nowhere drops the save", () => {
+  const v1 = { ...snapshot(), v: 1 };
+  assert.equal(migrateRunSave(v1, { 2: (s) => ({ ...s, v: 3 }) }, 3), null);
+  assert.equal(migrateRunSave(v1, { 1: (s) => s }, 2), null);
+  assert.equal(migrateRunSave({ ...v1, v: undefined }, { 1: (s) => ({ ...s, v: 2 }) }, 2), null);
+});
+
+/* ---------------- Validation ---------------- */
+test("a save with no board resumes the level only", () => {
+  store({ ...snapshot({ board: null }), v: RUN_SAVE_VERSION });
+  assert.equal(loadRunSave(777).board, null);
+});
+
+test("bad level, quest or board shapes are rejected", () => {
+  const bad = [
+    snapshot({ level: 0 }),
+    snapshot({ questId: "3" }),
+    snapshot({ board: board({ bottles: [] }) }),
+    snapshot({ board: board({ bottles: [[0, "x"], [], []] }) }),
+    snapshot({ board: board({ capacity: 0 }) }),
+    snapshot({ board: board({ locked: [false] }) }),
+    snapshot({ board: board({ bottles: [[0, 0, 0, 0, 0], [], []] }) }),
+    snapshot({ board: board({ capacities: [4, 4] }) }),
+  ];
+  for (const s of bad) {
+    store({ ...s, v: RUN_SAVE_VERSION });
+    assert.equal(loadRunSave(777), null, JSON.stringify(s));
+  }
+  store("not an object");
+  assert.equal(loadRunSave(777), null);
+});
+
+test("per-bottle capacities decide what fits", () => {
+  const mixed = board({ bottles: [[0, 0, 1, 1, 0], [1, 1, 0], []], capacities: [5, 4, 3], shapes: ["flask", "vial", "tube"] });
+  store({ ...snapshot({ board: mixed }), v: RUN_SAVE_VERSION });
+  assert.ok(loadRunSave(777));
+  store({ ...snapshot({ board: { ...mixed, capacities: [4, 4, 3] } }), v: RUN_SAVE_VERSION });
+  assert.equal(loadRunSave(777), null);
+});
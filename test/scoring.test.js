@@ -0,0 +1,80 @@
+// test/scoring.test.js
+// Level results (src/game/scoring.js): par, star boundaries, strikes and bests.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { STAR_RULES, levelPar, starRating, compareLevelResults, recordBest, BEST_RESULTS_MAX } from "../src/game/scoring.js";
+
+/* ---------------- Helpers ---------------- */
+const stars = (moves, par, extra = {}) => starRating({ moves, par, invalid: 0, modifiers: 0, undos: 0, ...extra }).stars;
+
+/* ---------------- Par ---------------- */
+test("par comes only from a solvable result", () => {
+  assert.deepEqual(levelPar({ solvable: true, optimal: true, moveCount: 9 }), { par: 9, exact: true });
+  assert.deepEqual(levelPar({ solvable: true, optimal: false, moveCount: 12 }), { par: 12, exact: false });
+  assert.deepEqual(levelPar({ solvable: null, moveCount: null }), { par: null, exact: false });
+  assert.deepEqual(levelPar(null), { par: null, exact: false });
+});
+
+/* ---------------- Par boundaries ---------------- */
+test("small pars use the minimum slack (+2) and far (+5)", () => {
+  // par 4: 25% and 75% round up to 1 and 3, below the minimums
+  assert.equal(stars(4, 4), 3);
+  assert.equal(stars(6, 4), 3);
+  assert.equal(stars(7, 4), 2);
+  assert.equal(stars(9, 4), 2);
+  assert.equal(stars(10, 4), 1);
+});
+
+test("large pars use the percentages, rounded up", () => {
+  // par 21: slack ceil(5.25) = 6, far ceil(15.75) = 16
+  assert.equal(stars(27, 21), 3);
+  assert.equal(stars(28, 21), 2);
+  assert.equal(stars(37, 21), 2);
+  assert.equal(stars(38, 21), 1);
+});
+
+test("beating par is fine and an unproven par costs nothing", () => {
+  assert.equal(stars(3, 4), 3);
+  assert.equal(stars(99, null), 3);
+  assert.equal(stars(99, 0), 3);
+});
+
+/* ---------------- Other strikes ---------------- */
+test("invalid pours, modifiers and undos each strike past their limit", () => {
+  const at = { invalid: STAR_RULES.invalidMax, modifiers: STAR_RULES.modifiersMax, undos: STAR_RULES.undosMax };
+  assert.deepEqual(starRating({ moves: 4, par: 4, ...at }), { stars: 3, strikes: [] });
+  const over = starRating({ moves: 4, par: 4, invalid: at.invalid + 1, modifiers: 1, undos: at.undos + 1 });
+  assert.deepEqual(over.strikes, ["INVALID", "MODIFIERS", "UNDOS"]);
+  assert.equal(over.stars, 1);
+});
+
+test("stars never drop below one", () => {
+  const r = starRating({ moves: 40, par: 4, invalid: 9, modifiers: 2, undos: 9 });
+  assert.equal(r.strikes.length, 5);
+  assert.equal(r.stars, 1);
+});
+
+/* ---------------- Bests ---------------- */
+test("bests keep more stars, then fewer moves", () => {
+  const a = { stars: 2, moves: 10, at: 1 };
+  const b = { stars: 3, moves: 14, at: 2 };
+  assert.ok(compareLevelResults(b, a) < 0);
+  assert.ok(compareLevelResults({ ...a, moves: 9 }, a) < 0);
+
+  let res = recordBest({}, "7:1", a);
+  assert.equal(res.isBest, true);
+  res = recordBest(res.bests, "7:1", { ...a, moves: 11 });
+  assert.equal(res.isBest, false);
+  assert.equal(res.bests["7:1"], a);
+});
+
+test("the oldest bests drop past the limit", () => {
+  const bests = {};
+  for (let i = 0; i < BEST_RESULTS_MAX; i++) bests[`1:${i}`] = { stars: 3, moves: 1, at: i + 1 };
+  const res = recordBest(bests, "2:1", { stars: 3, moves: 1, at: 9999 });
+  assert.equal(Object.keys(res.bests).length, BEST_RESULTS_MAX);
+  assert.equal(res.bests["1:0"], undefined);
+  assert.ok(res.bests["2:1"]);
+});
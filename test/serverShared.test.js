@@ -0,0 +1,37 @@
+// test/serverShared.test.js
+// The game modules the server runs (copied into server/shared by syncServerShared.mjs)
+// must be a complete set: a copy whose imports were left out fails to load on the server.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { syncServerShared, staleServerCopies, SERVER_SHARED_FILES } from "../syncServerShared.mjs";
+import { buildDailyLevel } from "../src/game/daily.js";
+
+/* ---------------- Helpers ---------------- */
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-shared-"));
+// like server/package.json, so the copies load as ES modules
+fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify({ type: "module" }));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const load = (f) => import(pathToFileURL(path.join(dir, f)).href);
+
+/* ---------------- Copies ---------------- */
+test("sync copies every file, then finds nothing stale", () => {
+  assert.deepEqual(syncServerShared(dir), SERVER_SHARED_FILES);
+  assert.deepEqual(staleServerCopies(dir), []);
+  fs.appendFileSync(path.join(dir, "src/game/daily.js"), "\n");
+  assert.deepEqual(staleServerCopies(dir), ["src/game/daily.js"]);
+  assert.deepEqual(syncServerShared(dir), ["src/game/daily.js"]);
+});
+
+test("the copies load on their own and build the same daily board", async () => {
+  const daily = await load("src/game/daily.js");
+  assert.deepEqual(daily.buildDailyLevel("2026-01-05"), buildDailyLevel("2026-01-05"));
+  const { validateEvent } = await load("src/game/telemetryEvents.js");
+  assert.equal(typeof validateEvent, "function");
+});
@@ -0,0 +1,103 @@
+// test/solver.test.js
+// Board solver (src/game/solver.js): solved, unsolvable and budget-exhausted
+// boards, and the solvable-by-construction fallback board.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { solveBoard, isBoardSolved, scrambleSolvedBoard } from "../src/game/solver.js";
+import { makeRng } from "../src/utils/rng.js";
+
+/* ---------------- Helpers ---------------- */
+function makeBoard(bottles, extra = {}) {
+  return {
+    bottles: bottles.map((b) => b.slice()),
+    capacity: 4,
+    locked: new Array(bottles.length).fill(false),
+    sealedUnknown: new Array(bottles.length).fill(false),
+    keystone: null,
+    stabilizer: null,
+    ...extra,
+  };
+}
+
+// replays the solver's moves with the game's pour rule (whole top run, as far as it fits)
+function replay(board, moves) {
+  const bottles = board.bottles.map((b) => b.slice());
+  const cap = (i) => board.capacities?.[i] ?? board.capacity;
+  for (const { from, to } of moves) {
+    const a = bottles[from];
+    const b = bottles[to];
+    assert.ok(a.length, `move ${from} -> ${to} pours from an empty bottle`);
+    assert.ok(!b.length || b[b.length - 1] === a[a.length - 1], `move ${from} -> ${to} mixes colours`);
+    let run = 1;
+    while (run < a.length && a[a.length - 1 - run] === a[a.length - 1]) run++;
+    const n = Math.min(run, cap(to) - b.length);
+    assert.ok(n > 0, `move ${from} -> ${to} has no room`);
+    for (let i = 0; i < n; i++) b.push(a.pop());
+  }
+  return bottles;
+}
+
+const caps = (board) => board.bottles.map((_, i) => board.capacities?.[i] ?? board.capacity);
+
+/* ---------------- Results ---------------- */
+test("a solved board needs no moves", () => {
+  const res = solveBoard(makeBoard([[0, 0, 0, 0], [1, 1, 1, 1], []]));
+  assert.equal(res.solvable, true);
+  assert.equal(res.optimal, true);
+  assert.equal(res.moveCount, 0);
+  assert.deepEqual(res.moves, []);
+});
+
+test("a solvable board gets an optimal move list that really solves it", () => {
+  const board = makeBoard([[0, 1, 0, 1], [1, 0, 1, 0], [], []]);
+  const res = solveBoard(board);
+  assert.equal(res.solvable, true);
+  assert.equal(res.optimal, true);
+  assert.equal(res.moves.length, res.moveCount);
+  assert.ok(isBoardSolved({ bottles: replay(board, res.moves) }, caps(board)));
+});
+
+test("a board with no legal pour is unsolvable", () => {
+  const res = solveBoard(makeBoard([[0, 1], [1, 0]], { capacity: 2 }));
+  assert.equal(res.solvable, false);
+  assert.equal(res.optimal, true);
+  assert.equal(res.moves, null);
+});
+
+test("corks with no gate to open them make a board unsolvable", () => {
+  const board = makeBoard([[0, 0, 1, 1], [1, 1, 0, 0], []], { locked: [true, false, false] });
+  assert.equal(solveBoard(board).solvable, false);
+});
+
+test("running out of budget reports unknown, not unsolvable", () => {
+  const board = makeBoard([[0, 1, 2, 3], [1, 2, 3, 0], [2, 3, 0, 1], [3, 0, 1, 2], [], []]);
+  const res = solveBoard(board, { budget: 2 });
+  assert.equal(res.solvable, null);
+  assert.equal(res.optimal, false);
+  assert.equal(res.moves, null);
+  assert.ok(res.explored > 0);
+});
+
+/* ---------------- Mixed vessels ---------------- */
+test("a uniform bottle poured into an empty vessel of another size can be the solve", () => {
+  // four 0s only finish in the 4-high vial
+  const board = makeBoard([[0, 0, 0, 0], [], [1, 1, 1, 1, 1]], { capacity: 5, capacities: [5, 4, 5] });
+  const res = solveBoard(board);
+  assert.equal(res.solvable, true);
+  assert.deepEqual(res.moves, [{ from: 0, to: 1 }]);
+  assert.equal(isBoardSolved({ bottles: replay(board, res.moves) }, board.capacities), true);
+});
+
+/* ---------------- Fallback board ---------------- */
+test("scrambleSolvedBoard deals an unsolved board the solver can finish", () => {
+  for (let seed = 1; seed <= 5; seed++) {
+    const boardCaps = [4, 4, 4, 4, 4];
+    const bottles = scrambleSolvedBoard({ colors: 3, caps: boardCaps, rng: makeRng(seed) });
+    assert.equal(bottles.flat().length, 12, "every segment is still on the board");
+    assert.ok(bottles.every((b, i) => b.length <= boardCaps[i]));
+    assert.ok(!isBoardSolved({ bottles }, boardCaps));
+    assert.equal(solveBoard(makeBoard(bottles)).solvable, true, `seed ${seed}`);
+  }
+});
@@ -0,0 +1,174 @@
+// test/telemetry.test.js
+// Telemetry (src/game/telemetry.js, telemetryEvents.js, telemetryUpload.js): event
+// schemas, the v1 ring-buffer migration, which events upload and counted drops.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TELEMETRY_SCHEMA_VERSION, validateEvent } from "../src/game/telemetryEvents.js";
+import { LEGACY_TELEMETRY_KEY, createTelemetryStore, migrateLegacyEvent, isUploadable } from "../src/game/telemetry.js";
+import { TELEMETRY_SENT_KEY, TELEMETRY_DROPPED_KEY, createTelemetryUploader } from "../src/game/telemetryUpload.js";
+
+/* ---------------- Helpers ---------------- */
+function memStorage(init = {}) {
+  const mem = new Map(Object.entries(init));
+  return {
+    mem,
+    getItem: (k) => (mem.has(k) ? mem.get(k) : null),
+    setItem: (k, v) => mem.set(k, String(v)),
+    removeItem: (k) => mem.delete(k),
+  };
+}
+
+// localStorage backend only (no IndexedDB in Node)
+async function openStore(storage, extra = {}) {
+  const store = createTelemetryStore({ appVersion: "test", indexedDB: null, storage, ...extra });
+  await store.open();
+  return store;
+}
+
+// the uploader keeps its bookkeeping in the global localStorage
+const uploadMem = memStorage();
+globalThis.localStorage = uploadMem;
+
+// fake server: answers every POST with reply(events) -> [status, json]; records the ids
+function fakeServer(reply) {
+  const posted = [];
+  globalThis.fetch = async (url, init) => {
+    const { events } = JSON.parse(init.body);
+    posted.push(events.map((e) => e.id));
+    const [status, json] = reply(events);
+    return { ok: status < 400, status, text: async () => JSON.stringify(json) };
+  };
+  return posted;
+}
+
+// short retries, so a test can wait one out
+const limits = { batchMax: 200, intervalMs: 60000, retryMinMs: 10, retryMaxMs: 10 };
+
+function uploaderFor(store, drops = [], extra = {}) {
+  return createTelemetryUploader({
+    store,
+    apiBase: () => "http://lab.test",
+    playerId: () => "abcdef12-3456",
+    isOff: () => false,
+    limits,
+    onDrop: (n, why) => drops.push([n, why]),
+    ...extra,
+  });
+}
+
+const pourEvent = { eventType: "pour_execute", level: 2, moveIndex: 0, from: 0, to: 1, movedCount: 1, wildcardMoved: 0 };
+
+/* ---------------- Schemas ---------------- */
+test("events are checked field by field against their schema", () => {
+  assert.deepEqual(validateEvent(pourEvent), { ok: true });
+  assert.deepEqual(validateEvent({ ...pourEvent, from: "0", movedCount: 1.5 }).errors, [
+    "BAD_FIELD:pour_execute.from",
+    "BAD_FIELD:pour_execute.movedCount",
+  ]);
+  assert.deepEqual(validateEvent({ eventType: "dance" }).errors, ["UNKNOWN_EVENT_TYPE:dance"]);
+  assert.deepEqual(validateEvent([]).errors, ["NOT_AN_OBJECT"]);
+  // nullable and enum fields
+  const end = { eventType: "level_end", level: 1, moveIndex: 3, result: "win", moves: 3, invalid: 0, undos: 0 };
+  assert.equal(validateEvent(end).ok, true);
+  assert.equal(validateEvent({ ...end, result: "quit" }).ok, false);
+});
+
+test("record() tags events and refuses ones that fail their schema", async () => {
+  const rejects = [];
+  const store = await openStore(memStorage(), { onReject: (e, errors) => rejects.push(errors) });
+  const e = store.record(pourEvent);
+  assert.equal(e.schemaVersion, TELEMETRY_SCHEMA_VERSION);
+  assert.equal(e.sessionId, store.sessionId);
+  assert.equal(e.appVersion, "test");
+  assert.equal(isUploadable(e), true);
+
+  assert.equal(store.record({ ...pourEvent, to: null }), null);
+  assert.equal(store.rejected, 1);
+  assert.deepEqual(rejects, [["BAD_FIELD:pour_execute.to"]]);
+  await store.flush();
+});
+
+/* ---------------- Legacy events ---------------- */
+test("v1 events are kept as local-only v1 records", () => {
+  const old = { t: 5, eventType: "pour", level: 1, from: 0, to: 1 };
+  const m = migrateLegacyEvent(old);
+  assert.equal(m.schemaVersion, 1);
+  assert.equal(m.localOnly, true);
+  assert.equal(m.eventType, "pour");
+  assert.equal(isUploadable(m), false);
+  // they would fail the current schemas, which is why they never upload
+  assert.equal(validateEvent(m).ok, false);
+});
+
+test("untagged events in the ring buffer load local-only, new ones upload", async () => {
+  const storage = memStorage({ [LEGACY_TELEMETRY_KEY]: JSON.stringify([{ t: 1, eventType: "level_start", level: 1 }]) });
+  const store = await openStore(storage);
+  store.record(pourEvent);
+  await store.flush();
+
+  const [old, fresh] = store.all();
+  assert.equal(old.localOnly, true);
+  assert.equal(isUploadable(old), false);
+  assert.equal(isUploadable(fresh), true);
+  assert.equal(fresh.id, 1);
+});
+
+test("only current-schema events are uploadable", () => {
+  const e = { ...pourEvent, schemaVersion: TELEMETRY_SCHEMA_VERSION };
+  assert.equal(isUploadable(e), true);
+  // stores migrated before localOnly existed still carry schemaVersion 1
+  assert.equal(isUploadable({ ...e, schemaVersion: 1 }), false);
+  assert.equal(isUploadable(null), false);
+});
+
+/* ---------------- Upload ---------------- */
+test("refused batches are counted by reason, not silently marked sent", async () => {
+  uploadMem.mem.clear();
+  const store = await openStore(memStorage());
+  for (let k = 0; k < 3; k++) store.record({ ...pourEvent, moveIndex: k });
+  const posted = fakeServer(() => [413, { ok: false, error: "Player store full" }]);
+  const drops = [];
+  const up = uploaderFor(store, drops);
+  await up.upload();
+
+  assert.deepEqual(posted, [[1, 2, 3]]);
+  assert.deepEqual(drops, [[3, "Player store full"]]);
+  assert.equal(up.dropped().count, 3);
+  assert.deepEqual(up.dropped().reasons, { "Player store full": 3 });
+  assert.equal(uploadMem.getItem(TELEMETRY_SENT_KEY), "3");
+});
+
+test("events the server rejects inside an accepted batch are counted too", async () => {
+  uploadMem.mem.clear();
+  const store = await openStore(memStorage());
+  store.record(pourEvent);
+  store.record({ ...pourEvent, moveIndex: 1 });
+  fakeServer((events) => [200, { ok: true, accepted: events.length - 1, duplicates: 0, rejected: 1 }]);
+  const up = uploaderFor(store);
+  await up.upload();
+  assert.equal(JSON.parse(uploadMem.getItem(TELEMETRY_DROPPED_KEY)).count, 1);
+});
+
+test("server errors are retried later and drop nothing", async () => {
+  uploadMem.mem.clear();
+  const store = await openStore(memStorage());
+  store.record(pourEvent);
+  let status = 503;
+  const posted = fakeServer(() => [status, { ok: status === 200 }]);
+
+  // opted out: nothing is even tried
+  await uploaderFor(store, [], { isOff: () => true }).upload();
+  assert.equal(posted.length, 0);
+
+  const up = uploaderFor(store);
+  await up.upload();
+  assert.equal(up.dropped().count, 0);
+  assert.equal(uploadMem.getItem(TELEMETRY_SENT_KEY), null);
+
+  status = 200;
+  await new Promise((r) => setTimeout(r, 50));
+  assert.deepEqual(posted, [[1], [1]]);
+  assert.equal(uploadMem.getItem(TELEMETRY_SENT_KEY), "1");
+});